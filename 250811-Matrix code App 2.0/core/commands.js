@@ -0,0 +1,92 @@
+/**
+ * Commands - core/commands.js
+ *
+ * DOM-free parts of the keyboard layer (ui/commandPalette.js): key names for
+ * shortcut bindings, fuzzy matching for the command palette and recognising
+ * an NTA code typed straight into it.
+ *
+ * A command is `{ id, label, keywords?, keys?, hint?, arg?, run }`. Commands with
+ * `arg` take a value typed after their name ("density 1.4"); see searchCommands.
+ */
+
+// NTA codes start with the borough prefix, e.g. MN0101, BK09, QN12.
+const NTA_RE = /^(MN|BK|BX|QN|SI)\d{2,4}$/i;
+
+/**
+ * Binding name of a keyboard event: 'space', 'arrowup', 'escape', 'mod+k', '?', ...
+ * Ctrl and Cmd are both 'mod'. Shift only shows up on named keys ('shift+arrowup');
+ * for characters it is already part of `key` ('?', 'S' -> 's'). '' for events without a key.
+ */
+export function keyName(e) {
+  if (typeof e.key !== 'string' || !e.key) return ''; // autofill and some IMEs send keydowns without a key
+  const named = e.key.length > 1;
+  const key = e.key === ' ' ? 'space' : e.key.toLowerCase();
+  const parts = [];
+  if (e.ctrlKey || e.metaKey) parts.push('mod');
+  if (e.altKey) parts.push('alt');
+  if (e.shiftKey && (named || key === 'space')) parts.push('shift');
+  parts.push(key);
+  return parts.join('+');
+}
+
+/** Binding name as shown in the help overlay: 'mod+k' -> 'Ctrl+K', 'arrowup' -> '↑'. */
+export function formatKeys(keys, { mac = false } = {}) {
+  const names = { mod: mac ? '⌘' : 'Ctrl', alt: mac ? '⌥' : 'Alt', shift: 'Shift', space: 'Space', escape: 'Esc', arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→' };
+  return keys.split('+').map(k => names[k] || k.toUpperCase()).join('+');
+}
+
+/**
+ * Fuzzy match of `query` against `text`: the query's characters must appear in order
+ * (spaces in the query are ignored). Returns -1 for no match, otherwise a score that
+ * favours substrings, word starts and runs of consecutive characters, then shorter texts.
+ */
+export function fuzzyScore(query, text) {
+  const q = String(query).toLowerCase().replace(/\s+/g, ' ').trim();
+  const t = String(text).toLowerCase();
+  if (!q) return 0;
+  let score = t.includes(q) ? 5 : 0;
+  let from = 0;
+  let prev = -2;
+  for (const ch of q) {
+    if (ch === ' ') continue;
+    const at = t.indexOf(ch, from);
+    if (at === -1) return -1;
+    score += 1;
+    if (at === prev + 1) score += 2;
+    if (at === 0 || /[\s:._\-/(]/.test(t[at - 1])) score += 3;
+    prev = at;
+    from = at + 1;
+  }
+  return score - t.length * 0.01;
+}
+
+/**
+ * Rank `commands` for `query`: `[{ command, arg, score }]`, best first, at most `limit`.
+ * An `arg` command also matches its name followed by a value ("speedScale 2" ->
+ * arg '2'). An empty query lists the commands in order.
+ */
+export function searchCommands(commands, query, { limit = 12 } = {}) {
+  const q = String(query || '').trim();
+  if (!q) return commands.slice(0, limit).map(command => ({ command, arg: '', score: 0 }));
+  const split = /^(.*\S)\s+(\S+)$/.exec(q);
+  const hits = [];
+  commands.forEach((command, order) => {
+    const text = command.keywords ? `${command.label} ${command.keywords}` : command.label;
+    let best = null;
+    const whole = fuzzyScore(q, text);
+    if (whole >= 0) best = { command, arg: '', score: whole, order };
+    if (command.arg && split) {
+      const head = fuzzyScore(split[1], text);
+      if (head >= 0 && (!best || head + 1 >= best.score)) best = { command, arg: split[2], score: head + 1, order };
+    }
+    if (best) hits.push(best);
+  });
+  hits.sort((a, b) => b.score - a.score || a.order - b.order);
+  return hits.slice(0, limit).map(({ command, arg, score }) => ({ command, arg, score }));
+}
+
+/** The NTA code `query` is (upper-cased), or '' if it isn't one. */
+export function ntaFromQuery(query) {
+  const q = String(query || '').trim();
+  return NTA_RE.test(q) ? q.toUpperCase() : '';
+}
@@ -0,0 +1,61 @@
+/**
+ * App config - core/config.js
+ *
+ * `CONFIG` is plain data shared by the data layer and the canvas/UI layer.
+ * UI controls write to it; generators and the renderer read from it.
+ */
+
+import { createRng, setRandomSource } from './util.js';
+import { configureNYC } from '../data/nyc.js';
+
+export const CONFIG = {
+  densityScale: 1.0, // 0.2..2.0
+  speedScale: 1.0,   // 0.5..3.0
+  glowIntensity: 0.6, // 0..1
+  theme: 'green',    // core/themes.js id: 'green' | 'cyan' | 'magenta' | a saved theme
+  showFps: false,
+  showPerf: false,  // quality tier + frame-time overlay
+  showStats: false, // aggregate stats HUD over the streamed profiles
+  targetFps: 50,    // adaptive quality target; 0 = off
+  renderer: 'auto', // 'auto' | 'webgl' | 'canvas2d' (see core/renderer.js)
+  // data controls
+  source: 'fake', // core/sources.js id: 'fake' | 'nyc' | 'file' | 'stream'
+  borough: '',    // '', 'Manhattan', 'Brooklyn', 'Queens', 'Bronx', 'Staten Island'
+  nta: '',
+  layout: 'free', // 'free' | 'lanes' (one lane per borough, or per NTA within the picked borough)
+  streamUrl: '',  // endpoint of the 'stream' source: ws:// or wss:// (WebSocket), http:// or https:// (SSE)
+  filters: [],      // typed SoQL filters for the nyc source, e.g. { field: 'income', op: 'between', value: [40000, 90000] }
+  rowLimit: 2000,   // rows per source fetch; nyc pulls these in pages
+  stringStyle: 'json', // 'json' | 'kv' | 'code' | 'yaml' | 'sql' | 'csv' | 'log' | 'proto' | 'hexdump' | 'mixed' | a saved template id
+  maxColumns: 160,
+  mode: 'file', // 'file' | 'glyph'
+  // privacy (core/redaction.js): per-field policies applied before profiles are shown; k > 1 adds k-anonymity
+  redaction: { enabled: false, k: 0, fields: {} },
+  // data-driven visuals (core/encoding.js): channel -> profile field, '' = off
+  encoding: { hue: '', speed: '', size: '', glitch: '', lane: '' },
+  // file mode text rendering
+  textCfg: { maxWidth: 420, fontSize: 14, lineHeight: 18, maxLines: 16 },
+  speedMin: 80,
+  speedMax: 160,
+  // determinism: null = Math.random; any string/number = seeded PRNG with a fixed simulation step
+  seed: null,
+  fixedStep: 1 / 60,
+};
+
+// Pristine copy for presets (core/presets.js): share links only carry fields that differ from it.
+export const CONFIG_DEFAULTS = structuredClone(CONFIG);
+
+// Wall-clock used for generated ids/timestamps; pinned when seeded so profiles repeat.
+export const SEED_EPOCH_MS = Date.UTC(2025, 7, 11);
+export function epochMs() { return CONFIG.seed === null ? Date.now() : SEED_EPOCH_MS; }
+
+// Install the PRNG for `seed` (or Math.random when null) in the core and data/nyc.js.
+export function applySeed(seed) {
+  CONFIG.seed = seed === undefined || seed === '' ? null : seed;
+  setRandomSource(CONFIG.seed === null ? Math.random : createRng(CONFIG.seed));
+  // separate stream so async NYC responses don't shift the main sequence
+  configureNYC({
+    random: CONFIG.seed === null ? Math.random : createRng(`${CONFIG.seed}:nyc`),
+    now: epochMs,
+  });
+}
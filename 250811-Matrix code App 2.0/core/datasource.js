@@ -0,0 +1,221 @@
+/**
+ * Data Source - core/datasource.js
+ *
+ * Hands out profile batches from whichever registered source `CONFIG.source`
+ * names (see core/sources.js). The built-in sources register on import below.
+ * Async results replace the batch when they land; until then the previous batch
+ * (or a fake one) keeps the rain going. A source answering with no records gets
+ * a fake fallback batch unless the current batch already belongs to its key. While a request for the current key is
+ * in flight, refills reuse the batch instead of starting another one.
+ *
+ * Every outcome is reported to `DataStatus` (core/status.js). A failed or
+ * fallback fetch schedules a retry with exponential backoff; refills in between
+ * keep the current batch rather than hammering the source.
+ *
+ * `originOf(profile)` tells where a handed-out profile came from (source, filters,
+ * state and cache age at fetch time) for the inspector.
+ *
+ * With `CONFIG.redaction` enabled every batch is handed out as redacted copies
+ * (core/redaction.js); the source's own records stay here so a changed spec
+ * re-redacts without refetching. `redact(profile)` does the same for profiles
+ * that bypass batches (live stream arrivals).
+ */
+
+import { CONFIG } from './config.js';
+import { getSource } from './sources.js';
+import { DataStatus, backoffDelay } from './status.js';
+import { redactProfiles } from './redaction.js';
+import { generateFakeBatch, FAKE_BATCH_SIZE } from '../data/fakeSource.js';
+import '../data/nyc.js';
+import '../data/fileSource.js';
+import '../data/streamSource.js';
+
+export const DataSource = (() => {
+  let cachedProfiles = []; // what is handed out: redacted copies of rawProfiles when redaction is on
+  let rawProfiles = [];
+  let redactKey = JSON.stringify(CONFIG.redaction);
+  let salt = '';
+  let suppressed = 0;
+  const listeners = new Set();
+  let cacheKey = '';
+  let batchKey = ''; // key the current batch was fetched (or faked) for
+  let activeId = '';
+  let cursor = 0;
+  let inflightKey = '';
+  let failures = 0;
+  let retryAt = 0;
+  let retryTimer = null;
+  const origins = new WeakMap();
+
+  function currentKey() { return `${CONFIG.source}|${CONFIG.borough}|${CONFIG.nta}|${JSON.stringify(CONFIG.filters)}`; }
+
+  function currentSource() { return getSource(CONFIG.source) || getSource('fake'); }
+
+  function getProfiles(wantCount) {
+    const key = currentKey();
+    if (key !== cacheKey) {
+      cacheKey = key; cursor = 0;
+      clearRetry();
+      switchSource();
+    }
+    if (JSON.stringify(CONFIG.redaction) !== redactKey) setBatch(rawProfiles);
+    if (inflightKey !== key && Date.now() >= retryAt) load(key, currentSource());
+    if (cachedProfiles.length === 0) fallbackBatch(key, wantCount);
+    return takeLoop(cachedProfiles, wantCount);
+  }
+
+  // Let the previous source release connections once CONFIG.source changes.
+  function switchSource() {
+    if (activeId === CONFIG.source) return;
+    const prev = activeId && getSource(activeId);
+    activeId = CONFIG.source;
+    if (prev && typeof prev.deactivate === 'function') {
+      try { prev.deactivate(); } catch (err) { try { console.warn('[DATA] deactivate failed:', err && err.message); } catch {} }
+    }
+  }
+
+  // Ask the source for a batch and report how it went.
+  function load(key, source) {
+    let result;
+    try {
+      result = source.fetchProfiles({ borough: CONFIG.borough, nta: CONFIG.nta, limit: CONFIG.rowLimit, filters: CONFIG.filters });
+    } catch (err) {
+      fail(key, source, err);
+      return;
+    }
+    if (result && typeof result.then === 'function') {
+      inflightKey = key;
+      DataStatus.report({ source: source.id, state: 'loading', detail: '', httpStatus: null, retryAt: null });
+      result
+        .then(list => { if (cacheKey === key) accept(key, source, list); })
+        .catch(err => { if (cacheKey === key) fail(key, source, err); })
+        .finally(() => { if (inflightKey === key) inflightKey = ''; });
+    } else {
+      accept(key, source, result);
+    }
+  }
+
+  function accept(key, source, list) {
+    if (!Array.isArray(list)) { fail(key, source, new Error('source returned no profile list')); return; }
+    const info = (typeof source.status === 'function' && source.status()) || {};
+    const state = info.state || (list.length ? 'live' : 'fallback');
+    tagOrigin(list, { source: source.id, state, ageMs: info.ageMs ?? null });
+    // an empty answer keeps the batch of this key, but not one fetched under other filters
+    if (list.length) { batchKey = key; setBatch(list); } else if (batchKey !== key) fallbackBatch(key);
+    const detail = info.detail || (list.length ? '' : 'no records');
+    if (state === 'fallback') { scheduleRetry(key, source, { detail, httpStatus: info.httpStatus ?? null, rows: info.rows ?? 0, profiles: list.length }); return; }
+    failures = 0;
+    DataStatus.report({
+      source: source.id, state, detail: info.detail || '', httpStatus: null,
+      rows: info.rows ?? list.length, profiles: list.length, ageMs: info.ageMs ?? null,
+      attempt: 0, retryAt: null,
+    });
+  }
+
+  function fail(key, source, err) {
+    try { console.warn('[DATA] source failed:', err && err.message); } catch {}
+    scheduleRetry(key, source, {
+      state: 'error', detail: (err && err.message) || 'fetch failed', httpStatus: (err && err.status) || null,
+      rows: 0, profiles: cachedProfiles.length,
+    });
+  }
+
+  function scheduleRetry(key, source, patch) {
+    failures++;
+    const delay = backoffDelay(failures);
+    retryAt = Date.now() + delay;
+    DataStatus.report({ source: source.id, state: 'fallback', ageMs: null, ...patch, attempt: failures, retryAt });
+    if (retryTimer) clearTimeout(retryTimer);
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      retryAt = 0;
+      if (cacheKey === key && inflightKey !== key) load(key, currentSource());
+    }, delay);
+    if (retryTimer.unref) retryTimer.unref();
+  }
+
+  function clearRetry() {
+    if (retryTimer) clearTimeout(retryTimer);
+    retryTimer = null;
+    retryAt = 0;
+    failures = 0;
+  }
+
+  // Fake profiles standing in for `key` until its source delivers.
+  function fallbackBatch(key, n = FAKE_BATCH_SIZE) {
+    const fake = generateFakeBatch(n);
+    tagOrigin(fake, { source: 'fake', state: 'fallback', ageMs: null });
+    batchKey = key;
+    setBatch(fake);
+  }
+
+  // Keep the source's records and hand out their redacted copies; origins carry over.
+  function setBatch(list) {
+    redactKey = JSON.stringify(CONFIG.redaction);
+    rawProfiles = list;
+    const res = redactProfiles(list, CONFIG.redaction, { salt });
+    res.profiles.forEach((p, i) => { if (p !== list[i] && origins.has(list[i])) origins.set(p, origins.get(list[i])); });
+    cachedProfiles = res.profiles;
+    suppressed = res.suppressed;
+    const summary = redaction();
+    for (const fn of listeners) { try { fn(summary); } catch {} }
+  }
+
+  /** Redacted copy of one profile, checked for k-anonymity against the current batch. */
+  function redact(profile) {
+    if (!CONFIG.redaction.enabled || !profile) return profile;
+    return redactProfiles([profile], CONFIG.redaction, { salt, reference: cachedProfiles }).profiles[0];
+  }
+
+  /** `{ enabled, suppressed, count }` for the current batch (the redaction badge). */
+  function redaction() {
+    return { enabled: !!CONFIG.redaction.enabled, suppressed: CONFIG.redaction.enabled ? suppressed : 0, count: rawProfiles.length };
+  }
+
+  /** Salt for hashed fields; re-redacts the current batch. */
+  function configureRedaction({ salt: next = salt } = {}) {
+    salt = String(next);
+    setBatch(rawProfiles);
+  }
+
+  /** Subscribe to batch redaction summaries; returns an unsubscribe function. */
+  function onRedaction(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  function tagOrigin(list, { source, state, ageMs }) {
+    const origin = { source, state, ageMs, borough: CONFIG.borough, nta: CONFIG.nta, filters: CONFIG.filters, at: Date.now() };
+    for (const p of list) if (p && typeof p === 'object') origins.set(p, origin);
+  }
+
+  /**
+   * `{ source, state, borough, nta, filters, ageMs }` for a profile this module
+   * handed out, or null. `ageMs` is the cache age now (null for live fetches).
+   */
+  function originOf(profile) {
+    const o = profile && typeof profile === 'object' ? origins.get(profile) : null;
+    if (!o) return null;
+    const { at, ...rest } = o;
+    return { ...rest, ageMs: o.ageMs === null ? null : o.ageMs + (Date.now() - at) };
+  }
+
+  /** Drop any pending backoff and fetch the current key again now. */
+  function retry() {
+    clearRetry();
+    const key = currentKey();
+    cacheKey = key;
+    switchSource();
+    if (inflightKey !== key) load(key, currentSource());
+  }
+
+  // Continue where the previous batch stopped so every record gets its turn.
+  function takeLoop(arr, n) {
+    const out = [];
+    for (let i = 0; i < n; i++) out.push(arr[(cursor + i) % arr.length]);
+    cursor = (cursor + n) % arr.length;
+    return out;
+  }
+
+  return { getProfiles, retry, originOf, redact, redaction, configureRedaction, onRedaction };
+})();
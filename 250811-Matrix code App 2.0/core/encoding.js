@@ -0,0 +1,213 @@
+/**
+ * Visual encoding - core/encoding.js
+ *
+ * DOM-free mapping from profile fields to visual channels, so the rain can be
+ * read as a chart of the data:
+ *   hue    -> strip / trail colour (numeric: green..red ramp, categories: distinct hues)
+ *   speed  -> fall speed (low..high)
+ *   size   -> strip scale / glyph trail length
+ *   glitch -> glitch frequency
+ *   lane   -> horizontal band (categories, or numeric values in LANE_BINS bins)
+ * `encode(profile)` returns each mapped channel normalised to 0..1 (hue as a
+ * palette bucket, lane as `{ index, count }`); main.js turns those into pixels.
+ *
+ * Domains grow from the profiles passed to `observe` (per source; `reset` on
+ * switch), except where a field has a fixed range (risk_score is 0..100) or a
+ * natural category order (boroughs, moods from calm to agitated, education).
+ * Bucketed numbers (core/redaction.js) are placed at their range midpoint.
+ */
+
+import { PROFILE_FIELDS } from './fileimport.js';
+import { clamp } from './util.js';
+import { numericValue } from './redaction.js';
+
+export const ENCODING_CHANNELS = ['hue', 'speed', 'size', 'glitch', 'lane'];
+
+// Fields worth encoding: everything scalar except identifiers and timestamps.
+export const ENCODABLE_FIELDS = PROFILE_FIELDS
+  .filter(f => f.type !== 'list' && !['id', 'name', 'last_active'].includes(f.key))
+  .map(f => f.key);
+
+const NUMERIC = new Set(PROFILE_FIELDS.filter(f => f.type === 'number').map(f => f.key));
+const FIXED_DOMAINS = { risk_score: [0, 100] };
+const CATEGORY_ORDER = {
+  borough: ['Manhattan', 'Brooklyn', 'Queens', 'Bronx', 'Staten Island'],
+  emotional_state: ['flow', 'calm', 'focused', 'optimistic', 'curious', 'distracted', 'stressed', 'burnout'],
+  education: ['HS', 'Associate', 'BSc', 'MSc', 'PhD'],
+};
+
+export const HUE_STEPS = 8; // colour buckets: bounds the glyph atlas and the strip bitmap cache
+export const LANE_BINS = 5;
+export const MAX_CATEGORIES = HUE_STEPS; // one colour each; later categories share the last slot ("other")
+
+/** HSL (degrees, 0..1, 0..1) -> '#rrggbb'. */
+export function hslHex(h, s, l) {
+  const k = n => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return '#' + [f(0), f(8), f(4)].map(v => Math.round(v * 255).toString(16).padStart(2, '0')).join('');
+}
+
+// Numeric ramp runs green (low) to red (high); categories get evenly spaced hues from green.
+const RAMP = Array.from({ length: HUE_STEPS }, (_, k) => hslHex(120 * (1 - k / (HUE_STEPS - 1)), 1, 0.55));
+const CATEGORICAL = Array.from({ length: HUE_STEPS }, (_, k) => hslHex((120 + (k * 360) / HUE_STEPS) % 360, 1, 0.6));
+
+/** `{ channel: field }` with unknown channels dropped and unknown fields as '' (off). */
+export function normalizeEncoding(spec = {}) {
+  const out = {};
+  for (const channel of ENCODING_CHANNELS) {
+    const field = spec && spec[channel];
+    out[channel] = ENCODABLE_FIELDS.includes(field) ? field : '';
+  }
+  return out;
+}
+
+export function isNumericField(field) { return NUMERIC.has(field); }
+
+export function createEncoder(initial = {}) {
+  let spec = normalizeEncoding(initial);
+  let version = 0;
+  const ranges = new Map(); // numeric field -> [min, max] seen
+  const categories = new Map(); // categorical field -> Set of values seen
+
+  /** Replace the channel mapping; returns true if anything changed. */
+  function configure(next) {
+    const clean = normalizeEncoding(next);
+    if (ENCODING_CHANNELS.every(c => clean[c] === spec[c])) return false;
+    spec = clean;
+    version++;
+    return true;
+  }
+
+  // Forget the observed domains (new source).
+  function reset() {
+    ranges.clear();
+    categories.clear();
+    version++;
+  }
+
+  function mappedFields() {
+    return [...new Set(ENCODING_CHANNELS.map(c => spec[c]).filter(Boolean))];
+  }
+
+  /** Grow the domains of the mapped fields with `profiles`. */
+  function observe(profiles) {
+    const fields = mappedFields();
+    let grown = false;
+    for (const p of profiles) {
+      if (!p) continue;
+      for (const field of fields) {
+        const v = p[field];
+        if (NUMERIC.has(field)) {
+          const n = numericValue(v);
+          if (!Number.isFinite(n) || FIXED_DOMAINS[field]) continue;
+          const r = ranges.get(field);
+          if (!r) { ranges.set(field, [n, n]); grown = true; }
+          else if (n < r[0] || n > r[1]) { r[0] = Math.min(r[0], n); r[1] = Math.max(r[1], n); grown = true; }
+        } else {
+          if (v === undefined || v === null || v === '') continue;
+          let set = categories.get(field);
+          if (!set) categories.set(field, set = new Set());
+          if (!set.has(String(v))) { set.add(String(v)); grown = true; }
+        }
+      }
+    }
+    if (grown) version++;
+  }
+
+  function domain(field) {
+    return FIXED_DOMAINS[field] || ranges.get(field) || null;
+  }
+
+  // Known order first, then the rest alphabetically; capped at MAX_CATEGORIES (last one is "other").
+  function categoryList(field) {
+    const seen = categories.get(field) || new Set();
+    const known = (CATEGORY_ORDER[field] || []).filter(v => seen.has(v));
+    const rest = [...seen].filter(v => !known.includes(v)).sort();
+    const all = known.concat(rest);
+    return all.length > MAX_CATEGORIES ? all.slice(0, MAX_CATEGORIES - 1).concat('other') : all;
+  }
+
+  function numericT(field, value) {
+    const n = numericValue(value);
+    const d = domain(field);
+    if (!Number.isFinite(n) || !d) return null;
+    return d[1] > d[0] ? clamp((n - d[0]) / (d[1] - d[0]), 0, 1) : 0.5;
+  }
+
+  function categoryIndex(field, value) {
+    if (value === undefined || value === null || value === '') return null;
+    const list = categoryList(field);
+    const i = list.indexOf(String(value));
+    return { index: i === -1 ? list.length - 1 : i, count: list.length };
+  }
+
+  /**
+   * Channel values for one profile: `{ hue, speed, size, glitch, lane }`, each null when the
+   * channel is off or the value is missing. speed/size/glitch are 0..1, hue a palette index,
+   * lane `{ index, count }`.
+   */
+  function encode(profile) {
+    const out = { hue: null, speed: null, size: null, glitch: null, lane: null };
+    if (!profile) return out;
+    for (const channel of ENCODING_CHANNELS) {
+      const field = spec[channel];
+      if (!field) continue;
+      const v = profile[field];
+      if (NUMERIC.has(field)) {
+        const t = numericT(field, v);
+        if (t === null) continue;
+        if (channel === 'hue') out.hue = Math.round(t * (HUE_STEPS - 1));
+        else if (channel === 'lane') out.lane = { index: Math.min(LANE_BINS - 1, Math.floor(t * LANE_BINS)), count: LANE_BINS };
+        else out[channel] = t;
+      } else {
+        const c = categoryIndex(field, v);
+        if (!c || c.count === 0) continue;
+        if (channel === 'hue') out.hue = c.index;
+        else if (channel === 'lane') out.lane = c;
+        else out[channel] = c.count > 1 ? c.index / (c.count - 1) : 0.5;
+      }
+    }
+    return out;
+  }
+
+  /** Colours for the hue buckets of the current mapping (numeric ramp or categorical). */
+  function palette() {
+    return spec.hue && !NUMERIC.has(spec.hue) ? CATEGORICAL : RAMP;
+  }
+
+  /**
+   * Legend rows for the mapped channels:
+   *   numeric:  { channel, field, kind: 'numeric', min, max, colors?, bins? }
+   *   category: { channel, field, kind: 'category', items: [{ label, color? }] }
+   * `min`/`max` are null until a value has been observed.
+   */
+  function legend() {
+    const rows = [];
+    for (const channel of ENCODING_CHANNELS) {
+      const field = spec[channel];
+      if (!field) continue;
+      if (NUMERIC.has(field)) {
+        const d = domain(field);
+        const row = { channel, field, kind: 'numeric', min: d ? d[0] : null, max: d ? d[1] : null };
+        if (channel === 'hue') row.colors = RAMP.slice();
+        if (channel === 'lane') row.bins = LANE_BINS;
+        rows.push(row);
+      } else {
+        const items = categoryList(field).map((label, i) => (
+          channel === 'hue' ? { label, color: CATEGORICAL[i] } : { label }
+        ));
+        rows.push({ channel, field, kind: 'category', items });
+      }
+    }
+    return rows;
+  }
+
+  return {
+    configure, reset, observe, encode, palette, legend,
+    get spec() { return { ...spec }; },
+    /** Bumped whenever the mapping or a domain changes (legend redraws). */
+    get version() { return version; },
+    get active() { return ENCODING_CHANNELS.some(c => spec[c]); },
+  };
+}
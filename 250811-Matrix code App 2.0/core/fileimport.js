@@ -0,0 +1,164 @@
+/**
+ * File import - core/fileimport.js
+ *
+ * Parses CSV / JSON / NDJSON text into flat records and maps their columns onto
+ * the canonical profile schema. DOM-free; the drop zone and mapping dialog live
+ * in ui/fileImport.js.
+ */
+
+// Canonical profile schema: the fields ProfileFactory and the NYC synthesizer emit.
+export const PROFILE_FIELDS = [
+  { key: 'id', type: 'string' },
+  { key: 'name', type: 'string' },
+  { key: 'age', type: 'number' },
+  { key: 'gender', type: 'string' },
+  { key: 'job_title', type: 'string' },
+  { key: 'industry', type: 'string' },
+  { key: 'income_usd', type: 'number' },
+  { key: 'education', type: 'string' },
+  { key: 'location_city', type: 'string' },
+  { key: 'borough', type: 'string' },
+  { key: 'nta', type: 'string' },
+  { key: 'relationship_status', type: 'string' },
+  { key: 'emotional_state', type: 'string' },
+  { key: 'activity', type: 'string' },
+  { key: 'interests', type: 'list' },
+  { key: 'risk_score', type: 'number' },
+  { key: 'last_active', type: 'string' },
+];
+
+// Alternative column names we recognise when guessing a mapping (normalised: lowercase, no separators).
+const SYNONYMS = {
+  id: ['id', 'uid', 'uuid', 'recordid'],
+  name: ['name', 'fullname', 'person'],
+  age: ['age', 'years', 'ageyears'],
+  gender: ['gender', 'sex'],
+  job_title: ['jobtitle', 'job', 'title', 'occupation', 'role', 'position'],
+  industry: ['industry', 'sector', 'naics'],
+  income_usd: ['incomeusd', 'income', 'salary', 'medianincome', 'medianhouseholdincome', 'wage'],
+  education: ['education', 'degree', 'edu'],
+  location_city: ['locationcity', 'city', 'location'],
+  borough: ['borough', 'boro', 'boroname'],
+  nta: ['nta', 'ntacode', 'ntaname', 'neighborhood'],
+  relationship_status: ['relationshipstatus', 'relationship', 'maritalstatus'],
+  emotional_state: ['emotionalstate', 'mood', 'emotion', 'state'],
+  activity: ['activity', 'doing'],
+  interests: ['interests', 'hobbies', 'tags'],
+  risk_score: ['riskscore', 'risk', 'score'],
+  last_active: ['lastactive', 'timestamp', 'updatedat', 'seen', 'lastseen'],
+};
+
+const norm = s => String(s).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/** Guess 'csv' | 'json' | 'ndjson' from the file name, falling back to sniffing the text. */
+export function detectFormat(text, filename = '') {
+  const ext = String(filename).toLowerCase().split('.').pop();
+  if (ext === 'csv' || ext === 'tsv') return 'csv';
+  if (ext === 'ndjson' || ext === 'jsonl') return 'ndjson';
+  const head = text.trimStart();
+  if (head.startsWith('[')) return 'json';
+  if (head.startsWith('{')) {
+    // one object per line -> ndjson, otherwise a single JSON document
+    const firstLine = head.split(/\r?\n/, 1)[0].trim();
+    try { JSON.parse(firstLine); return head.includes('\n') ? 'ndjson' : 'json'; } catch { return 'json'; }
+  }
+  return 'csv';
+}
+
+/** RFC 4180-ish CSV parser (quoted fields, doubled quotes, CRLF). Delimiter is sniffed from the header. */
+export function parseCSV(text, { delimiter } = {}) {
+  const src = text.replace(/^\uFEFF/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const delim = delimiter || [',', ';', '\t', '|']
+    .map(d => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i++; } else quoted = false;
+      } else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delim) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else field += ch;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+
+  const [header = [], ...body] = rows.filter(r => r.length > 1 || r[0] !== '');
+  const columns = header.map(h => h.trim());
+  const records = body.map(r => Object.fromEntries(columns.map((c, i) => [c, r[i] ?? ''])));
+  return { columns, records };
+}
+
+function collectColumns(records) {
+  const seen = new Set();
+  for (const r of records.slice(0, 200)) for (const k of Object.keys(r)) seen.add(k);
+  return [...seen];
+}
+
+/**
+ * Parse file text into `{ format, columns, records }`.
+ * JSON may be an array of objects or an object holding one (e.g. `{ data: [...] }`).
+ */
+export function parseRecords(text, filename = '') {
+  const format = detectFormat(text, filename);
+  if (format === 'csv') return { format, ...parseCSV(text) };
+  let records;
+  if (format === 'ndjson') {
+    records = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean).map((line, i) => {
+      try { return JSON.parse(line); } catch { throw new Error(`NDJSON line ${i + 1} is not valid JSON`); }
+    });
+  } else {
+    const doc = JSON.parse(text);
+    records = Array.isArray(doc) ? doc : Object.values(doc || {}).find(Array.isArray) || [doc];
+  }
+  records = records.filter(r => r && typeof r === 'object' && !Array.isArray(r));
+  return { format, columns: collectColumns(records), records };
+}
+
+/** Map canonical field -> source column for every field we can recognise. */
+export function guessMapping(columns) {
+  const byNorm = new Map(columns.map(c => [norm(c), c]));
+  const mapping = {};
+  const used = new Set();
+  for (const { key } of PROFILE_FIELDS) {
+    const hit = SYNONYMS[key].map(s => byNorm.get(s)).find(c => c !== undefined && !used.has(c));
+    if (hit !== undefined) { mapping[key] = hit; used.add(hit); }
+  }
+  return mapping;
+}
+
+function coerce(value, type) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (type === 'number') {
+    const n = Number(String(value).replace(/[$,\s]/g, ''));
+    return Number.isFinite(n) ? n : undefined;
+  }
+  if (type === 'list') {
+    if (Array.isArray(value)) return value.map(String);
+    return String(value).split(/[;,|]/).map(s => s.trim()).filter(Boolean);
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/** Build a canonical profile from one record using `mapping` (canonical field -> column). */
+export function applyMapping(record, mapping, index = 0) {
+  const profile = {};
+  for (const { key, type } of PROFILE_FIELDS) {
+    const col = mapping[key];
+    if (!col) continue;
+    const v = coerce(record[col], type);
+    if (v !== undefined) profile[key] = v;
+  }
+  if (!profile.id) profile.id = `file-${index.toString(36)}`;
+  return profile;
+}
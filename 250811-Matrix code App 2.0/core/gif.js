@@ -0,0 +1,169 @@
+/**
+ * GIF encoder - core/gif.js
+ *
+ * Minimal animated GIF89a writer for the recorder. DOM-free: frames are raw
+ * RGBA byte arrays (e.g. `ImageData.data`), output is a Uint8Array.
+ * - One global 256-colour palette, built by popularity over sampled pixels
+ *   (the rain is mostly one hue on black, so this holds up well).
+ * - Standard variable-width LZW, 12-bit max codes, 255-byte sub-blocks.
+ * - `createGifEncoder` compresses frame by frame, so a capture never holds raw frames.
+ */
+
+// 15-bit colour key: 5 bits per channel
+const key15 = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+/** Pick up to 256 colours from the most common 15-bit buckets across `frames`. */
+export function buildPalette(frames, { sampleStep = 4 } = {}) {
+  const counts = new Map();
+  for (const rgba of frames) {
+    for (let i = 0; i < rgba.length; i += 4 * sampleStep) {
+      const k = key15(rgba[i], rgba[i + 1], rgba[i + 2]);
+      counts.set(k, (counts.get(k) || 0) + 1);
+    }
+  }
+  const top = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 256);
+  const palette = top.map(([k]) => [((k >> 10) & 31) << 3 | 4, ((k >> 5) & 31) << 3 | 4, (k & 31) << 3 | 4]);
+  while (palette.length < 256) palette.push([0, 0, 0]);
+  return palette;
+}
+
+/** Map RGBA pixels to palette indices (nearest colour, memoised per 15-bit bucket). */
+export function indexPixels(rgba, palette, memo = new Map()) {
+  const out = new Uint8Array(rgba.length / 4);
+  for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+    const r = rgba[i], g = rgba[i + 1], b = rgba[i + 2];
+    const k = key15(r, g, b);
+    let idx = memo.get(k);
+    if (idx === undefined) {
+      let best = Infinity;
+      for (let j = 0; j < palette.length; j++) {
+        const [pr, pg, pb] = palette[j];
+        const d = (pr - r) * (pr - r) + (pg - g) * (pg - g) + (pb - b) * (pb - b);
+        if (d < best) { best = d; idx = j; if (d === 0) break; }
+      }
+      memo.set(k, idx);
+    }
+    out[p] = idx;
+  }
+  return out;
+}
+
+/** LZW-compress palette indices into GIF code stream bytes (without sub-block framing). */
+export function lzwEncode(indices, minCodeSize = 8) {
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  const out = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = eoiCode + 1;
+  let table = new Map();
+  let cur = 0, curBits = 0;
+
+  const emit = code => {
+    cur |= code << curBits;
+    curBits += codeSize;
+    while (curBits >= 8) { out.push(cur & 0xff); cur >>>= 8; curBits -= 8; }
+  };
+
+  emit(clearCode);
+  if (!indices.length) { emit(eoiCode); if (curBits > 0) out.push(cur & 0xff); return out; }
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const tableKey = (prefix << 8) | k;
+    const code = table.get(tableKey);
+    if (code !== undefined) { prefix = code; continue; }
+    emit(prefix);
+    if (nextCode === 4096) {
+      // table full: reset both sides
+      emit(clearCode);
+      table = new Map();
+      nextCode = eoiCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      table.set(tableKey, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+  if (curBits > 0) out.push(cur & 0xff);
+  return out;
+}
+
+/**
+ * Encode RGBA frames as a looping animated GIF.
+ * @param {Uint8ClampedArray[]} frames - width*height*4 bytes each
+ * @param {{ width: number, height: number, delayMs?: number, loop?: number, palette?: number[][] }} opts
+ * @returns {Uint8Array}
+ */
+export function encodeGif(frames, { width, height, delayMs = 100, loop = 0, palette } = {}) {
+  const pal = palette || buildPalette(frames.length > 4 ? [frames[0], frames[frames.length >> 1], frames[frames.length - 1]] : frames);
+  const gif = createGifEncoder({ width, height, delayMs, loop, palette: pal });
+  for (const rgba of frames) gif.addFrame(rgba);
+  return gif.finish();
+}
+
+/**
+ * Incremental form of encodeGif for long captures: `addFrame(rgba)` compresses a frame
+ * right away so only the GIF bytes are kept, `finish()` returns the file. Without a
+ * `palette` the first frame picks it.
+ */
+export function createGifEncoder({ width, height, delayMs = 100, loop = 0, palette = null } = {}) {
+  const delayCs = Math.max(2, Math.round(delayMs / 10));
+  const memo = new Map();
+  const parts = [];
+  let pal = palette;
+  let size = 0;
+
+  function push(bytes) {
+    const chunk = Uint8Array.from(bytes);
+    parts.push(chunk);
+    size += chunk.length;
+  }
+
+  function header() {
+    const bytes = [];
+    const u8 = (...v) => { for (const x of v) bytes.push(x & 0xff); };
+    const u16 = v => u8(v, v >> 8);
+    const ascii = str => { for (let i = 0; i < str.length; i++) bytes.push(str.charCodeAt(i)); };
+    ascii('GIF89a');
+    u16(width); u16(height);
+    u8(0xf7, 0, 0); // global table, 8-bit colour resolution, 256 entries
+    for (const [r, g, b] of pal) u8(r, g, b);
+    // NETSCAPE2.0 loop extension
+    u8(0x21, 0xff, 0x0b); ascii('NETSCAPE2.0'); u8(0x03, 0x01); u16(loop); u8(0x00);
+    push(bytes);
+  }
+
+  function addFrame(rgba) {
+    if (!pal) pal = buildPalette([rgba]);
+    if (!parts.length) header();
+    const bytes = [];
+    const u8 = (...v) => { for (const x of v) bytes.push(x & 0xff); };
+    const u16 = v => u8(v, v >> 8);
+    u8(0x21, 0xf9, 0x04, 0x00); u16(delayCs); u8(0x00, 0x00); // graphic control
+    u8(0x2c); u16(0); u16(0); u16(width); u16(height); u8(0x00); // image descriptor
+    u8(8);
+    const data = lzwEncode(indexPixels(rgba, pal, memo), 8);
+    for (let i = 0; i < data.length; i += 255) {
+      const n = Math.min(255, data.length - i);
+      bytes.push(n);
+      for (let j = 0; j < n; j++) bytes.push(data[i + j]);
+    }
+    u8(0x00);
+    push(bytes);
+  }
+
+  function finish() {
+    if (!pal) pal = buildPalette([]);
+    if (!parts.length) header();
+    push([0x3b]);
+    const out = new Uint8Array(size);
+    let at = 0;
+    for (const chunk of parts) { out.set(chunk, at); at += chunk.length; }
+    return out;
+  }
+
+  return { addFrame, finish };
+}
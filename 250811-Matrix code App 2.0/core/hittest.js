@@ -0,0 +1,49 @@
+/**
+ * Hit-testing - core/hittest.js
+ *
+ * Point-in-shape lookups for the canvas layer. Strips are axis-aligned boxes
+ * `{ x, y, w, h }` drawn in array order, so the last match is the one on top.
+ * Glyph columns are `{ x, y, streamLength }` with the head glyph at `y` and the
+ * tail trailing upwards, one `size` cell per glyph.
+ */
+
+/** Topmost strip containing (px, py), or null. */
+export function hitTestStrips(strips, px, py) {
+  for (let i = strips.length - 1; i >= 0; i--) {
+    const s = strips[i];
+    if (px >= s.x && px < s.x + s.w && py >= s.y && py < s.y + s.h) return s;
+  }
+  return null;
+}
+
+/** Bounding box of a glyph column: `{ x, y, w, h }`. */
+export function columnBounds(col, size) {
+  const top = col.y - (col.streamLength - 1) * size;
+  return { x: col.x, y: top, w: size, h: col.streamLength * size };
+}
+
+/**
+ * Column under (px, py), or null. `slop` widens each column a few px so thin
+ * columns stay clickable; when several match, the one nearest in x wins.
+ */
+export function hitTestColumns(columns, px, py, size, slop = 3) {
+  let best = null, bestDx = Infinity;
+  for (const col of columns) {
+    const b = columnBounds(col, size);
+    if (py < b.y || py >= b.y + b.h) continue;
+    if (px < b.x - slop || px >= b.x + b.w + slop) continue;
+    const dx = Math.abs(px - (b.x + b.w / 2));
+    if (dx < bestDx) { best = col; bestDx = dx; }
+  }
+  return best;
+}
+
+/**
+ * Ease a strip/column's speed multiplier towards its interaction target:
+ * frozen 0, hovered `hoverFactor`, otherwise 1. Returns the new factor.
+ */
+export function easeSpeedFactor(current, { frozen = false, hovered = false, hoverFactor = 0.2 } = {}, dt = 0) {
+  const target = frozen ? 0 : hovered ? hoverFactor : 1;
+  const k = Math.min(1, dt * 8);
+  return k >= 1 ? target : current + (target - current) * k;
+}
@@ -0,0 +1,172 @@
+/**
+ * Kiosk playlists - core/kiosk.js
+ *
+ * DOM-free parts of kiosk mode (ui/kiosk.js): a playlist of scenes, the player
+ * that steps through them, and the recovery check that decides when an
+ * unattended display should reload itself.
+ *
+ * Playlist JSON:
+ *   { app: 'profile-stream', kind: 'playlist', version: 1, transition, refreshMinutes, idleSeconds,
+ *     scenes: [{ name, duration, config: { mode, stringStyle, theme, borough, densityScale, ... } }] }
+ * `config` is a partial CONFIG checked by core/presets.js validatePreset; fields a
+ * scene leaves out keep the values the kiosk started with. Durations and the
+ * crossfade are in seconds, `refreshMinutes` re-fetches NYC data (0 = never) and
+ * `idleSeconds` is how long a revealed panel stays up without input.
+ */
+
+import { validatePreset, snapshotConfig, PRESET_APP } from './presets.js';
+
+export const PLAYLIST_VERSION = 1;
+export const MAX_SCENES = 50;
+
+// CONFIG fields "Add current scene" records.
+export const SCENE_FIELDS = ['mode', 'stringStyle', 'theme', 'borough', 'nta', 'densityScale'];
+
+// option -> [min, max, default]
+const LIMITS = {
+  duration: [5, 3600, 60],
+  transition: [0, 10, 2],
+  refreshMinutes: [0, 1440, 0],
+  idleSeconds: [5, 600, 30],
+};
+
+export const DEFAULT_PLAYLIST = Object.freeze({
+  transition: 2,
+  refreshMinutes: 0,
+  idleSeconds: 30,
+  scenes: Object.freeze([
+    { name: 'citywide', duration: 60, config: { mode: 'file', stringStyle: 'json', theme: 'green', borough: '', densityScale: 1 } },
+    { name: 'manhattan', duration: 45, config: { mode: 'glyph', stringStyle: 'log', theme: 'cyan', borough: 'Manhattan', densityScale: 1.4 } },
+    { name: 'brooklyn', duration: 45, config: { mode: 'file', stringStyle: 'yaml', theme: 'magenta', borough: 'Brooklyn', densityScale: 0.8 } },
+  ]),
+});
+
+function limit(name, raw, warnings, label = name) {
+  const [min, max, def] = LIMITS[name];
+  if (raw === undefined) return def;
+  const n = Number(raw);
+  if (raw === '' || raw === null || !Number.isFinite(n)) { warnings.push(`${label}: not a number`); return def; }
+  const v = Math.min(max, Math.max(min, n));
+  if (v !== n) warnings.push(`${label}: adjusted to ${v}`);
+  return v;
+}
+
+/**
+ * Clean a playlist from storage, a file or the defaults: `{ playlist, warnings }`.
+ * Scene configs go through validatePreset (`opts.isSource` as there); scenes
+ * without any valid field are dropped.
+ */
+export function validatePlaylist(input, opts = {}) {
+  const warnings = [];
+  const doc = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  if (doc !== input) warnings.push('playlist is not an object');
+  const playlist = {
+    transition: limit('transition', doc.transition, warnings),
+    refreshMinutes: limit('refreshMinutes', doc.refreshMinutes, warnings),
+    idleSeconds: limit('idleSeconds', doc.idleSeconds, warnings),
+    scenes: [],
+  };
+  const list = Array.isArray(doc.scenes) ? doc.scenes : [];
+  if (list.length > MAX_SCENES) warnings.push(`scenes: only the first ${MAX_SCENES} are used`);
+  list.slice(0, MAX_SCENES).forEach((scene, i) => {
+    const name = scene && typeof scene.name === 'string' && scene.name.trim() ? scene.name.trim().slice(0, 64) : `scene ${i + 1}`;
+    const res = validatePreset(scene && scene.config, opts);
+    warnings.push(...res.warnings.map(w => `${name}: ${w}`));
+    if (!Object.keys(res.values).length) { warnings.push(`${name}: no usable settings, skipped`); return; }
+    playlist.scenes.push({ name, duration: limit('duration', scene.duration, warnings, `${name}: duration`), config: res.values });
+  });
+  return { playlist, warnings };
+}
+
+/** Playlist file contents. */
+export function playlistToJson(playlist) {
+  return JSON.stringify({ app: PRESET_APP, kind: 'playlist', version: PLAYLIST_VERSION, ...playlist }, null, 2);
+}
+
+/** Read a playlist file: `{ playlist, warnings }`; throws on invalid JSON or a newer version. */
+export function parsePlaylistJson(text, opts = {}) {
+  const doc = JSON.parse(text);
+  if (!doc || typeof doc !== 'object') throw new Error('playlist must be a JSON object');
+  if (doc.version > PLAYLIST_VERSION) throw new Error(`playlist version ${doc.version} is newer than this app supports`);
+  if (!Array.isArray(doc.scenes)) throw new Error('playlist has no scenes');
+  return validatePlaylist(doc, opts);
+}
+
+/** A scene holding the SCENE_FIELDS of `config`. */
+export function sceneFromConfig(config, name, duration = LIMITS.duration[2]) {
+  const all = snapshotConfig(config);
+  const picked = {};
+  for (const field of SCENE_FIELDS) if (all[field] !== undefined) picked[field] = all[field];
+  return { name, duration, config: picked };
+}
+
+/** `?kiosk=lobby:120,night` -> `[{ name: 'lobby', duration: 120 }, { name: 'night', duration: undefined }]` */
+export function parseKioskParam(text) {
+  return String(text || '').split(',').map(part => {
+    const m = /^\s*(.+?)(?::(\d+))?\s*$/.exec(part);
+    return m && { name: m[1], duration: m[2] === undefined ? undefined : Number(m[2]) };
+  }).filter(Boolean);
+}
+
+/**
+ * Step through `playlist.scenes` on simulation time. `tick(dt)` returns the index of
+ * the scene to switch to, or -1; `fade` runs from 1 to 0 over the transition after a
+ * switch (the crossfade from the previous frame). A single scene never switches.
+ */
+export function createPlaylistPlayer(playlist) {
+  const { scenes, transition } = playlist;
+  let index = 0;
+  let elapsed = 0;
+  let fadeLeft = 0;
+  let paused = false;
+
+  function go(next) {
+    index = ((next % scenes.length) + scenes.length) % scenes.length;
+    elapsed = 0;
+    fadeLeft = transition;
+    return index;
+  }
+
+  function tick(dt) {
+    fadeLeft = Math.max(0, fadeLeft - dt);
+    if (paused || scenes.length < 2) return -1;
+    elapsed += dt;
+    return elapsed >= scenes[index].duration ? go(index + 1) : -1;
+  }
+
+  return {
+    tick,
+    /** Jump to the next scene now; returns its index. */
+    next: () => go(index + 1),
+    pause() { paused = true; },
+    resume() { paused = false; },
+    get index() { return index; },
+    get scene() { return scenes[index]; },
+    get paused() { return paused; },
+    get fade() { return transition > 0 ? fadeLeft / transition : 0; },
+  };
+}
+
+/**
+ * Decide when an unattended page should reload: after `maxErrors` uncaught errors
+ * within `windowMs`, or when no frame `beat()` arrived for `stallMs`. `reason(lastReloadAt)`
+ * returns why, or '' — and always '' within `minReloadMs` of the last reload so a page
+ * that keeps failing runs degraded instead of reloading in a loop.
+ */
+export function createRecovery({ maxErrors = 5, windowMs = 60000, stallMs = 30000, minReloadMs = 300000, now = Date.now } = {}) {
+  let errors = [];
+  let lastBeat = now();
+
+  return {
+    error() { errors.push(now()); },
+    beat() { lastBeat = now(); },
+    reason(lastReloadAt = 0) {
+      const t = now();
+      errors = errors.filter(at => t - at < windowMs);
+      if (t - lastReloadAt < minReloadMs) return '';
+      if (errors.length >= maxErrors) return `${errors.length} errors in ${Math.round(windowMs / 1000)}s`;
+      if (t - lastBeat > stallMs) return `no frame for ${Math.round((t - lastBeat) / 1000)}s`;
+      return '';
+    },
+  };
+}
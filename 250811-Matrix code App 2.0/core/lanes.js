@@ -0,0 +1,91 @@
+/**
+ * Lane layout - core/lanes.js
+ *
+ * DOM-free partitioning of a profile pool into screen lanes for the "lanes"
+ * layout: one lane per borough, or per NTA once a borough is picked. Boroughs
+ * run west to east as on the map; NTAs keep the most common MAX_LANES - 1 codes
+ * (sorted, so neighbouring codes sit side by side) and fold the rest into "Other".
+ * Each lane carries aggregate stats for its header.
+ */
+
+import { SUPPRESSED, numericValue } from './redaction.js';
+
+export const LAYOUTS = ['free', 'lanes'];
+export const MAX_LANES = 8;
+
+// Approximate centroid longitude order, so the lanes read like the map.
+export const BOROUGH_ORDER = ['Staten Island', 'Manhattan', 'Brooklyn', 'Bronx', 'Queens'];
+
+const OTHER = '*';
+const UNKNOWN = '';
+
+/** Field the lanes split on for the current `#borough` / `#nta` filters. */
+export function laneFieldFor({ borough = '' } = {}) {
+  return borough ? 'nta' : 'borough';
+}
+
+function median(values) {
+  const s = values.filter(v => Number.isFinite(v)).sort((a, b) => a - b);
+  if (!s.length) return null;
+  const mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+/** `{ count, medianIncome, meanRisk }` for a lane; the averages are null without data. */
+export function laneStats(profiles) {
+  const risks = profiles.map(p => numericValue(p && p.risk_score)).filter(Number.isFinite);
+  return {
+    count: profiles.length,
+    medianIncome: median(profiles.map(p => numericValue(p && p.income_usd))),
+    meanRisk: risks.length ? risks.reduce((a, b) => a + b, 0) / risks.length : null,
+  };
+}
+
+/** Canonical lane key for a value: boroughs in their usual spelling, NTA codes upper-cased, '' if missing or suppressed. */
+export function laneKey(field, value) {
+  if (value === undefined || value === null || String(value).trim() === '' || value === SUPPRESSED) return UNKNOWN;
+  const v = String(value).trim();
+  if (field === 'borough') return BOROUGH_ORDER.find(b => b.toLowerCase() === v.toLowerCase()) || v;
+  return field === 'nta' ? v.toUpperCase() : v;
+}
+
+/**
+ * Split `profiles` into lanes on `field`:
+ * `[{ key, label, profiles, stats, cursor }]` left to right, never empty lanes.
+ * Profiles without a value go to a trailing "Unknown" lane.
+ */
+export function partitionLanes(profiles, { field = 'borough', maxLanes = MAX_LANES } = {}) {
+  const groups = new Map();
+  for (const p of profiles) {
+    if (!p) continue;
+    const key = laneKey(field, p[field]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(p);
+  }
+  const unknown = groups.get(UNKNOWN);
+  groups.delete(UNKNOWN);
+  let keys = [...groups.keys()];
+  const room = Math.max(1, maxLanes - (unknown ? 1 : 0));
+  let other = null;
+  if (keys.length > room) {
+    keys.sort((a, b) => groups.get(b).length - groups.get(a).length || (a < b ? -1 : 1));
+    other = keys.slice(room - 1).flatMap(k => groups.get(k));
+    keys = keys.slice(0, room - 1);
+  }
+  const rank = k => (field === 'borough' && BOROUGH_ORDER.includes(k) ? BOROUGH_ORDER.indexOf(k) : BOROUGH_ORDER.length);
+  keys.sort((a, b) => rank(a) - rank(b) || (a < b ? -1 : a > b ? 1 : 0));
+  const lanes = keys.map(key => ({ key, label: key, profiles: groups.get(key) }));
+  if (other) lanes.push({ key: OTHER, label: 'Other', profiles: other });
+  if (unknown) lanes.push({ key: UNKNOWN, label: 'Unknown', profiles: unknown });
+  return lanes.map(l => ({ ...l, stats: laneStats(l.profiles), cursor: 0 }));
+}
+
+/**
+ * Index of the lane `profile` belongs to in `lanes` (from partitionLanes on `field`):
+ * its own lane, else "Other" (or "Unknown" without a value); -1 if there is none.
+ */
+export function laneIndexOf(lanes, field, profile) {
+  const key = laneKey(field, profile && profile[field]);
+  const own = lanes.findIndex(l => l.key === key);
+  return own !== -1 ? own : lanes.findIndex(l => l.key === (key === UNKNOWN ? UNKNOWN : OTHER));
+}
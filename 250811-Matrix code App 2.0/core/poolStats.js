@@ -0,0 +1,107 @@
+/**
+ * Pool statistics - core/poolStats.js
+ *
+ * DOM-free running aggregates over the profiles being streamed, for the stats
+ * HUD (ui/statsHud.js): a rolling window of the last `size` profiles handed to
+ * the rain, summarised as counts per borough/NTA, an income histogram, a risk
+ * distribution, mood breakdown and top industries.
+ *
+ * A segment is one bar of that summary, `{ field, value }` for a category or
+ * `{ field, min, max, closed }` for a histogram bin (`closed`: max is included);
+ * `matchesSegment` is the stream filter behind click-to-filter. Bucketed values
+ * (core/redaction.js) count at their range midpoint.
+ */
+
+import { laneKey } from './lanes.js';
+import { numericValue as num } from './redaction.js';
+
+// [{ value, count }] by count, then value; missing values are skipped.
+function countBy(profiles, field, keyFn = v => String(v)) {
+  const counts = new Map();
+  for (const p of profiles) {
+    const v = p && p[field];
+    if (v === undefined || v === null || v === '') continue;
+    const k = keyFn(v);
+    if (k) counts.set(k, (counts.get(k) || 0) + 1);
+  }
+  return [...counts].map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+}
+
+// `bins` equal-width bins over [lo, hi]; the last one is closed.
+function histogram(values, lo, hi, bins) {
+  const width = (hi - lo) / bins || 1;
+  const out = Array.from({ length: bins }, (_, i) => ({ min: lo + i * width, max: i === bins - 1 ? hi : lo + (i + 1) * width, count: 0 }));
+  for (const v of values) out[Math.min(bins - 1, Math.max(0, Math.floor((v - lo) / width)))].count++;
+  return out;
+}
+
+/**
+ * Summary of `profiles`:
+ *   { count, place: { field, items }, income: { field, bins }, risk: { field, bins }, moods, industries }
+ * `placeField` is 'borough' or 'nta' (core/lanes.js `laneFieldFor`); item lists are `[{ value, count }]`
+ * and bins `[{ min, max, count }]`.
+ */
+export function summarizeProfiles(profiles, { placeField = 'borough', incomeBins = 8, riskBins = 10, top = 6 } = {}) {
+  const incomes = profiles.map(p => num(p && p.income_usd)).filter(Number.isFinite);
+  const risks = profiles.map(p => num(p && p.risk_score)).filter(Number.isFinite);
+  let income = [];
+  if (incomes.length) {
+    const lo = Math.min(...incomes), hi = Math.max(...incomes);
+    income = hi > lo ? histogram(incomes, lo, hi, incomeBins) : [{ min: lo, max: hi, count: incomes.length }];
+  }
+  return {
+    count: profiles.length,
+    place: { field: placeField, items: countBy(profiles, placeField, v => laneKey(placeField, v)).slice(0, top) },
+    income: { field: 'income_usd', bins: income },
+    risk: { field: 'risk_score', bins: risks.length ? histogram(risks, 0, 100, riskBins) : [] },
+    moods: countBy(profiles, 'emotional_state'),
+    industries: countBy(profiles, 'industry').slice(0, top),
+  };
+}
+
+/** Does `profile` fall in `segment` (see module comment)? */
+export function matchesSegment(profile, segment) {
+  if (!segment) return true;
+  if (!profile) return false;
+  const v = profile[segment.field];
+  if ('value' in segment) {
+    if (segment.field === 'borough' || segment.field === 'nta') return laneKey(segment.field, v) === segment.value;
+    return v !== undefined && v !== null && String(v) === segment.value;
+  }
+  const n = num(v);
+  return Number.isFinite(n) && n >= segment.min && (n < segment.max || (!!segment.closed && n === segment.max));
+}
+
+/** Rolling window of the last `size` streamed profiles; `summary` is cached until the next add/clear. */
+export function createStatsWindow({ size = 512 } = {}) {
+  let items = [];
+  let version = 0;
+  let cached = null;
+
+  function add(profiles) {
+    if (!profiles || !profiles.length) return;
+    items = items.concat(profiles.filter(Boolean));
+    if (items.length > size) items = items.slice(items.length - size);
+    version++;
+    cached = null;
+  }
+
+  function clear() {
+    items = [];
+    version++;
+    cached = null;
+  }
+
+  function summary(opts = {}) {
+    const key = JSON.stringify(opts);
+    if (!cached || cached.key !== key) cached = { key, value: summarizeProfiles(items, opts) };
+    return cached.value;
+  }
+
+  return {
+    add, clear, summary,
+    get size() { return items.length; },
+    get version() { return version; },
+  };
+}
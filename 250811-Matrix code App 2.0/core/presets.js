@@ -0,0 +1,215 @@
+/**
+ * Scene presets - core/presets.js
+ *
+ * DOM-free (de)serialisation of `CONFIG` for shareable links, JSON preset files
+ * and named presets (storage lives in ui/presets.js).
+ *
+ * Every field is described in `PRESET_FIELDS` by its dotted path, a short URL
+ * name and a type. `validatePreset` turns untrusted input (hash, JSON file,
+ * localStorage) into clean values: numbers are clamped to the slider ranges,
+ * unknown keys and unusable values are dropped with a warning.
+ *
+ * URL hash: only fields that differ from the defaults, e.g. `#d=1.4&th=cyan&w=360`.
+ * JSON: `{ app: 'profile-stream', version: 1, name?, config: { ...CONFIG fields } }`.
+ */
+
+import { RENDERER_PREFS } from './renderer.js';
+import { compileFilter } from '../data/soql.js';
+import { ENCODABLE_FIELDS } from './encoding.js';
+import { LAYOUTS } from './lanes.js';
+import { validatePolicies, parsePolicies, policiesToText, MAX_K } from './redaction.js';
+
+export const PRESET_VERSION = 1;
+export const PRESET_APP = 'profile-stream';
+
+const BOROUGHS = ['', 'Manhattan', 'Brooklyn', 'Queens', 'Bronx', 'Staten Island'];
+const ID_RE = /^[\w-]{1,64}$/;
+const ENCODE_VALUES = ['', ...ENCODABLE_FIELDS];
+
+// path -> { key (URL name), type, ...constraints }. Number ranges match the #controls sliders.
+export const PRESET_FIELDS = {
+  densityScale: { key: 'd', type: 'number', min: 0.2, max: 2 },
+  speedScale: { key: 'sp', type: 'number', min: 0.5, max: 3 },
+  glowIntensity: { key: 'g', type: 'number', min: 0, max: 1 },
+  theme: { key: 'th', type: 'string', pattern: ID_RE }, // built-in or saved theme id (core/themes.js)
+  showFps: { key: 'fps', type: 'bool' },
+  showPerf: { key: 'perf', type: 'bool' },
+  showStats: { key: 'hud', type: 'bool' },
+  targetFps: { key: 'tf', type: 'int', min: 0, max: 240 },
+  renderer: { key: 'r', type: 'enum', values: RENDERER_PREFS },
+  source: { key: 'src', type: 'string', pattern: ID_RE },
+  borough: { key: 'b', type: 'enum', values: BOROUGHS },
+  nta: { key: 'nta', type: 'string', pattern: /^[A-Za-z0-9]{0,12}$/ },
+  layout: { key: 'ly', type: 'enum', values: LAYOUTS },
+  streamUrl: { key: 'su', type: 'string', pattern: /^((wss?|https?):\/\/\S{1,240})?$/i },
+  filters: { key: 'f', type: 'filters' },
+  rowLimit: { key: 'n', type: 'int', min: 1, max: 50000 },
+  stringStyle: { key: 'st', type: 'string', pattern: ID_RE },
+  maxColumns: { key: 'mc', type: 'int', min: 8, max: 400 },
+  mode: { key: 'm', type: 'enum', values: ['file', 'glyph'] },
+  'redaction.enabled': { key: 'rd', type: 'bool' },
+  'redaction.k': { key: 'rk', type: 'int', min: 0, max: MAX_K },
+  'redaction.fields': { key: 'rf', type: 'policies' }, // field -> policy; URL form `name:mask,age:bucket`
+  'encoding.hue': { key: 'eh', type: 'enum', values: ENCODE_VALUES },
+  'encoding.speed': { key: 'es', type: 'enum', values: ENCODE_VALUES },
+  'encoding.size': { key: 'ez', type: 'enum', values: ENCODE_VALUES },
+  'encoding.glitch': { key: 'eg', type: 'enum', values: ENCODE_VALUES },
+  'encoding.lane': { key: 'el', type: 'enum', values: ENCODE_VALUES },
+  'textCfg.maxWidth': { key: 'w', type: 'int', min: 240, max: 480 },
+  'textCfg.fontSize': { key: 'fs', type: 'int', min: 12, max: 20 },
+  'textCfg.lineHeight': { key: 'lh', type: 'int', min: 14, max: 26 },
+  'textCfg.maxLines': { key: 'ml', type: 'int', min: 4, max: 40 },
+  speedMin: { key: 'smin', type: 'number', min: 10, max: 400 },
+  speedMax: { key: 'smax', type: 'number', min: 10, max: 400 },
+  seed: { key: 'seed', type: 'seed' },
+  fixedStep: { key: 'step', type: 'number', min: 1 / 240, max: 1 / 15 },
+};
+
+const BY_KEY = new Map(Object.entries(PRESET_FIELDS).map(([path, f]) => [f.key, path]));
+
+function getPath(obj, path) {
+  return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  let o = obj;
+  for (const k of keys.slice(0, -1)) o = o[k] && typeof o[k] === 'object' ? o[k] : (o[k] = {});
+  o[keys[keys.length - 1]] = value;
+}
+
+// Coerce one value; returns { value } or { error }. `fromText` accepts URL strings for numbers/bools.
+function coerce(field, raw, fromText) {
+  switch (field.type) {
+    case 'number':
+    case 'int': {
+      const n = typeof raw === 'number' ? raw : fromText && raw !== '' ? Number(raw) : NaN;
+      if (!Number.isFinite(n)) return { error: 'not a number' };
+      const v = Math.min(field.max, Math.max(field.min, field.type === 'int' ? Math.round(n) : n));
+      return { value: v, clamped: v !== n };
+    }
+    case 'bool':
+      if (typeof raw === 'boolean') return { value: raw };
+      if (fromText && /^(1|true|on)$/i.test(raw)) return { value: true };
+      if (fromText && /^(0|false|off)$/i.test(raw)) return { value: false };
+      return { error: 'not a boolean' };
+    case 'enum':
+      return field.values.includes(raw) ? { value: raw } : { error: `not one of ${field.values.map(v => v || '""').join(', ')}` };
+    case 'string':
+      return typeof raw === 'string' && field.pattern.test(raw) ? { value: raw } : { error: 'invalid' };
+    case 'seed':
+      if (raw === null || raw === '') return { value: null };
+      if ((typeof raw === 'string' || typeof raw === 'number') && String(raw).length <= 64) return { value: String(raw) };
+      return { error: 'invalid seed' };
+    case 'filters': {
+      let list = raw;
+      if (fromText && typeof raw === 'string') {
+        try { list = JSON.parse(raw); } catch { return { error: 'not JSON' }; }
+      }
+      if (!Array.isArray(list)) return { error: 'not a list' };
+      const ok = list.filter(f => {
+        if (!f || typeof f.field !== 'string') return false;
+        try { compileFilter(f); return true; } catch { return false; }
+      });
+      return { value: ok, clamped: ok.length !== list.length };
+    }
+    case 'policies':
+      return validatePolicies(fromText && typeof raw === 'string' ? parsePolicies(raw) : raw);
+    default:
+      return { error: 'unknown type' };
+  }
+}
+
+/**
+ * Clean `input` (a nested CONFIG-shaped object). Returns `{ values, warnings }`
+ * where `values` holds only valid fields. `isSource(id)` can reject source ids
+ * that aren't registered.
+ */
+export function validatePreset(input, { isSource, fromText = false } = {}) {
+  const values = {};
+  const warnings = [];
+  if (!input || typeof input !== 'object') return { values, warnings: ['preset is not an object'] };
+  for (const [path, field] of Object.entries(PRESET_FIELDS)) {
+    const raw = getPath(input, path);
+    if (raw === undefined) continue;
+    const res = coerce(field, raw, fromText);
+    if (res.error) { warnings.push(`${path}: ${res.error}`); continue; }
+    if (path === 'source' && isSource && !isSource(res.value)) { warnings.push(`source: unknown "${res.value}"`); continue; }
+    if (res.clamped) warnings.push(`${path}: adjusted to ${JSON.stringify(res.value)}`);
+    setPath(values, path, res.value);
+  }
+  if (values.speedMin !== undefined && values.speedMax !== undefined && values.speedMin > values.speedMax) {
+    [values.speedMin, values.speedMax] = [values.speedMax, values.speedMin];
+  }
+  return { values, warnings };
+}
+
+/** Copy validated `values` into `config` (nested objects merged, arrays replaced). */
+export function applyPreset(config, values) {
+  for (const path of Object.keys(PRESET_FIELDS)) {
+    const v = getPath(values, path);
+    if (v !== undefined) setPath(config, path, Array.isArray(v) ? v.map(x => ({ ...x })) : v);
+  }
+  return config;
+}
+
+/** Every preset field of `config` as a plain nested object. */
+export function snapshotConfig(config, { omit = [] } = {}) {
+  const out = {};
+  for (const path of Object.keys(PRESET_FIELDS)) {
+    if (omit.includes(path)) continue;
+    const v = getPath(config, path);
+    if (v !== undefined) setPath(out, path, Array.isArray(v) ? JSON.parse(JSON.stringify(v)) : v);
+  }
+  return out;
+}
+
+function sameValue(a, b) {
+  return typeof a === 'object' || typeof b === 'object' ? JSON.stringify(a) === JSON.stringify(b) : a === b;
+}
+
+/** Compact URL hash (without '#') of the fields in `config` that differ from `defaults`. */
+export function encodePresetHash(config, defaults) {
+  const params = new URLSearchParams();
+  for (const [path, field] of Object.entries(PRESET_FIELDS)) {
+    const v = getPath(config, path);
+    if (v === undefined || sameValue(v, getPath(defaults, path))) continue;
+    if (field.type === 'bool') params.set(field.key, v ? '1' : '0');
+    else if (field.type === 'filters') params.set(field.key, JSON.stringify(v));
+    else if (field.type === 'policies') params.set(field.key, policiesToText(v));
+    else if (field.type === 'number') params.set(field.key, String(Math.round(v * 1e6) / 1e6));
+    else params.set(field.key, v === null ? '' : String(v));
+  }
+  return params.toString();
+}
+
+/** Parse a URL hash (with or without '#') into `{ values, warnings }`; unknown names are ignored. */
+export function decodePresetHash(hash, opts = {}) {
+  const raw = {};
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  for (const [key, value] of params) {
+    const path = BY_KEY.get(key);
+    if (path) setPath(raw, path, value);
+  }
+  return validatePreset(raw, { ...opts, fromText: true });
+}
+
+/** Preset file contents for `config`. */
+export function presetToJson(config, name = '') {
+  const doc = { app: PRESET_APP, version: PRESET_VERSION, config: snapshotConfig(config) };
+  if (name) doc.name = name;
+  return JSON.stringify(doc, null, 2);
+}
+
+/**
+ * Read a preset file: `{ name, values, warnings }`. Accepts the wrapped form or a
+ * bare CONFIG object; throws on invalid JSON or a newer preset version.
+ */
+export function parsePresetJson(text, opts = {}) {
+  const doc = JSON.parse(text);
+  if (!doc || typeof doc !== 'object') throw new Error('preset must be a JSON object');
+  const wrapped = doc.app === PRESET_APP || 'config' in doc;
+  if (wrapped && doc.version > PRESET_VERSION) throw new Error(`preset version ${doc.version} is newer than this app supports`);
+  const { values, warnings } = validatePreset(wrapped ? doc.config : doc, opts);
+  return { name: wrapped && typeof doc.name === 'string' ? doc.name : '', values, warnings };
+}
@@ -0,0 +1,83 @@
+/**
+ * Profile Factory - core/profiles.js
+ *
+ * Plausible fake profile fields with a risk score biased by income and mood.
+ * Generators are light-weight arrays with weighted picks; tweak them below.
+ */
+
+import { random, rand, randi, choice, shuffle, weightedChoice, clamp } from './util.js';
+import { epochMs } from './config.js';
+
+export const ProfileFactory = (() => {
+  const firstNames = ['Ava','Mia','Liam','Noah','Emma','Oliver','Lucas','Amelia','Ethan','Sofia','Zoe','Kai','Nina','Leo','Isla','Maya','Ezra','Ivy','Mila','Aria','Theo','Luna','Finn','Mason','Iris'];
+  const lastNames = ['Kim','Lee','Nguyen','Patel','Garcia','Chen','Smith','Khan','Mori','Silva','Rossi','Santos','Brown','Martin','Lopez','Wilson','Dubois','Kowalski'];
+  const genders = ['female','male','non-binary'];
+  const industries = ['Finance','Healthcare','Tech','Education','Retail','Energy','Gaming','Media','Gov','Aerospace'];
+  const jobs = ['Engineer','Designer','Data Scientist','Analyst','PM','Researcher','Nurse','Teacher','Marketer','Artist','Security','Pilot'];
+  const relationship = ['single','dating','married','complicated'];
+  const education = ['HS','Associate','BSc','MSc','PhD'];
+  const emotional = [
+    ['focused', 3], ['stressed', 2], ['curious', 3], ['flow', 2],
+    ['burnout', 1], ['optimistic', 2], ['calm', 2], ['distracted', 1]
+  ];
+  const cities = ['New York','Berlin','Tokyo','Seoul','Toronto','Paris','Madrid','Sydney','Sao Paulo','Nairobi','Dublin','Singapore'];
+
+  function makeId() {
+    return random().toString(36).slice(2, 8) + '-' + epochMs().toString(36).slice(-4);
+  }
+
+  function sampleIncome(industry) {
+    const base = {
+      Tech: [80000, 220000], Finance: [70000, 250000], Healthcare: [50000, 180000],
+      Education: [35000, 120000], Retail: [30000, 90000], Energy: [60000, 200000],
+      Gaming: [45000, 150000], Media: [40000, 140000], Gov: [40000, 120000], Aerospace: [70000, 210000]
+    }[industry] || [40000, 120000];
+    return Math.round(rand(base[0], base[1]) / 1000) * 1000;
+  }
+
+  function riskFromIncomeAndMood(income, mood) {
+    let r = rand(10, 90);
+    if (income > 150000) r -= 10;
+    if (income < 40000) r += 10;
+    const moodBias = {
+      burnout: +15, stressed: +10, distracted: +8, focused: -5, calm: -5, flow: -8, optimistic: -3, curious: 0
+    };
+    r += moodBias[mood] || 0;
+    return clamp(Math.round(r), 0, 100);
+  }
+
+  function interestsSet() {
+    const pool = ['climbing','reading','ai','music','crypto','gardening','photography','biking','chess','vr','cooking','yoga','travel','gaming'];
+    const n = randi(2, 6);
+    return shuffle(pool).slice(0, n);
+  }
+
+  function generate() {
+    const ind = choice(industries);
+    const job = choice(jobs);
+    const mood = weightedChoice(emotional);
+    const age = randi(18, 70);
+    const inc = sampleIncome(ind);
+    const risk = riskFromIncomeAndMood(inc, mood);
+    const profile = {
+      id: makeId(),
+      name: `${choice(firstNames)} ${choice(lastNames)}`,
+      age,
+      gender: choice(genders),
+      job_title: job,
+      industry: ind,
+      income_usd: inc,
+      education: choice(education),
+      location_city: choice(cities),
+      relationship_status: choice(relationship),
+      emotional_state: mood,
+      activity: choice(['browsing','coding','commuting','meeting','streaming','learning','exercising','shopping']),
+      interests: interestsSet(),
+      risk_score: risk,
+      last_active: new Date(epochMs() - randi(0, 3600 * 1000)).toISOString(),
+    };
+    return profile;
+  }
+
+  return { generate };
+})();
@@ -0,0 +1,106 @@
+/**
+ * Adaptive quality - core/quality.js
+ *
+ * DOM-free governor fed by the FPS meter. Below the target frame rate it steps
+ * down through `QUALITY_TIERS` (less glow blur, fewer columns and strips, lower
+ * trail resolution); with headroom it steps back up.
+ *
+ * Hysteresis: stepping down needs `downAfter` slow samples in a row, stepping up
+ * needs `upAfter` samples at target. An upgrade that is undone within
+ * `upAfter` samples doubles the wait before the next one (up to `maxUpAfter`),
+ * so a tier that can't hold the target stops flip-flopping.
+ */
+
+// Scales applied by main.js: glow = shadowBlur / bloom, columns / strips = counts,
+// trail = canvas resolution (the trails live in the canvas backing store).
+export const QUALITY_TIERS = [
+  { name: 'high', glow: 1, columns: 1, strips: 1, trail: 1 },
+  { name: 'medium', glow: 0.5, columns: 0.85, strips: 0.8, trail: 1 },
+  { name: 'low', glow: 0.25, columns: 0.7, strips: 0.6, trail: 0.75 },
+  { name: 'minimal', glow: 0, columns: 0.5, strips: 0.4, trail: 0.5 },
+];
+
+export function createQualityGovernor({
+  targetFps = 50,
+  tiers = QUALITY_TIERS,
+  downMargin = 0.9, // slow = fps below target * downMargin
+  upMargin = 0.97,  // headroom = fps at or above target * upMargin
+  downAfter = 2,
+  upAfter = 6,
+  maxUpAfter = 48,
+} = {}) {
+  let target = targetFps;
+  let tier = 0;
+  let slow = 0, fast = 0;
+  let upWait = upAfter;
+  let sinceUp = Infinity; // samples since the last upgrade
+  const listeners = new Set();
+
+  function setTier(next, reason) {
+    tier = next;
+    slow = 0; fast = 0;
+    for (const fn of listeners) fn(tiers[tier], { tier, reason });
+  }
+
+  /**
+   * Feed one FPS sample; returns true when the tier changed. A `target` of 0
+   * (or less) turns the governor off and restores the top tier.
+   */
+  function sample(fps) {
+    if (!(target > 0)) {
+      if (tier !== 0) { setTier(0, 'off'); return true; }
+      return false;
+    }
+    sinceUp++;
+    if (fps < target * downMargin) {
+      fast = 0;
+      if (++slow >= downAfter && tier < tiers.length - 1) {
+        if (sinceUp <= upWait) upWait = Math.min(maxUpAfter, upWait * 2);
+        setTier(tier + 1, 'slow');
+        return true;
+      }
+    } else if (fps >= target * upMargin) {
+      slow = 0;
+      if (++fast >= upWait && tier > 0) {
+        sinceUp = 0;
+        setTier(tier - 1, 'headroom');
+        return true;
+      }
+    } else {
+      slow = 0; fast = 0;
+    }
+    return false;
+  }
+
+  function setTarget(fps) {
+    target = Number(fps) || 0;
+    slow = 0; fast = 0;
+    upWait = upAfter;
+  }
+
+  function reset() {
+    upWait = upAfter;
+    sinceUp = Infinity;
+    if (tier !== 0) setTier(0, 'reset');
+    slow = 0; fast = 0;
+  }
+
+  /** Subscribe to tier changes: fn(quality, { tier, reason }); returns an unsubscribe function. */
+  function onChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  return {
+    sample, setTarget, reset, onChange,
+    get tier() { return tier; },
+    get quality() { return tiers[tier]; },
+    get target() { return target; },
+    get upWait() { return upWait; },
+  };
+}
+
+/** Exponential moving average step; `prev` null starts at `x`. */
+export function ema(prev, x, alpha = 0.1) {
+  return prev === null || prev === undefined ? x : prev + (x - prev) * alpha;
+}
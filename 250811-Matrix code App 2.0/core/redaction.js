@@ -0,0 +1,194 @@
+/**
+ * Redaction - core/redaction.js
+ *
+ * DOM-free privacy layer applied by DataSource (core/datasource.js) before any
+ * profile reaches a string painter, the inspector or the stats. A spec is
+ *   { enabled, k, fields: { [profileField]: policy } }
+ * with one policy per field (fields not listed are kept):
+ * - drop:   remove the field
+ * - mask:   keep the first letter of each word ("Ava Kim" -> "A•• K••"); numbers become "•••"
+ * - hash:   salted 53-bit hash ("h:1x2y3z…"), stable per salt so repeats still line up
+ * - bucket: ranges for age, income_usd, risk_score; the day for last_active
+ * `k` > 1 adds k-anonymity: rows whose NTA + age + job title combination (after
+ * the policies above) occurs fewer than k times get those fields suppressed.
+ *
+ * The salt is per browser (ui/redactionPanel.js) so hashes don't match across
+ * installations; the hash is not a substitute for dropping truly secret fields.
+ */
+
+import { PROFILE_FIELDS } from './fileimport.js';
+
+export const REDACTION_POLICIES = ['keep', 'drop', 'mask', 'hash', 'bucket'];
+export const REDACTABLE_FIELDS = PROFILE_FIELDS.map(f => f.key);
+export const QUASI_IDENTIFIERS = ['nta', 'age', 'job_title'];
+export const MAX_K = 50;
+export const SUPPRESSED = '•••';
+
+const MASK = '•';
+
+// Bucketable field -> value -> range label.
+const BUCKETS = {
+  age: v => numericRange(v, 10, n => String(n)),
+  income_usd: v => numericRange(v, 25000, n => `$${n / 1000}k`),
+  risk_score: v => numericRange(v, 20, n => String(n)),
+  last_active: v => (/^\d{4}-\d{2}-\d{2}/.test(String(v)) ? String(v).slice(0, 10) : null),
+};
+
+/** Fields the bucket policy applies to. */
+export const BUCKETED_FIELDS = Object.keys(BUCKETS);
+
+/** The "public display" preset: nothing identifying in plain text, k = 5. */
+export const PUBLIC_DISPLAY = Object.freeze({
+  enabled: true,
+  k: 5,
+  fields: Object.freeze({
+    id: 'hash', name: 'mask', age: 'bucket', income_usd: 'bucket', gender: 'drop',
+    relationship_status: 'drop', last_active: 'bucket',
+  }),
+});
+
+function numericRange(value, width, fmt) {
+  const n = Number(value);
+  if (value === '' || !Number.isFinite(n)) return null;
+  const lo = Math.floor(n / width) * width;
+  return `${fmt(lo)}-${fmt(lo + width - (width >= 1000 ? 0 : 1))}`;
+}
+
+/**
+ * `{ value, clamped }` with only known fields and allowed policies ('keep' entries are omitted;
+ * 'bucket' only where BUCKETED_FIELDS has it); `clamped` if anything was dropped.
+ */
+export function validatePolicies(input) {
+  const value = {};
+  let clamped = false;
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { value, clamped: input !== undefined };
+  for (const [field, policy] of Object.entries(input)) {
+    const ok = REDACTABLE_FIELDS.includes(field) && REDACTION_POLICIES.includes(policy)
+      && (policy !== 'bucket' || BUCKETED_FIELDS.includes(field));
+    if (!ok) { clamped = true; continue; }
+    if (policy !== 'keep') value[field] = policy;
+  }
+  return { value, clamped };
+}
+
+/** `name:mask,age:bucket` (URL form) <-> policy map. */
+export function policiesToText(fields) {
+  return Object.entries(fields || {}).map(([f, p]) => `${f}:${p}`).join(',');
+}
+
+export function parsePolicies(text) {
+  const out = {};
+  for (const part of String(text || '').split(',')) {
+    const [field, policy] = part.split(':').map(s => s.trim());
+    if (field) out[field] = policy;
+  }
+  return out;
+}
+
+/** Same policies and k as PUBLIC_DISPLAY (and enabled)? */
+export function isPublicDisplay(spec) {
+  return !!spec && !!spec.enabled && spec.k === PUBLIC_DISPLAY.k
+    && policiesToText(sortedPolicies(spec.fields)) === policiesToText(sortedPolicies(PUBLIC_DISPLAY.fields));
+}
+
+function sortedPolicies(fields) {
+  return Object.fromEntries(Object.entries(validatePolicies(fields).value).sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
+/** Deterministic 53-bit string hash (cyrb53) of `value` under `salt`, as `h:` + base36. */
+export function saltedHash(value, salt = '') {
+  const str = `${salt}\u0000${value}`;
+  let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return `h:${(4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36)}`;
+}
+
+/** Masked form of a value (see module comment). */
+export function maskValue(value) {
+  if (Array.isArray(value)) return value.map(maskValue);
+  if (typeof value !== 'string') return MASK.repeat(3);
+  return value.replace(/\S+/g, w => w[0] + MASK.repeat(Math.min(w.length - 1, 6)));
+}
+
+// "30-39", "$50k-$75k": the labels numericRange writes.
+const RANGE_LABEL = /^\$?(\d+(?:\.\d+)?)(k?)-\$?(\d+(?:\.\d+)?)(k?)$/;
+
+/**
+ * Number for a raw or bucketed value, for the stats, lanes and encodings: a range label
+ * gives its midpoint ("$50k-$75k" -> 62500); missing, suppressed or other text is NaN.
+ */
+export function numericValue(value) {
+  if (value === undefined || value === null || value === '') return NaN;
+  if (typeof value === 'number') return value;
+  const m = RANGE_LABEL.exec(String(value).trim());
+  if (!m) return Number(value);
+  const lo = Number(m[1]) * (m[2] ? 1000 : 1), hi = Number(m[3]) * (m[4] ? 1000 : 1);
+  return (lo + hi) / 2;
+}
+
+/** Range label for a bucketable field, or null if the value doesn't parse. */
+export function bucketValue(field, value) {
+  const fn = BUCKETS[field];
+  return fn ? fn(value) : null;
+}
+
+function applyPolicy(profile, field, policy, salt) {
+  const v = profile[field];
+  if (v === undefined || v === null || v === '') return;
+  if (policy === 'drop') delete profile[field];
+  else if (policy === 'mask') profile[field] = maskValue(v);
+  else if (policy === 'hash') profile[field] = Array.isArray(v) ? v.map(x => saltedHash(x, salt)) : saltedHash(v, salt);
+  else if (policy === 'bucket') {
+    const b = bucketValue(field, v);
+    if (b === null) delete profile[field]; else profile[field] = b;
+  }
+}
+
+const classKey = p => JSON.stringify(QUASI_IDENTIFIERS.map(f => (p[f] === undefined ? null : p[f])));
+
+/**
+ * Redacted copies of `profiles` under `spec`: `{ profiles, suppressed }`. Disabled specs
+ * return the input array itself. k-anonymity counts classes over the redacted batch plus
+ * `reference` (profiles already redacted under the same spec), so single arrivals can be
+ * checked against the current pool.
+ */
+export function redactProfiles(profiles, spec, { salt = '', reference = [] } = {}) {
+  if (!spec || !spec.enabled) return { profiles, suppressed: 0 };
+  const fields = validatePolicies(spec.fields).value;
+  const out = profiles.map(p => {
+    if (!p || typeof p !== 'object') return p;
+    const copy = { ...p };
+    for (const [field, policy] of Object.entries(fields)) applyPolicy(copy, field, policy, salt);
+    return copy;
+  });
+  const k = Math.min(MAX_K, Math.max(0, Math.round(Number(spec.k) || 0)));
+  let suppressed = 0;
+  if (k > 1) {
+    const counts = new Map();
+    for (const p of [...reference, ...out]) {
+      if (!p || typeof p !== 'object') continue;
+      const key = classKey(p);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    for (const p of out) {
+      if (!p || typeof p !== 'object' || counts.get(classKey(p)) >= k) continue;
+      for (const f of QUASI_IDENTIFIERS) if (p[f] !== undefined) p[f] = SUPPRESSED;
+      suppressed++;
+    }
+  }
+  return { profiles: out, suppressed };
+}
+
+/** One-line summary for the badge: 'public display' or e.g. 'name mask, age bucket · k=5'. */
+export function describeRedaction(spec) {
+  if (!spec || !spec.enabled) return 'off';
+  if (isPublicDisplay(spec)) return 'public display';
+  const fields = Object.entries(validatePolicies(spec.fields).value).map(([f, p]) => `${f} ${p}`).join(', ');
+  return [fields || 'no field policies', spec.k > 1 ? `k=${spec.k}` : ''].filter(Boolean).join(' · ');
+}
@@ -0,0 +1,38 @@
+/**
+ * Renderer selection - core/renderer.js
+ *
+ * DOM-free policy for picking the MatrixRain backend. `CONFIG.renderer` is
+ * 'auto' (WebGL2 on a hardware GPU, else Canvas2D), 'webgl' (WebGL2 whenever
+ * a context can be created, software rasterizers included) or 'canvas2d'.
+ * The WebGL backend itself lives in ui/webglRain.js.
+ */
+
+export const RENDERER_PREFS = ['auto', 'webgl', 'canvas2d'];
+
+// Known software GL implementations (as reported by UNMASKED_RENDERER_WEBGL / RENDERER).
+const SOFTWARE_RENDERERS = /swiftshader|llvmpipe|softpipe|lavapipe|software|basic render|mesa offscreen|apple software/i;
+
+export function isSoftwareRenderer(name) {
+  return SOFTWARE_RENDERERS.test(String(name || ''));
+}
+
+/**
+ * Decide the backend for `pref`. `probe({ allowSoftware })` tries to create the
+ * WebGL backend and returns `{ ok, renderer?, reason? }` (`renderer` = GPU name).
+ * Returns `{ kind: 'webgl' | 'canvas2d', reason, gpu }`.
+ */
+export function chooseRenderer(pref, probe) {
+  if (pref === 'canvas2d') return { kind: 'canvas2d', reason: 'selected', gpu: '' };
+  const allowSoftware = pref === 'webgl';
+  let res;
+  try {
+    res = probe({ allowSoftware }) || { ok: false, reason: 'no WebGL2' };
+  } catch (err) {
+    res = { ok: false, reason: (err && err.message) || 'WebGL2 failed' };
+  }
+  if (!res.ok) return { kind: 'canvas2d', reason: res.reason || 'no WebGL2', gpu: res.renderer || '' };
+  if (!allowSoftware && isSoftwareRenderer(res.renderer)) {
+    return { kind: 'canvas2d', reason: `software rasterizer (${res.renderer})`, gpu: res.renderer };
+  }
+  return { kind: 'webgl', reason: pref === 'webgl' ? 'selected' : 'auto', gpu: res.renderer || '' };
+}
@@ -0,0 +1,55 @@
+/**
+ * Source registry - core/sources.js
+ *
+ * Profile sources register themselves here and the `#source` select is built
+ * from the registry. A source is:
+ *   {
+ *     id: 'nyc',                       // CONFIG.source value
+ *     label: 'nyc',                    // shown in the select
+ *     order?: 1,                       // select position; lower first, then registration order
+ *     fetchProfiles(opts),             // -> profile[] | Promise<profile[]>; opts = { borough, nta, limit, filters }
+ *     settingsUI?(container, ctx),     // optional; renders extra controls (browser only)
+ *     status?(),                       // optional; how the last fetch was served (see core/status.js):
+ *                                      //   { state: 'live'|'cached'|'fallback', ageMs, httpStatus, detail, rows }
+ *     deactivate?(),                   // optional; called when CONFIG.source moves to another source
+ *   }
+ * Returning an array synchronously lets DataSource use it on the same frame.
+ */
+
+const registry = new Map();
+const listeners = new Set();
+
+export function registerSource(def) {
+  if (!def || !def.id || typeof def.fetchProfiles !== 'function') {
+    throw new Error('registerSource: `id` and `fetchProfiles` are required');
+  }
+  // re-registering an id replaces it in place (e.g. to attach a settings UI later)
+  registry.set(def.id, { label: def.id, ...def });
+  for (const fn of listeners) fn(listSources());
+}
+
+/**
+ * Append `fn(container, ctx)` to a source's settings UI, after any existing
+ * renderer, so several UI modules can contribute controls to one source.
+ */
+export function extendSourceSettings(id, fn) {
+  const def = registry.get(id);
+  if (!def) throw new Error(`extendSourceSettings: unknown source "${id}"`);
+  const prev = def.settingsUI;
+  registerSource({ ...def, settingsUI: (container, ctx) => { if (prev) prev(container, ctx); fn(container, ctx); } });
+}
+
+export function getSource(id) { return registry.get(id) || null; }
+
+export function listSources() {
+  return [...registry.values()]
+    .map((def, i) => [def, i])
+    .sort(([a, i], [b, j]) => (a.order ?? Infinity) - (b.order ?? Infinity) || i - j)
+    .map(([def]) => def);
+}
+
+/** Subscribe to registry changes; returns an unsubscribe function. */
+export function onSourcesChanged(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
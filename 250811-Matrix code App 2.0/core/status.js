@@ -0,0 +1,76 @@
+/**
+ * Data status - core/status.js
+ *
+ * One observable record describing where the current profiles come from:
+ *   {
+ *     source: 'nyc',
+ *     state: 'idle' | 'loading' | 'live' | 'cached' | 'fallback' | 'error',
+ *     detail: 'HTTP 503',   // error text or a warning ('3 rejected'), empty when healthy
+ *     httpStatus: 503,      // null unless the failure was an HTTP response
+ *     rows: 2000,           // source rows behind the batch
+ *     profiles: 2000,       // profiles in the batch
+ *     ageMs: 720000,        // age of a cached batch, else null
+ *     attempt: 2,           // consecutive failures
+ *     retryAt: 1723372800000, // next automatic retry (epoch ms), else null
+ *     at: 1723372790000,    // when this record was reported
+ *   }
+ * DataSource reports into it; the header indicator (ui/dataStatus.js) and any
+ * other code subscribe with `DataStatus.subscribe(fn)`.
+ */
+
+const INITIAL = {
+  source: '', state: 'idle', detail: '', httpStatus: null,
+  rows: 0, profiles: 0, ageMs: null, attempt: 0, retryAt: null, at: 0,
+};
+
+/** Retry delay after the `attempt`-th consecutive failure: base, 2x base, 4x base, ... capped. */
+export function backoffDelay(attempt, { baseMs = 2000, maxMs = 120000 } = {}) {
+  return Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+}
+
+export const DataStatus = (() => {
+  let current = { ...INITIAL };
+  let now = Date.now;
+  const listeners = new Set();
+
+  function get() { return { ...current }; }
+
+  /** Merge `patch` into the record; listeners only hear about actual changes. */
+  function report(patch) {
+    const next = { ...current, ...patch };
+    if (Object.keys(INITIAL).every(k => k === 'at' || Object.is(next[k], current[k]))) return;
+    current = { ...next, at: now() };
+    for (const fn of listeners) { try { fn(get()); } catch {} }
+  }
+
+  /** Call `fn(status)` now and on every change; returns an unsubscribe function. */
+  function subscribe(fn) {
+    listeners.add(fn);
+    fn(get());
+    return () => listeners.delete(fn);
+  }
+
+  function reset() { current = { ...INITIAL }; }
+
+  function setClock(fn) { now = typeof fn === 'function' ? fn : Date.now; }
+
+  return { get, report, subscribe, reset, setClock };
+})();
+
+function formatDuration(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.round(s / 60)}m`;
+  return `${(s / 3600).toFixed(1)}h`;
+}
+
+/** One-line summary for the header, e.g. "nyc · cached 12m · 2000 rows". */
+export function formatStatus(s, nowMs = Date.now()) {
+  const parts = [s.source || '-'];
+  if (s.state === 'cached' && s.ageMs !== null) parts.push(`cached ${formatDuration(s.ageMs)}`);
+  else parts.push(s.state);
+  if (s.detail) parts.push(s.detail);
+  if (s.state !== 'loading' && s.state !== 'idle') parts.push(`${s.rows} rows`);
+  if (s.retryAt) parts.push(`retry in ${formatDuration(s.retryAt - nowMs)}`);
+  return parts.join(' · ');
+}
@@ -0,0 +1,260 @@
+/**
+ * Live streaming - core/streaming.js
+ *
+ * DOM-free pieces of the live stream source (data/streamSource.js):
+ * - validateProfile: incoming JSON checked against the canonical schema
+ *   (core/fileimport.js PROFILE_FIELDS); unknown keys are dropped, a wrong type rejects the profile.
+ * - parseStreamMessage: one message -> profiles / control. Accepted shapes: a profile, an array of
+ *   profiles, `{ type: 'profile', profile }`, `{ type: 'profiles', profiles }`,
+ *   `{ type: 'heartbeat' | 'ping' | 'pong' }`.
+ * - createBoundedQueue: backpressure between the socket and the rain, with a drop policy.
+ * - createSSEParser: incremental text/event-stream parser.
+ * - createStreamClient: WebSocket (ws:, wss:) or Server-Sent Events over fetch (http:, https:)
+ *   with reconnect backoff and a heartbeat timeout. SSE is read with fetch rather than
+ *   EventSource so reconnects are ours and the client runs in Node for tests.
+ */
+
+import { PROFILE_FIELDS } from './fileimport.js';
+import { backoffDelay } from './status.js';
+
+const MAX_STRING = 200;
+const MAX_LIST = 32;
+
+/** `{ profile }` with only schema fields, or `{ error }`. */
+export function validateProfile(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'not an object' };
+  const profile = {};
+  const bad = [];
+  for (const { key, type } of PROFILE_FIELDS) {
+    const v = input[key];
+    if (v === undefined || v === null) continue;
+    if (type === 'number') {
+      if (typeof v === 'number' && Number.isFinite(v)) profile[key] = v; else bad.push(key);
+    } else if (type === 'list') {
+      if (Array.isArray(v) && v.every(x => typeof x === 'string')) profile[key] = v.slice(0, MAX_LIST).map(x => x.slice(0, MAX_STRING));
+      else bad.push(key);
+    } else if (typeof v === 'string' || (key === 'id' && typeof v === 'number')) {
+      profile[key] = String(v).slice(0, MAX_STRING);
+    } else {
+      bad.push(key);
+    }
+  }
+  if (!profile.id && !bad.includes('id')) bad.push('id');
+  return bad.length ? { error: `invalid ${bad.join(', ')}` } : { profile };
+}
+
+/** `{ profiles, errors, control }` for one message's text; control is 'heartbeat' | 'ping' | 'pong' | null. */
+export function parseStreamMessage(text) {
+  const out = { profiles: [], errors: [], control: null };
+  let doc;
+  try { doc = JSON.parse(text); } catch { out.errors.push('not JSON'); return out; }
+  if (doc && typeof doc === 'object' && !Array.isArray(doc) && typeof doc.type === 'string') {
+    if (['heartbeat', 'ping', 'pong'].includes(doc.type)) { out.control = doc.type; return out; }
+    if (doc.type === 'profile') doc = doc.profile;
+    else if (doc.type === 'profiles') doc = doc.profiles;
+    else { out.errors.push(`unknown message type "${doc.type}"`); return out; }
+  }
+  for (const item of Array.isArray(doc) ? doc : [doc]) {
+    const res = validateProfile(item);
+    if (res.profile) out.profiles.push(res.profile); else out.errors.push(res.error);
+  }
+  return out;
+}
+
+/**
+ * FIFO of at most `capacity` items. When full, `drop-oldest` evicts the head to make room and
+ * `drop-newest` refuses the new item; either way `dropped` counts the loss.
+ */
+export function createBoundedQueue({ capacity = 64, policy = 'drop-oldest' } = {}) {
+  let items = [];
+  let dropped = 0;
+
+  /** Returns false if `item` was refused. */
+  function push(item) {
+    if (items.length >= capacity) {
+      dropped++;
+      if (policy === 'drop-newest') return false;
+      items.shift();
+    }
+    items.push(item);
+    return true;
+  }
+
+  function shift() { return items.shift(); }
+
+  function clear() { items = []; }
+
+  return {
+    push, shift, clear,
+    get size() { return items.length; },
+    get dropped() { return dropped; },
+    get capacity() { return capacity; },
+  };
+}
+
+/**
+ * Incremental text/event-stream parser. `onEvent({ event, data, id })` per dispatched event,
+ * `onComment(text)` for `:` lines (servers use them as heartbeats).
+ */
+export function createSSEParser({ onEvent, onComment = () => {} }) {
+  let buffer = '';
+  let data = [];
+  let event = '';
+  let lastId = '';
+
+  function line(text) {
+    if (text === '') {
+      if (data.length) onEvent({ event: event || 'message', data: data.join('\n'), id: lastId });
+      data = []; event = '';
+      return;
+    }
+    if (text[0] === ':') { onComment(text.slice(1).trim()); return; }
+    const colon = text.indexOf(':');
+    const field = colon === -1 ? text : text.slice(0, colon);
+    let value = colon === -1 ? '' : text.slice(colon + 1);
+    if (value[0] === ' ') value = value.slice(1);
+    if (field === 'data') data.push(value);
+    else if (field === 'event') event = value;
+    else if (field === 'id') lastId = value;
+  }
+
+  function feed(chunk) {
+    buffer += chunk;
+    const lines = buffer.split(/\r\n|\r|\n/);
+    buffer = lines.pop();
+    for (const l of lines) line(l);
+  }
+
+  return { feed, get lastEventId() { return lastId; } };
+}
+
+/**
+ * Connect to `url` and keep connected. Every message text goes to `onMessage(text)`;
+ * `onState(state, detail)` hears 'connecting' | 'open' | 'reconnecting' | 'closed'.
+ * Any traffic (messages, SSE comments) resets the heartbeat; silence for `heartbeatMs`
+ * drops the connection and reconnects. WebSocket clients also send `{"type":"ping"}`
+ * every heartbeatMs / 2 so an echo server keeps talking.
+ */
+export function createStreamClient({
+  url, onMessage, onState = () => {}, heartbeatMs = 15000, backoff = { baseMs: 1000, maxMs: 30000 },
+  WebSocket: WS = globalThis.WebSocket, fetch: fetchImpl = globalThis.fetch,
+  timers = { setTimeout, clearTimeout, setInterval, clearInterval },
+}) {
+  const kind = /^wss?:/i.test(url) ? 'ws' : /^https?:/i.test(url) ? 'sse' : null;
+  let state = 'idle';
+  let attempt = 0;
+  let socket = null;
+  let abort = null;
+  let heartbeat = null;
+  let pinger = null;
+  let retry = null;
+  let lastEventId = '';
+
+  function setState(next, detail = '') {
+    state = next;
+    onState(next, detail);
+  }
+
+  function alive() {
+    timers.clearTimeout(heartbeat);
+    heartbeat = timers.setTimeout(() => drop('heartbeat timeout'), heartbeatMs);
+  }
+
+  function start() {
+    if (state !== 'idle' && state !== 'closed') return;
+    if (!kind) { setState('closed', `unsupported URL "${url}"`); return; }
+    connect();
+  }
+
+  function connect() {
+    setState(attempt ? 'reconnecting' : 'connecting');
+    if (kind === 'ws') connectWebSocket(); else connectSSE();
+  }
+
+  function opened() {
+    attempt = 0;
+    setState('open');
+    alive();
+  }
+
+  function connectWebSocket() {
+    if (typeof WS !== 'function') { setState('closed', 'WebSocket is not available'); return; }
+    let ws;
+    try { ws = new WS(url); } catch (err) { drop(err.message); return; }
+    socket = ws;
+    ws.onopen = () => {
+      if (socket !== ws) return;
+      opened();
+      pinger = timers.setInterval(() => { try { ws.send('{"type":"ping"}'); } catch {} }, Math.max(250, heartbeatMs / 2));
+    };
+    ws.onmessage = e => { if (socket === ws) { alive(); onMessage(String(e.data)); } };
+    ws.onclose = e => { if (socket === ws) drop(`closed${e && e.code ? ` (${e.code})` : ''}`); };
+    ws.onerror = () => {}; // a close event follows
+  }
+
+  async function connectSSE() {
+    if (typeof fetchImpl !== 'function') { setState('closed', 'fetch is not available'); return; }
+    const ctrl = new AbortController();
+    abort = ctrl;
+    try {
+      const headers = { Accept: 'text/event-stream' };
+      if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+      const res = await fetchImpl(url, { headers, signal: ctrl.signal, cache: 'no-store' });
+      if (!res.ok || !res.body) throw new Error(`HTTP ${res.status}`);
+      if (abort !== ctrl) return;
+      opened();
+      const parser = createSSEParser({
+        onEvent: ({ data, id }) => { alive(); if (id) lastEventId = id; onMessage(data); },
+        onComment: () => alive(),
+      });
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        parser.feed(decoder.decode(value, { stream: true }));
+      }
+      if (abort === ctrl) drop('stream ended');
+    } catch (err) {
+      if (abort === ctrl) drop((err && err.message) || 'fetch failed');
+    }
+  }
+
+  // Tear down the current connection and schedule the next attempt.
+  function drop(reason) {
+    teardown();
+    if (state === 'closed') return;
+    attempt++;
+    const delay = backoffDelay(attempt, backoff);
+    setState('reconnecting', `${reason}; retry in ${Math.round(delay / 1000)}s`);
+    retry = timers.setTimeout(() => { retry = null; connect(); }, delay);
+  }
+
+  function teardown() {
+    timers.clearTimeout(heartbeat); heartbeat = null;
+    timers.clearInterval(pinger); pinger = null;
+    if (socket) {
+      const ws = socket;
+      socket = null;
+      try { ws.close(); } catch {}
+    }
+    if (abort) {
+      const ctrl = abort;
+      abort = null;
+      ctrl.abort();
+    }
+  }
+
+  function stop() {
+    timers.clearTimeout(retry); retry = null;
+    teardown();
+    attempt = 0;
+    if (state !== 'idle') setState('closed');
+  }
+
+  return {
+    start, stop, kind,
+    get state() { return state; },
+    get attempt() { return attempt; },
+  };
+}
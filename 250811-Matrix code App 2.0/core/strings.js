@@ -0,0 +1,370 @@
+/**
+ * String Painter - core/strings.js
+ *
+ * Turns a profile into a code-like string using a named string style, finds the
+ * key characters to highlight, and wraps text into lines. Styles are templates
+ * (core/templates.js); key characters are the fields the template marks with `*`.
+ * Every rendering also carries syntax tokens (key / value / punct / space) so
+ * file strips and glyph columns can colour them. Text measurement is injected so
+ * wrapping works with a canvas context in the browser and with a fixed-width stub in Node.
+ *
+ * Built-in styles: json, kv, code, yaml, sql, csv, log (RFC 5424 syslog with
+ * structured data), proto (protobuf text format), hexdump (of the JSON bytes)
+ * and `mixed`, which picks one of the others per strip.
+ */
+
+import { rand, randi, choice } from './util.js';
+import { compileTemplate, renderTemplate, pushToken } from './templates.js';
+
+const LABEL = '{{*job_title|default:Agent|esc}}+{{gender|default:U|trunc:1|upper}}+{{age|default:?}}';
+
+// Host the log style names in its syslog header: the active source id ('-' until set).
+let logHost = '-';
+
+/** Use source `id` ('nyc', 'file', ...) as the log style's host; strip workers get it per message. */
+export function setLogHost(id) { logHost = String(id || '').trim().replace(/\s+/g, '-') || '-'; }
+
+export function getLogHost() { return logHost; }
+
+// Built-in styles. `prepare(profile)` may fill in derived fields before rendering.
+const BUILTIN_STYLES = [
+  {
+    id: 'json', ext: 'json', label: 'JSON', builtin: true,
+    template: `{"profile":"${LABEL}","nta":{{*nta|default:|json}},"income":{{*income_usd|default:0|json}},"mood":{{*emotional_state|default:|json}},"coords":{{coords|json}}}`,
+    prepare: p => ({ ...p, coords: p.coords || [rand(100, 600).toFixed(2), rand(100, 400).toFixed(2), rand(200, 800).toFixed(1)] }),
+    pretty: p => prettyJson(p),
+  },
+  {
+    id: 'kv', ext: 'env', label: 'KV', builtin: true,
+    template: 'profile={{*job_title|default:Agent}}+{{gender|default:U|trunc:1|upper}}+{{age|default:?}} | nta={{*nta}} | mood={{*emotional_state}} | income={{*income_usd|usd}} | risk={{*risk_score}}',
+  },
+  {
+    id: 'code', ext: 'js', label: 'Code', builtin: true,
+    template: 'let p=Agent( id:0x{{id|default:0000|hex:4|default:A1C3}}, age:{{age|default:?}}, job:"{{*job_title|default:Worker}}", mood:"{{*emotional_state}}", nta:"{{*nta}}", income:{{*income_usd|default:0}} );',
+  },
+  {
+    id: 'yaml', ext: 'yaml', label: 'YAML', builtin: true,
+    template: [
+      '- id: {{id|json}}',
+      '  name: {{name|json}}',
+      '  job_title: {{*job_title|default:Agent|json}}',
+      '  age: {{age|default:null}}',
+      '  nta: {{*nta|default:|json}}',
+      '  income_usd: {{*income_usd|default:0}}',
+      '  mood: {{*emotional_state|default:|json}}',
+      '  risk: {{*risk_score|default:null}}',
+    ].join('\n'),
+  },
+  {
+    id: 'sql', ext: 'sql', label: 'SQL', builtin: true,
+    template: 'INSERT INTO profiles (id, job_title, age, nta, income_usd, mood, risk) VALUES ({{id|sql}}, {{*job_title|sql}}, {{age|sql}}, {{*nta|sql}}, {{*income_usd|sql}}, {{*emotional_state|sql}}, {{*risk_score|sql}});',
+  },
+  {
+    id: 'csv', ext: 'csv', label: 'CSV', builtin: true,
+    template: '{{id|csv}},{{name|csv}},{{*job_title|csv}},{{age|csv}},{{*nta|csv}},{{*income_usd|csv}},{{*emotional_state|csv}},{{*risk_score|csv}}',
+  },
+  {
+    id: 'log', ext: 'log', label: 'Log', builtin: true,
+    prepare: p => ({ ...p, host: logHost }),
+    template: '<134>1 {{last_active|default:-}} profile-stream {{host|default:-}} - - [profile id="{{id|esc}}" nta="{{*nta|esc}}"] job="{{*job_title|esc}}" mood={{*emotional_state|default:-}} income={{*income_usd|default:0}} risk={{*risk_score|default:-}}',
+  },
+  {
+    id: 'proto', ext: 'textproto', label: 'Protobuf', builtin: true,
+    template: [
+      'profile {',
+      '  id: {{id|default:|json}}',
+      '  job_title: {{*job_title|default:|json}}',
+      '  age: {{age|default:0}}',
+      '  nta: {{*nta|default:|json}}',
+      '  income_usd: {{*income_usd|default:0}}',
+      '  emotional_state: {{*emotional_state|default:|json}}',
+      '  risk_score: {{*risk_score|default:0}}',
+      '}',
+    ].join('\n'),
+  },
+  { id: 'hexdump', ext: 'hex', label: 'Hexdump', builtin: true, render: p => hexdump(renderStringStyle(p, 'json')) },
+  { id: 'mixed', label: 'Mixed', builtin: true, mixed: true },
+];
+
+// Pretty-printed JSON document for file strips; values of these keys are highlighted.
+const PRETTY_JSON_KEYS = new Set(['profile', 'nta', 'income', 'mood', 'risk']);
+
+function prettyJson(p) {
+  const doc = {
+    id: p.id ?? null,
+    profile: `${p.job_title || 'Agent'}+${(p.gender || 'U')[0].toUpperCase()}+${p.age || '?'}`,
+    nta: p.nta || '',
+    income: p.income_usd || 0,
+    mood: p.emotional_state || '',
+    risk: p.risk_score ?? null,
+    interests: Array.isArray(p.interests) ? p.interests : [],
+    coords: p.coords,
+  };
+  return tokenizeJson(JSON.stringify(doc, null, 2), PRETTY_JSON_KEYS);
+}
+
+const JSON_TOKEN = /("(?:[^"\\]|\\.)*")(?=\s*:)|"(?:[^"\\]|\\.)*"|-?\d[\d.eE+-]*|true|false|null|\s+|[^\s]/g;
+
+/**
+ * Tokenize JSON text: object keys `key`, strings/numbers/literals `value`,
+ * brackets and separators `punct`. Values under a top-level key in `marked`
+ * become highlight ranges.
+ */
+export function tokenizeJson(text, marked = new Set()) {
+  const tokens = [], keys = [];
+  let depth = 0, lastKey = null;
+  for (const m of text.matchAll(JSON_TOKEN)) {
+    const t = m[0], start = m.index, end = start + t.length;
+    let kind;
+    if (m[1]) { kind = 'key'; lastKey = depth === 1 ? JSON.parse(t) : null; }
+    else if (/^\s/.test(t)) kind = 'space';
+    else if (/^[{}[\],:]$/.test(t)) {
+      kind = 'punct';
+      if (t === '{' || t === '[') depth++;
+      else if (t === '}' || t === ']') depth--;
+      else if (t === ',' && depth === 1) lastKey = null;
+    } else {
+      kind = 'value';
+      if (depth === 1 && lastKey !== null && marked.has(lastKey)) keys.push([start, end]);
+    }
+    pushToken(tokens, { start, end, kind });
+  }
+  return { text, keys, tokens };
+}
+
+const HEX_ROW = 16;
+
+/**
+ * `hexdump -C` view of a rendered style's UTF-8 bytes. Offsets are `key` tokens,
+ * byte pairs `value`, the ASCII gutter `punct`; bytes of key-marked fields stay keys.
+ */
+function hexdump({ text, keys }) {
+  const bytes = [], marked = [];
+  const enc = new TextEncoder();
+  let ci = 0;
+  for (const ch of text) {
+    const inKey = keys.some(([a, b]) => ci >= a && ci < b);
+    for (const byte of enc.encode(ch)) { bytes.push(byte); marked.push(inKey); }
+    ci += ch.length;
+  }
+  let out = '';
+  const outKeys = [], tokens = [];
+  const emit = (chunk, kind) => { pushToken(tokens, { start: out.length, end: out.length + chunk.length, kind }); out += chunk; };
+  for (let row = 0; row < bytes.length; row += HEX_ROW) {
+    if (row) emit('\n', 'space');
+    emit(row.toString(16).padStart(8, '0'), 'key');
+    emit('  ', 'space');
+    for (let i = row; i < row + HEX_ROW; i++) {
+      if (i === row + 8) emit(' ', 'space');
+      if (i >= bytes.length) { emit('   ', 'space'); continue; }
+      if (marked[i]) outKeys.push([out.length, out.length + 2]);
+      emit(bytes[i].toString(16).padStart(2, '0'), 'value');
+      emit(' ', 'space');
+    }
+    const ascii = bytes.slice(row, row + HEX_ROW).map(b => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : '.')).join('');
+    emit(' |', 'punct'); emit(ascii, 'punct'); emit('|', 'punct');
+  }
+  return { text: out, keys: outKeys, tokens };
+}
+
+const styles = new Map(BUILTIN_STYLES.map(s => [s.id, s]));
+const styleListeners = new Set();
+
+/**
+ * Add or replace a string style `{ id, label?, template }`. The template is
+ * parsed up front, so a bad one throws TemplateError here rather than mid-frame.
+ * Built-in styles cannot be replaced.
+ */
+export function registerStringStyle(def) {
+  if (!def || !def.id || typeof def.template !== 'string') throw new Error('registerStringStyle: `id` and `template` are required');
+  if (styles.has(def.id) && styles.get(def.id).builtin) throw new Error(`registerStringStyle: "${def.id}" is built in`);
+  compileTemplate(def.template);
+  styles.set(def.id, { label: def.id, ...def, builtin: false });
+  for (const fn of styleListeners) fn(listStringStyles());
+}
+
+export function removeStringStyle(id) {
+  const def = styles.get(id);
+  if (!def || def.builtin) return false;
+  styles.delete(id);
+  for (const fn of styleListeners) fn(listStringStyles());
+  return true;
+}
+
+export function getStringStyle(id) { return styles.get(id) || null; }
+
+export function listStringStyles() { return [...styles.values()]; }
+
+/** Subscribe to style registry changes; returns an unsubscribe function. */
+export function onStringStylesChanged(fn) {
+  styleListeners.add(fn);
+  return () => styleListeners.delete(fn);
+}
+
+/** Concrete style for `id`: unknown ids fall back to json, `mixed` picks one at random. */
+export function resolveStringStyle(id) {
+  const def = styles.get(id) || styles.get('json');
+  if (!def.mixed) return def;
+  return choice(listStringStyles().filter(s => !s.mixed));
+}
+
+/**
+ * `{ text, keys, tokens, style, ext }` for `profile` in style `id`: `keys` are the
+ * highlighted ranges, `tokens` the syntax spans (see core/templates.js), `style`
+ * the concrete style id used (differs from `id` for `mixed`) and `ext` its file
+ * extension. `pretty` asks for the multi-line document form where a style has one.
+ */
+export function renderStringStyle(profile, id, { pretty = false } = {}) {
+  const def = resolveStringStyle(id);
+  const data = def.prepare ? def.prepare(profile || {}) : (profile || {});
+  const render = (pretty && def.pretty) || def.render;
+  const out = render ? render(data) : renderTemplate(compileTemplate(def.template), data);
+  return { ...out, style: def.id, ext: def.ext || 'txt' };
+}
+
+export class StringPainter {
+  constructor(profile, mode) {
+    this.profile = profile;
+    this.mode = mode;
+    const { text, keys, tokens, style } = renderStringStyle(profile, mode);
+    this.string = text;
+    this.style = style;
+    this.tokens = tokens;
+    this.keyCharPositions = new Set();
+    for (const [a, b] of keys) for (let i = a; i < b; i++) this.keyCharPositions.add(i);
+  }
+
+  build(profile, mode) { return this.buildString(profile, mode); }
+
+  buildString(p, mode) { return renderStringStyle(p, mode).text; }
+
+  buildGlyphStream() {
+    const filler = 'ｱｲｳｴｵ0123456789<>[]{}-=+*/$%';
+    const core = Array.from(this.string);
+    const pad = 40;
+    const left = Array.from({ length: pad }, () => filler[randi(0, filler.length)]);
+    const right = Array.from({ length: pad }, () => filler[randi(0, filler.length)]);
+    return left.concat(core, right);
+  }
+
+  // Glyph buffers are the string padded by 40 filler chars on each side.
+  stringIndex(bufferIndex) {
+    return (bufferIndex - 40 + this.string.length * 10000) % this.string.length;
+  }
+
+  isKeyChar(bufferIndex) {
+    if (!this.string.length) return false;
+    return this.keyCharPositions.has(this.stringIndex(bufferIndex));
+  }
+
+  /** Syntax kind ('key' | 'value' | 'punct' | 'space') of the char at `bufferIndex`. */
+  tokenKindAt(bufferIndex) {
+    if (!this.string.length) return 'space';
+    const i = this.stringIndex(bufferIndex);
+    let lo = 0, hi = this.tokens.length - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1, t = this.tokens[mid];
+      if (i < t.start) hi = mid - 1;
+      else if (i >= t.end) lo = mid + 1;
+      else return t.kind;
+    }
+    return 'space';
+  }
+}
+
+/**
+ * Word-wrap a profile's string into lines no wider than `maxWidth`.
+ * `measure(text)` returns the rendered width in px (e.g. `ctx.measureText(t).width`).
+ * Newlines in the style are kept (with their indentation); each line is
+ * `{ text, width, segments }` where `segments` are `{ text, kind, key }` runs in order,
+ * `key` marking highlighted (key-marked) characters.
+ */
+export function buildLines(profile, style, maxWidth, measure) {
+  return wrapRendered(renderStringStyle(profile, style), maxWidth, measure)
+    .map(({ text, width, segments }) => ({ text, width, segments }));
+}
+
+// Wrap rendered text per source line. Continuation lines get `hang` extra spaces
+// past the source line's indentation; every line records its 1-based `source` line.
+function wrapRendered({ text, keys, tokens }, maxWidth, measure, { hang = 0 } = {}) {
+  const lines = [];
+  let base = 0, source = 0;
+  const push = (a, b, indent) => {
+    const pad = ' '.repeat(indent);
+    const lineText = pad + text.slice(a, b);
+    const segments = segmentsFor(tokens, keys, a, b, text);
+    if (pad) segments.unshift({ text: pad, kind: 'space', key: false });
+    lines.push({ text: lineText, width: measure(lineText), segments, source, continuation: indent > 0 });
+  };
+  for (const raw of text.split('\n')) {
+    source++;
+    const lead = raw.length - raw.trimStart().length;
+    const indent = hang ? lead + hang : 0;
+    let start = base, end = -1, cont = false;
+    for (const m of raw.matchAll(/\S+/g)) {
+      const ws = base + m.index, we = ws + m[0].length;
+      const prefix = cont ? indent : 0;
+      if (end >= 0 && measure(' '.repeat(prefix) + text.slice(start, we)) + 16 > maxWidth) {
+        push(start, end, prefix);
+        start = ws;
+        cont = true;
+      }
+      end = we;
+    }
+    if (end >= 0) push(start, end, cont ? indent : 0);
+    base += raw.length + 1;
+  }
+  return lines;
+}
+
+/**
+ * Lay out a profile as a source-file document for file strips:
+ * `{ filename, gutter, lines, truncated }`. Styles render in their pretty form
+ * (JSON is indented, nested arrays included); long lines wrap with a hanging
+ * indent. `lines` are `{ number, text, width, segments }` with `number` null on
+ * wrapped continuations. Past `maxLines` the last kept line becomes an ellipsis.
+ * `gutter` is the gutter width in px (line numbers plus two spaces).
+ */
+export function buildDocument(profile, style, { maxWidth = 420, measure, maxLines = 16 } = {}) {
+  const rendered = renderStringStyle(profile, style, { pretty: true });
+  const sourceLines = rendered.text.split('\n').length;
+  const gutterText = ' '.repeat(String(sourceLines).length + 2);
+  const gutter = measure(gutterText);
+  let lines = wrapRendered(rendered, maxWidth - gutter, measure, { hang: 2 });
+  const truncated = lines.length > maxLines;
+  if (truncated) {
+    lines = lines.slice(0, Math.max(1, maxLines));
+    const last = lines[lines.length - 1];
+    const lead = last.text.length - last.text.trimStart().length;
+    const ellipsis = ' '.repeat(lead) + '…';
+    lines[lines.length - 1] = {
+      ...last, text: ellipsis, width: measure(ellipsis), continuation: true,
+      segments: [{ text: ' '.repeat(lead), kind: 'space', key: false }, { text: '…', kind: 'punct', key: false }],
+    };
+  }
+  const id = String((profile && profile.id) || 'profile').replace(/[^\w.-]+/g, '_');
+  return {
+    filename: `${id}.${rendered.ext}`,
+    gutter,
+    truncated,
+    lines: lines.map(l => ({ number: l.continuation ? null : l.source, text: l.text, width: l.width, segments: l.segments })),
+  };
+}
+
+// Token runs clipped to [a, b), split further where key-marked ranges begin or end.
+function segmentsFor(tokens, keys, a, b, text) {
+  const cuts = new Set([a, b]);
+  for (const t of tokens) { if (t.start > a && t.start < b) cuts.add(t.start); }
+  for (const [ka, kb] of keys) { if (ka > a && ka < b) cuts.add(ka); if (kb > a && kb < b) cuts.add(kb); }
+  const points = [...cuts].sort((x, y) => x - y);
+  const out = [];
+  let ti = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    const s = points[i], e = points[i + 1];
+    while (ti < tokens.length && tokens[ti].end <= s) ti++;
+    const kind = ti < tokens.length && tokens[ti].start <= s ? tokens[ti].kind : 'space';
+    const key = keys.some(([ka, kb]) => s >= ka && s < kb);
+    out.push({ text: text.slice(s, e), kind, key });
+  }
+  return out;
+}
@@ -0,0 +1,72 @@
+/**
+ * Strip bitmap cache - core/stripCache.js
+ *
+ * Composed file-strip bitmaps keyed by everything that changes their pixels:
+ * the profile, the concrete string style, the text settings and the theme palette.
+ * LRU by entry count; concurrent loads of one key share a single promise.
+ *
+ * Evicted values are only dropped, not closed: strips already on screen may
+ * still be drawing them, and the browser frees an ImageBitmap once unreferenced.
+ */
+
+// `theme` is any string identifying the palette, e.g. core/themes.js `themeKey`.
+export function stripKey(profile, style, textCfg, theme) {
+  const { maxWidth, fontSize, lineHeight, maxLines } = textCfg || {};
+  return JSON.stringify([style, theme, maxWidth, fontSize, lineHeight, maxLines, profile]);
+}
+
+export function createStripCache({ maxEntries = 160 } = {}) {
+  const entries = new Map(); // insertion order = LRU order
+  const inflight = new Map(); // key -> { promise, signal }
+  let hits = 0, misses = 0;
+
+  function get(key) {
+    if (!entries.has(key)) return undefined;
+    const value = entries.get(key);
+    entries.delete(key);
+    entries.set(key, value);
+    return value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, value);
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  }
+
+  /**
+   * Cached value for `key`, else `loader(signal)`'s result (stored on success).
+   * A load started under an aborted signal is not shared with later callers.
+   */
+  function fetch(key, loader, { signal } = {}) {
+    const value = get(key);
+    if (value !== undefined) { hits++; return Promise.resolve(value); }
+    const running = inflight.get(key);
+    if (running && !(running.signal && running.signal.aborted)) { hits++; return running.promise; }
+    misses++;
+    let promise;
+    try {
+      promise = Promise.resolve(loader(signal));
+    } catch (err) {
+      promise = Promise.reject(err);
+    }
+    const entry = { signal, promise: promise.then(v => { set(key, v); return v; }) };
+    inflight.set(key, entry);
+    entry.promise.then(
+      () => { if (inflight.get(key) === entry) inflight.delete(key); },
+      () => { if (inflight.get(key) === entry) inflight.delete(key); },
+    );
+    return entry.promise;
+  }
+
+  function clear() {
+    entries.clear();
+    inflight.clear();
+  }
+
+  return {
+    get, set, fetch, clear,
+    get size() { return entries.size; },
+    get stats() { return { hits, misses, size: entries.size }; },
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * String templates - core/templates.js
+ *
+ * Tiny template language for string styles:
+ *   {{job_title}}@{{*nta}} :: {{income_usd|usd}} risk={{*risk_score|bar:8}}
+ * - `{{field}}` inserts a profile field; dotted paths reach into arrays/objects (`coords.0`).
+ * - A leading `*` marks the field as a key: its characters are highlighted.
+ * - `|name:arg:arg` pipes the value through FILTERS, left to right.
+ * Everything outside `{{ }}` is literal text.
+ *
+ * Rendering also yields syntax tokens for colouring: field output is `value`,
+ * words in the literal text are `key` (field names, keywords), whitespace is
+ * `space` and everything else `punct`.
+ */
+
+import { formatMoneyUSD } from './util.js';
+
+export class TemplateError extends Error {
+  constructor(message, index) {
+    super(index === undefined ? message : `${message} (at ${index})`);
+    this.name = 'TemplateError';
+    this.index = index;
+  }
+}
+
+const isEmpty = v => v === undefined || v === null || v === '';
+const str = v => (isEmpty(v) ? '' : Array.isArray(v) ? v.join(',') : String(v));
+const int = (arg, fallback) => { const n = parseInt(arg, 10); return Number.isFinite(n) ? n : fallback; };
+
+// filter(value, ...args) -> value. Args arrive as strings.
+export const FILTERS = {
+  default: (v, fallback = '') => (isEmpty(v) ? fallback : v),
+  usd: v => formatMoneyUSD(Number(v) || 0),
+  fixed: (v, digits) => (isEmpty(v) || !Number.isFinite(Number(v)) ? str(v) : Number(v).toFixed(int(digits, 0))),
+  // pad:8 pads on the right, pad:-8 on the left; optional fill char
+  pad: (v, width, fill = ' ') => {
+    const w = int(width, 0);
+    return w < 0 ? str(v).padStart(-w, fill) : str(v).padEnd(w, fill);
+  },
+  trunc: (v, width, ellipsis = '') => {
+    const s = str(v), w = int(width, s.length);
+    return s.length > w ? s.slice(0, Math.max(0, w - ellipsis.length)) + ellipsis : s;
+  },
+  // numbers: base 16, zero-padded to width; strings: their hex digits, last `width` of them
+  hex: (v, width) => {
+    const w = int(width, 0);
+    if (typeof v === 'number') return (Math.trunc(v) >>> 0).toString(16).padStart(w, '0');
+    const digits = str(v).replace(/[^a-fA-F0-9]/g, '');
+    return w ? digits.slice(-w) : digits;
+  },
+  // bar:width:max -> ██████░░░░ (value clamped to 0..max)
+  bar: (v, width, max) => {
+    const w = int(width, 10), m = Number(max) || 100;
+    const n = Math.round(Math.min(1, Math.max(0, (Number(v) || 0) / m)) * w);
+    return '█'.repeat(n) + '░'.repeat(w - n);
+  },
+  upper: v => str(v).toUpperCase(),
+  lower: v => str(v).toLowerCase(),
+  json: v => JSON.stringify(v === undefined ? null : v),
+  // JSON string escaping without the surrounding quotes
+  esc: v => JSON.stringify(str(v)).slice(1, -1),
+  // SQL literal: NULL, bare number or single-quoted string
+  sql: v => (isEmpty(v) ? 'NULL' : typeof v === 'number' ? String(v) : `'${str(v).replace(/'/g, "''")}'`),
+  // CSV cell: quoted only when it holds a comma, quote or newline
+  csv: v => { const s = str(v); return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s; },
+};
+
+const LITERAL_TOKEN = /\s+|[A-Za-z_][\w@.-]*|[^\sA-Za-z_]+/g;
+
+/** Split literal text into `key` / `space` / `punct` tokens at `offset`. */
+export function tokenizeLiteral(text, offset = 0) {
+  const out = [];
+  for (const m of text.matchAll(LITERAL_TOKEN)) {
+    const kind = /^\s/.test(m[0]) ? 'space' : /^[A-Za-z_]/.test(m[0]) ? 'key' : 'punct';
+    out.push({ start: offset + m.index, end: offset + m.index + m[0].length, kind });
+  }
+  return out;
+}
+
+/** Append `token` to `tokens`, merging it into the previous one when the kinds match. */
+export function pushToken(tokens, token) {
+  const last = tokens[tokens.length - 1];
+  if (last && last.kind === token.kind && last.end === token.start) last.end = token.end;
+  else if (token.end > token.start) tokens.push(token);
+}
+
+/**
+ * Parse `source` into parts: `{ text }` literals and `{ field, key, filters: [{ name, args }] }`.
+ * Throws TemplateError on unclosed tags, empty fields or unknown filters.
+ */
+export function parseTemplate(source) {
+  const src = String(source ?? '');
+  const parts = [];
+  let i = 0;
+  while (i < src.length) {
+    const open = src.indexOf('{{', i);
+    if (open < 0) { parts.push({ text: src.slice(i) }); break; }
+    if (open > i) parts.push({ text: src.slice(i, open) });
+    const close = src.indexOf('}}', open + 2);
+    if (close < 0) throw new TemplateError('unclosed {{', open);
+    const [head, ...pipes] = src.slice(open + 2, close).split('|').map(s => s.trim());
+    const key = head.startsWith('*');
+    const field = key ? head.slice(1).trim() : head;
+    if (!/^[\w$]+(\.[\w$]+)*$/.test(field)) throw new TemplateError(`bad field "${field}"`, open);
+    const filters = pipes.map(p => {
+      const [name, ...args] = p.split(':');
+      if (!Object.hasOwn(FILTERS, name)) throw new TemplateError(`unknown filter "${name}"`, open);
+      return { name, args };
+    });
+    parts.push({ field, key, filters });
+    i = close + 2;
+  }
+  return parts;
+}
+
+/** Field names a template reads, with whether each is marked as a key. */
+export function templateFields(parts) {
+  return parts.filter(p => p.field).map(({ field, key }) => ({ field, key }));
+}
+
+function lookup(obj, path) {
+  let v = obj;
+  for (const k of path.split('.')) {
+    if (v === undefined || v === null) return undefined;
+    v = v[k];
+  }
+  return v;
+}
+
+/**
+ * Render parsed `parts` for `data`. Returns `{ text, keys, tokens }`: `keys` are
+ * `[start, end)` ranges of the key-marked fields, `tokens` are contiguous
+ * `{ start, end, kind }` spans covering all of `text`.
+ */
+export function renderTemplate(parts, data) {
+  let text = '';
+  const keys = [];
+  const tokens = [];
+  for (const part of parts) {
+    if (part.text !== undefined) {
+      for (const t of tokenizeLiteral(part.text, text.length)) pushToken(tokens, t);
+      text += part.text;
+      continue;
+    }
+    let v = lookup(data, part.field);
+    for (const { name, args } of part.filters) v = FILTERS[name](v, ...args);
+    const out = str(v);
+    if (part.key && out) keys.push([text.length, text.length + out.length]);
+    pushToken(tokens, { start: text.length, end: text.length + out.length, kind: 'value' });
+    text += out;
+  }
+  return { text, keys, tokens };
+}
+
+const compiled = new Map();
+
+/** parseTemplate with a small cache keyed by source text. */
+export function compileTemplate(source) {
+  let parts = compiled.get(source);
+  if (!parts) {
+    parts = parseTemplate(source);
+    if (compiled.size > 64) compiled.clear();
+    compiled.set(source, parts);
+  }
+  return parts;
+}
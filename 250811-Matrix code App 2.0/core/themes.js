@@ -0,0 +1,143 @@
+/**
+ * Themes - core/themes.js
+ *
+ * DOM-free palette registry. A theme is plain data, so it can be saved,
+ * exported and posted to the strip workers:
+ *   {
+ *     id: 'green', label: 'Green',
+ *     background: '#000000', // canvas and page background; trails fade towards it
+ *     head: '#ccffdd',       // leading glyph of each column
+ *     trail: '#00ff66',      // glyph trails, strip text, UI accent (--active)
+ *     key: '#ffffff',        // key-marked (highlighted) fields
+ *     glow: '#00ff66',       // shadow / bloom colour
+ *     gradient: [{ at: 0, color: '#7cffb2', alpha: 0 }, { at: 1, color: '#7cffb2', alpha: 0.45 }], // strip bottom fade
+ *   }
+ * The glyph atlas, strip bitmaps and CSS variables are all derived from it
+ * (main.js, ui/composeStrip.js), so changing theme recolours everything.
+ */
+
+export class ThemeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ThemeError';
+  }
+}
+
+const HEX = /^#[0-9a-f]{6}$/i;
+export const THEME_COLORS = ['background', 'head', 'trail', 'key', 'glow'];
+
+const fade = color => [{ at: 0, color, alpha: 0 }, { at: 1, color, alpha: 0.45 }];
+
+const BUILTIN_THEMES = [
+  { id: 'green', label: 'Green', background: '#000000', head: '#ccffdd', trail: '#00ff66', key: '#ffffff', glow: '#00ff66', gradient: fade('#7cffb2') },
+  { id: 'cyan', label: 'Cyan', background: '#000000', head: '#d6ffff', trail: '#00ffff', key: '#ffffff', glow: '#00ffff', gradient: fade('#7cf7ff') },
+  { id: 'magenta', label: 'Magenta', background: '#000000', head: '#ffd9ff', trail: '#ff4dff', key: '#ffffff', glow: '#ff4dff', gradient: fade('#ff9cff') },
+].map(t => ({ ...t, builtin: true }));
+
+/** '#rrggbb' -> [r, g, b] (0..255), or null. */
+export function parseHex(color) {
+  return HEX.test(color) ? [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16)) : null;
+}
+
+// Linear mix of two #rrggbb colours (t = 0 -> a, 1 -> b); non-hex input returns `a`.
+export function mixColor(a, b, t) {
+  const ca = parseHex(a), cb = parseHex(b);
+  if (!ca || !cb) return a;
+  return '#' + ca.map((v, i) => Math.round(v + (cb[i] - v) * t).toString(16).padStart(2, '0')).join('');
+}
+
+/** CSS `rgba()` for a #rrggbb colour. */
+export function rgba(color, alpha) {
+  const [r, g, b] = parseHex(color) || [0, 0, 0];
+  return `rgba(${r},${g},${b},${alpha})`;
+}
+
+/**
+ * Validate `input` into a clean theme (missing colours come from `base`).
+ * Throws ThemeError naming every bad field.
+ */
+export function normalizeTheme(input, base = BUILTIN_THEMES[0]) {
+  if (!input || typeof input !== 'object') throw new ThemeError('theme must be an object');
+  const errors = [];
+  const out = { id: String(input.id || ''), label: String(input.label || input.id || '').slice(0, 40) };
+  if (!/^[\w-]{1,64}$/.test(out.id)) errors.push('id');
+  for (const name of THEME_COLORS) {
+    const v = input[name] === undefined ? base[name] : input[name];
+    if (HEX.test(v)) out[name] = v.toLowerCase(); else errors.push(name);
+  }
+  const stops = input.gradient === undefined ? base.gradient : input.gradient;
+  if (Array.isArray(stops) && stops.length >= 2 && stops.length <= 4
+    && stops.every(s => s && HEX.test(s.color) && Number.isFinite(s.at) && Number.isFinite(s.alpha))) {
+    out.gradient = stops
+      .map(s => ({ at: Math.min(1, Math.max(0, s.at)), color: s.color.toLowerCase(), alpha: Math.min(1, Math.max(0, s.alpha)) }))
+      .sort((a, b) => a.at - b.at);
+  } else {
+    errors.push('gradient');
+  }
+  if (errors.length) throw new ThemeError(`invalid theme: ${errors.join(', ')}`);
+  return out;
+}
+
+/** Stable string for everything that affects pixels (cache keys). */
+export function themeKey(theme) {
+  const { background, head, trail, key, glow, gradient } = theme;
+  return JSON.stringify([background, head, trail, key, glow, gradient]);
+}
+
+/** `theme` with trail, glow and strip gradient in `color` (hue encoding, core/encoding.js). */
+export function tintTheme(theme, color) {
+  const stop = mixColor(color, '#ffffff', 0.45);
+  return { ...theme, trail: color, glow: color, gradient: theme.gradient.map(s => ({ ...s, color: stop })) };
+}
+
+/** CSS custom properties for the page chrome. */
+export function themeCssVars(theme) {
+  return { '--bg': theme.background, '--active': theme.trail, '--head': theme.head, '--key': theme.key, '--glow-color': theme.glow };
+}
+
+// ---------------------------- Registry -------------------------------------
+const themes = new Map(BUILTIN_THEMES.map(t => [t.id, t]));
+const listeners = new Set();
+
+/** Add or replace a user theme (validated). Built-in themes cannot be replaced. */
+export function registerTheme(def) {
+  const theme = normalizeTheme(def);
+  if (themes.has(theme.id) && themes.get(theme.id).builtin) throw new ThemeError(`"${theme.id}" is built in`);
+  themes.set(theme.id, { ...theme, builtin: false });
+  for (const fn of listeners) fn(listThemes());
+  return themes.get(theme.id);
+}
+
+export function removeTheme(id) {
+  const t = themes.get(id);
+  if (!t || t.builtin) return false;
+  themes.delete(id);
+  for (const fn of listeners) fn(listThemes());
+  return true;
+}
+
+export function getTheme(id) { return themes.get(id) || null; }
+
+/** `id` or the default (green) theme. */
+export function resolveTheme(id) { return themes.get(id) || themes.get('green'); }
+
+export function listThemes() { return [...themes.values()]; }
+
+/** Subscribe to registry changes; returns an unsubscribe function. */
+export function onThemesChanged(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// ---------------------------- Files ----------------------------------------
+/** Theme file contents: `{ app: 'profile-stream-theme', version: 1, theme }`. */
+export function themeToJson(theme) {
+  const { builtin, ...data } = theme;
+  return JSON.stringify({ app: 'profile-stream-theme', version: 1, theme: data }, null, 2);
+}
+
+/** Read a theme file (wrapped or a bare theme object); throws SyntaxError / ThemeError. */
+export function parseThemeJson(text) {
+  const doc = JSON.parse(text);
+  return normalizeTheme(doc && doc.theme && typeof doc.theme === 'object' ? doc.theme : doc);
+}
@@ -0,0 +1,67 @@
+/**
+ * Core utilities - core/util.js
+ *
+ * DOM-free helpers shared by the app and the Node test suite.
+ * All randomness goes through `random()` so a seed can make runs reproducible;
+ * `setRandomSource()` swaps the generator (see `applySeed` in core/config.js).
+ */
+
+let source = Math.random;
+
+export function random() { return source(); }
+
+export function setRandomSource(fn) { source = typeof fn === 'function' ? fn : Math.random; }
+
+export function hashSeed(seed) {
+  // FNV-1a over the string form, so '42' and 'lobby-demo' are both valid seeds
+  let h = 0x811c9dc5;
+  const str = String(seed);
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function createRng(seed) {
+  // mulberry32: tiny, fast and good enough for visuals
+  let a = hashSeed(seed);
+  return function () {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export const rand = (min, max) => random() * (max - min) + min;
+export const randi = (min, max) => Math.floor(rand(min, max));
+export const choice = arr => arr[randi(0, arr.length)];
+
+export function shuffle(arr) {
+  // Fisher-Yates on a copy; sort(() => random() - 0.5) is biased and engine-dependent
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = randi(0, i + 1);
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+export function weightedChoice(pairs) {
+  // pairs: [value, weight]
+  const total = pairs.reduce((s, [, w]) => s + w, 0);
+  let roll = random() * total;
+  for (const [v, w] of pairs) {
+    if ((roll -= w) <= 0) return v;
+  }
+  return pairs[pairs.length - 1][0];
+}
+
+export function clamp(v, a, b) { return v < a ? a : v > b ? b : v; }
+
+export function formatMoneyUSD(n) {
+  const sign = n < 0 ? '-' : '';
+  const x = Math.abs(Math.round(n));
+  return `${sign}$${x.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+}
@@ -0,0 +1,149 @@
+/**
+ * Worker pool - core/workerPool.js
+ *
+ * Runs jobs FIFO on up to `size` workers, one job per worker at a time.
+ * DOM-free: `create()` returns anything with `postMessage`/`terminate` and
+ * `onmessage`/`onerror` slots (a Web Worker in the browser, a fake in tests).
+ *
+ * Protocol: the pool posts `{ id, ...message }`; the worker answers
+ * `{ id, ok: true, value }` or `{ id, ok: false, error }`.
+ *
+ * `run(message, { signal })` honours an AbortSignal: a queued job is dropped, a
+ * running one is rejected at once and its late result goes to `discard(value)`
+ * (e.g. to close an ImageBitmap). A worker that errors is replaced; after
+ * `maxRestarts` crashes in a row without a good answer the pool is `broken` and
+ * rejects every job, so callers can fall back to doing the work inline.
+ */
+
+export class PoolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PoolError';
+  }
+}
+
+function abortError() {
+  return typeof DOMException === 'function'
+    ? new DOMException('Job aborted', 'AbortError')
+    : Object.assign(new Error('Job aborted'), { name: 'AbortError' });
+}
+
+export function createWorkerPool({ size = 2, create, discard, maxRestarts = 3 } = {}) {
+  if (typeof create !== 'function') throw new TypeError('createWorkerPool: `create` is required');
+  const workers = new Set();
+  const idle = [];
+  const busy = new Map(); // worker -> job
+  const queue = [];
+  let nextId = 1;
+  let crashes = 0;
+  let closed = false;
+  let broken = false;
+
+  function spawn() {
+    const w = create();
+    w.onmessage = e => finish(w, e && e.data);
+    w.onerror = e => {
+      if (e && typeof e.preventDefault === 'function') e.preventDefault();
+      crash(w, (e && e.message) || 'worker error');
+    };
+    workers.add(w);
+    idle.push(w);
+  }
+
+  function settle(job) {
+    job.done = true;
+    if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+  }
+
+  function pump() {
+    while (queue.length && !closed && !broken) {
+      if (!idle.length) {
+        if (workers.size >= size) return;
+        try { spawn(); } catch (err) { fail(`worker failed to start: ${err && err.message}`); return; }
+      }
+      const job = queue.shift();
+      const w = idle.pop();
+      busy.set(w, job);
+      try {
+        w.postMessage({ id: job.id, ...job.message }, job.transfer);
+      } catch (err) {
+        busy.delete(w);
+        idle.push(w);
+        settle(job);
+        job.reject(new PoolError(`postMessage failed: ${err && err.message}`));
+      }
+    }
+  }
+
+  function finish(w, data) {
+    const job = busy.get(w);
+    if (!job || !data || data.id !== job.id) return;
+    busy.delete(w);
+    idle.push(w);
+    crashes = 0;
+    if (job.done) {
+      if (data.ok && discard) discard(data.value);
+    } else {
+      settle(job);
+      if (data.ok) job.resolve(data.value);
+      else job.reject(new PoolError(data.error || 'job failed'));
+    }
+    pump();
+  }
+
+  function crash(w, message) {
+    const job = busy.get(w);
+    busy.delete(w);
+    workers.delete(w);
+    const i = idle.indexOf(w);
+    if (i >= 0) idle.splice(i, 1);
+    try { w.terminate(); } catch {}
+    if (job && !job.done) { settle(job); job.reject(new PoolError(message)); }
+    if (++crashes >= maxRestarts) fail(`workers keep failing: ${message}`);
+    else pump();
+  }
+
+  // Give up: reject everything queued and refuse new work.
+  function fail(message) {
+    broken = true;
+    for (const job of queue.splice(0)) { settle(job); job.reject(new PoolError(message)); }
+  }
+
+  /** Post `message` to the next free worker; resolves with the worker's `value`. */
+  function run(message, { signal, transfer = [] } = {}) {
+    if (closed) return Promise.reject(new PoolError('pool terminated'));
+    if (broken) return Promise.reject(new PoolError('pool broken'));
+    if (signal && signal.aborted) return Promise.reject(abortError());
+    return new Promise((resolve, reject) => {
+      const job = { id: nextId++, message, transfer, signal, resolve, reject, done: false };
+      job.onAbort = () => {
+        if (job.done) return;
+        const q = queue.indexOf(job);
+        if (q >= 0) queue.splice(q, 1);
+        settle(job);
+        reject(abortError());
+      };
+      if (signal) signal.addEventListener('abort', job.onAbort);
+      queue.push(job);
+      pump();
+    });
+  }
+
+  function terminate() {
+    closed = true;
+    for (const job of queue.splice(0)) { settle(job); job.reject(new PoolError('pool terminated')); }
+    for (const [, job] of busy) if (!job.done) { settle(job); job.reject(new PoolError('pool terminated')); }
+    busy.clear();
+    idle.length = 0;
+    for (const w of workers) { try { w.terminate(); } catch {} }
+    workers.clear();
+  }
+
+  return {
+    run,
+    terminate,
+    get size() { return workers.size; },
+    get pending() { return queue.length + busy.size; },
+    get broken() { return broken; },
+  };
+}
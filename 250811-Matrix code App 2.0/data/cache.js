@@ -0,0 +1,221 @@
+/**
+ * Response cache - data/cache.js
+ *
+ * Keyed cache for fetched datasets with:
+ * - IndexedDB storage (falls back to memory in Node, private mode or when IDB fails)
+ * - configurable TTL; stale entries are served while a background refresh runs
+ * - LRU eviction by entry count and total size
+ * - in-flight de-duplication, so concurrent callers share one request
+ *
+ * Metadata ({ key, t, atime, size }) and values live in separate stores so the
+ * inspector can list entries without loading every payload.
+ */
+
+const DEFAULTS = { ttlMs: 60 * 60 * 1000, maxEntries: 24, maxBytes: 25 * 1024 * 1024 };
+
+const reqP = req => new Promise((res, rej) => {
+  req.onsuccess = () => res(req.result);
+  req.onerror = () => rej(req.error);
+});
+
+/** In-memory backend; same async surface as the IndexedDB one. */
+export function memoryBackend() {
+  const meta = new Map(), data = new Map();
+  return {
+    kind: 'memory',
+    async getMeta(key) { return meta.get(key) || null; },
+    async getValue(key) { return data.has(key) ? structuredClone(data.get(key)) : undefined; },
+    async put(m, value) { meta.set(m.key, { ...m }); data.set(m.key, structuredClone(value)); },
+    async touch(m) { if (meta.has(m.key)) meta.set(m.key, { ...m }); },
+    async remove(key) { meta.delete(key); data.delete(key); },
+    async listMeta() { return [...meta.values()].map(m => ({ ...m })); },
+  };
+}
+
+/** IndexedDB backend (database `dbName`, stores `meta` and `data`). */
+export function idbBackend(dbName = 'profile-stream-cache') {
+  let dbp = null;
+  const db = () => (dbp ||= new Promise((res, rej) => {
+    const req = indexedDB.open(dbName, 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore('meta', { keyPath: 'key' });
+      req.result.createObjectStore('data');
+    };
+    req.onsuccess = () => res(req.result);
+    req.onerror = () => rej(req.error);
+    req.onblocked = () => rej(new Error('IndexedDB open blocked'));
+  }));
+  async function run(mode, fn) {
+    const t = (await db()).transaction(['meta', 'data'], mode);
+    const done = new Promise((res, rej) => {
+      t.oncomplete = res;
+      t.onerror = () => rej(t.error);
+      t.onabort = () => rej(t.error || new Error('IndexedDB transaction aborted'));
+    });
+    const out = await fn(t.objectStore('meta'), t.objectStore('data'));
+    await done;
+    return out;
+  }
+  return {
+    kind: 'indexeddb',
+    ready: () => db(),
+    getMeta: key => run('readonly', meta => reqP(meta.get(key))).then(m => m || null),
+    getValue: key => run('readonly', (_, data) => reqP(data.get(key))),
+    put: (m, value) => run('readwrite', (meta, data) => { meta.put(m); data.put(value, m.key); }),
+    touch: m => run('readwrite', meta => { meta.put(m); }),
+    remove: key => run('readwrite', (meta, data) => { meta.delete(key); data.delete(key); }),
+    listMeta: () => run('readonly', meta => reqP(meta.getAll())),
+  };
+}
+
+function defaultBackend(dbName) {
+  if (typeof indexedDB === 'undefined') return memoryBackend();
+  return idbBackend(dbName);
+}
+
+function sizeOf(value) {
+  try { return JSON.stringify(value).length; } catch { return 0; }
+}
+
+/**
+ * Create a cache. Options: `ttlMs`, `maxEntries`, `maxBytes`, `backend`, `dbName`, `now`.
+ * If the IndexedDB backend fails to open, the cache switches to memory and keeps going.
+ */
+export function createCache(opts = {}) {
+  let cfg = { ...DEFAULTS, ...pickLimits(opts) };
+  let backend = opts.backend || defaultBackend(opts.dbName);
+  const now = opts.now || Date.now;
+  const inflight = new Map();
+  const listeners = new Set();
+
+  function pickLimits(o) {
+    const out = {};
+    for (const k of ['ttlMs', 'maxEntries', 'maxBytes']) if (Number.isFinite(o[k]) && o[k] > 0) out[k] = o[k];
+    return out;
+  }
+
+  // Run a backend op; on IndexedDB failure fall back to memory once and retry.
+  async function io(fn) {
+    try {
+      return await fn(backend);
+    } catch (err) {
+      if (backend.kind !== 'indexeddb') throw err;
+      try { console.warn('[CACHE] IndexedDB unavailable, using memory:', err && err.message); } catch {}
+      backend = memoryBackend();
+      return fn(backend);
+    }
+  }
+
+  function emit(key, value) { for (const fn of listeners) { try { fn(key, value); } catch {} } }
+
+  /** `{ value, age, stale }` for `key`, or null. Marks the entry as recently used. */
+  async function get(key) {
+    const m = await io(b => b.getMeta(key));
+    if (!m) return null;
+    const value = await io(b => b.getValue(key));
+    if (value === undefined) { await io(b => b.remove(key)); return null; }
+    const t = now();
+    await io(b => b.touch({ ...m, atime: t }));
+    const age = t - m.t;
+    return { value, age, stale: age > cfg.ttlMs };
+  }
+
+  async function set(key, value) {
+    const t = now();
+    await io(b => b.put({ key, t, atime: t, size: sizeOf(value) }, value));
+    await evict();
+  }
+
+  // Drop least-recently-used entries until both limits hold.
+  async function evict() {
+    const all = (await io(b => b.listMeta())).sort((a, b) => a.atime - b.atime);
+    let bytes = all.reduce((n, m) => n + (m.size || 0), 0);
+    let count = all.length;
+    for (const m of all) {
+      if (count <= cfg.maxEntries && bytes <= cfg.maxBytes) break;
+      await io(b => b.remove(m.key));
+      count--; bytes -= m.size || 0;
+    }
+  }
+
+  // One loader run per key at a time; values `store` rejects are returned but not kept.
+  function load(key, loader, store) {
+    if (inflight.has(key)) return inflight.get(key);
+    const p = (async () => {
+      try {
+        const value = await loader();
+        if (!store(value)) return value;
+        await set(key, value);
+        emit(key, value);
+        return value;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+    inflight.set(key, p);
+    return p;
+  }
+
+  /**
+   * Cached value for `key`, loading it with `loader()` when missing.
+   * Stale entries are returned immediately and refreshed in the background
+   * (subscribers of `onUpdate` get the new value); `swr: false` waits instead.
+   * If a refresh fails and a stale value exists, the stale value is returned.
+   * `store(value)` returning false hands a loaded value back without caching it.
+   * Returns `{ value, age, stale, cached }`.
+   */
+  async function fetch(key, loader, { swr = true, store = () => true } = {}) {
+    const hit = await get(key).catch(() => null);
+    if (hit && !hit.stale) return { ...hit, cached: true };
+    if (hit && swr) {
+      load(key, loader, store).catch(() => {});
+      return { ...hit, cached: true };
+    }
+    try {
+      const value = await load(key, loader, store);
+      return { value, age: 0, stale: false, cached: false };
+    } catch (err) {
+      if (hit) return { ...hit, cached: true };
+      throw err;
+    }
+  }
+
+  /** Entry metadata, most recently used first, with `age` and `stale` filled in. */
+  async function list() {
+    const t = now();
+    return (await io(b => b.listMeta()))
+      .map(m => ({ ...m, age: t - m.t, stale: t - m.t > cfg.ttlMs }))
+      .sort((a, b) => b.atime - a.atime);
+  }
+
+  async function remove(key) { await io(b => b.remove(key)); }
+
+  /** Delete every entry (or only those whose key starts with `prefix`). */
+  async function purge(prefix = '') {
+    for (const m of await io(b => b.listMeta())) if (m.key.startsWith(prefix)) await io(b => b.remove(m.key));
+  }
+
+  async function configure(o = {}) {
+    cfg = { ...cfg, ...pickLimits(o) };
+    await evict();
+  }
+
+  function onUpdate(fn) { listeners.add(fn); return () => listeners.delete(fn); }
+
+  return {
+    get, set, fetch, list, remove, purge, configure, onUpdate,
+    get config() { return { ...cfg }; },
+    get backendKind() { return backend.kind; },
+    get pending() { return [...inflight.keys()]; },
+  };
+}
+
+/** Remove the pre-IndexedDB localStorage entries (`<prefix>*`) left by older versions. */
+export function clearLegacyLocalStorage(prefix) {
+  try {
+    for (let i = localStorage.length - 1; i >= 0; i--) {
+      const k = localStorage.key(i);
+      if (k && k.startsWith(prefix)) localStorage.removeItem(k);
+    }
+  } catch {}
+}
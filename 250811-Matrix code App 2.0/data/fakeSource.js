@@ -0,0 +1,28 @@
+/**
+ * Fake source - data/fakeSource.js
+ *
+ * Offline generator source backed by ProfileFactory. Leads the `#source` select
+ * and doubles as the fallback batch for every other source. One batch is
+ * generated per set of filters, so refills loop over it like any other source.
+ */
+
+import { registerSource } from '../core/sources.js';
+import { ProfileFactory } from '../core/profiles.js';
+
+export const FAKE_BATCH_SIZE = 128;
+
+export function generateFakeBatch(n) { return Array.from({ length: n }, () => ProfileFactory.generate()); }
+
+let batch = null;
+let batchKey = '';
+
+registerSource({
+  id: 'fake',
+  label: 'fake',
+  order: 0,
+  fetchProfiles(opts = {}) {
+    const key = JSON.stringify(opts);
+    if (!batch || key !== batchKey) { batch = generateFakeBatch(FAKE_BATCH_SIZE); batchKey = key; }
+    return batch;
+  },
+});
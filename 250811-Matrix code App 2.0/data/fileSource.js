@@ -0,0 +1,49 @@
+/**
+ * Local file source - data/fileSource.js
+ *
+ * Holds records imported from a dropped or picked CSV/JSON/NDJSON file plus the
+ * user's column mapping, and serves them as canonical profiles. Registers itself
+ * as the `file` source; ui/fileImport.js attaches the drop zone and mapping UI.
+ */
+
+import { registerSource } from '../core/sources.js';
+import { parseRecords, guessMapping, applyMapping } from '../core/fileimport.js';
+
+export const FileSource = (() => {
+  let state = { name: '', format: '', columns: [], records: [], mapping: {} };
+  let profiles = [];
+
+  function remap() {
+    profiles = state.records.map((r, i) => applyMapping(r, state.mapping, i));
+  }
+
+  /** Parse `text` from `filename`, guess a mapping and return the import summary. */
+  function load(text, filename = '') {
+    const { format, columns, records } = parseRecords(text, filename);
+    if (!records.length) throw new Error(`No records found in ${filename || 'file'}`);
+    state = { name: filename, format, columns, records, mapping: guessMapping(columns) };
+    remap();
+    return info();
+  }
+
+  function setMapping(mapping) {
+    state.mapping = { ...mapping };
+    remap();
+  }
+
+  function info() {
+    const { name, format, columns, records, mapping } = state;
+    return { name, format, columns, count: records.length, mapping: { ...mapping }, sample: records.slice(0, 3) };
+  }
+
+  function fetchProfiles({ borough = '', nta = '' } = {}) {
+    const b = borough.toUpperCase(), n = nta.toUpperCase();
+    if (!b && !n) return profiles;
+    return profiles.filter(p => (!b || String(p.borough || '').toUpperCase() === b)
+      && (!n || String(p.nta || '').toUpperCase() === n));
+  }
+
+  return { id: 'file', label: 'local file', order: 2, load, setMapping, info, fetchProfiles };
+})();
+
+registerSource(FileSource);
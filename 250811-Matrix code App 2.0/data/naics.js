@@ -0,0 +1,77 @@
+/**
+ * NAICS sectors - data/naics.js
+ *
+ * 2-digit NAICS 2017/2022 sector table mapped onto the app's industry buckets
+ * (the keys of JOBS_BY_INDUSTRY in data/nyc.js). DOM-free.
+ */
+
+// code -> [sector title, app industry]. Multi-code sectors (31-33, 44-45, 48-49) list every code.
+export const NAICS_SECTORS = {
+  11: ['Agriculture, Forestry, Fishing and Hunting', 'Agriculture'],
+  21: ['Mining, Quarrying, and Oil and Gas Extraction', 'Energy'],
+  22: ['Utilities', 'Energy'],
+  23: ['Construction', 'Construction'],
+  31: ['Manufacturing', 'Manufacturing'],
+  32: ['Manufacturing', 'Manufacturing'],
+  33: ['Manufacturing', 'Manufacturing'],
+  42: ['Wholesale Trade', 'Retail'],
+  44: ['Retail Trade', 'Retail'],
+  45: ['Retail Trade', 'Retail'],
+  48: ['Transportation and Warehousing', 'Transportation'],
+  49: ['Transportation and Warehousing', 'Transportation'],
+  51: ['Information', 'Media'],
+  52: ['Finance and Insurance', 'Finance'],
+  53: ['Real Estate and Rental and Leasing', 'Real Estate'],
+  54: ['Professional, Scientific, and Technical Services', 'Tech'],
+  55: ['Management of Companies and Enterprises', 'Finance'],
+  56: ['Administrative and Support and Waste Management and Remediation Services', 'Services'],
+  61: ['Educational Services', 'Education'],
+  62: ['Health Care and Social Assistance', 'Healthcare'],
+  71: ['Arts, Entertainment, and Recreation', 'Media'],
+  72: ['Accommodation and Food Services', 'Hospitality'],
+  81: ['Other Services (except Public Administration)', 'Services'],
+  92: ['Public Administration', 'Gov'],
+};
+
+// Sector title (lower-cased) -> app industry, for rows that carry the exact title.
+const INDUSTRY_BY_TITLE = new Map(Object.values(NAICS_SECTORS).map(([title, industry]) => [title.toLowerCase(), industry]));
+
+// Keyword fallbacks for other sector names; first match wins, so 'other services' precedes 'public'
+// ("Other Services (except Public Administration)").
+// Keywords match at the start of a word ('financ' in "Financial", but 'arts' not in "Auto Parts").
+const NAME_KEYWORDS = [
+  ['other services', 'Services'], ['administrative', 'Services'], ['waste management', 'Services'],
+  ['management of companies', 'Finance'],
+  ['retail', 'Retail'], ['wholesale', 'Retail'],
+  ['financ', 'Finance'], ['insurance', 'Finance'],
+  ['health', 'Healthcare'], ['social assistance', 'Healthcare'],
+  ['educat', 'Education'],
+  ['public', 'Gov'], ['government', 'Gov'],
+  ['manufactur', 'Manufacturing'],
+  ['construct', 'Construction'],
+  ['transport', 'Transportation'], ['warehous', 'Transportation'],
+  ['real estate', 'Real Estate'],
+  ['accommodation', 'Hospitality'], ['food service', 'Hospitality'],
+  ['utilit', 'Energy'], ['mining', 'Energy'], ['energy', 'Energy'],
+  ['agricultur', 'Agriculture'],
+  ['arts', 'Media'], ['media', 'Media'], ['information', 'Media'],
+  ['professional', 'Tech'], ['scientific', 'Tech'], ['tech', 'Tech'],
+].map(([kw, industry]) => [new RegExp(`\\b${kw}`), industry]);
+
+/** Sector for a NAICS code of any length ('541511', '44-45', 31): `{ code, title, industry }` or null. */
+export function naicsSector(code) {
+  const m = /^\s*(\d{2})/.exec(String(code ?? ''));
+  if (!m || !NAICS_SECTORS[m[1]]) return null;
+  const [title, industry] = NAICS_SECTORS[m[1]];
+  return { code: m[1], title, industry };
+}
+
+/** App industry for a NAICS code or sector/industry name; null when unrecognised. */
+export function industryForNaics(naicsOrName) {
+  const sector = naicsSector(naicsOrName);
+  if (sector) return sector.industry;
+  const s = String(naicsOrName || '').trim().toLowerCase();
+  if (INDUSTRY_BY_TITLE.has(s)) return INDUSTRY_BY_TITLE.get(s);
+  const hit = NAME_KEYWORDS.find(([re]) => re.test(s));
+  return hit ? hit[1] : null;
+}
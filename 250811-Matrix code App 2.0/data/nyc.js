@@ -4,211 +4,456 @@
  * Minimal client that fetches lightweight records from NYC Open Data (Socrata SODA API)
  * and maps them into the canonical profile schema used by the Matrix rain app.
  *
- * Usage in `main.js`:
- * - Include this script before `main.js`.
- * - Optionally call `configureNYC({ appToken, datasetIds })` to override defaults.
- * - The app calls `NYCProfileService.fetchProfiles({ borough, nta, limit })` on demand.
- * - Results are cached in localStorage for 1 hour per key.
- * - If network fails, falls back to an embedded sample array.
+ * Usage:
+ * - ES module; no DOM or `window` access at import time, so the mapping helpers run in Node.
+ * - Registers itself as the `nyc` source (core/sources.js).
+ * - Optionally call `configureNYC({ appToken, baseUrl, datasetIds, datasets, random, now })` to override defaults.
+ *   `random`/`now` let the app inject a seeded PRNG and a pinned clock for reproducible runs.
+ * - The app calls `NYCProfileService.fetchProfiles({ borough, nta, limit, filters })` on demand.
+ *   Queries are built with data/soql.js and pulled in `$offset` pages, so `limit` can be thousands.
+ * - Results are cached per query in IndexedDB (data/cache.js; 1 hour TTL by default, LRU-evicted).
+ *   Stale results are served at once and refreshed in the background; concurrent identical
+ *   queries share one request. `configureNYC({ cache: { ttlMs, maxEntries, maxBytes } })` tunes it.
+ * - If the network fails or the query matches no rows, falls back to an embedded sample array.
+ *   `getFetchStatus()` says which happened (live / cached / fallback, HTTP status or error
+ *   text, row count) so the app can show it.
  *
- * Datasets (swappable):
+ * Datasets (swappable, each with a field mapping - see DEFAULT_DATASETS):
  * - DEMOGRAPHICS_BY_NTA: an example dataset with NTA, borough, age, income. Replace with a preferred one.
  *   Default demo: ACS 5-year profile by NTA (example id: 'i on i ly f a ke id'). Replace with a real ID.
- * - INDUSTRY_BY_NTA: optional; if present, used to map NAICS to industry/job picklists.
+ * - INDUSTRY_BY_NTA: optional employment by NTA x NAICS code. Joined on NTA so each profile's
+ *   industry (and job title) is sampled from its neighborhood's employment mix; sectors come
+ *   from the 2-digit table in data/naics.js.
+ *
+ * Synthesis: each NTA row is a distribution, not a person. `sampleSize` profiles are spread
+ * across rows by population and drawn from the row's age bands, income quartiles and
+ * gender/education breakdowns (data/synth.js); `getSynthesisReport()` compares the marginals.
  */
 
-(function () {
-  const ONE_HOUR_MS = 60 * 60 * 1000;
-
-  // Configurable constants
-  const DEFAULT_DATASET_IDS = {
-    // NOTE: Replace these IDs with the specific NYC Open Data dataset IDs you prefer.
-    // Examples (you should verify fields and IDs on data.cityofnewyork.us):
-    // - NTA Demographics & income (example placeholder): 'xxxx-xxxx'
-    // - Employment/industry by NTA (placeholder): 'yyyy-yyyy'
-    DEMOGRAPHICS_BY_NTA: 'xxxx-xxxx',
-    INDUSTRY_BY_NTA: 'yyyy-yyyy',
-  };
+import { registerSource } from '../core/sources.js';
+import { SoqlQuery } from './soql.js';
+import { industryForNaics } from './naics.js';
+import { synthesizePopulation, summarizeSynthesis, formatSynthesisReport } from './synth.js';
+import { createCache, clearLegacyLocalStorage } from './cache.js';
 
-  let APP_TOKEN = '';
-  let DATASET_IDS = { ...DEFAULT_DATASET_IDS };
+const CACHE_PREFIX = 'nyc_profiles:';
 
-  function configureNYC(opts = {}) {
-    if (opts.appToken) APP_TOKEN = String(opts.appToken);
-    if (opts.datasetIds) DATASET_IDS = { ...DATASET_IDS, ...opts.datasetIds };
-  }
+// Configurable constants
+// Per-dataset config. `fields` maps canonical keys to dataset columns: when reading a row the
+// first column present wins; filters and `select` use the first entry. `types` types filter
+// literals for those keys. Point the app at any NYC dataset via `configureNYC({ datasets })`.
+const DEFAULT_DATASETS = {
+  // NOTE: Replace these IDs with the specific NYC Open Data dataset IDs you prefer.
+  // Examples (you should verify fields and IDs on data.cityofnewyork.us):
+  // - NTA Demographics & income (example placeholder): 'xxxx-xxxx'
+  // - Employment/industry by NTA (placeholder): 'yyyy-yyyy'
+  DEMOGRAPHICS_BY_NTA: {
+    id: 'xxxx-xxxx',
+    fields: {
+      id: ['id'],
+      name: ['name'],
+      borough: ['borough', 'boro'],
+      nta: ['nta_code', 'ntacode', 'nta'],
+      income: ['median_income', 'income', 'median_household_income'],
+      industry: ['naics', 'industry'],
+      age: ['age', 'age_band'],
+    },
+    types: { income: 'number' },
+    // Per-row breakdowns for population synthesis (data/synth.js); empty = uniform picks.
+    distributions: {
+      population: ['population', 'total_population', 'pop_total'],
+      ageBands: {}, // { '25 to 34 years': ['pop_25_34'], ... }
+      gender: {},   // { female: ['pop_female'], male: ['pop_male'] }
+      education: {}, // { HS: ['edu_hs'], BSc: ['edu_bachelors'], ... }
+      income: { p25: ['income_p25'], p75: ['income_p75'] },
+    },
+    select: null, // e.g. ['borough', 'nta', 'income', 'age'] (canonical keys) to trim payloads
+    order: ':id', // stable order so $offset pages don't overlap
+  },
+  INDUSTRY_BY_NTA: {
+    id: 'yyyy-yyyy',
+    fields: { nta: ['nta_code'], naics: ['naics'], jobs: ['jobs'] },
+    types: { jobs: 'number' },
+    select: null,
+    order: ':id',
+  },
+};
+
+const DEFAULT_BASE_URL = 'https://data.cityofnewyork.us';
+const DEFAULT_PAGE_SIZE = 1000;
+const MAX_ROWS = 50000;
+
+let APP_TOKEN = '';
+let BASE_URL = DEFAULT_BASE_URL;
+let DATASETS = structuredClone(DEFAULT_DATASETS);
+let RANDOM = Math.random;
+let NOW = Date.now;
 
-  // Basic cache layer
-  function getCache(key) {
-    try {
-      const raw = localStorage.getItem(key);
-      if (!raw) return null;
-      const { t, v } = JSON.parse(raw);
-      if (Date.now() - t > ONE_HOUR_MS) return null;
-      return v;
-    } catch { return null; }
+const asColumns = v => (Array.isArray(v) ? v : [v]).filter(Boolean).map(String);
+
+/**
+ * Options: `appToken`, `baseUrl` (e.g. a local stub SODA server), `datasetIds` ({ KEY: 'abcd-1234' }),
+ * `datasets` ({ KEY: { id, fields, types, distributions, select, order } }, merged per key), `random`, `now`,
+ * `cache` ({ ttlMs, maxEntries, maxBytes }).
+ */
+export function configureNYC(opts = {}) {
+  if (opts.appToken) APP_TOKEN = String(opts.appToken);
+  if (opts.baseUrl) BASE_URL = String(opts.baseUrl).replace(/\/+$/, '');
+  if (opts.datasetIds) {
+    for (const [key, id] of Object.entries(opts.datasetIds)) DATASETS[key] = { ...(DATASETS[key] || { fields: {}, types: {} }), id };
   }
-  function setCache(key, v) {
-    try { localStorage.setItem(key, JSON.stringify({ t: Date.now(), v })); } catch {}
+  if (opts.datasets) {
+    for (const [key, cfg] of Object.entries(opts.datasets)) {
+      const prev = DATASETS[key] || { fields: {}, types: {}, select: null, order: ':id' };
+      const fields = { ...prev.fields };
+      for (const [k, cols] of Object.entries(cfg.fields || {})) fields[k] = asColumns(cols);
+      DATASETS[key] = { ...prev, ...cfg, fields, types: { ...prev.types, ...(cfg.types || {}) } };
+    }
   }
+  if (typeof opts.random === 'function') RANDOM = opts.random;
+  if (typeof opts.now === 'function') NOW = opts.now;
+  if (opts.cache) NYCCache.configure(opts.cache).catch(() => {});
+}
 
-  function buildSodaUrl(datasetId, params) {
-    const base = `https://data.cityofnewyork.us/resource/${datasetId}.json`;
-    const usp = new URLSearchParams();
-    for (const [k, v] of Object.entries(params || {})) if (v !== undefined && v !== '') usp.set(k, v);
-    return `${base}?${usp.toString()}`;
-  }
+/** Reset to the built-in datasets and endpoint (tests, or a "restore defaults" action). */
+export function resetNYCConfig() {
+  APP_TOKEN = '';
+  BASE_URL = DEFAULT_BASE_URL;
+  DATASETS = structuredClone(DEFAULT_DATASETS);
+}
+
+export function getDataset(key) { return DATASETS[key]; }
+
+// Dataset column for a canonical key (or the key itself when it isn't mapped).
+function columnFor(ds, key) { return (ds.fields[key] && ds.fields[key][0]) || key; }
 
-  async function sodaFetch(datasetId, queryParams) {
-    const url = buildSodaUrl(datasetId, queryParams);
-    const headers = {};
-    if (APP_TOKEN) headers['X-App-Token'] = APP_TOKEN;
-    const res = await fetch(url, { headers });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    return res.json();
+// Read a canonical key from a row through the dataset mapping.
+function pick(row, fields, key) {
+  for (const col of fields[key] || [key]) if (row[col] !== undefined && row[col] !== '') return row[col];
+  return undefined;
+}
+
+// Cache layer. Values are `{ profiles, report }`; older builds kept them in localStorage.
+export const NYCCache = createCache({ dbName: 'nyc-profile-cache' });
+clearLegacyLocalStorage(CACHE_PREFIX);
+NYCCache.onUpdate((key, value) => {
+  if (key.startsWith(CACHE_PREFIX) && value) lastReport = value.report || null;
+});
+
+function buildSodaUrl(datasetId, params) {
+  const base = `${BASE_URL}/resource/${datasetId}.json`;
+  const usp = new URLSearchParams();
+  for (const [k, v] of Object.entries(params || {})) if (v !== undefined && v !== '') usp.set(k, v);
+  return `${base}?${usp.toString()}`;
+}
+
+/** A non-2xx SODA response; `status` is the HTTP status code. */
+export class SodaError extends Error {
+  constructor(status, url) {
+    super(`HTTP ${status}`);
+    this.name = 'SodaError';
+    this.status = status;
+    this.url = url;
   }
+}
 
-  // Fallback sample profiles if network fails
-  const SAMPLE_PROFILES = [
-    {
-      id: 'smpl-1', name: 'Sample A', age: 24, gender: 'female', job_title: 'Student', industry: 'Education',
-      income_usd: 42000, education: 'BSc', location_city: 'New York', borough: 'Manhattan', nta: 'MN013',
-      relationship_status: 'single', emotional_state: 'curious', activity: 'learning', interests: ['music','ai'],
-      risk_score: 37, last_active: new Date().toISOString(), coords: [358.46,155.65,411.0]
-    },
-    {
-      id: 'smpl-2', name: 'Sample B', age: 35, gender: 'male', job_title: 'Analyst', industry: 'Finance',
-      income_usd: 95000, education: 'MSc', location_city: 'New York', borough: 'Brooklyn', nta: 'BK032',
-      relationship_status: 'married', emotional_state: 'focused', activity: 'commuting', interests: ['chess','biking'],
-      risk_score: 29, last_active: new Date().toISOString(), coords: [402.12,210.22,512.0]
-    }
-  ];
-
-  // Simple mappers/synthesizers
-  const GENDERS = ['female','male','non-binary'];
-  const EDUCATION = ['HS','Associate','BSc','MSc','PhD'];
-  const EMOTIONS = ['focused','stressed','curious','flow','burnout','optimistic','calm','distracted'];
-  const JOBS_BY_INDUSTRY = {
-    Finance: ['Analyst','Trader','Auditor'],
-    Healthcare: ['Nurse','Technician','Assistant'],
-    Tech: ['Engineer','Developer','Data Scientist'],
-    Education: ['Teacher','Student','Researcher'],
-    Retail: ['Associate','Manager','Buyer'],
-    Energy: ['Operator','Engineer','Planner'],
-    Gaming: ['Designer','QA','Artist'],
-    Media: ['Producer','Editor','Reporter'],
-    Gov: ['Clerk','Analyst','Inspector'],
-    Aerospace: ['Engineer','Technician','Planner'],
-  };
+async function sodaFetch(datasetId, queryParams) {
+  const url = buildSodaUrl(datasetId, queryParams);
+  const headers = {};
+  if (APP_TOKEN) headers['X-App-Token'] = APP_TOKEN;
+  const res = await fetch(url, { headers });
+  if (!res.ok) throw new SodaError(res.status, url);
+  return res.json();
+}
 
-  function rand(min, max) { return Math.random() * (max - min) + min; }
-  function randi(min, max) { return Math.floor(rand(min, max)); }
-  function choice(arr) { return arr[randi(0, arr.length)]; }
-
-  function synthesizeProfileFromDemographics(row) {
-    const borough = row.borough || row.boro || '';
-    const nta = row.nta_code || row.ntacode || row.nta || '';
-    const income = toNumber(row.median_income || row.income || row.median_household_income) || randi(30000, 110000);
-    const industry = mapIndustry(row.naics || row.industry || 'Tech');
-    const job = choice(JOBS_BY_INDUSTRY[industry] || ['Worker']);
-    const age = mapAge(row.age || row.age_band || '25-34');
-    const mood = choice(EMOTIONS);
-    const risk = biasRisk(income, mood);
-    return {
-      id: row.id || `${nta}-${Date.now().toString(36).slice(-4)}-${randi(1000,9999)}`,
-      name: row.name || `${choice(['Ava','Mia','Liam','Noah','Emma','Oliver'])} ${choice(['Kim','Lee','Nguyen','Patel','Garcia','Chen'])}`,
-      age,
-      gender: choice(GENDERS),
-      job_title: job,
-      industry,
-      income_usd: income,
-      education: choice(EDUCATION),
-      location_city: 'New York',
-      borough,
-      nta,
-      relationship_status: choice(['single','dating','married','complicated']),
-      emotional_state: mood,
-      activity: choice(['browsing','coding','commuting','meeting','streaming','learning','exercising','shopping']),
-      interests: ['music','ai','biking','reading'].sort(() => Math.random() - 0.5).slice(0, randi(2,5)),
-      risk_score: risk,
-      last_active: new Date(Date.now() - randi(0, 3600 * 1000)).toISOString(),
-      coords: [rand(100, 600).toFixed(2), rand(100, 400).toFixed(2), rand(200, 800).toFixed(1)],
-    };
+/**
+ * Run `query` (a SoqlQuery) in `$offset` pages of `pageSize` until `maxRows` rows
+ * or a short page. The query's own limit/offset are ignored.
+ */
+export async function fetchAllPages(datasetId, query, { pageSize = DEFAULT_PAGE_SIZE, maxRows = DEFAULT_PAGE_SIZE } = {}) {
+  const size = Math.min(Math.max(Math.floor(pageSize), 1), MAX_ROWS);
+  const total = Math.min(Math.max(Math.floor(maxRows), 1), MAX_ROWS);
+  const rows = [];
+  while (rows.length < total) {
+    const want = Math.min(size, total - rows.length);
+    const page = await sodaFetch(datasetId, query.clone().limit(want).offset(rows.length).toParams());
+    if (!Array.isArray(page)) throw new Error('SODA response is not an array of rows');
+    rows.push(...page);
+    if (page.length < want) break;
   }
+  return rows;
+}
 
-  function toNumber(v) { const n = Number(v); return Number.isFinite(n) ? n : undefined; }
-  function mapAge(ageBand) {
-    const band = String(ageBand || '').trim();
-    const map = {
-      'Under 5 years': 3,
-      '5 to 9 years': 7,
-      '10 to 14 years': 12,
-      '15 to 19 years': 17,
-      '20 to 24 years': 22,
-      '25 to 34 years': 29,
-      '35 to 44 years': 39,
-      '45 to 54 years': 49,
-      '55 to 59 years': 57,
-      '60 to 64 years': 62,
-      '65 to 74 years': 70,
-      '75 to 84 years': 80,
-      '85 years and over': 88,
-    };
-    if (map[band] !== undefined) return map[band];
-    const m = /^(\d+)[^\d]+(\d+)/.exec(band);
-    if (m) return Math.round((Number(m[1]) + Number(m[2])) / 2);
-    const n = Number(band);
-    return Number.isFinite(n) ? n : randi(20, 70);
+/**
+ * Build the profile query for a dataset: borough/NTA (case-insensitive) plus typed
+ * `filters` whose `field` may be a canonical key (mapped through `fields`) or a raw column.
+ */
+export function buildDatasetQuery(ds, { borough = '', nta = '', filters = [] } = {}) {
+  const q = new SoqlQuery();
+  if (Array.isArray(ds.select) && ds.select.length) q.select(ds.select.map(k => columnFor(ds, k)));
+  if (borough) q.where({ field: columnFor(ds, 'borough'), op: 'eq', value: borough, ci: true });
+  if (nta) q.where({ field: columnFor(ds, 'nta'), op: 'eq', value: nta, ci: true });
+  for (const f of filters) {
+    q.where({ ...f, field: columnFor(ds, f.field), type: f.type || ds.types[f.field] });
+  }
+  if (ds.order) q.order(ds.order);
+  return q;
+}
+
+// Fallback sample profiles if network fails
+const SAMPLE_PROFILES = [
+  {
+    id: 'smpl-1', name: 'Sample A', age: 24, gender: 'female', job_title: 'Student', industry: 'Education',
+    income_usd: 42000, education: 'BSc', location_city: 'New York', borough: 'Manhattan', nta: 'MN013',
+    relationship_status: 'single', emotional_state: 'curious', activity: 'learning', interests: ['music','ai'],
+    risk_score: 37, last_active: new Date().toISOString(), coords: [358.46,155.65,411.0]
+  },
+  {
+    id: 'smpl-2', name: 'Sample B', age: 35, gender: 'male', job_title: 'Analyst', industry: 'Finance',
+    income_usd: 95000, education: 'MSc', location_city: 'New York', borough: 'Brooklyn', nta: 'BK032',
+    relationship_status: 'married', emotional_state: 'focused', activity: 'commuting', interests: ['chess','biking'],
+    risk_score: 29, last_active: new Date().toISOString(), coords: [402.12,210.22,512.0]
   }
-  function mapIndustry(naicsOrName) {
-    const s = String(naicsOrName || '').toLowerCase();
-    if (s.includes('44') || s.includes('retail')) return 'Retail';
-    if (s.includes('52') || s.includes('finance')) return 'Finance';
-    if (s.includes('62') || s.includes('health')) return 'Healthcare';
-    if (s.includes('61') || s.includes('education')) return 'Education';
-    if (s.includes('51') || s.includes('media')) return 'Media';
-    if (s.includes('92') || s.includes('public')) return 'Gov';
-    if (s.includes('54') || s.includes('tech') || s.includes('information')) return 'Tech';
-    return 'Tech';
+];
+
+// Simple mappers/synthesizers
+const GENDERS = ['female','male','non-binary'];
+const EDUCATION = ['HS','Associate','BSc','MSc','PhD'];
+const EMOTIONS = ['focused','stressed','curious','flow','burnout','optimistic','calm','distracted'];
+const JOBS_BY_INDUSTRY = {
+  Finance: ['Analyst','Trader','Auditor'],
+  Healthcare: ['Nurse','Technician','Assistant'],
+  Tech: ['Engineer','Developer','Data Scientist'],
+  Education: ['Teacher','Student','Researcher'],
+  Retail: ['Associate','Manager','Buyer'],
+  Energy: ['Operator','Engineer','Planner'],
+  Gaming: ['Designer','QA','Artist'],
+  Media: ['Producer','Editor','Reporter'],
+  Gov: ['Clerk','Analyst','Inspector'],
+  Aerospace: ['Engineer','Technician','Planner'],
+  Agriculture: ['Farmer','Grower','Inspector'],
+  Construction: ['Carpenter','Electrician','Site Manager'],
+  Manufacturing: ['Machinist','Assembler','Supervisor'],
+  Transportation: ['Driver','Dispatcher','Courier'],
+  'Real Estate': ['Broker','Agent','Property Manager'],
+  Hospitality: ['Chef','Server','Concierge'],
+  Services: ['Technician','Coordinator','Custodian'],
+};
+
+function rand(min, max) { return RANDOM() * (max - min) + min; }
+function randi(min, max) { return Math.floor(rand(min, max)); }
+function choice(arr) { return arr[randi(0, arr.length)]; }
+function weightedChoice(pairs) {
+  const total = pairs.reduce((sum, [, w]) => sum + w, 0);
+  let roll = RANDOM() * total;
+  for (const [v, w] of pairs) if ((roll -= w) <= 0) return v;
+  return pairs[pairs.length - 1][0];
+}
+function shuffle(arr) {
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = randi(0, i + 1);
+    [out[i], out[j]] = [out[j], out[i]];
   }
-  function biasRisk(income, mood) {
-    let r = rand(10, 90);
-    if (income > 150000) r -= 10;
-    if (income < 40000) r += 10;
-    const moodBias = { burnout: +15, stressed: +10, distracted: +8, focused: -5, calm: -5, flow: -8, optimistic: -3, curious: 0 };
-    r += moodBias[mood] || 0;
-    return Math.max(0, Math.min(100, Math.round(r)));
+  return out;
+}
+
+/**
+ * One profile from a demographics row. With an `industryMix` (see `buildIndustryMix`)
+ * the industry is sampled from the row's NTA employment distribution; otherwise it
+ * comes from the row's own NAICS/industry column. `sampled` carries age/income/gender/
+ * education already drawn from the row's distributions (data/synth.js).
+ */
+export function synthesizeProfileFromDemographics(row, fields = DATASETS.DEMOGRAPHICS_BY_NTA.fields, industryMix = null, sampled = {}) {
+  const get = key => pick(row, fields, key);
+  const borough = get('borough') || '';
+  const nta = get('nta') || '';
+  const income = sampled.income ?? (toNumber(get('income')) || randi(30000, 110000));
+  const mix = industryMix && (industryMix.byNta.get(String(nta).toUpperCase()) || industryMix.overall);
+  const industry = mix && mix.length ? weightedChoice(mix) : mapIndustry(get('industry') || 'Tech');
+  const job = choice(JOBS_BY_INDUSTRY[industry] || ['Worker']);
+  const age = sampled.age ?? mapAge(get('age') || '25-34');
+  const mood = choice(EMOTIONS);
+  const risk = biasRisk(income, mood);
+  return {
+    id: get('id') || `${nta}-${NOW().toString(36).slice(-4)}-${randi(1000,9999)}`,
+    name: get('name') || `${choice(['Ava','Mia','Liam','Noah','Emma','Oliver'])} ${choice(['Kim','Lee','Nguyen','Patel','Garcia','Chen'])}`,
+    age,
+    gender: sampled.gender ?? choice(GENDERS),
+    job_title: job,
+    industry,
+    income_usd: income,
+    education: sampled.education ?? choice(EDUCATION),
+    location_city: 'New York',
+    borough,
+    nta,
+    relationship_status: choice(['single','dating','married','complicated']),
+    emotional_state: mood,
+    activity: choice(['browsing','coding','commuting','meeting','streaming','learning','exercising','shopping']),
+    interests: shuffle(['music','ai','biking','reading']).slice(0, randi(2,5)),
+    risk_score: risk,
+    last_active: new Date(NOW() - randi(0, 3600 * 1000)).toISOString(),
+    coords: [rand(100, 600).toFixed(2), rand(100, 400).toFixed(2), rand(200, 800).toFixed(1)],
+  };
+}
+
+function toNumber(v) { const n = Number(v); return Number.isFinite(n) ? n : undefined; }
+export function mapAge(ageBand) {
+  const band = String(ageBand || '').trim();
+  const map = {
+    'Under 5 years': 3,
+    '5 to 9 years': 7,
+    '10 to 14 years': 12,
+    '15 to 19 years': 17,
+    '20 to 24 years': 22,
+    '25 to 34 years': 29,
+    '35 to 44 years': 39,
+    '45 to 54 years': 49,
+    '55 to 59 years': 57,
+    '60 to 64 years': 62,
+    '65 to 74 years': 70,
+    '75 to 84 years': 80,
+    '85 years and over': 88,
+  };
+  if (map[band] !== undefined) return map[band];
+  const m = /^(\d+)[^\d]+(\d+)/.exec(band);
+  if (m) return Math.round((Number(m[1]) + Number(m[2])) / 2);
+  const n = Number(band);
+  return Number.isFinite(n) ? n : randi(20, 70);
+}
+export function mapIndustry(naicsOrName) {
+  return industryForNaics(naicsOrName) || 'Tech';
+}
+
+/**
+ * Employment distribution per NTA from INDUSTRY_BY_NTA rows (one row per NTA x NAICS code,
+ * weighted by the `jobs` column, or 1 per row when it is missing).
+ * Returns `{ byNta: Map<NTA, [industry, jobs][]>, overall }`; `overall` covers NTAs with no rows.
+ */
+export function buildIndustryMix(rows, fields = DATASETS.INDUSTRY_BY_NTA.fields) {
+  const perNta = new Map();
+  const overall = new Map();
+  for (const row of rows) {
+    const nta = String(pick(row, fields, 'nta') || '').toUpperCase();
+    const industry = industryForNaics(pick(row, fields, 'naics'));
+    const jobs = toNumber(pick(row, fields, 'jobs')) ?? 1;
+    if (!industry || !(jobs > 0)) continue;
+    if (nta) {
+      if (!perNta.has(nta)) perNta.set(nta, new Map());
+      const m = perNta.get(nta);
+      m.set(industry, (m.get(industry) || 0) + jobs);
+    }
+    overall.set(industry, (overall.get(industry) || 0) + jobs);
   }
+  const toPairs = m => [...m.entries()].sort((a, b) => b[1] - a[1]);
+  return {
+    byNta: new Map([...perNta.entries()].map(([nta, m]) => [nta, toPairs(m)])),
+    overall: toPairs(overall),
+  };
+}
 
-  async function fetchProfiles(opts = {}) {
-    const { borough = '', nta = '', limit = 200 } = opts;
-    const cacheKey = `nyc_profiles:${borough}:${nta}:${limit}`;
-    const cached = getCache(cacheKey);
-    if (cached) return cached;
-
-    try {
-      const where = [];
-      if (borough) where.push(`upper(borough) = upper('${borough.replace(/'/g, "''")}')`);
-      if (nta) where.push(`upper(nta_code) = upper('${nta.replace(/'/g, "''")}')`);
-      const params = {
-        $limit: Math.min(Math.max(limit, 1), 500).toString(),
-      };
-      if (where.length) params.$where = where.join(' AND ');
-
-      const rows = await sodaFetch(DATASET_IDS.DEMOGRAPHICS_BY_NTA, params);
-      let profiles = Array.isArray(rows) ? rows.map(synthesizeProfileFromDemographics) : [];
-      if (!profiles.length) profiles = SAMPLE_PROFILES;
-      setCache(cacheKey, profiles);
-      return profiles;
-    } catch (err) {
-      try { console.warn('[NYC] fetch failed, using fallback:', err && err.message); } catch {}
+// Fetch the industry rows for the NTAs we actually have demographics for.
+async function fetchIndustryMix(ntaCodes, { pageSize }) {
+  const ds = DATASETS.INDUSTRY_BY_NTA;
+  if (!ds || !ds.id) return null;
+  const codes = [...new Set(ntaCodes.filter(Boolean).map(String))];
+  // an `in` list keeps the URL small for one borough; fall back to everything for wide pulls
+  const filters = codes.length && codes.length <= 300 ? [{ field: 'nta', op: 'in', value: codes }] : [];
+  const rows = await fetchAllPages(ds.id, buildDatasetQuery(ds, { filters }), { pageSize, maxRows: MAX_ROWS });
+  return buildIndustryMix(rows, ds.fields);
+}
+export function biasRisk(income, mood) {
+  let r = rand(10, 90);
+  if (income > 150000) r -= 10;
+  if (income < 40000) r += 10;
+  const moodBias = { burnout: +15, stressed: +10, distracted: +8, focused: -5, calm: -5, flow: -8, optimistic: -3, curious: 0 };
+  r += moodBias[mood] || 0;
+  return Math.max(0, Math.min(100, Math.round(r)));
+}
+
+let lastReport = null;
+let lastFetch = null;
+
+/** Marginals report for the most recent synthesized batch (see data/synth.js), or null. */
+export function getSynthesisReport() { return lastReport; }
+
+/**
+ * How the most recent `fetchProfiles` call was served, or null before the first one:
+ * `{ state: 'live' | 'cached' | 'fallback', ageMs, httpStatus, detail, rows, profiles }`.
+ */
+export function getFetchStatus() { return lastFetch && { ...lastFetch }; }
+
+export { formatSynthesisReport };
+
+/**
+ * Profiles for the app. Options: `borough`, `nta`, `limit` (total rows, paged),
+ * `filters` (typed SoQL filters, see data/soql.js), `pageSize`, and `sampleSize`
+ * (profiles to synthesize across the rows in proportion to population; defaults to `limit`).
+ */
+export async function fetchProfiles(opts = {}) {
+  const { borough = '', nta = '', limit = 200, filters = [], pageSize = DEFAULT_PAGE_SIZE } = opts;
+  const sampleSize = opts.sampleSize ?? limit;
+  const ds = DATASETS.DEMOGRAPHICS_BY_NTA;
+  const industryId = (DATASETS.INDUSTRY_BY_NTA && DATASETS.INDUSTRY_BY_NTA.id) || '';
+  const cacheKey = `${CACHE_PREFIX}${ds.id}+${industryId}:${borough}:${nta}:${limit}:${sampleSize}:${JSON.stringify(filters)}`;
+
+  try {
+    const { value, cached, age } = await NYCCache.fetch(
+      cacheKey,
+      () => synthesizeBatch(ds, { borough, nta, limit, filters, pageSize, sampleSize }),
+      { store: v => v.profiles.length > 0 }, // an empty answer is re-asked next time, not kept for the TTL
+    );
+    lastReport = value.report || null;
+    if (!value.profiles.length) {
+      // the query matched nothing: say so rather than passing the samples off as live data
+      lastFetch = { state: 'fallback', ageMs: null, httpStatus: null, detail: 'no rows', rows: value.rows ?? 0, profiles: SAMPLE_PROFILES.length };
       return SAMPLE_PROFILES;
     }
+    lastFetch = {
+      state: cached ? 'cached' : 'live', ageMs: cached ? age : null, httpStatus: null, detail: '',
+      rows: value.rows ?? value.profiles.length, profiles: value.profiles.length,
+    };
+    return value.profiles;
+  } catch (err) {
+    try { console.warn('[NYC] fetch failed, using fallback:', err && err.message); } catch {}
+    lastFetch = {
+      state: 'fallback', ageMs: null, httpStatus: (err && err.status) || null,
+      detail: (err && err.message) || 'fetch failed', rows: 0, profiles: SAMPLE_PROFILES.length,
+    };
+    return SAMPLE_PROFILES;
   }
+}
 
-  // Exports
-  window.configureNYC = configureNYC;
-  window.NYCProfileService = { fetchProfiles };
-})();
+// Fetch, join and synthesize one batch; throws on network failure so nothing is cached.
+// A query matching no rows yields no profiles (fetchProfiles reports the fallback).
+async function synthesizeBatch(ds, { borough, nta, limit, filters, pageSize, sampleSize }) {
+  const query = buildDatasetQuery(ds, { borough, nta, filters });
+  const rows = await fetchAllPages(ds.id, query, { pageSize, maxRows: limit });
+  // The industry join is optional: without it we fall back to the row's own NAICS column.
+  let industryMix = null;
+  try {
+    industryMix = await fetchIndustryMix(rows.map(r => pick(r, ds.fields, 'nta')), { pageSize });
+  } catch (err) {
+    try { console.warn('[NYC] industry join skipped:', err && err.message); } catch {}
+  }
+  const synthOpts = { distributions: ds.distributions || {}, incomeCols: ds.fields.income || [] };
+  const profiles = synthesizePopulation(rows, {
+    ...synthOpts,
+    total: rows.length ? sampleSize : 0,
+    random: RANDOM,
+    makeProfile: (row, sampled) => synthesizeProfileFromDemographics(row, ds.fields, industryMix, sampled),
+  });
+  const report = rows.length ? summarizeSynthesis(rows, profiles, { ...synthOpts, ntaOf: r => pick(r, ds.fields, 'nta') || '' }) : null;
+  return { profiles, report, rows: rows.length };
+}
 
+// Exports
+export const NYCProfileService = { fetchProfiles };
 
+registerSource({
+  id: 'nyc',
+  label: 'nyc',
+  order: 1,
+  fetchProfiles: ({ borough, nta, limit, filters }) => fetchProfiles({ borough, nta, limit, filters }),
+  status: getFetchStatus,
+});
@@ -0,0 +1,118 @@
+/**
+ * SoQL query builder - data/soql.js
+ *
+ * Composes Socrata SODA query parameters ($select, $where, $order, $limit,
+ * $offset) with escaped literals and typed filters. DOM-free.
+ *
+ * Filters are plain objects so they can live in CONFIG or a URL:
+ *   { field: 'median_income', op: 'between', value: [40000, 90000], type: 'number' }
+ *   { field: 'age_band', op: 'in', value: ['25 to 34 years', '35 to 44 years'] }
+ *   { field: 'borough', op: 'eq', value: 'Queens', ci: true }   // case-insensitive
+ * Ops: eq ne lt lte gt gte between in not_in like starts_with is_null not_null
+ */
+
+const IDENT = /^:?[A-Za-z_][A-Za-z0-9_]*$/;
+
+/** Validate a column name; anything else is backtick-quoted so it can't inject SoQL. */
+export function soqlIdentifier(name) {
+  const s = String(name);
+  if (IDENT.test(s)) return s;
+  return `\`${s.replace(/`/g, '')}\``;
+}
+
+/** Render a JS value as a SoQL literal, coercing to `type` ('number' | 'text' | 'boolean' | 'date') if given. */
+export function soqlLiteral(value, type) {
+  if (value === null || value === undefined) return 'NULL';
+  if (type === 'number' || (type === undefined && typeof value === 'number')) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) throw new Error(`SoQL: not a number: ${value}`);
+    return String(n);
+  }
+  if (type === 'boolean' || (type === undefined && typeof value === 'boolean')) return value === true || value === 'true' ? 'true' : 'false';
+  if (type === 'date' || value instanceof Date) {
+    const d = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(d.getTime())) throw new Error(`SoQL: not a date: ${value}`);
+    // floating timestamp, no zone suffix
+    return `'${d.toISOString().replace('Z', '')}'`;
+  }
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/** Compile one filter object to a SoQL boolean expression. */
+export function compileFilter({ field, op = 'eq', value, type, ci = false }) {
+  const col = ci ? `upper(${soqlIdentifier(field)})` : soqlIdentifier(field);
+  const lit = v => {
+    const l = soqlLiteral(v, type);
+    return ci && typeof v === 'string' ? `upper(${l})` : l;
+  };
+  const list = () => {
+    const values = Array.isArray(value) ? value : [value];
+    if (!values.length) throw new Error(`SoQL: '${op}' on ${field} needs at least one value`);
+    return values.map(lit).join(', ');
+  };
+  switch (op) {
+    case 'eq': return `${col} = ${lit(value)}`;
+    case 'ne': return `${col} != ${lit(value)}`;
+    case 'lt': return `${col} < ${lit(value)}`;
+    case 'lte': return `${col} <= ${lit(value)}`;
+    case 'gt': return `${col} > ${lit(value)}`;
+    case 'gte': return `${col} >= ${lit(value)}`;
+    case 'between': {
+      const [lo, hi] = value || [];
+      if (lo === undefined || lo === null) return `${col} <= ${lit(hi)}`;
+      if (hi === undefined || hi === null) return `${col} >= ${lit(lo)}`;
+      return `${col} between ${lit(lo)} and ${lit(hi)}`;
+    }
+    case 'in': return `${col} in (${list()})`;
+    case 'not_in': return `${col} not in (${list()})`;
+    case 'like': return `${col} like ${lit(value)}`;
+    case 'starts_with': return `starts_with(${col}, ${lit(value)})`;
+    case 'is_null': return `${col} IS NULL`;
+    case 'not_null': return `${col} IS NOT NULL`;
+    default: throw new Error(`SoQL: unknown filter op '${op}'`);
+  }
+}
+
+export class SoqlQuery {
+  constructor() {
+    this.fields = [];
+    this.conditions = [];
+    this.orders = [];
+    this.limitN = undefined;
+    this.offsetN = undefined;
+  }
+
+  select(...fields) { this.fields.push(...fields.flat().map(soqlIdentifier)); return this; }
+
+  /** Add a typed filter object (see module doc) or a raw, already-escaped expression string. */
+  where(filter) {
+    this.conditions.push(typeof filter === 'string' ? filter : compileFilter(filter));
+    return this;
+  }
+
+  order(field, dir = 'ASC') {
+    this.orders.push(`${soqlIdentifier(field)} ${String(dir).toUpperCase() === 'DESC' ? 'DESC' : 'ASC'}`);
+    return this;
+  }
+
+  limit(n) { this.limitN = Math.max(0, Math.floor(n)); return this; }
+  offset(n) { this.offsetN = Math.max(0, Math.floor(n)); return this; }
+
+  clone() {
+    const q = new SoqlQuery();
+    q.fields = [...this.fields]; q.conditions = [...this.conditions]; q.orders = [...this.orders];
+    q.limitN = this.limitN; q.offsetN = this.offsetN;
+    return q;
+  }
+
+  /** SODA query-string parameters; empty clauses are omitted. */
+  toParams() {
+    const params = {};
+    if (this.fields.length) params.$select = this.fields.join(', ');
+    if (this.conditions.length) params.$where = this.conditions.map(c => (this.conditions.length > 1 ? `(${c})` : c)).join(' AND ');
+    if (this.orders.length) params.$order = this.orders.join(', ');
+    if (this.limitN !== undefined) params.$limit = String(this.limitN);
+    if (this.offsetN !== undefined) params.$offset = String(this.offsetN);
+    return params;
+  }
+}
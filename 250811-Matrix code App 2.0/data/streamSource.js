@@ -0,0 +1,135 @@
+/**
+ * Live stream source - data/streamSource.js
+ *
+ * Profiles pushed over a WebSocket (ws://, wss://) or Server-Sent Events
+ * (http://, https://) endpoint; see core/streaming.js for the accepted messages.
+ * Valid profiles go two ways: into a bounded arrival queue the rain drains to
+ * spawn them right away (`take`), and into a ring of recent profiles served as
+ * the pool batch (`fetchProfiles`). Registers itself as the `stream` source;
+ * the connection opens on the first fetch and closes on `deactivate`.
+ * tools/streamServer.js is a local server to point it at.
+ */
+
+import { registerSource } from '../core/sources.js';
+import { createStreamClient, createBoundedQueue, parseStreamMessage } from '../core/streaming.js';
+
+const RECENT = 500;
+
+export const StreamSource = (() => {
+  let url = '';
+  let heartbeatMs = 15000;
+  let impl = {};
+  let client = null;
+  let state = 'idle';
+  let detail = '';
+  let recent = [];
+  let counts = { received: 0, invalid: 0 };
+  let lastError = '';
+  let warned = false; // one console warning per burst of rejects
+  const queue = createBoundedQueue({ capacity: 64, policy: 'drop-oldest' });
+  const listeners = new Set();
+
+  /**
+   * `{ url, heartbeatMs, WebSocket, fetch }`; an open connection is restarted if the URL changed.
+   * `WebSocket` / `fetch` override the globals (tests).
+   */
+  function configure(opts = {}) {
+    const next = opts.url === undefined ? url : String(opts.url || '').trim();
+    if (opts.heartbeatMs) heartbeatMs = opts.heartbeatMs;
+    if (opts.WebSocket || opts.fetch) impl = { ...impl, ...(opts.WebSocket && { WebSocket: opts.WebSocket }), ...(opts.fetch && { fetch: opts.fetch }) };
+    if (next === url) return;
+    url = next;
+    const wasActive = !!client;
+    disconnect();
+    recent = [];
+    counts = { received: 0, invalid: 0 };
+    lastError = '';
+    warned = false;
+    if (wasActive) connect();
+  }
+
+  function connect() {
+    if (client || !url) return;
+    client = createStreamClient({ url, heartbeatMs, onMessage, onState, ...impl });
+    client.start();
+  }
+
+  function disconnect() {
+    if (!client) return;
+    const c = client;
+    client = null;
+    c.stop();
+    queue.clear();
+    state = 'idle';
+    detail = '';
+    notify();
+  }
+
+  function onState(next, info) {
+    state = next;
+    detail = info;
+    warned = false;
+    notify();
+  }
+
+  function onMessage(text) {
+    const { profiles, errors } = parseStreamMessage(text);
+    if (errors.length) {
+      counts.invalid += errors.length;
+      lastError = errors[0];
+      // a bad producer can send thousands; the rest of the burst only shows in the counts
+      if (!warned) { try { console.warn('[STREAM] rejected message (further rejects are counted in the status):', lastError); } catch {} }
+      warned = true;
+    } else if (profiles.length) {
+      warned = false;
+    }
+    if (!profiles.length) { if (errors.length) notify(); return; }
+    for (const p of profiles) queue.push(p);
+    counts.received += profiles.length;
+    recent = recent.concat(profiles);
+    if (recent.length > RECENT) recent = recent.slice(recent.length - RECENT);
+    notify();
+  }
+
+  function notify() {
+    const s = stats();
+    for (const fn of listeners) { try { fn(s); } catch {} }
+  }
+
+  /** Recent profiles, newest last; opens the connection if needed. */
+  function fetchProfiles({ borough = '', nta = '', limit = 0 } = {}) {
+    connect();
+    const b = borough.toUpperCase(), n = nta.toUpperCase();
+    let list = !b && !n ? recent : recent.filter(p => (!b || String(p.borough || '').toUpperCase() === b)
+      && (!n || String(p.nta || '').toUpperCase() === n));
+    if (limit > 0 && list.length > limit) list = list.slice(list.length - limit);
+    return list;
+  }
+
+  function status() {
+    if (!url) return { state: 'fallback', detail: 'no stream URL', rows: 0 };
+    if (state === 'open') return { state: 'live', detail: counts.invalid ? `${counts.invalid} rejected` : '', rows: counts.received };
+    return { state: 'fallback', detail: state === 'closed' ? detail || 'closed' : `${state}${detail ? ` (${detail})` : ''}`, rows: counts.received };
+  }
+
+  /** Next profile waiting to be spawned, or undefined. */
+  function take() { return queue.shift(); }
+
+  /** `{ url, state, detail, received, invalid, lastError, queued, dropped }` */
+  function stats() {
+    return { url, state, detail, ...counts, lastError, queued: queue.size, dropped: queue.dropped };
+  }
+
+  /** Subscribe to connection and counter changes; returns an unsubscribe function. */
+  function onStatus(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  return {
+    id: 'stream', label: 'live stream', order: 3,
+    fetchProfiles, status, deactivate: disconnect, configure, take, stats, onStatus,
+  };
+})();
+
+registerSource(StreamSource);
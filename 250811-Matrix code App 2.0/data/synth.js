@@ -0,0 +1,243 @@
+/**
+ * Population synthesis - data/synth.js
+ *
+ * Treats each NTA row as a distribution rather than one person: profiles are
+ * allocated across rows in proportion to population, ages are drawn from the
+ * row's age-band counts, incomes from a log-normal fitted to the median (and
+ * quartiles when present), gender/education from the row's breakdowns.
+ * `summarizeSynthesis` compares the synthesized marginals with the source ones.
+ *
+ * DOM-free. Randomness comes in through `random` so data/nyc.js can pass its
+ * (possibly seeded) generator.
+ *
+ * `distributions` config (columns are candidate lists, first present wins):
+ *   {
+ *     population: ['population'],
+ *     ageBands: { '25 to 34 years': ['pop_25_34'], ... },   // keys must be AGE_BANDS labels
+ *     gender: { female: ['pop_f'], male: ['pop_m'] },
+ *     education: { HS: ['edu_hs'], BSc: ['edu_ba'], ... },
+ *     income: { p25: ['income_p25'], p75: ['income_p75'] }, // median comes from fields.income
+ *   }
+ */
+
+// ACS age bands with inclusive age ranges to sample from (85+ capped at 95).
+export const AGE_BANDS = [
+  ['Under 5 years', 0, 4],
+  ['5 to 9 years', 5, 9],
+  ['10 to 14 years', 10, 14],
+  ['15 to 19 years', 15, 19],
+  ['20 to 24 years', 20, 24],
+  ['25 to 34 years', 25, 34],
+  ['35 to 44 years', 35, 44],
+  ['45 to 54 years', 45, 54],
+  ['55 to 59 years', 55, 59],
+  ['60 to 64 years', 60, 64],
+  ['65 to 74 years', 65, 74],
+  ['75 to 84 years', 75, 84],
+  ['85 years and over', 85, 95],
+];
+
+// log-normal spread used when a row only has a median (roughly NYC's household income spread)
+const DEFAULT_INCOME_SIGMA = 0.75;
+// z-score of the 75th percentile of a standard normal
+const Z75 = 0.6745;
+
+const num = v => { const n = Number(v); return Number.isFinite(n) ? n : undefined; };
+const cols = v => (Array.isArray(v) ? v : v ? [v] : []);
+
+function readCol(row, candidates) {
+  for (const c of cols(candidates)) if (row[c] !== undefined && row[c] !== '') return num(row[c]);
+  return undefined;
+}
+
+// [[label, count]] for a breakdown config, dropping missing/zero counts.
+function readBreakdown(row, spec = {}) {
+  return Object.entries(spec)
+    .map(([label, c]) => [label, readCol(row, c)])
+    .filter(([, n]) => n > 0);
+}
+
+/** Pull the distribution columns for one row. `incomeCols` are the median columns from `fields.income`. */
+export function readDistributions(row, distributions = {}, incomeCols = []) {
+  const income = distributions.income || {};
+  return {
+    population: readCol(row, distributions.population),
+    ages: readBreakdown(row, distributions.ageBands),
+    gender: readBreakdown(row, distributions.gender),
+    education: readBreakdown(row, distributions.education),
+    income: { p25: readCol(row, income.p25), p50: readCol(row, incomeCols), p75: readCol(row, income.p75) },
+  };
+}
+
+/** Split `total` into integer counts proportional to `weights` (largest-remainder method). */
+export function allocateByPopulation(weights, total) {
+  const w = weights.map(x => (x > 0 ? x : 0));
+  const sum = w.reduce((a, b) => a + b, 0);
+  if (!sum || total <= 0) return w.map(() => 0);
+  const exact = w.map(x => (x / sum) * total);
+  const counts = exact.map(Math.floor);
+  let left = total - counts.reduce((a, b) => a + b, 0);
+  const order = exact.map((x, i) => [x - counts[i], i]).sort((a, b) => b[0] - a[0] || a[1] - b[1]);
+  for (let k = 0; left > 0; k++, left--) counts[order[k % order.length][1]]++;
+  return counts;
+}
+
+function weighted(pairs, random) {
+  const total = pairs.reduce((s, [, w]) => s + w, 0);
+  let roll = random() * total;
+  for (const [v, w] of pairs) if ((roll -= w) <= 0) return v;
+  return pairs[pairs.length - 1][0];
+}
+
+function gaussian(random) {
+  // Box-Muller; 1 - u keeps log() away from 0
+  const u = 1 - random(), v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/** Age drawn from band counts: pick a band by count, then uniformly within it. */
+export function sampleAgeFromBands(bandCounts, random) {
+  const label = weighted(bandCounts, random);
+  const band = AGE_BANDS.find(([l]) => l === label);
+  if (!band) return undefined;
+  const [, lo, hi] = band;
+  return lo + Math.floor(random() * (hi - lo + 1));
+}
+
+/**
+ * Income from a log-normal with the given median; sigma comes from the quartiles when
+ * both are known, else DEFAULT_INCOME_SIGMA. Rounded to the nearest $100.
+ */
+export function sampleIncome({ p25, p50, p75 }, random) {
+  if (!(p50 > 0)) return undefined;
+  const sigma = p25 > 0 && p75 > p25 ? (Math.log(p75) - Math.log(p25)) / (2 * Z75) : DEFAULT_INCOME_SIGMA;
+  return Math.round(Math.exp(Math.log(p50) + sigma * gaussian(random)) / 100) * 100;
+}
+
+// Row weights: the population column, or the mean known population when missing.
+function populationWeights(dists) {
+  const known = dists.map(d => d.population).filter(p => p > 0);
+  const fill = known.length ? known.reduce((a, b) => a + b, 0) / known.length : 1;
+  return dists.map(d => (d.population > 0 ? d.population : fill));
+}
+
+/**
+ * Synthesize `total` profiles across `rows`.
+ * `makeProfile(row, sampled)` builds one profile; `sampled` holds the drawn age, income,
+ * gender and education (each may be undefined when the row has no data for it).
+ * Rows without a population count weigh the same as the mean known population.
+ */
+export function synthesizePopulation(rows, { total = rows.length, distributions = {}, incomeCols = [], random = Math.random, makeProfile }) {
+  const dists = rows.map(r => readDistributions(r, distributions, incomeCols));
+  const counts = allocateByPopulation(populationWeights(dists), total);
+  const out = [];
+  rows.forEach((row, i) => {
+    const d = dists[i];
+    for (let k = 0; k < counts[i]; k++) {
+      out.push(makeProfile(row, {
+        age: d.ages.length ? sampleAgeFromBands(d.ages, random) : undefined,
+        income: sampleIncome(d.income, random),
+        gender: d.gender.length ? weighted(d.gender, random) : undefined,
+        education: d.education.length ? weighted(d.education, random) : undefined,
+      }));
+    }
+  });
+  return out;
+}
+
+// ---------------------------- Report --------------------------------------
+function shares(map) {
+  const total = [...map.values()].reduce((a, b) => a + b, 0);
+  return Object.fromEntries([...map.entries()].map(([k, v]) => [k, total ? v / total : 0]));
+}
+
+function tvd(p, q) {
+  const keys = new Set([...Object.keys(p), ...Object.keys(q)]);
+  let d = 0;
+  for (const k of keys) d += Math.abs((p[k] || 0) - (q[k] || 0));
+  return d / 2;
+}
+
+function tally(values) {
+  const m = new Map();
+  for (const v of values) if (v !== undefined && v !== null && v !== '') m.set(v, (m.get(v) || 0) + 1);
+  return m;
+}
+
+function median(values) {
+  const s = values.filter(v => Number.isFinite(v)).sort((a, b) => a - b);
+  if (!s.length) return undefined;
+  const mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+export function ageBandOf(age) {
+  const band = AGE_BANDS.find(([, lo, hi]) => age >= lo && age <= hi) || (age > 95 ? AGE_BANDS[AGE_BANDS.length - 1] : null);
+  return band ? band[0] : undefined;
+}
+
+/**
+ * Compare synthesized profiles with the source marginals.
+ * Source breakdowns are normalised per row and weighted by row population, so counts
+ * and percentages both work and the target is what the synthesis actually aims for.
+ * Returns `{ rows, profiles, marginals: { population?, age?, gender?, education? }, income?, maxTvd }`
+ * where each marginal is `{ source, synth, tvd }` (shares per category) and `income`
+ * is the mean absolute relative error of the per-NTA synthesized median vs the source median.
+ */
+export function summarizeSynthesis(rows, profiles, { distributions = {}, incomeCols = [], ntaOf }) {
+  const dists = rows.map(r => readDistributions(r, distributions, incomeCols));
+  const ntas = rows.map(ntaOf);
+  const marginals = {};
+  const add = (name, sourceMap, synthMap) => {
+    if (!sourceMap.size) return;
+    const source = shares(sourceMap), synth = shares(synthMap);
+    marginals[name] = { source, synth, tvd: tvd(source, synth) };
+  };
+  const sumInto = (m, k, v) => m.set(k, (m.get(k) || 0) + v);
+
+  const popSource = new Map();
+  dists.forEach((d, i) => { if (d.population > 0) sumInto(popSource, ntas[i], d.population); });
+  add('population', popSource, tally(profiles.filter(p => popSource.has(p.nta)).map(p => p.nta)));
+
+  const weights = populationWeights(dists);
+  for (const [name, key, toCat] of [['age', 'ages', ageBandOf], ['gender', 'gender', v => v], ['education', 'education', v => v]]) {
+    const src = new Map();
+    const withData = new Set();
+    dists.forEach((d, i) => {
+      if (!d[key].length) return;
+      withData.add(ntas[i]);
+      const rowTotal = d[key].reduce((a, [, v]) => a + v, 0);
+      for (const [k, v] of d[key]) sumInto(src, k, weights[i] * v / rowTotal);
+    });
+    const field = name === 'age' ? 'age' : name;
+    add(name, src, tally(profiles.filter(p => withData.has(p.nta)).map(p => toCat(p[field]))));
+  }
+
+  let income;
+  const errs = [];
+  dists.forEach((d, i) => {
+    if (!(d.income.p50 > 0)) return;
+    const m = median(profiles.filter(p => p.nta === ntas[i]).map(p => p.income_usd));
+    if (m !== undefined) errs.push(Math.abs(m - d.income.p50) / d.income.p50);
+  });
+  if (errs.length) income = { ntas: errs.length, meanRelError: errs.reduce((a, b) => a + b, 0) / errs.length };
+
+  const maxTvd = Math.max(0, ...Object.values(marginals).map(m => m.tvd));
+  return { rows: rows.length, profiles: profiles.length, marginals, income, maxTvd };
+}
+
+const pct = x => `${(x * 100).toFixed(1).padStart(5)}%`;
+
+/** Plain-text rendering of a `summarizeSynthesis` report (console or a <pre>). */
+export function formatSynthesisReport(report, { maxCategories = 14 } = {}) {
+  if (!report) return 'No synthesis report yet.';
+  const lines = [`SYNTHESIS  ${report.profiles} profiles from ${report.rows} rows  (max TVD ${report.maxTvd.toFixed(3)})`];
+  for (const [name, m] of Object.entries(report.marginals)) {
+    lines.push('', `${name.padEnd(11)} TVD ${m.tvd.toFixed(3)}`);
+    const keys = Object.keys(m.source).sort((a, b) => m.source[b] - m.source[a]).slice(0, maxCategories);
+    for (const k of keys) lines.push(`  ${String(k).slice(0, 20).padEnd(20)} src ${pct(m.source[k])}  syn ${pct(m.synth[k] || 0)}`);
+  }
+  if (report.income) lines.push('', `income      median error ${pct(report.income.meanRelError)} over ${report.income.ntas} NTAs`);
+  if (!Object.keys(report.marginals).length && !report.income) lines.push('', 'Source rows carry no distribution columns; see `distributions` in data/nyc.js.');
+  return lines.join('\n');
+}
@@ -2,78 +2,194 @@
  * Matrix-style Profile Stream - main.js
  *
  * README
- * - Single-file vanilla JS driving a canvas-based Matrix rain. No dependencies.
+ * - Vanilla JS (ES modules) driving a canvas-based Matrix rain. No dependencies.
+ * - This file is the canvas/UI layer; the DOM-free data layer lives in `core/` and `data/`
+ *   and is unit-tested in Node (`npm test`).
  * - Each rain column binds to a profile and streams a code-like string.
- * - NYC integration via `data/nyc.js` with caching and offline fallback.
+ * - NYC integration via `data/nyc.js` with an IndexedDB cache (TTL, LRU, stale-while-revalidate) and offline fallback.
+ * - Sources (fake, nyc, local file, live stream, ...) register in `core/sources.js`; drop a CSV/JSON/NDJSON
+ *   file on the page to stream its records after mapping columns onto the profile schema.
+ * - Live stream: pick "live stream" and enter a WebSocket (ws://) or SSE (http://) URL, or `?stream=<url>`.
+ *   Messages are profiles (or arrays / `{ type: 'profile', profile }`) checked against the profile schema;
+ *   invalid ones are counted and dropped. Arrivals spawn a strip (or restart a column) at once with a
+ *   "NEW" flash, at most 6 per second; a bounded queue drops the oldest beyond that. Reconnects with
+ *   backoff; silence past the heartbeat timeout counts as a dead connection.
+ *   `npm run stream-server` starts a local test endpoint (tools/streamServer.js).
  * - Key configs are exposed on the `CONFIG` object and bound to UI controls.
- * - Generators are light-weight arrays with weighted picks; tweak them in `ProfileFactory` below.
+ * - Generators are light-weight arrays with weighted picks; tweak them in `core/profiles.js`.
  *
  * Controls
  * - Density: scales number of columns and per-column glyph density.
  * - Speed: scales baseline drip speed across columns.
  * - Glow: intensifies neon blur. Also affected by CSS variable `--glow`.
  * - Screenshot: downloads canvas PNG.
- * - Theme: Green (default), Cyan, Magenta.
- * - FPS: tiny meter top-left.
+ * - Inspect: hover a strip/column to slow it, click to freeze it and see the full profile, its source,
+ *   copy-as-JSON and Follow (keeps it on screen). Esc or × closes the card.
+ * - Record: captures the canvas as WebM, animated GIF or a PNG-sequence zip (see `ui/recorder.js`).
+ *   Fixed-step renders frames offline at exactly 1/fps so tab lag doesn't stutter the clip.
+ * - StringStyle: JSON, KV, Code, YAML, SQL, CSV, Log, Protobuf, Hexdump, Mixed (random per strip) or a saved template, e.g. `{{job_title}}@{{*nta}} :: {{income_usd|usd}} risk={{*risk_score|bar}}`
+ *   (`*` marks key fields for highlighting; filters: usd, pad, trunc, hex, bar, fixed, upper, lower, default, json, esc, sql, csv).
+ *   Keys, values and punctuation are coloured separately in file strips and glyph columns.
+ * - File mode strips are small source files: a `<id>.<ext>` tab, pretty-printed body with line numbers;
+ *   Max Lines truncates longer documents with an ellipsis. Bitmaps are composed in Web Workers and
+ *   cached per profile/style/text settings/theme; moving a slider cancels strips still in the queue.
+ * - Theme: Green (default), Cyan, Magenta or a saved palette. Edit… opens the theme editor: background,
+ *   head, trail, key-highlight and glow colours plus the strip gradient, previewed live on the rain;
+ *   themes import/export as JSON. The glyph atlas and strip bitmaps are rebuilt on every change.
+ * - Encode: map a profile field onto Hue (numbers: green..red, categories: distinct colours), Speed,
+ *   Size (strip scale / glyph trail length), Glitch frequency and Lane (horizontal bands, e.g. borough).
+ *   Ranges grow with the data seen from the current source; the legend bottom-left explains the mapping.
+ * - Layout: Free, or Lanes — the screen splits into lanes per borough (west to east), or per NTA once
+ *   a borough is picked; each lane streams only its own profiles under a header with the pool count,
+ *   median income and mean risk. Lanes follow the Borough/NTA filters. Overrides the Lane encoding.
+ * - Stats: HUD with running aggregates over the last 512 streamed profiles — count per borough (per NTA
+ *   once a borough is picked), income histogram, risk sparkline, moods and top industries. Click a bar
+ *   to stream only that segment; click it again or the chip to clear. Data changes clear it too.
+ * - Redact: privacy layer applied in DataSource before anything is drawn (strips, columns, inspector,
+ *   stats). Public display hashes ids, masks names, buckets age/income/last active, drops gender and
+ *   relationship status and suppresses NTA + age + job on rows rarer than k=5; Edit… sets a policy per
+ *   field (keep, drop, mask, hash, bucket) and k. A REDACTED badge bottom-right says what is active.
+ *   `?public` turns on public display. Hash salts are per browser.
+ * - Kiosk: for unattended displays; `?kiosk` or the Kiosk button hides the panel and cursor, goes
+ *   fullscreen and plays the scene playlist (Playlist… edits, imports and exports it; each scene is a
+ *   partial CONFIG — mode, style, theme, borough, density, ... — with its own duration) with a crossfade
+ *   between scenes. `?kiosk=lobby:120,night` plays saved presets instead; `refreshMinutes` (or
+ *   `?refresh=`) re-fetches NYC data on a schedule. K shows the panel and pauses; it hides again after
+ *   the idle timeout. Repeated errors or a stalled render loop reload the page.
+ * - Keyboard: Space pause/resume, M mode, S next style, T next theme, F FPS, P screenshot, H hide the
+ *   panel, ↑/↓ speed, →/← density, K kiosk panel, ? help overlay. Ctrl/⌘+K opens the command palette:
+ *   fuzzy search over the shortcuts, every option, checkbox and button in the panel and every CONFIG
+ *   field ("density 1.4", "seed demo"); typing a borough or an NTA code (MN0101) filters to it.
+ * - Renderer: Auto (WebGL2 on a hardware GPU, else Canvas 2D), WebGL2 (also on software GL) or Canvas 2D;
+ *   also `?renderer=`. WebGL2 draws glyphs as instanced quads from the glyph sheet atlas with
+ *   fade, bloom and scanlines in shaders, and falls back to Canvas 2D if the context is lost.
+ * - FPS: tiny meter top-left, suffixed with the active renderer.
+ * - Target FPS: adaptive quality. Below target the governor steps down tiers (glow blur, column and
+ *   strip counts, trail resolution) and back up with headroom, with hysteresis; 0 turns it off.
+ *   Off when seeded. Perf shows the tier and the update/draw frame-time breakdown.
+ * - Data status (header): source state, row count, HTTP status or error text; Retry while failing.
+ * - ?seed=<any>: seeded PRNG + fixed simulation step; same seed and elapsed time give the same frame.
+ * - Presets: every CONFIG field round-trips through the URL hash (only non-default fields, e.g.
+ *   `#d=1.4&th=cyan&w=360`), JSON export/import and named presets in localStorage. The last session
+ *   is restored on load; query params (?source= ?mode= ?style= ?dense ...) override the hash.
+ *   Values are validated and clamped to the control ranges before they reach CONFIG.
  *
  * Structure
  * - initCanvas()/resizeCanvas()
- * - MatrixRain class (offscreen glyph sheet, update/draw with glow layers)
- * - ProfileFactory (plausible fake profile fields; biased risk)
- * - DataSource (fake or NYC); StringPainter (string+color map per profile)
- * - UI bindings and RAF ticker
+ * - MatrixRain class (offscreen glyph sheet, update, draw2D/drawWebGL sharing forEachGlyph)
+ * - core/renderer.js backend choice (software GL detection); ui/webglRain.js WebGL2 backend
+ * - FileStrip; ui/composeStrip.js composeFileBitmap (file mode bitmaps: filename tab, line-number gutter, coloured tokens)
+ * - ui/stripComposer.js worker pool (core/workerPool.js, ui/stripWorker.js) + bitmap cache (core/stripCache.js)
+ * - UI bindings and RAF ticker (start/stop/step, frame timing, perf overlay)
+ * - core/quality.js adaptive quality governor (tiers, hysteresis)
+ * - core/themes.js palette registry + validation; ui/themeEditor.js editor dialog
+ * - core/encoding.js field -> channel mapping and domains; ui/encodingPanel.js Encode row + legend
+ * - core/lanes.js borough/NTA lane partition + header stats (MatrixRain.drawLaneHeaders)
+ * - core/poolStats.js rolling stats window + segments; ui/statsHud.js Stats HUD
+ * - core/redaction.js field policies + k-anonymity (applied by DataSource); ui/redactionPanel.js Redact row, dialog, badge
+ * - core/kiosk.js playlist validation, scene player, reload decision; ui/kiosk.js kiosk mode + playlist editor
+ * - core/commands.js key names + fuzzy command search; ui/commandPalette.js shortcuts, Ctrl+K palette, help overlay
+ * - core/presets.js CONFIG schema, validation, hash/JSON codecs; ui/presets.js preset row + storage
+ * - core/hittest.js strip/column hit-testing; ui/inspector.js hover/freeze/follow + profile card
+ * - ui/recorder.js Record control; core/gif.js + core/zip.js encoders
+ * - core/util.js (PRNG, picks, formatting), core/config.js (CONFIG, seeding)
+ * - core/profiles.js ProfileFactory; core/sources.js registry; core/datasource.js DataSource
+ * - core/fileimport.js + data/fileSource.js + ui/fileImport.js local file source
+ * - core/streaming.js validation, bounded queue, WS/SSE client; data/streamSource.js + ui/streamSettings.js
+ *   live stream source (MatrixRain.spawnArrivals); tools/streamServer.js local SSE/WebSocket echo server
+ * - core/strings.js StringPainter (string + key chars per profile), string style registry, buildLines/buildDocument
+ * - core/templates.js template language for string styles; ui/styleEditor.js saves named templates
+ * - data/nyc.js NYC Open Data client, paging and per-dataset field mapping; data/soql.js query builder; data/naics.js sector table
+ * - data/synth.js population-weighted synthesis per NTA + marginals report (ui/synthReport.js)
+ * - data/cache.js IndexedDB/memory cache with de-duplicated loads; ui/cachePanel.js inspector
+ * - core/status.js DataStatus (live/cached/fallback/error, retry backoff) shown by ui/dataStatus.js
  */
 
+import { random, rand, randi, clamp, formatMoneyUSD } from './core/util.js';
+import { hitTestStrips, hitTestColumns, columnBounds, easeSpeedFactor } from './core/hittest.js';
+import { CONFIG, applySeed } from './core/config.js';
+import { DataSource } from './core/datasource.js';
+import { StringPainter, resolveStringStyle, listStringStyles, getStringStyle, onStringStylesChanged, setLogHost } from './core/strings.js';
+import { configureNYC } from './data/nyc.js';
+import { listSources, getSource, onSourcesChanged } from './core/sources.js';
+import { Recorder, downloadBlob } from './ui/recorder.js';
+import { FileImport } from './ui/fileImport.js';
+import { SynthReport } from './ui/synthReport.js';
+import { CachePanel } from './ui/cachePanel.js';
+import { DataStatusUI } from './ui/dataStatus.js';
+import { StyleEditor } from './ui/styleEditor.js';
+import { Inspector } from './ui/inspector.js';
+import { DataStatus } from './core/status.js';
+import { chooseRenderer } from './core/renderer.js';
+import { createQualityGovernor, ema } from './core/quality.js';
+import { createWebGLRain } from './ui/webglRain.js';
+import { StripComposer } from './ui/stripComposer.js';
+import { applyPreset, validatePreset } from './core/presets.js';
+import { Presets } from './ui/presets.js';
+import { resolveTheme, themeKey, themeCssVars, tintTheme, rgba, parseHex, listThemes, onThemesChanged } from './core/themes.js';
+import { ThemeEditor } from './ui/themeEditor.js';
+import { createEncoder } from './core/encoding.js';
+import { EncodingPanel } from './ui/encodingPanel.js';
+import { partitionLanes, laneFieldFor, laneIndexOf } from './core/lanes.js';
+import { createStatsWindow, matchesSegment } from './core/poolStats.js';
+import { StatsHud } from './ui/statsHud.js';
+import { StreamSource } from './data/streamSource.js';
+import { StreamSettings } from './ui/streamSettings.js';
+import { PUBLIC_DISPLAY } from './core/redaction.js';
+import { RedactionPanel } from './ui/redactionPanel.js';
+import { Kiosk } from './ui/kiosk.js';
+import { CommandPalette, cycleSelect, toggleCheckbox, stepRange } from './ui/commandPalette.js';
+
 // ---------------------------- Utilities ----------------------------------
-const rand = (min, max) => Math.random() * (max - min) + min;
-const randi = (min, max) => Math.floor(rand(min, max));
-const choice = arr => arr[randi(0, arr.length)];
-
-function weightedChoice(pairs) {
-  // pairs: [value, weight]
-  const total = pairs.reduce((s, [, w]) => s + w, 0);
-  let roll = Math.random() * total;
-  for (const [v, w] of pairs) {
-    if ((roll -= w) <= 0) return v;
-  }
-  return pairs[pairs.length - 1][0];
+function nowMs() { return performance.now(); }
+
+// ---------------------------- Config -------------------------------------
+// Startup settings: defaults <- last session <- #hash share link (ui/presets.js, validated and clamped).
+const isSource = id => !!getSource(id);
+applyPreset(CONFIG, Presets.loadLast({ isSource }).values);
+applyPreset(CONFIG, Presets.fromHash(location.hash, { isSource }).values);
+
+// ?seed= (or a seed from the link) has to be applied before the first profile or column is generated
+try {
+  const params = new URLSearchParams(location.search);
+  applySeed(params.has('seed') ? params.get('seed') : CONFIG.seed);
+} catch { applySeed(null); }
+
+// Active palette (core/themes.js). The page takes it as CSS variables; the glyph atlas
+// and strip bitmaps are rebuilt from it, so a change recolours the whole scene.
+let activeTheme = resolveTheme(CONFIG.theme);
+
+// `theme` is a theme id or an unsaved palette (theme editor preview).
+function applyTheme(theme) {
+  const next = typeof theme === 'string' ? resolveTheme(theme) : theme;
+  const changed = themeKey(next) !== themeKey(activeTheme);
+  activeTheme = next;
+  for (const [name, value] of Object.entries(themeCssVars(next))) document.documentElement.style.setProperty(name, value);
+  if (changed) rain.setTheme(next);
 }
 
-function clamp(v, a, b) { return v < a ? a : v > b ? b : v; }
+// Adaptive quality: the FPS meter feeds this; MatrixRain reads `Quality.quality` scales.
+// Off when seeded, since fewer columns/strips would change the seeded sequence.
+const Quality = createQualityGovernor({ targetFps: CONFIG.seed === null ? CONFIG.targetFps : 0 });
+
+// Data encoding (core/encoding.js): profile fields -> hue, speed, size, glitch and lane.
+const Encoding = createEncoder(CONFIG.encoding);
 
-function formatMoneyUSD(n) {
-  const sign = n < 0 ? '-' : '';
-  const x = Math.abs(Math.round(n));
-  return `${sign}$${x.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+// CONFIG.encoding was edited: a different mapping respawns the scene in the new encoding.
+function applyEncoding() {
+  if (Encoding.configure(CONFIG.encoding)) rain.setEncoding();
 }
 
-function nowMs() { return performance.now(); }
+// Stats HUD (core/poolStats.js): running aggregates over the streamed batches, and the
+// segment (one clicked bar) the stream is filtered to, or null.
+const PoolStats = createStatsWindow({ size: 512 });
+let streamSegment = null;
 
-// ---------------------------- Config -------------------------------------
-const CONFIG = {
-  densityScale: 1.0, // 0.2..2.0
-  speedScale: 1.0,   // 0.5..3.0
-  glowIntensity: 0.6, // 0..1
-  theme: 'green',
-  showFps: false,
-  // data controls
-  source: 'fake', // 'fake' | 'nyc'
-  borough: '',    // '', 'Manhattan', 'Brooklyn', 'Queens', 'Bronx', 'Staten Island'
-  nta: '',
-  stringStyle: 'json', // 'json' | 'kv' | 'code'
-  maxColumns: 160,
-  mode: 'file', // 'file' | 'glyph'
-  // file mode text rendering
-  textCfg: { maxWidth: 420, fontSize: 14, lineHeight: 18 },
-  speedMin: 80,
-  speedMax: 160,
-};
-
-// Apply theme class to body
-function applyTheme(theme) {
-  document.body.classList.remove('theme-green', 'theme-cyan', 'theme-magenta');
-  const cls = theme === 'cyan' ? 'theme-cyan' : theme === 'magenta' ? 'theme-magenta' : 'theme-green';
-  document.body.classList.add(cls);
+function setStreamSegment(segment) {
+  streamSegment = segment;
+  StatsHud.setSegment(segment);
+  rain.restartPool();
+  rain.resetColumns();
 }
 
 // ---------------------------- Canvas setup -------------------------------
@@ -82,8 +198,9 @@ const ctx = canvas.getContext('2d');
 
 function initCanvas() { resizeCanvas(); }
 
+// Backing-store size follows devicePixelRatio scaled by the quality tier's trail resolution.
 function resizeCanvas() {
-  const dpr = Math.max(1, Math.min(2, window.devicePixelRatio || 1));
+  const dpr = Math.max(1, Math.min(2, window.devicePixelRatio || 1)) * Quality.quality.trail;
   const { innerWidth: w, innerHeight: h } = window;
   canvas.width = Math.floor(w * dpr);
   canvas.height = Math.floor(h * dpr);
@@ -95,6 +212,12 @@ function resizeCanvas() {
 window.addEventListener('resize', resizeCanvas);
 
 // ---------------------------- Matrix Rain --------------------------------
+// Live stream arrivals (data/streamSource.js): spawned at most ARRIVAL_RATE per second, in bursts of
+// up to ARRIVAL_BURST; the rest waits in the source's bounded queue, which drops the oldest when full.
+const ARRIVAL_RATE = 6;
+const ARRIVAL_BURST = 6;
+const FLASH_SECONDS = 1.5; // "new" outline fade-out
+
 class MatrixRain {
   constructor(ctx) {
     this.ctx = ctx;
@@ -106,6 +229,22 @@ class MatrixRain {
     this.sheet = this.buildGlyphSheet();
     this.profilePool = [];
     this.profileIndex = 0;
+    // lane layout (core/lanes.js): the pool split per borough/NTA, left to right; null in the free layout
+    this.lanes = null;
+    this.stripLane = 0; // round-robin lane for the next file strip
+    this.lanesChanged = false; // a refill re-partitioned into other lanes; update() moves the rain (relayoutLanes)
+    this.arrivalBudget = 0; // stream arrivals that may spawn now (spawnArrivals)
+    this.pendingStrips = 0;
+    // each resetColumns starts a strip generation; aborting the old one drops its queued bitmaps
+    this.stripGeneration = 0;
+    this.stripAbort = new AbortController();
+    this.recolorAbort = new AbortController();
+    this.time = 0; // simulation seconds; drives jitter/pulses instead of performance.now()
+    // rendering backend: `gl` is the ui/webglRain.js backend, null while drawing with Canvas2D
+    this.gl = null;
+    this.renderer = { kind: 'canvas2d', reason: 'default', gpu: '' };
+    this.onRendererChange = null;
+    this.glyphData = new Float32Array(5 * 2048); // x, y, glyph, alpha, hot per instance
     this.resetColumns();
   }
 
@@ -117,69 +256,125 @@ class MatrixRain {
     return (latin + digits + punct + kana).split('');
   }
 
-  buildGlyphSheet() {
-    // prerender characters to an offscreen canvas rows x cols grid
+  buildGlyphSheet(theme = activeTheme) {
+    // prerender characters to a transparent offscreen canvas, rows x cols, once per colour band:
+    // trail, head, key, then the hue-encoding palette if one is mapped
+    // (atlas index = glyph + variant * characters.length)
     const size = this.glyphSize;
     const cols = 32; // per row
-    const rows = Math.ceil(this.characters.length / cols);
+    const count = this.characters.length;
+    const bands = [theme.trail, theme.head, theme.key, ...(Encoding.spec.hue ? Encoding.palette() : [])];
+    const rows = Math.ceil((count * bands.length) / cols);
     const off = document.createElement('canvas');
     off.width = cols * size;
     off.height = rows * size;
     const c = off.getContext('2d');
-    c.fillStyle = '#000';
-    c.fillRect(0, 0, off.width, off.height);
     c.font = `${size - 2}px ui-monospace, monospace`;
     c.textAlign = 'center';
     c.textBaseline = 'middle';
-    for (let i = 0; i < this.characters.length; i++) {
-      const ch = this.characters[i];
-      const x = (i % cols) * size + size / 2;
-      const y = Math.floor(i / cols) * size + size / 2;
-      c.fillStyle = '#0f0';
-      c.shadowBlur = 8;
-      c.shadowColor = '#0f0';
-      c.fillText(ch, x, y);
-    }
+    c.shadowBlur = 8;
+    c.shadowColor = theme.glow;
+    bands.forEach((color, variant) => {
+      c.fillStyle = color;
+      for (let i = 0; i < count; i++) {
+        const at = variant * count + i;
+        c.fillText(this.characters[i], (at % cols) * size + size / 2, Math.floor(at / cols) * size + size / 2);
+      }
+    });
     return { canvas: off, cols, size };
   }
 
+  // New palette: rebuild the atlas, recompose on-screen strips in place and drop
+  // strips still being composed in the old colours (they are respawned).
+  setTheme(theme) {
+    this.sheet = this.buildGlyphSheet(theme);
+    if (this.gl) this.gl.setSheet(this.sheet);
+    StripComposer.clear();
+    this.cancelPendingStrips();
+    this.recolorAbort.abort();
+    this.recolorAbort = new AbortController();
+    const { signal } = this.recolorAbort;
+    for (const s of this.fileStrips) {
+      StripComposer.compose(s.profile, s.style, CONFIG.textCfg, s.tint ? tintTheme(theme, s.tint) : theme, { signal })
+        .then(bitmap => {
+          if (signal.aborted) return;
+          s.bitmap = bitmap;
+          s.w = Math.round(bitmap.width * s.scale);
+          s.h = Math.round(bitmap.height * s.scale);
+        })
+        .catch(() => {});
+    }
+  }
+
+  // New field mapping: the atlas gains/loses the hue bands and everything respawns encoded.
+  setEncoding() {
+    this.sheet = this.buildGlyphSheet();
+    if (this.gl) this.gl.setSheet(this.sheet);
+    Encoding.observe(this.profilePool);
+    this.resetColumns();
+  }
+
   resetColumns() {
-    const w = canvas.clientWidth;
     const h = canvas.clientHeight;
-    const size = this.glyphSize;
-    const density = 0.7 * CONFIG.densityScale; // base density
+    this.cancelPendingStrips();
     if (CONFIG.mode === 'glyph') {
-      const numCols = clamp(Math.max(8, Math.floor((w / size) * density)), 8, CONFIG.maxColumns);
+      // followed columns survive resets too, each taking the free slot nearest its x
+      const kept = this.columns.filter(c => c.followed);
+      const numCols = this.desiredColumns();
       this.columnCount = numCols;
       this.columns.length = 0;
       for (let i = 0; i < numCols; i++) this.columns.push(this.spawnColumn(i, h));
+      const taken = new Set();
+      for (const col of kept) {
+        const want = clamp(Math.round((col.x / canvas.clientWidth) * numCols), 0, numCols - 1);
+        let slot = -1;
+        for (let i = 0; i < numCols; i++) {
+          if (!taken.has(i) && (slot === -1 || Math.abs(i - want) < Math.abs(slot - want))) slot = i;
+        }
+        if (slot === -1) break;
+        taken.add(slot);
+        this.columns[slot] = col;
+      }
       this.fileStrips.length = 0;
     } else {
-      // file mode: maintain N strips based on density
-      const target = clamp(Math.floor(40 * CONFIG.densityScale), 10, 100);
-      this.fileStrips.length = 0;
-      for (let i = 0; i < target; i++) {
-        this.spawnFileStrip().then(strip => { if (strip) this.fileStrips.push(strip); });
-      }
+      // file mode: maintain N strips based on density; followed strips survive resets
+      const target = this.desiredStrips();
+      this.fileStrips = this.fileStrips.filter(s => s.followed);
+      this.fillFileStrips(target);
       this.columns.length = 0;
     }
   }
 
-  spawnColumn(index, screenH) {
+  // `profile` defaults to the next one from the pool (of the column's lane).
+  spawnColumn(index, screenH, profile = null) {
     const size = this.glyphSize;
-    const x = Math.floor(index * (canvas.clientWidth / this.columnCount));
-    const profile = this.takeNextProfile();
+    const frac = index / this.columnCount;
+    // lane layout: a column streams profiles of the lane it sits in; otherwise the lane channel may place it
+    const lane = this.laneAt(frac);
+    profile = profile || this.takeNextProfile(lane);
     const painter = new StringPainter(profile, CONFIG.stringStyle);
+    const enc = Encoding.encode(profile);
+    const x = Math.floor(this.lanes ? frac * canvas.clientWidth : laneX(enc.lane, frac, size));
+    // random draws happen whether or not a channel is mapped, so the seeded sequence holds
+    const y = randi(-screenH, 0);
+    const speed = rand(60, 180);
+    const streamLength = randi(10, 40);
     return {
       x,
-      y: randi(-screenH, 0),
-      speed: rand(60, 180) * CONFIG.speedScale, // px per second
-      streamLength: randi(10, 40),
+      y,
+      speed: (enc.speed === null ? speed : 60 + 120 * enc.speed) * CONFIG.speedScale, // px per second
+      streamLength: enc.size === null ? streamLength : Math.round(10 + 30 * enc.size),
+      lane, // index into this.lanes, -1 in the free layout
+      hue: enc.hue, // hue band of the glyph sheet, or null for the theme trail colour
+      glitch: enc.glitch,
       glyphIndices: Array.from({ length: 80 }, () => randi(0, this.characters.length)),
       drift: rand(-0.2, 0.2),
       painter,
       textBuffer: painter.buildGlyphStream(),
       headHighlightTimer: 0,
+      flash: 0, // 1 -> 0 after a stream arrival
+      // interaction (ui/inspector.js): hover slows, click freezes, follow keeps the profile on screen
+      speedFactor: 1, hovered: false, frozen: false, followed: false,
     };
   }
 
@@ -187,91 +382,187 @@ class MatrixRain {
     const h = canvas.clientHeight;
     const size = this.glyphSize;
     const speedScale = CONFIG.speedScale;
+    this.time += dt;
+    if (this.lanesChanged) this.relayoutLanes();
     if (CONFIG.mode === 'glyph') {
       // Occasionally rebuild columns when density changes or window resized
-      const desiredCols = clamp(Math.max(8, Math.floor((canvas.clientWidth / size) * 0.7 * CONFIG.densityScale)), 8, CONFIG.maxColumns);
-      if (desiredCols !== this.columnCount) { this.resetColumns(); return; }
+      if (this.desiredColumns() !== this.columnCount) { this.resetColumns(); return; }
       for (const col of this.columns) {
-        col.y += col.speed * speedScale * dt;
+        col.speedFactor = easeSpeedFactor(col.speedFactor, col, dt);
+        col.y += col.speed * speedScale * col.speedFactor * dt;
         const headBufferIndex = Math.floor(col.y / size) % col.textBuffer.length;
         if (col.painter && col.painter.isKeyChar(headBufferIndex)) col.headHighlightTimer = 0.28;
-        if (col.y - col.streamLength * size > h + 20) Object.assign(col, this.spawnColumn(Math.random() * this.columnCount, h));
-        if (Math.random() < 0.2) {
+        if (col.y - col.streamLength * size > h + 20) {
+          if (col.followed) col.y = col.streamLength * size; // loop back into view with the same profile
+          else Object.assign(col, this.spawnColumn(random() * this.columnCount, h));
+        }
+        if (random() < (col.glitch === null ? 0.2 : 0.05 + 0.5 * col.glitch)) {
           const idx = randi(0, col.glyphIndices.length);
           col.glyphIndices[idx] = randi(0, this.characters.length);
         }
-        if (Math.random() < 0.002) {
-          col.painter = new StringPainter(this.takeNextProfile(), CONFIG.stringStyle);
+        // an encoded column keeps its profile: its colour, speed and lane stand for that record
+        if (random() < 0.002 && !(col.followed || col.frozen || col.hovered || Encoding.active)) {
+          col.painter = new StringPainter(this.takeNextProfile(col.lane), CONFIG.stringStyle);
           col.textBuffer = col.painter.buildGlyphStream();
         }
         col.headHighlightTimer = Math.max(0, col.headHighlightTimer - dt);
+        if (col.flash > 0) col.flash = Math.max(0, col.flash - dt / FLASH_SECONDS);
       }
     } else {
       // file mode
       // maintain target count
-      const target = clamp(Math.floor(40 * CONFIG.densityScale), 10, 100);
-      if (this.fileStrips.length < target) {
-        const deficit = target - this.fileStrips.length;
-        for (let i = 0; i < deficit; i++) this.spawnFileStrip().then(s => { if (s) this.fileStrips.push(s); });
+      const target = this.desiredStrips();
+      if (this.fileStrips.length + this.pendingStrips < target) {
+        this.fillFileStrips(target);
       } else if (this.fileStrips.length > target) {
-        this.fileStrips.length = target;
+        let excess = this.fileStrips.length - target;
+        this.fileStrips = this.fileStrips.filter(s => s.followed || excess-- <= 0);
       }
       for (const s of this.fileStrips) {
         s.update(dt, h);
       }
     }
+    this.spawnArrivals(dt);
+  }
+
+  // Live stream: profiles pushed by the source spawn right away (rate-limited, see ARRIVAL_RATE).
+  // Nothing is drawn from the PRNG for other sources, so seeded runs are unaffected.
+  spawnArrivals(dt) {
+    if (CONFIG.source !== 'stream') { this.arrivalBudget = 0; return; }
+    this.arrivalBudget = Math.min(ARRIVAL_BURST, this.arrivalBudget + dt * ARRIVAL_RATE);
+    while (this.arrivalBudget >= 1) {
+      const profile = DataSource.redact(StreamSource.take());
+      if (!profile) break;
+      this.arrivalBudget--;
+      Encoding.observe([profile]);
+      if (!matchesSegment(profile, streamSegment)) continue;
+      if (CONFIG.mode === 'glyph') this.spawnArrivalColumn(profile);
+      else this.spawnArrivalStrip(profile);
+    }
+  }
+
+  // Restart the column furthest down the screen (in the profile's lane) at the top with `profile`.
+  spawnArrivalColumn(profile) {
+    const lane = this.laneOf(profile);
+    let pick = -1;
+    this.columns.forEach((col, i) => {
+      if (col.followed || col.frozen || col.hovered || (lane !== -1 && col.lane !== lane)) return;
+      if (pick === -1 || col.y > this.columns[pick].y) pick = i;
+    });
+    if (pick === -1) return;
+    Object.assign(this.columns[pick], this.spawnColumn(pick, canvas.clientHeight, profile), { y: 0, flash: 1 });
+  }
+
+  // Add a strip for `profile` half into view; the oldest strips make room (see update).
+  spawnArrivalStrip(profile) {
+    const lane = this.laneOf(profile);
+    const generation = this.stripGeneration;
+    spawnFileStripFrom(profile, this.stripAbort.signal, lane === -1 ? null : { index: lane, count: this.lanes.length })
+      .then(strip => {
+        if (generation !== this.stripGeneration) return;
+        strip.y = -strip.h / 2;
+        strip.flash = 1;
+        this.fileStrips.push(strip);
+      })
+      .catch(err => {
+        if (err && err.name === 'AbortError') return;
+        try { console.warn('[STRIPS] composition failed', err && err.message); } catch {}
+      });
+  }
+
+  // Column / strip counts from the Density control, scaled by the quality tier.
+  desiredColumns() {
+    const density = 0.7 * CONFIG.densityScale * Quality.quality.columns; // base density
+    return clamp(Math.max(8, Math.floor((canvas.clientWidth / this.glyphSize) * density)), 8, CONFIG.maxColumns);
+  }
+
+  desiredStrips() {
+    return clamp(Math.floor(40 * CONFIG.densityScale * Quality.quality.strips), 10, 100);
+  }
+
+  // Spawn strips up to `target`, counting ones whose bitmaps are still being composed.
+  // Strips finishing after a newer generation started are dropped.
+  fillFileStrips(target) {
+    const deficit = target - this.fileStrips.length - this.pendingStrips;
+    const generation = this.stripGeneration;
+    const { signal } = this.stripAbort;
+    for (let i = 0; i < deficit; i++) {
+      this.pendingStrips++;
+      this.spawnFileStrip(signal)
+        .then(strip => { if (strip && generation === this.stripGeneration) this.fileStrips.push(strip); })
+        .catch(err => {
+          if (err && err.name === 'AbortError') return;
+          try { console.warn('[STRIPS] composition failed', err && err.message); } catch {}
+        })
+        .finally(() => { if (generation === this.stripGeneration) this.pendingStrips--; });
+    }
+  }
+
+  // Start a new strip generation: queued compositions of the old one are aborted.
+  cancelPendingStrips() {
+    this.stripAbort.abort();
+    this.stripAbort = new AbortController();
+    this.stripGeneration++;
+    this.pendingStrips = 0;
+  }
+
+  // Pick the backend for `pref` (core/renderer.js): WebGL2 when allowed, else Canvas2D.
+  setRenderer(pref) {
+    if (this.gl) { this.gl.dispose(); this.gl = null; }
+    let created = null;
+    const choice = chooseRenderer(pref, ({ allowSoftware }) => {
+      const res = createWebGLRain(this.sheet, { allowSoftware, onLost: () => this.onContextLost() });
+      if (res.ok) created = res.backend;
+      return res;
+    });
+    if (choice.kind === 'webgl') this.gl = created;
+    else if (created) created.dispose();
+    this.renderer = choice;
+    if (this.onRendererChange) this.onRendererChange(choice);
+    return choice;
+  }
+
+  onContextLost() {
+    this.gl = null;
+    this.renderer = { kind: 'canvas2d', reason: 'WebGL context lost', gpu: this.renderer.gpu };
+    try { console.warn('[RENDER] WebGL context lost; using Canvas2D'); } catch {}
+    if (this.onRendererChange) this.onRendererChange(this.renderer);
   }
 
   draw() {
+    if (this.gl && !this.gl.lost) this.drawWebGL(this.gl);
+    else this.draw2D();
+  }
+
+  draw2D() {
     const { ctx } = this;
     const w = canvas.clientWidth;
     const h = canvas.clientHeight;
     const size = this.glyphSize;
-    // trail fade
+    // trail fade towards the theme background
     ctx.globalCompositeOperation = 'source-over';
-    ctx.fillStyle = `rgba(0,0,0,0.18)`;
+    ctx.fillStyle = rgba(activeTheme.background, 0.18);
     ctx.fillRect(0, 0, w, h);
 
-    // glow layers: paint dim layer then bright heads
     const glow = clamp(CONFIG.glowIntensity, 0, 1);
-    const baseAlpha = 0.65;
-    const headAlpha = 0.95;
-
-    // precompute sheet
     const { canvas: sheet, cols, size: cell } = this.sheet;
 
     if (CONFIG.mode === 'glyph') {
-      for (const col of this.columns) {
-        let y = col.y;
-        const jitterX = Math.sin(performance.now() / 200 + col.x * 0.01) * 0.6;
-        for (let i = 0; i < col.streamLength; i++) {
-          const bufferIndex = (Math.floor(y / size) - i + 10000) % col.textBuffer.length;
-          const ch = col.textBuffer[bufferIndex];
-          const gi = this.characters.indexOf(ch);
-          const useFiller = gi === -1;
-          const glyphIndex = useFiller ? col.glyphIndices[(i + bufferIndex) % col.glyphIndices.length] : gi;
-          const sx = (glyphIndex % cols) * cell;
-          const sy = Math.floor(glyphIndex / cols) * cell;
-          const isHead = i === 0;
-          const color = getActiveColor();
-          ctx.globalAlpha = isHead ? headAlpha : baseAlpha * (1 - i / col.streamLength);
-          ctx.save();
-          ctx.shadowBlur = 8 + glow * 14;
-          ctx.shadowColor = color;
-          if (!useFiller && (col.painter.isKeyChar(bufferIndex) || (isHead && col.headHighlightTimer > 0))) {
-            const t = (Math.sin(performance.now() / 120) + 1) * 0.5;
-            ctx.globalAlpha *= 0.7 + 0.3 * t;
-          }
-          ctx.drawImage(sheet, sx, sy, cell, cell, col.x + jitterX, y - i * size, size, size);
-          ctx.restore();
-        }
-      }
+      const blur = (8 + glow * 14) * Quality.quality.glow;
+      ctx.save();
+      ctx.shadowColor = activeTheme.glow;
+      this.forEachGlyph((x, y, glyphIndex, alpha, kind) => {
+        ctx.globalAlpha = alpha;
+        ctx.shadowBlur = kind === 'key' && blur > 0 ? blur + 6 : blur; // keys glow harder
+        ctx.drawImage(sheet, (glyphIndex % cols) * cell, Math.floor(glyphIndex / cols) * cell, cell, cell, x, y, size, size);
+      });
+      ctx.restore();
     } else {
       // file mode: draw pre-rendered bitmaps with slight blur and occasional glitch
       for (const s of this.fileStrips) {
         ctx.globalAlpha = 0.95;
         s.draw(ctx);
-        if (Math.random() < 0.003) {
+        if (random() < glitchChance(s)) {
           ctx.globalAlpha = 0.4;
           ctx.save();
           ctx.translate(1, 0);
@@ -281,6 +572,8 @@ class MatrixRain {
         ctx.globalAlpha = 1.0;
       }
     }
+    this.drawOutlines(ctx);
+    this.drawLaneHeaders(ctx);
 
     // 1px scanline overlay subtle
     ctx.globalAlpha = 0.06;
@@ -289,253 +582,334 @@ class MatrixRain {
     ctx.globalAlpha = 1.0;
   }
 
-  takeNextProfile() {
-    if (this.profilePool.length === 0) {
-      this.profilePool = DataSource.getProfiles(64);
-      this.profileIndex = 0;
+  // GPU path (ui/webglRain.js): fade, bloom and scanlines run in shaders; the frame is
+  // copied onto #rain so screenshots, recording and outlines keep using the 2D canvas.
+  drawWebGL(gl) {
+    const { ctx } = this;
+    const w = canvas.clientWidth;
+    const h = canvas.clientHeight;
+    gl.resize(w, h, canvas.width / Math.max(1, w));
+    let count = 0;
+    const strips = [];
+    if (CONFIG.mode === 'glyph') {
+      this.forEachGlyph((x, y, glyphIndex, alpha, kind) => {
+        if ((count + 1) * 5 > this.glyphData.length) {
+          const grown = new Float32Array(this.glyphData.length * 2);
+          grown.set(this.glyphData);
+          this.glyphData = grown;
+        }
+        this.glyphData.set([x, y, glyphIndex, alpha, kind === 'key' ? 1 : 0], count * 5);
+        count++;
+      });
+    } else {
+      for (const s of this.fileStrips) {
+        strips.push({ bitmap: s.bitmap, x: s.x | 0, y: s.y | 0, w: s.w, h: s.h, alpha: 0.95 });
+        // same glitch draw as Canvas2D so the seeded sequence matches across backends
+        if (random() < glitchChance(s)) strips.push({ bitmap: s.bitmap, x: (s.x | 0) + 1, y: s.y | 0, w: s.w, h: s.h, alpha: 0.4 });
+      }
     }
-    const p = this.profilePool[this.profileIndex % this.profilePool.length];
-    this.profileIndex++;
-    return p;
+    if (!gl.render({ glyphs: this.glyphData, count, strips, background: unitRgb(activeTheme.background), glow: clamp(CONFIG.glowIntensity, 0, 1), bloom: Quality.quality.glow })) {
+      this.draw2D();
+      return;
+    }
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = 'copy';
+    ctx.drawImage(gl.canvas, 0, 0, canvas.width, canvas.height);
+    ctx.restore();
+    this.drawOutlines(ctx);
+    this.drawLaneHeaders(ctx);
   }
 
-  async spawnFileStrip() {
-    const profile = this.takeNextProfile();
-    return spawnFileStripFrom(profile);
+  // Visit every visible glyph as (x, y, atlasIndex, alpha, tokenKind); shared by both backends.
+  // The atlas index picks the trail, head or key colour band of the glyph sheet.
+  forEachGlyph(fn) {
+    const count = this.characters.length;
+    const size = this.glyphSize;
+    const baseAlpha = 0.65;
+    const headAlpha = 0.95;
+    const pulse = 0.7 + 0.3 * (Math.sin(this.time * 1000 / 120) + 1) * 0.5;
+    for (const col of this.columns) {
+      const y = col.y;
+      const jitterX = Math.sin(this.time * 5 + col.x * 0.01) * 0.6;
+      for (let i = 0; i < col.streamLength; i++) {
+        const bufferIndex = (Math.floor(y / size) - i + 10000) % col.textBuffer.length;
+        const ch = col.textBuffer[bufferIndex];
+        const gi = this.characters.indexOf(ch);
+        const useFiller = gi === -1;
+        const glyphIndex = useFiller ? col.glyphIndices[(i + bufferIndex) % col.glyphIndices.length] : gi;
+        const isHead = i === 0;
+        let alpha = isHead ? headAlpha : baseAlpha * (1 - i / col.streamLength);
+        let kind = null;
+        if (!useFiller) {
+          // syntax colouring by brightness: punctuation dim, keys glow harder
+          kind = col.painter.tokenKindAt(bufferIndex);
+          if (kind === 'punct') alpha *= 0.55;
+          if (col.painter.isKeyChar(bufferIndex) || (isHead && col.headHighlightTimer > 0)) alpha *= pulse;
+        }
+        const variant = !useFiller && col.painter.isKeyChar(bufferIndex) ? 2 : isHead ? 1 : col.hue === null ? 0 : 3 + col.hue;
+        fn(col.x + jitterX, y - i * size, glyphIndex + variant * count, alpha, kind);
+      }
+    }
   }
-}
 
-// ---------------------------- File Strip -----------------------------------
-class FileStrip {
-  constructor({ bitmap, w, h, x, y, speed }) {
-    this.bitmap = bitmap; this.w = w; this.h = h; this.x = x; this.y = y; this.speed = speed;
-    this._jitterTimer = 0;
+  // Inspector outlines for hovered/frozen/followed columns and strips.
+  drawOutlines(ctx) {
+    const color = getActiveColor();
+    for (const col of this.columns) {
+      if (!(col.hovered || col.frozen || col.followed)) continue;
+      const b = columnBounds(col, this.glyphSize);
+      ctx.save();
+      ctx.globalAlpha = col.frozen ? 0.9 : 0.5;
+      ctx.strokeStyle = color;
+      ctx.setLineDash(col.followed && !col.frozen ? [6, 4] : []);
+      ctx.strokeRect(b.x - 1.5, b.y - 0.5, b.w + 3, b.h + 1);
+      ctx.restore();
+    }
+    for (const s of this.fileStrips) s.drawOutline(ctx, color);
+    // stream arrivals
+    for (const col of this.columns) if (col.flash > 0) drawArrivalFlash(ctx, columnBounds(col, this.glyphSize), col.flash);
+    for (const s of this.fileStrips) if (s.flash > 0) drawArrivalFlash(ctx, { x: s.x | 0, y: s.y | 0, w: s.w, h: s.h }, s.flash);
   }
-  update(dt, H) {
-    this.y += this.speed * dt;
-    this._jitterTimer -= dt;
-    if (this._jitterTimer <= 0) { this.x += (Math.random() - 0.5) * 12; this._jitterTimer = 2 + Math.random() * 2; }
-    if (this.y - this.h > H) { this.y = -this.h; }
+
+  // Lane layout: a header per lane (name, pool count, median income, mean risk) and a faint divider.
+  drawLaneHeaders(ctx) {
+    if (!this.lanes) return;
+    const band = canvas.clientWidth / this.lanes.length;
+    ctx.save();
+    ctx.globalAlpha = 1;
+    ctx.shadowBlur = 0;
+    this.lanes.forEach((lane, i) => {
+      const x = i * band;
+      ctx.fillStyle = rgba(activeTheme.background, 0.75);
+      ctx.fillRect(x, 0, band, 36);
+      if (i > 0) {
+        ctx.fillStyle = rgba(activeTheme.trail, 0.25);
+        ctx.fillRect(Math.round(x), 0, 1, canvas.clientHeight);
+      }
+      const { count, medianIncome, meanRisk } = lane.stats;
+      ctx.fillStyle = activeTheme.head;
+      ctx.font = '12px ui-monospace, monospace';
+      ctx.fillText(lane.label, x + 6, 15, band - 12);
+      ctx.fillStyle = activeTheme.trail;
+      ctx.font = '10px ui-monospace, monospace';
+      const stats = [`n=${count}`];
+      if (medianIncome !== null) stats.push(`med ${formatMoneyUSD(medianIncome)}`);
+      if (meanRisk !== null) stats.push(`risk ${meanRisk.toFixed(0)}`);
+      ctx.fillText(stats.join(' · '), x + 6, 29, band - 12);
+    });
+    ctx.restore();
   }
-  draw(ctx) { ctx.drawImage(this.bitmap, this.x | 0, this.y | 0); }
-}
 
-async function spawnFileStripFrom(profile) {
-  const bitmap = await composeFileBitmap(profile, CONFIG.stringStyle, CONFIG.textCfg);
-  const w = bitmap.width, h = bitmap.height;
-  const x = rand(0, canvas.clientWidth - w);
-  const y = -h - rand(0, canvas.clientHeight);
-  const speed = rand(CONFIG.speedMin, CONFIG.speedMax) * CONFIG.speedScale;
-  return new FileStrip({ bitmap, w, h, x, y, speed });
-}
+  // Lane index at `frac` (0..1) across the canvas, -1 in the free layout.
+  laneAt(frac) {
+    this.ensurePool();
+    return this.lanes ? clamp(Math.floor(frac * this.lanes.length), 0, this.lanes.length - 1) : -1;
+  }
 
-async function composeFileBitmap(profile, style, { maxWidth = 420, fontSize = 14, lineHeight = 18 } = {}) {
-  const lines = buildLines(profile, style, maxWidth, fontSize);
-  const w = Math.min(maxWidth, Math.max(240, Math.max(...lines.map(m => m.width)) + 16));
-  const h = lines.length * lineHeight + 24;
-  const off = new OffscreenCanvas(w, h);
-  const octx = off.getContext('2d');
-  octx.clearRect(0, 0, w, h);
-  octx.font = `${fontSize}px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace`;
-  octx.textBaseline = 'top';
-  const color = getActiveColor();
-  octx.shadowColor = color; octx.shadowBlur = 8;
-  octx.fillStyle = color;
-  octx.globalAlpha = 0.9; octx.fillText('// PROFILE_STREAM', 8, 6); octx.globalAlpha = 1;
-  let y = 24;
-  for (const { text } of lines) { octx.fillText(text, 8, y); y += lineHeight; }
-  const grad = octx.createLinearGradient(0, h - 24, 0, h);
-  grad.addColorStop(0, 'rgba(124,255,178,0)');
-  grad.addColorStop(1, 'rgba(124,255,178,0.45)');
-  octx.fillStyle = grad; octx.fillRect(0, h - 24, w, 24);
-  return createImageBitmap(off);
-}
+  ensurePool() {
+    // refill once the pool is used up so newly fetched/imported records stream in;
+    // the lane layout takes a bigger batch so every lane and its stats have enough profiles
+    if (this.profileIndex < this.profilePool.length) return;
+    const lanes = CONFIG.layout === 'lanes';
+    const want = lanes ? 256 : 64;
+    // a stats HUD segment filters the stream: draw a bigger batch and keep the matches
+    // (the HUD still counts the whole batch; if nothing matches, the filter is cleared
+    // and the HUD says so rather than streaming the whole batch under the filter chip)
+    const batch = DataSource.getProfiles(streamSegment ? want * 4 : want);
+    PoolStats.add(batch);
+    let hits = streamSegment ? batch.filter(p => matchesSegment(p, streamSegment)) : batch;
+    if (!hits.length && streamSegment) {
+      StatsHud.setSegment(null, `nothing in this batch matches ${StatsHud.describeSegment(streamSegment)}; filter cleared`);
+      streamSegment = null;
+      hits = batch;
+    }
+    this.profilePool = hits.slice(0, want);
+    this.profileIndex = 0;
+    Encoding.observe(this.profilePool);
+    const laneKeys = l => l.map(x => x.key).join('\n');
+    const prevKeys = this.lanes && laneKeys(this.lanes);
+    this.lanes = lanes ? partitionLanes(this.profilePool, { field: laneFieldFor(CONFIG) }) : null;
+    // a borough missing from this batch, or NTAs folding into "Other", moves the headers
+    if (prevKeys && this.lanes && laneKeys(this.lanes) !== prevKeys) this.lanesChanged = true;
+  }
 
-function buildLines(profile, style, maxWidth, fontSize) {
-  const canvasTmp = document.createElement('canvas');
-  const c = canvasTmp.getContext('2d');
-  c.font = `${fontSize}px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace`;
-  const text = new StringPainter(profile, style).build(profile, style);
-  const words = text.split(/\s+/);
-  const lines = [];
-  let current = '';
-  for (const w of words) {
-    const test = current ? current + ' ' + w : w;
-    const width = c.measureText(test).width + 16;
-    if (width > maxWidth && current) {
-      lines.push({ text: current, width: c.measureText(current).width });
-      current = w;
-    } else {
-      current = test;
+  // The lane set changed under the rain: columns respawn into the lane at their position and
+  // strips move into the lane of their profile; pinned (followed/frozen/hovered) columns keep
+  // their profile and move to the middle of its lane.
+  relayoutLanes() {
+    this.lanesChanged = false;
+    if (!this.lanes) return;
+    const h = canvas.clientHeight;
+    const band = canvas.clientWidth / this.lanes.length;
+    this.columns.forEach((col, i) => {
+      if (col.followed || col.frozen || col.hovered) {
+        col.lane = this.laneOf(col.painter.profile);
+        if (col.lane !== -1) col.x = Math.floor((col.lane + 0.5) * band);
+      } else {
+        Object.assign(col, this.spawnColumn(i, h), { y: col.y });
+      }
+    });
+    for (const s of this.fileStrips) {
+      const lane = this.laneOf(s.profile);
+      if (lane === -1) continue;
+      const room = s.bounds ? Math.max(1, s.bounds[1] - s.bounds[0] - s.w) : 1;
+      const within = s.bounds ? clamp((s.x - s.bounds[0]) / room, 0, 1) : 0.5;
+      s.bounds = [lane * band, (lane + 1) * band];
+      s.x = s.bounds[0] + within * Math.max(0, band - s.w);
     }
   }
-  if (current) lines.push({ text: current, width: c.measureText(current).width });
-  return lines;
-}
 
+  // Lane of `profile` in the lane layout (core/lanes.js laneIndexOf), -1 in the free layout.
+  laneOf(profile) {
+    this.ensurePool();
+    return this.lanes ? laneIndexOf(this.lanes, laneFieldFor(CONFIG), profile) : -1;
+  }
 
-function getActiveColor() {
-  const body = getComputedStyle(document.body);
-  return body.getPropertyValue('--active').trim() || '#00ff66';
-}
+  // Next profile from the pool, or from lane `lane` (index into this.lanes) in the lane layout.
+  takeNextProfile(lane = -1) {
+    this.ensurePool();
+    const l = this.lanes && this.lanes[lane];
+    const p = l ? l.profiles[l.cursor++ % l.profiles.length] : this.profilePool[this.profileIndex % this.profilePool.length];
+    this.profileIndex++;
+    return p;
+  }
 
-// ---------------------------- Profile Factory -----------------------------
-const ProfileFactory = (() => {
-  const firstNames = ['Ava','Mia','Liam','Noah','Emma','Oliver','Lucas','Amelia','Ethan','Sofia','Zoe','Kai','Nina','Leo','Isla','Maya','Ezra','Ivy','Mila','Aria','Theo','Luna','Finn','Mason','Iris'];
-  const lastNames = ['Kim','Lee','Nguyen','Patel','Garcia','Chen','Smith','Khan','Mori','Silva','Rossi','Santos','Brown','Martin','Lopez','Wilson','Dubois','Kowalski'];
-  const genders = ['female','male','non-binary'];
-  const industries = ['Finance','Healthcare','Tech','Education','Retail','Energy','Gaming','Media','Gov','Aerospace'];
-  const jobs = ['Engineer','Designer','Data Scientist','Analyst','PM','Researcher','Nurse','Teacher','Marketer','Artist','Security','Pilot'];
-  const relationship = ['single','dating','married','complicated'];
-  const education = ['HS','Associate','BSc','MSc','PhD'];
-  const emotional = [
-    ['focused', 3], ['stressed', 2], ['curious', 3], ['flow', 2],
-    ['burnout', 1], ['optimistic', 2], ['calm', 2], ['distracted', 1]
-  ];
-  const cities = ['New York','Berlin','Tokyo','Seoul','Toronto','Paris','Madrid','Sydney','Sao Paulo','Nairobi','Dublin','Singapore'];
-
-  function makeId() {
-    return Math.random().toString(36).slice(2, 8) + '-' + Date.now().toString(36).slice(-4);
-  }
-
-  function sampleIncome(industry) {
-    const base = {
-      Tech: [80000, 220000], Finance: [70000, 250000], Healthcare: [50000, 180000],
-      Education: [35000, 120000], Retail: [30000, 90000], Energy: [60000, 200000],
-      Gaming: [45000, 150000], Media: [40000, 140000], Gov: [40000, 120000], Aerospace: [70000, 210000]
-    }[industry] || [40000, 120000];
-    return Math.round(rand(base[0], base[1]) / 1000) * 1000;
-  }
-
-  function riskFromIncomeAndMood(income, mood) {
-    let r = rand(10, 90);
-    if (income > 150000) r -= 10;
-    if (income < 40000) r += 10;
-    const moodBias = {
-      burnout: +15, stressed: +10, distracted: +8, focused: -5, calm: -5, flow: -8, optimistic: -3, curious: 0
-    };
-    r += moodBias[mood] || 0;
-    return clamp(Math.round(r), 0, 100);
-  }
-
-  function interestsSet() {
-    const pool = ['climbing','reading','ai','music','crypto','gardening','photography','biking','chess','vr','cooking','yoga','travel','gaming'];
-    const n = randi(2, 6);
-    const shuffled = [...pool].sort(() => Math.random() - 0.5);
-    return shuffled.slice(0, n);
-  }
-
-  function generate() {
-    const ind = choice(industries);
-    const job = choice(jobs);
-    const mood = weightedChoice(emotional);
-    const age = randi(18, 70);
-    const inc = sampleIncome(ind);
-    const risk = riskFromIncomeAndMood(inc, mood);
-    const profile = {
-      id: makeId(),
-      name: `${choice(firstNames)} ${choice(lastNames)}`,
-      age,
-      gender: choice(genders),
-      job_title: job,
-      industry: ind,
-      income_usd: inc,
-      education: choice(education),
-      location_city: choice(cities),
-      relationship_status: choice(relationship),
-      emotional_state: mood,
-      activity: choice(['browsing','coding','commuting','meeting','streaming','learning','exercising','shopping']),
-      interests: interestsSet(),
-      risk_score: risk,
-      last_active: new Date(Date.now() - randi(0, 3600 * 1000)).toISOString(),
-    };
-    return profile;
+  // Next spawn takes a fresh batch (layout or stream segment changed).
+  restartPool() {
+    this.profilePool = [];
+    this.profileIndex = 0;
+    this.lanes = null;
+    this.lanesChanged = false;
   }
 
-  return { generate };
-})();
+  // Let followed strips/columns go too on the next reset (their profiles must not outlive a redaction change).
+  releaseFollowed() {
+    for (const s of this.fileStrips) s.followed = false;
+    for (const col of this.columns) col.followed = false;
+  }
 
-// Capsules removed; all rendering occurs in MatrixRain
+  // Drop the current pool so the next spawn pulls from the (possibly new) source or filters.
+  refreshProfiles() {
+    this.restartPool();
+    Encoding.reset(); // value ranges are per source
+    PoolStats.clear();
+  }
 
-// ---------------------------- Data Source ---------------------------------
-const DataSource = (() => {
-  let cachedProfiles = [];
-  function getProfiles(wantCount) {
-    if (CONFIG.source === 'nyc' && typeof NYCProfileService !== 'undefined') {
-      if (cachedProfiles.length === 0) cachedProfiles = generateFakeBatch(wantCount);
-      NYCProfileService.fetchProfiles({ borough: CONFIG.borough, nta: CONFIG.nta, limit: 400 })
-        .then(list => { if (Array.isArray(list) && list.length) cachedProfiles = list; })
-        .catch(() => {});
-      return takeLoop(cachedProfiles, wantCount);
-    }
-    if (cachedProfiles.length < wantCount) cachedProfiles = generateFakeBatch(Math.max(wantCount, 128));
-    return takeLoop(cachedProfiles, wantCount);
+  async spawnFileStrip(signal) {
+    this.ensurePool();
+    const lane = this.lanes ? this.stripLane++ % this.lanes.length : -1;
+    const profile = this.takeNextProfile(lane);
+    return spawnFileStripFrom(profile, signal, lane === -1 ? null : { index: lane, count: this.lanes.length });
   }
-  function generateFakeBatch(n) { return Array.from({ length: n }, () => ProfileFactory.generate()); }
-  function takeLoop(arr, n) {
-    const out = [];
-    for (let i = 0; i < n; i++) out.push(arr[i % arr.length]);
-    return out;
+
+  /** Strip or glyph column under a canvas point (CSS px), or null. */
+  hitTest(x, y) {
+    if (CONFIG.mode === 'glyph') return hitTestColumns(this.columns, x, y, this.glyphSize);
+    return hitTestStrips(this.fileStrips, x, y);
   }
-  return { getProfiles };
-})();
+}
 
-// ---------------------------- String Painter -------------------------------
-class StringPainter {
-  constructor(profile, mode) {
+// ---------------------------- File Strip -----------------------------------
+class FileStrip {
+  constructor({ bitmap, w, h, x, y, speed, profile, style, tint = null, scale = 1, glitch = null, bounds = null }) {
+    this.bitmap = bitmap; this.w = w; this.h = h; this.x = x; this.y = y; this.speed = speed;
     this.profile = profile;
-    this.mode = mode;
-    this.string = this.buildString(profile, mode);
-    this.keyCharPositions = this.computeKeyPositions(this.string);
+    this.style = style; // concrete string style, so a theme change can recompose the same document
+    // data encoding: hue colour (or null = theme trail), draw scale of the bitmap, glitch 0..1 (or null)
+    this.tint = tint; this.scale = scale; this.glitch = glitch;
+    this.bounds = bounds; // [left, right] of its lane: jitter stays inside
+    this.flash = 0; // 1 -> 0 after a stream arrival
+    this._jitterTimer = 0;
+    // interaction (ui/inspector.js)
+    this.speedFactor = 1; this.hovered = false; this.frozen = false; this.followed = false;
   }
-
-  build(profile, mode) { return this.buildString(profile, mode); }
-
-  buildString(p, mode) {
-    if (mode === 'kv') {
-      const profileLabel = `${p.job_title || 'Agent'}+${(p.gender||'U')[0].toUpperCase()}+${p.age||'?'}`;
-      return `profile=${profileLabel} | nta=${p.nta || ''} | mood=${p.emotional_state || ''} | income=${formatMoneyUSD(p.income_usd || 0)} | risk=${p.risk_score ?? ''}`;
-    }
-    if (mode === 'code') {
-      const idHex = (p.id || '0000').replace(/[^a-fA-F0-9]/g, '').slice(-4) || 'A1C3';
-      return `let p=Agent( id:0x${idHex}, age:${p.age||'?'}, job:"${p.job_title||'Worker'}", mood:"${p.emotional_state||''}", nta:"${p.nta||''}", income:${p.income_usd||0} );`;
+  update(dt, H) {
+    this.speedFactor = easeSpeedFactor(this.speedFactor, this, dt);
+    this.y += this.speed * this.speedFactor * dt;
+    if (this.flash > 0) this.flash = Math.max(0, this.flash - dt / FLASH_SECONDS);
+    this._jitterTimer -= dt;
+    if (this._jitterTimer <= 0) {
+      // random() is drawn either way so interacting doesn't shift the seeded sequence
+      const jx = (random() - 0.5) * 12;
+      if (this.speedFactor > 0.9) this.x += jx;
+      if (this.bounds) this.x = clamp(this.x, this.bounds[0], Math.max(this.bounds[0], this.bounds[1] - this.w));
+      this._jitterTimer = 2 + random() * 2;
     }
-    // default json
-    const profileLabel = `${p.job_title || 'Agent'}+${(p.gender||'U')[0].toUpperCase()}+${p.age||'?'}
-`;
-    const coords = p.coords || [rand(100, 600).toFixed(2), rand(100, 400).toFixed(2), rand(200, 800).toFixed(1)];
-    const obj = {
-      profile: profileLabel.replace(/\n/g, ''),
-      nta: p.nta || '',
-      income: p.income_usd || 0,
-      mood: p.emotional_state || '',
-      coords: coords,
-    };
-    return JSON.stringify(obj);
+    if (this.y - this.h > H) { this.y = this.followed ? 0 : -this.h; }
   }
-
-  buildGlyphStream() {
-    const filler = 'ｱｲｳｴｵ0123456789<>[]{}-=+*/$%';
-    const core = Array.from(this.string);
-    const pad = 40;
-    const left = Array.from({ length: pad }, () => filler[randi(0, filler.length)]);
-    const right = Array.from({ length: pad }, () => filler[randi(0, filler.length)]);
-    return left.concat(core, right);
+  draw(ctx) {
+    ctx.drawImage(this.bitmap, this.x | 0, this.y | 0, this.w, this.h);
   }
-
-  computeKeyPositions(str) {
-    const keys = ['profile', 'nta', 'income', 'mood', 'risk'];
-    const pos = new Set();
-    for (const k of keys) {
-      const idx = str.indexOf(k);
-      if (idx >= 0) for (let i = 0; i < k.length; i++) pos.add(idx + i);
-    }
-    return pos;
+  drawOutline(ctx, color) {
+    if (!(this.hovered || this.frozen || this.followed)) return;
+    ctx.save();
+    ctx.globalAlpha = this.frozen ? 0.9 : 0.5;
+    ctx.strokeStyle = color;
+    ctx.setLineDash(this.followed && !this.frozen ? [6, 4] : []);
+    ctx.strokeRect((this.x | 0) + 0.5, (this.y | 0) + 0.5, this.w - 1, this.h - 1);
+    ctx.restore();
   }
+}
 
-  isKeyChar(bufferIndex) {
-    return this.keyCharPositions.has((bufferIndex - 40 + this.string.length * 10000) % this.string.length);
-  }
+// `lane` ({ index, count }) pins the strip to a layout lane; otherwise the lane channel may place it.
+async function spawnFileStripFrom(profile, signal, lane = null) {
+  // Draw placement before awaiting so the PRNG sequence doesn't depend on bitmap timing
+  const fx = random(), fy = random();
+  const enc = Encoding.encode(profile);
+  const baseSpeed = rand(CONFIG.speedMin, CONFIG.speedMax);
+  const speed = (enc.speed === null ? baseSpeed : CONFIG.speedMin + (CONFIG.speedMax - CONFIG.speedMin) * enc.speed) * CONFIG.speedScale;
+  const style = resolveStringStyle(CONFIG.stringStyle).id; // `mixed` picks here, before awaiting
+  const tint = enc.hue === null ? null : Encoding.palette()[enc.hue];
+  const scale = enc.size === null ? 1 : 0.7 + 0.6 * enc.size;
+  const bitmap = await StripComposer.compose(profile, style, CONFIG.textCfg, tint ? tintTheme(activeTheme, tint) : activeTheme, { signal });
+  const w = Math.round(bitmap.width * scale), h = Math.round(bitmap.height * scale);
+  const x = laneX(lane || enc.lane, fx, w);
+  const y = -h - fy * canvas.clientHeight;
+  const band = lane && canvas.clientWidth / lane.count;
+  const bounds = lane ? [lane.index * band, (lane.index + 1) * band] : null;
+  return new FileStrip({ bitmap, w, h, x, y, speed, profile, style, tint, scale, glitch: enc.glitch, bounds });
+}
+
+// Left edge for something `itemW` wide at `frac` (0..1) across its lane (core/encoding.js), or the canvas.
+function laneX(lane, frac, itemW) {
+  const W = canvas.clientWidth;
+  if (!lane) return frac * (W - itemW);
+  const band = W / lane.count;
+  return lane.index * band + frac * Math.max(0, band - itemW);
+}
+
+// Bright outline and a "NEW" tag around a stream arrival's bounds; `t` fades from 1 to 0.
+function drawArrivalFlash(ctx, { x, y, w, h }, t) {
+  ctx.save();
+  ctx.globalAlpha = t;
+  ctx.strokeStyle = activeTheme.head;
+  ctx.lineWidth = 2;
+  ctx.shadowColor = activeTheme.glow;
+  ctx.shadowBlur = 12 * t;
+  ctx.strokeRect(x - 2, y - 1, w + 4, h + 2);
+  ctx.shadowBlur = 0;
+  const tagY = clamp(y, 0, canvas.clientHeight - 14);
+  ctx.fillStyle = activeTheme.head;
+  ctx.fillRect(x - 2, tagY, 30, 14);
+  ctx.fillStyle = activeTheme.background;
+  ctx.font = 'bold 10px ui-monospace, monospace';
+  ctx.fillText('NEW', x + 2, tagY + 11);
+  ctx.restore();
+}
+
+// Per-frame chance of the file-strip ghost glitch; the glitch channel spreads it out.
+function glitchChance(strip) {
+  return strip.glitch === null ? 0.003 : 0.0005 + 0.02 * strip.glitch;
+}
+
+// #rrggbb -> [r, g, b] in 0..1 for shader uniforms; anything else maps to black.
+function unitRgb(color) {
+  return (parseHex(color) || [0, 0, 0]).map(v => v / 255);
+}
+
+function getActiveColor() {
+  return activeTheme.trail;
 }
 
 // ---------------------------- UI Bindings ---------------------------------
@@ -550,38 +924,217 @@ const UI = (() => {
     });
     qs('mode').addEventListener('change', e => { CONFIG.mode = e.target.value; rain.resetColumns(); });
     qs('stringStyle').addEventListener('change', e => { CONFIG.stringStyle = e.target.value; rain.resetColumns(); });
-    qs('source').addEventListener('change', e => { CONFIG.source = e.target.value; triggerDataRefresh(); });
+    qs('btnStyleEdit').addEventListener('click', () => StyleEditor.open(CONFIG.stringStyle));
+    renderStyleOptions();
+    onStringStylesChanged(renderStyleOptions);
+    renderSourceOptions();
+    onSourcesChanged(() => { renderSourceOptions(); renderSourceSettings(); });
+    qs('source').addEventListener('change', e => { CONFIG.source = e.target.value; renderSourceSettings(); triggerDataRefresh(); });
     qs('borough').addEventListener('change', e => { CONFIG.borough = e.target.value; triggerDataRefresh(); });
     qs('nta').addEventListener('change', e => { CONFIG.nta = e.target.value.trim(); triggerDataRefresh(); });
+    qs('layout').addEventListener('change', e => { CONFIG.layout = e.target.value; rain.restartPool(); rain.resetColumns(); });
     document.getElementById('btnRefresh').addEventListener('click', triggerDataRefresh);
     qs('stripWidth').addEventListener('input', e => { CONFIG.textCfg.maxWidth = parseInt(e.target.value, 10); if (CONFIG.mode==='file') rain.resetColumns(); });
     qs('fontSize').addEventListener('input', e => { CONFIG.textCfg.fontSize = parseInt(e.target.value, 10); if (CONFIG.mode==='file') rain.resetColumns(); });
     qs('lineHeight').addEventListener('input', e => { CONFIG.textCfg.lineHeight = parseInt(e.target.value, 10); if (CONFIG.mode==='file') rain.resetColumns(); });
+    qs('maxLines').addEventListener('input', e => { CONFIG.textCfg.maxLines = parseInt(e.target.value, 10); if (CONFIG.mode==='file') rain.resetColumns(); });
     qs('theme').addEventListener('change', e => { CONFIG.theme = e.target.value; applyTheme(CONFIG.theme); });
+    qs('btnThemeEdit').addEventListener('click', () => ThemeEditor.open(CONFIG.theme));
+    renderThemeOptions();
+    onThemesChanged(renderThemeOptions);
+    qs('renderer').addEventListener('change', e => { CONFIG.renderer = e.target.value; rain.setRenderer(CONFIG.renderer); });
+    qs('targetFps').addEventListener('change', e => {
+      CONFIG.targetFps = clamp(parseInt(e.target.value, 10) || 0, 0, 240);
+      e.target.value = String(CONFIG.targetFps);
+      if (CONFIG.seed === null) Quality.setTarget(CONFIG.targetFps);
+    });
+    qs('showPerf').addEventListener('change', e => { CONFIG.showPerf = e.target.checked; perfEl.hidden = !CONFIG.showPerf; });
     qs('showFps').addEventListener('change', e => { CONFIG.showFps = e.target.checked; fpsEl.style.opacity = CONFIG.showFps ? '0.9' : '0'; });
+    qs('showStats').addEventListener('change', e => { CONFIG.showStats = e.target.checked; StatsHud.setVisible(CONFIG.showStats); });
+    StatsHud.bind({ stats: PoolStats, placeField: () => laneFieldFor(CONFIG), onSegment: setStreamSegment });
+    EncodingPanel.bind({ encoder: Encoding, onChange: (channel, field) => { CONFIG.encoding[channel] = field; applyEncoding(); } });
+    RedactionPanel.bind({ onChange: useRedaction });
+    DataSource.onRedaction(RedactionPanel.renderBadge);
     qs('btnShot').addEventListener('click', screenshot);
 
-    // URL params presets
+    // Query params (?source= ?mode= ?style= ?borough= ?nta= ?stream= ?renderer= ?dense ?fast ?public) override the hash
     try {
       const params = new URLSearchParams(location.search);
-      const source = params.get('source');
-      const mode = params.get('mode');
-      const style = params.get('style');
-      const borough = params.get('borough');
-      const nta = params.get('nta');
-      if (source) { document.getElementById('source').value = source; CONFIG.source = source; }
-      if (mode) { document.getElementById('mode').value = mode.toLowerCase(); CONFIG.mode = mode.toLowerCase(); }
-      if (style) { document.getElementById('stringStyle').value = style.toLowerCase(); CONFIG.stringStyle = style.toLowerCase(); }
-      if (borough) { document.getElementById('borough').value = borough; CONFIG.borough = borough; }
-      if (nta) { document.getElementById('nta').value = nta; CONFIG.nta = nta; }
-      if (params.has('dense')) { document.getElementById('density').value = '1.6'; document.getElementById('density').dispatchEvent(new Event('input')); }
-      if (params.has('fast')) { document.getElementById('speed').value = '2.0'; document.getElementById('speed').dispatchEvent(new Event('input')); }
+      const query = {};
+      for (const key of ['source', 'borough', 'nta']) if (params.has(key)) query[key] = params.get(key);
+      for (const key of ['mode', 'renderer']) if (params.has(key)) query[key] = params.get(key).toLowerCase();
+      if (params.has('stream')) query.streamUrl = params.get('stream');
+      const style = (params.get('style') || '').toLowerCase();
+      if (style && getStringStyle(style)) query.stringStyle = style;
+      if (params.has('dense')) query.densityScale = 1.6;
+      if (params.has('fast')) query.speedScale = 2.0;
+      if (params.has('public')) query.redaction = { ...PUBLIC_DISPLAY, fields: { ...PUBLIC_DISPLAY.fields } };
+      applyPreset(CONFIG, validatePreset(query, { isSource, fromText: true }).values);
       const token = params.get('NYC_APP_TOKEN');
-      if (token && typeof configureNYC === 'function') configureNYC({ appToken: token });
-      if (CONFIG.source === 'nyc') triggerDataRefresh();
+      if (token) configureNYC({ appToken: token });
     } catch {}
+    syncControls();
+    if (CONFIG.source !== 'fake') triggerDataRefresh();
+    rain.onRendererChange = showRenderer;
+    rain.setRenderer(CONFIG.renderer);
+
+    Presets.bind({ getConfig: () => CONFIG, onApply: applyScene, isSource });
+    // keep the last session and the address-bar share link up to date
+    qs('controls').addEventListener('input', schedulePersist);
+    qs('controls').addEventListener('change', schedulePersist);
+    window.addEventListener('hashchange', () => {
+      if (location.hash.slice(1) !== Presets.hashFor(CONFIG)) applyScene(Presets.fromHash(location.hash, { isSource }).values);
+    });
+  }
+
+  // Write CONFIG into #controls and apply the side effects the control handlers would have.
+  function syncControls() {
+    const qs = id => document.getElementById(id);
+    qs('density').value = String(CONFIG.densityScale);
+    qs('speed').value = String(CONFIG.speedScale);
+    qs('glow').value = String(CONFIG.glowIntensity);
+    document.documentElement.style.setProperty('--glow', CONFIG.glowIntensity.toString());
+    qs('mode').value = CONFIG.mode;
+    renderStyleOptions();
+    renderSourceOptions();
+    renderSourceSettings();
+    qs('borough').value = CONFIG.borough;
+    qs('nta').value = CONFIG.nta;
+    qs('layout').value = CONFIG.layout;
+    qs('stripWidth').value = String(CONFIG.textCfg.maxWidth);
+    qs('fontSize').value = String(CONFIG.textCfg.fontSize);
+    qs('lineHeight').value = String(CONFIG.textCfg.lineHeight);
+    qs('maxLines').value = String(CONFIG.textCfg.maxLines);
+    renderThemeOptions();
+    applyTheme(CONFIG.theme);
+    qs('renderer').value = CONFIG.renderer;
+    qs('showFps').checked = CONFIG.showFps;
+    fpsEl.style.opacity = CONFIG.showFps ? '0.9' : '0';
+    qs('targetFps').value = String(CONFIG.targetFps);
+    if (CONFIG.seed === null) Quality.setTarget(CONFIG.targetFps);
+    qs('showPerf').checked = CONFIG.showPerf;
+    perfEl.hidden = !CONFIG.showPerf;
+    qs('showStats').checked = CONFIG.showStats;
+    StatsHud.setVisible(CONFIG.showStats);
+    StreamSource.configure({ url: CONFIG.streamUrl });
+    applyEncoding();
+    EncodingPanel.sync(CONFIG.encoding);
+    RedactionPanel.sync(CONFIG.redaction);
+  }
+
+  // Apply validated preset values (picker, JSON import, pasted link, kiosk scene) to the running scene.
+  // Kiosk scenes pass `persist: false` so the saved session and the link keep the kiosk's base settings.
+  function applyScene(values, { persist = true } = {}) {
+    const prev = { ...CONFIG };
+    const dataKey = () => JSON.stringify([CONFIG.source, CONFIG.borough, CONFIG.nta, CONFIG.filters, CONFIG.rowLimit, CONFIG.layout, CONFIG.streamUrl, CONFIG.redaction]);
+    const prevData = dataKey();
+    const prevRedaction = JSON.stringify(CONFIG.redaction);
+    applyPreset(CONFIG, values);
+    if (CONFIG.seed !== prev.seed) {
+      applySeed(CONFIG.seed);
+      StripComposer.configure({ inline: CONFIG.seed !== null });
+      Quality.setTarget(CONFIG.seed === null ? CONFIG.targetFps : 0);
+    }
+    syncControls();
+    if (CONFIG.renderer !== prev.renderer) rain.setRenderer(CONFIG.renderer);
+    if (JSON.stringify(CONFIG.redaction) !== prevRedaction) concealShown();
+    if (dataKey() !== prevData) triggerDataRefresh();
+    else rain.resetColumns();
+    if (persist) schedulePersist();
+  }
+
+  let persistTimer = 0;
+  function schedulePersist() {
+    clearTimeout(persistTimer);
+    persistTimer = setTimeout(() => {
+      Presets.saveLast(CONFIG);
+      const hash = Presets.hashFor(CONFIG);
+      try { history.replaceState(null, '', hash ? `#${hash}` : location.pathname + location.search); } catch {}
+    }, 300);
+  }
+
+  // Active backend in the #renderer tooltip and the FPS meter; a fallback says why.
+  function showRenderer({ kind, reason, gpu }) {
+    const label = kind === 'webgl' ? 'WebGL2' : 'Canvas 2D';
+    const sel = document.getElementById('renderer');
+    sel.title = `${label}${gpu ? ` on ${gpu}` : ''}${kind === 'canvas2d' && reason !== 'selected' ? ` (${reason})` : ''}`;
+    activeRenderer = kind === 'webgl' ? 'webgl' : '2d';
+  }
+
+  // #source options come from the registry (core/sources.js)
+  function renderSourceOptions() {
+    const sel = document.getElementById('source');
+    sel.textContent = '';
+    for (const { id, label } of listSources()) sel.add(new Option(label, id, false, id === CONFIG.source));
+  }
+
+  // #theme options: built-in and saved palettes (core/themes.js); unknown ids fall back to green
+  function renderThemeOptions() {
+    const sel = document.getElementById('theme');
+    if (!listThemes().some(t => t.id === CONFIG.theme)) CONFIG.theme = 'green';
+    sel.textContent = '';
+    for (const { id, label } of listThemes()) sel.add(new Option(label, id, false, id === CONFIG.theme));
+  }
+
+  // A theme was saved (id) or deleted (null) in the editor: select it.
+  function useTheme(id) {
+    if (id) CONFIG.theme = id;
+    renderThemeOptions();
+    applyTheme(CONFIG.theme);
+    schedulePersist();
+  }
+
+  // #stringStyle options: built-ins plus saved templates (core/strings.js)
+  function renderStyleOptions() {
+    const sel = document.getElementById('stringStyle');
+    if (!getStringStyle(CONFIG.stringStyle)) CONFIG.stringStyle = 'json';
+    sel.textContent = '';
+    for (const { id, label } of listStringStyles()) sel.add(new Option(label, id, false, id === CONFIG.stringStyle));
+  }
+
+  // A style was saved (id) or deleted (null): select it and restart the stream.
+  function useStringStyle(id) {
+    if (id) CONFIG.stringStyle = id;
+    renderStyleOptions();
+    rain.resetColumns();
+    schedulePersist();
+  }
+
+  // Optional per-source controls, e.g. the file picker and column mapping for `file`
+  function renderSourceSettings() {
+    const row = document.getElementById('sourceSettings');
+    const source = getSource(CONFIG.source);
+    row.textContent = '';
+    row.hidden = !(source && source.settingsUI);
+    if (!row.hidden) source.settingsUI(row, { refresh: triggerDataRefresh });
+  }
+
+  // A file was imported or re-mapped: switch to it and restart the stream.
+  function useFileSource() {
+    CONFIG.source = 'file';
+    document.getElementById('source').value = 'file';
+    renderSourceSettings();
+    triggerDataRefresh();
+    schedulePersist();
   }
-  return { bind };
+
+  // A stream endpoint was entered: reconnect to it and restart the stream.
+  function useStreamUrl(url) {
+    CONFIG.streamUrl = url;
+    StreamSource.configure({ url });
+    schedulePersist();
+  }
+
+  // Redact select or dialog: apply the spec and restart everything on screen under it.
+  function useRedaction(spec) {
+    CONFIG.redaction = { enabled: !!spec.enabled, k: spec.k || 0, fields: { ...spec.fields } };
+    RedactionPanel.sync(CONFIG.redaction);
+    concealShown();
+    triggerDataRefresh();
+    schedulePersist();
+  }
+
+  return { bind, applyScene, useFileSource, useStreamUrl, useStringStyle, useTheme };
 })();
 
 // ---------------------------- Screenshot ----------------------------------
@@ -592,42 +1145,186 @@ function screenshot() {
   out.width = w; out.height = h;
   const c = out.getContext('2d');
   c.drawImage(canvas, 0, 0, w, h);
-  const url = out.toDataURL('image/png');
-  const a = document.createElement('a');
-  a.href = url; a.download = `profile_stream_${Date.now()}.png`; a.click();
+  out.toBlob(blob => downloadBlob(blob, `profile_stream_${Date.now()}.png`), 'image/png');
 }
 
 // ---------------------------- Ticker --------------------------------------
 const fpsEl = document.getElementById('fps');
-let last = nowMs();
-let fpsAcc = 0, fpsCount = 0;
+const perfEl = document.getElementById('perf');
+let activeRenderer = '2d'; // FPS meter suffix, set by UI.showRenderer
+setLogHost(CONFIG.source);
 const rain = new MatrixRain(ctx);
 
-function tick() {
-  const t = nowMs();
-  const dt = Math.min(0.05, (t - last) / 1000);
-  last = t;
+// RAF loop with start/stop so the recorder can take over and step frames itself.
+const Ticker = (() => {
+  let last = nowMs();
+  let fpsAcc = 0, fpsCount = 0;
+  let stepAcc = 0;
+  let rafId = 0;
+  let updateMs = null, drawMs = null; // smoothed frame-time breakdown for the perf overlay
 
-  rain.update(dt);
-  rain.draw();
+  function tick() {
+    const t = nowMs();
+    const dt = Math.min(0.05, (t - last) / 1000);
+    last = t;
+    Kiosk.tick(dt); // may switch scenes before this frame is simulated
 
-  // FPS meter
-  fpsAcc += dt; fpsCount++;
-  if (fpsAcc >= 0.5) {
-    const fps = Math.round(fpsCount / fpsAcc);
-    if (CONFIG.showFps) fpsEl.textContent = `${fps} fps`;
-    fpsAcc = 0; fpsCount = 0;
+    if (CONFIG.seed === null) {
+      rain.update(dt);
+    } else {
+      // seeded: advance in fixed steps so the same elapsed time gives the same frame
+      stepAcc += dt;
+      while (stepAcc >= CONFIG.fixedStep) { rain.update(CONFIG.fixedStep); stepAcc -= CONFIG.fixedStep; }
+    }
+    const tUpdated = nowMs();
+    rain.draw();
+    const tDrawn = nowMs();
+    updateMs = ema(updateMs, tUpdated - t);
+    drawMs = ema(drawMs, tDrawn - tUpdated);
+
+    // FPS meter; each sample also drives the quality governor
+    fpsAcc += dt; fpsCount++;
+    if (fpsAcc >= 0.5) {
+      const fps = Math.round(fpsCount / fpsAcc);
+      if (CONFIG.showFps) fpsEl.textContent = `${fps} fps · ${activeRenderer}`;
+      Quality.sample(fps);
+      if (CONFIG.showPerf) renderPerf(fps);
+      EncodingPanel.renderLegend();
+      StatsHud.render();
+      fpsAcc = 0; fpsCount = 0;
+    }
+
+    rafId = requestAnimationFrame(tick);
   }
 
-  requestAnimationFrame(tick);
-}
+  function start() {
+    if (rafId) return;
+    last = nowMs();
+    rafId = requestAnimationFrame(tick);
+  }
+  function stop() {
+    cancelAnimationFrame(rafId);
+    rafId = 0;
+  }
+  // Advance exactly `dt` seconds and draw once; used while stopped (offline recording).
+  function step(dt) {
+    rain.update(dt);
+    rain.draw();
+  }
+
+  // Debug overlay: quality tier and where the frame time goes.
+  function renderPerf(fps) {
+    const q = Quality.quality;
+    const target = Quality.target > 0 ? `${Quality.target} fps` : 'off';
+    perfEl.textContent = [
+      `tier    ${q.name} (${Quality.tier}) · target ${target}`,
+      `fps     ${fps}`,
+      `update  ${updateMs.toFixed(2)} ms`,
+      `draw    ${drawMs.toFixed(2)} ms (${activeRenderer})`,
+      `glow ×${q.glow}  cols ×${q.columns}  strips ×${q.strips}  trail ×${q.trail}`,
+      CONFIG.mode === 'glyph' ? `columns ${rain.columns.length}` : `strips  ${rain.fileStrips.length} (+${rain.pendingStrips} pending)`,
+    ].join('\n');
+  }
+
+  return { start, stop, step, get running() { return rafId !== 0; } };
+})();
 
 // ---------------------------- Bootstrap -----------------------------------
+// A new tier changes glow and counts on the next frame; trail resolution needs a resize.
+let trailScale = Quality.quality.trail;
+Quality.onChange(q => {
+  if (q.trail !== trailScale) { trailScale = q.trail; resizeCanvas(); }
+});
 applyTheme(CONFIG.theme);
 initCanvas();
+// seeded runs compose inline: some styles draw random fields while rendering
+StripComposer.configure({ inline: CONFIG.seed !== null });
+FileImport.bind({ onLoaded: () => UI.useFileSource() });
+StreamSettings.bind({ getUrl: () => CONFIG.streamUrl, onUrl: url => UI.useStreamUrl(url) });
+SynthReport.bind();
+CachePanel.bind();
+StyleEditor.bind({ onSaved: id => UI.useStringStyle(id) });
+// preview: an unsaved palette, or null to go back to the selected theme
+ThemeEditor.bind({ onPreview: theme => applyTheme(theme || CONFIG.theme), onSaved: id => UI.useTheme(id) });
+// hashed fields are salted per browser, so hashes don't line up across installations
+DataSource.configureRedaction({ salt: RedactionPanel.salt() });
+DataStatusUI.bind({ onRetry: () => { DataSource.retry(); triggerDataRefresh(); } });
 UI.bind();
-requestAnimationFrame(tick);
+Recorder.bind({ canvas, ticker: Ticker });
+Inspector.bind({ canvas, hitTest: (x, y) => rain.hitTest(x, y), originOf: p => DataSource.originOf(p) });
+Kiosk.bind({
+  canvas,
+  getConfig: () => CONFIG,
+  applyScene: values => UI.applyScene(values, { persist: false }),
+  // scheduled refresh: only NYC data changes upstream
+  onRefresh: () => { if (CONFIG.source === 'nyc') { DataSource.retry(); triggerDataRefresh(); } },
+  isRunning: () => Ticker.running,
+  isSource,
+});
+// Shortcuts drive the #controls elements, so handlers and the saved session run as if clicked;
+// ui/commandPalette.js adds Ctrl/⌘+K (palette) and ? (help).
+CommandPalette.bind({
+  bindings: [
+    { keys: 'space', label: 'Pause / resume', run: togglePause },
+    { keys: 'm', label: 'Rain mode: file / glyph', run: () => cycleSelect('mode') },
+    { keys: 's', label: 'Next string style', run: () => cycleSelect('stringStyle') },
+    { keys: 't', label: 'Next theme', run: () => cycleSelect('theme') },
+    { keys: 'f', label: 'FPS meter on / off', run: () => toggleCheckbox('showFps') },
+    { keys: 'p', label: 'Screenshot', run: screenshot },
+    { keys: 'h', label: 'Hide / show the panel', run: () => document.body.classList.toggle('panel-hidden') },
+    { keys: 'arrowup', label: 'Faster', run: () => stepRange('speed', 2) },
+    { keys: 'arrowdown', label: 'Slower', run: () => stepRange('speed', -2) },
+    { keys: 'arrowright', label: 'Denser', run: () => stepRange('density', 2) },
+    { keys: 'arrowleft', label: 'Sparser', run: () => stepRange('density', -2) },
+    { keys: 'k', label: 'Kiosk: show / hide the panel', run: () => Kiosk.toggleReveal() },
+  ],
+  getConfig: () => CONFIG,
+  applyValues: values => UI.applyScene(values),
+  isSource,
+});
+Ticker.start();
+Kiosk.fromQuery(new URLSearchParams(location.search)); // reports its own failures in #kioskStatus
+
+// Space: stop the rain on the current frame or run it again (not while recording; the recorder drives the ticker).
+function togglePause() {
+  if (Recorder.recording) return;
+  if (Ticker.running) {
+    Ticker.stop();
+    fpsEl.textContent = 'paused';
+    fpsEl.style.opacity = '0.9';
+  } else {
+    Ticker.start();
+    fpsEl.style.opacity = CONFIG.showFps ? '0.9' : '0';
+  }
+}
+
+// Redaction changed: close the card and unfollow, so no profile drawn under the old spec stays up.
+function concealShown() {
+  Inspector.close();
+  rain.releaseFollowed();
+}
 
+// New source or filters: the stats start over and a stats segment no longer applies.
 function triggerDataRefresh() {
+  setLogHost(CONFIG.source);
+  streamSegment = null;
+  StatsHud.setSegment(null);
+  rain.refreshProfiles();
   rain.resetColumns();
 }
+
+// The stream source reports fallback until its connection opens; fetch again right then
+// instead of waiting out the retry backoff.
+let streamOpen = false;
+StreamSource.onStatus(s => {
+  const open = s.state === 'open';
+  if (open && !streamOpen && CONFIG.source === 'stream') DataSource.retry();
+  streamOpen = open;
+});
+
+// When a failing source recovers, drop the fallback pool so real records stream right away.
+let dataDegraded = false;
+DataStatus.subscribe(s => {
+  if (s.state === 'fallback' || s.state === 'error') dataDegraded = true;
+  else if (dataDegraded && (s.state === 'live' || s.state === 'cached')) { dataDegraded = false; rain.refreshProfiles(); }
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCache, memoryBackend } from '../data/cache.js';
+
+function clock(t = 0) {
+  const now = () => t;
+  now.advance = ms => { t += ms; };
+  return now;
+}
+
+const settle = () => new Promise(res => setTimeout(res, 0));
+
+test('fresh hits skip the loader; misses load and store', async () => {
+  const now = clock();
+  const cache = createCache({ backend: memoryBackend(), ttlMs: 1000, now });
+  let calls = 0;
+  const loader = async () => ({ n: ++calls });
+  assert.deepEqual((await cache.fetch('a', loader)).value, { n: 1 });
+  now.advance(500);
+  const hit = await cache.fetch('a', loader);
+  assert.deepEqual(hit.value, { n: 1 });
+  assert.equal(hit.cached, true);
+  assert.equal(hit.age, 500);
+  assert.equal(calls, 1);
+});
+
+test('values the store check rejects are returned but not cached', async () => {
+  const cache = createCache({ backend: memoryBackend(), ttlMs: 1000, now: clock() });
+  let calls = 0;
+  const opts = { store: v => v.items.length > 0 };
+  assert.deepEqual((await cache.fetch('e', async () => ({ items: [], n: ++calls }), opts)).value, { items: [], n: 1 });
+  assert.equal((await cache.fetch('e', async () => ({ items: [], n: ++calls }), opts)).cached, false);
+  assert.equal(calls, 2);
+  assert.equal(await cache.get('e'), null);
+});
+
+test('concurrent fetches for a key share one load', async () => {
+  const cache = createCache({ backend: memoryBackend() });
+  let calls = 0;
+  const loader = async () => { calls++; await settle(); return calls; };
+  const [a, b, c] = await Promise.all([cache.fetch('k', loader), cache.fetch('k', loader), cache.fetch('k', loader)]);
+  assert.equal(calls, 1);
+  assert.deepEqual([a.value, b.value, c.value], [1, 1, 1]);
+  assert.deepEqual(cache.pending, []);
+});
+
+test('stale entries are served at once and refreshed in the background', async () => {
+  const now = clock();
+  const cache = createCache({ backend: memoryBackend(), ttlMs: 1000, now });
+  const updates = [];
+  cache.onUpdate((key, value) => updates.push([key, value]));
+  await cache.set('k', 'old');
+  now.advance(2000);
+  const res = await cache.fetch('k', async () => 'new');
+  assert.equal(res.value, 'old');
+  assert.equal(res.stale, true);
+  await settle();
+  assert.deepEqual(updates, [['k', 'new']]);
+  assert.equal((await cache.get('k')).value, 'new');
+
+  now.advance(2000);
+  assert.equal((await cache.fetch('k', async () => 'newer', { swr: false })).value, 'newer');
+});
+
+test('a failed refresh falls back to the stale value; a failed miss throws', async () => {
+  const now = clock();
+  const cache = createCache({ backend: memoryBackend(), ttlMs: 10, now });
+  await cache.set('k', 'old');
+  now.advance(100);
+  const fail = async () => { throw new Error('offline'); };
+  assert.equal((await cache.fetch('k', fail, { swr: false })).value, 'old');
+  await assert.rejects(cache.fetch('missing', fail), /offline/);
+  assert.equal(await cache.get('missing'), null);
+});
+
+test('LRU eviction by entry count and by size', async () => {
+  const now = clock();
+  const cache = createCache({ backend: memoryBackend(), maxEntries: 2, now });
+  await cache.set('a', 1); now.advance(1);
+  await cache.set('b', 2); now.advance(1);
+  await cache.get('a'); now.advance(1); // a is now more recent than b
+  await cache.set('c', 3);
+  assert.deepEqual((await cache.list()).map(m => m.key).sort(), ['a', 'c']);
+
+  await cache.configure({ maxEntries: 10, maxBytes: 23 });
+  now.advance(1);
+  await cache.set('big', 'x'.repeat(21));
+  const keys = (await cache.list()).map(m => m.key);
+  assert.deepEqual(keys, ['big']);
+});
+
+test('list reports size and age; purge honours a prefix', async () => {
+  const now = clock();
+  const cache = createCache({ backend: memoryBackend(), ttlMs: 50, now });
+  await cache.set('nyc:a', { v: 1 });
+  await cache.set('file:b', [1, 2, 3]);
+  now.advance(100);
+  const list = await cache.list();
+  assert.equal(list.find(m => m.key === 'file:b').size, JSON.stringify([1, 2, 3]).length);
+  assert.ok(list.every(m => m.age === 100 && m.stale));
+  await cache.purge('nyc:');
+  assert.deepEqual((await cache.list()).map(m => m.key), ['file:b']);
+  await cache.purge();
+  assert.deepEqual(await cache.list(), []);
+});
+
+test('defaults to memory storage when IndexedDB is missing', () => {
+  assert.equal(createCache().backendKind, 'memory');
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { keyName, formatKeys, fuzzyScore, searchCommands, ntaFromQuery } from '../core/commands.js';
+
+const key = (k, mods = {}) => ({ key: k, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...mods });
+
+test('key events get binding names', () => {
+  assert.equal(keyName(key(' ')), 'space');
+  assert.equal(keyName(key('S', { shiftKey: true })), 's');
+  assert.equal(keyName(key('?', { shiftKey: true })), '?');
+  assert.equal(keyName(key('ArrowUp', { shiftKey: true })), 'shift+arrowup');
+  assert.equal(keyName(key('k', { metaKey: true })), 'mod+k');
+  assert.equal(keyName(key('k', { ctrlKey: true })), 'mod+k');
+  assert.equal(keyName(key(undefined)), '');
+  assert.equal(keyName(key('', { ctrlKey: true })), '');
+  assert.equal(formatKeys('mod+k'), 'Ctrl+K');
+  assert.equal(formatKeys('mod+k', { mac: true }), '⌘+K');
+  assert.equal(formatKeys('arrowleft'), '←');
+});
+
+test('fuzzy scores need the characters in order and favour word starts', () => {
+  assert.equal(fuzzyScore('xyz', 'Theme: Cyan'), -1);
+  assert.equal(fuzzyScore('', 'anything'), 0);
+  assert.ok(fuzzyScore('th cy', 'Theme: Cyan') > fuzzyScore('th cy', 'Set textCfg.lineHeight'));
+  assert.ok(fuzzyScore('queens', 'Borough: Queens') > fuzzyScore('queens', 'Quiet engines'));
+  assert.ok(fuzzyScore('fps', 'Toggle FPS') > fuzzyScore('fps', 'Set targetFps'));
+});
+
+test('commands are ranked, and value commands take a trailing argument', () => {
+  const commands = [
+    { id: 'shot', label: 'Screenshot' },
+    { id: 'density', label: 'Set densityScale', keywords: 'd', arg: true },
+    { id: 'glyph', label: 'Rain Mode: Glyph' },
+    { id: 'speed', label: 'Set speedScale', keywords: 'sp', arg: true },
+  ];
+  assert.deepEqual(searchCommands(commands, '').map(r => r.command.id), ['shot', 'density', 'glyph', 'speed']);
+  assert.equal(searchCommands(commands, '', { limit: 2 }).length, 2);
+  const [top] = searchCommands(commands, 'density 1.4');
+  assert.deepEqual([top.command.id, top.arg], ['density', '1.4']);
+  assert.equal(searchCommands(commands, 'glyph')[0].command.id, 'glyph');
+  assert.equal(searchCommands(commands, 'speed')[0].arg, '', 'no value typed yet');
+  assert.deepEqual(searchCommands(commands, 'qqq'), []);
+});
+
+test('NTA codes are recognised by their borough prefix', () => {
+  assert.equal(ntaFromQuery(' mn0101 '), 'MN0101');
+  assert.equal(ntaFromQuery('QN12'), 'QN12');
+  assert.equal(ntaFromQuery('queens'), '');
+  assert.equal(ntaFromQuery('XX0101'), '');
+});
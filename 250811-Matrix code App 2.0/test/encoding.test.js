@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createEncoder, normalizeEncoding, hslHex, ENCODABLE_FIELDS, HUE_STEPS, LANE_BINS, MAX_CATEGORIES,
+} from '../core/encoding.js';
+import { tintTheme, resolveTheme } from '../core/themes.js';
+
+const profiles = [
+  { risk_score: 0, income_usd: 20000, borough: 'Queens', emotional_state: 'burnout' },
+  { risk_score: 50, income_usd: 120000, borough: 'Manhattan', emotional_state: 'calm' },
+  { risk_score: 100, income_usd: 220000, borough: 'Brooklyn', emotional_state: 'flow' },
+];
+
+test('normalizeEncoding drops unknown channels and fields', () => {
+  assert.deepEqual(normalizeEncoding({ hue: 'risk_score', speed: 'password', shape: 'age' }),
+    { hue: 'risk_score', speed: '', size: '', glitch: '', lane: '' });
+  assert.ok(!ENCODABLE_FIELDS.includes('id') && !ENCODABLE_FIELDS.includes('interests'));
+  assert.ok(ENCODABLE_FIELDS.includes('borough'));
+});
+
+test('numeric fields scale over the observed range, risk_score over 0..100', () => {
+  const enc = createEncoder({ hue: 'risk_score', speed: 'income_usd', lane: 'income_usd' });
+  assert.equal(enc.encode(profiles[1]).speed, null); // nothing observed yet
+  enc.observe(profiles);
+  const lo = enc.encode(profiles[0]), mid = enc.encode(profiles[1]), hi = enc.encode(profiles[2]);
+  assert.deepEqual([lo.speed, mid.speed, hi.speed], [0, 0.5, 1]);
+  assert.deepEqual([lo.hue, hi.hue], [0, HUE_STEPS - 1]);
+  assert.deepEqual(hi.lane, { index: LANE_BINS - 1, count: LANE_BINS });
+  assert.equal(enc.encode({ risk_score: 25 }).hue, Math.round(0.25 * (HUE_STEPS - 1)));
+  assert.equal(enc.encode({}).hue, null);
+  assert.equal(enc.palette()[0], hslHex(120, 1, 0.55)); // green for low values
+});
+
+test('categories follow their natural order and cap at MAX_CATEGORIES', () => {
+  const enc = createEncoder({ lane: 'borough', glitch: 'emotional_state' });
+  enc.observe(profiles);
+  assert.deepEqual(enc.encode(profiles[0]).lane, { index: 2, count: 3 }); // Manhattan, Brooklyn, Queens
+  assert.equal(enc.encode(profiles[2]).glitch, 0); // flow is the calmest mood
+  assert.equal(enc.encode(profiles[0]).glitch, 1);
+  const many = createEncoder({ hue: 'job_title' });
+  many.observe(Array.from({ length: 20 }, (_, i) => ({ job_title: `job${String(i).padStart(2, '0')}` })));
+  const [row] = many.legend();
+  assert.equal(row.items.length, MAX_CATEGORIES);
+  assert.equal(row.items.at(-1).label, 'other');
+  assert.equal(many.encode({ job_title: 'job19' }).hue, HUE_STEPS - 1);
+  assert.equal(new Set(row.items.map(i => i.color)).size, row.items.length, 'no two categories share a colour');
+});
+
+test('version tracks mapping and domain changes', () => {
+  const enc = createEncoder();
+  assert.equal(enc.active, false);
+  const v0 = enc.version;
+  assert.equal(enc.configure({ speed: 'age' }), true);
+  assert.equal(enc.configure({ speed: 'age' }), false);
+  enc.observe([{ age: 30 }]);
+  const v1 = enc.version;
+  assert.ok(v1 > v0 + 1);
+  enc.observe([{ age: 30 }]);
+  assert.equal(enc.version, v1); // nothing new
+  enc.reset();
+  assert.deepEqual(enc.legend(), [{ channel: 'speed', field: 'age', kind: 'numeric', min: null, max: null }]);
+});
+
+test('tintTheme recolours trail, glow and gradient only', () => {
+  const base = resolveTheme('green');
+  const t = tintTheme(base, '#ff0000');
+  assert.equal(t.trail, '#ff0000');
+  assert.equal(t.glow, '#ff0000');
+  assert.equal(t.head, base.head);
+  assert.deepEqual(t.gradient.map(s => s.alpha), base.gradient.map(s => s.alpha));
+  assert.notEqual(t.gradient[0].color, base.gradient[0].color);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectFormat, parseCSV, parseRecords, guessMapping, applyMapping } from '../core/fileimport.js';
+import { FileSource } from '../data/fileSource.js';
+
+test('detectFormat uses the extension, then sniffs', () => {
+  assert.equal(detectFormat('', 'people.CSV'), 'csv');
+  assert.equal(detectFormat('', 'feed.jsonl'), 'ndjson');
+  assert.equal(detectFormat('[{"a":1}]'), 'json');
+  assert.equal(detectFormat('{"a":1}\n{"a":2}\n'), 'ndjson');
+  assert.equal(detectFormat('{\n  "data": []\n}'), 'json');
+  assert.equal(detectFormat('a,b\n1,2'), 'csv');
+});
+
+test('parseCSV handles quotes, embedded delimiters/newlines and CRLF', () => {
+  const { columns, records } = parseCSV('name,job,note\r\n"Lee, Ava",Nurse,"said ""hi""\nthen left"\r\nBo,Clerk,\r\n');
+  assert.deepEqual(columns, ['name', 'job', 'note']);
+  assert.deepEqual(records, [
+    { name: 'Lee, Ava', job: 'Nurse', note: 'said "hi"\nthen left' },
+    { name: 'Bo', job: 'Clerk', note: '' },
+  ]);
+});
+
+test('parseCSV sniffs semicolon and tab delimiters', () => {
+  assert.deepEqual(parseCSV('a;b\n1;2').records, [{ a: '1', b: '2' }]);
+  assert.deepEqual(parseCSV('a\tb\n1\t2').records, [{ a: '1', b: '2' }]);
+});
+
+test('parseRecords reads JSON wrappers and NDJSON', () => {
+  const wrapped = parseRecords('{"meta":{},"data":[{"a":1},{"b":2}]}', 'x.json');
+  assert.deepEqual(wrapped.columns, ['a', 'b']);
+  assert.equal(wrapped.records.length, 2);
+  const nd = parseRecords('{"a":1}\n\n{"a":2}\n', 'x.ndjson');
+  assert.deepEqual(nd.records, [{ a: 1 }, { a: 2 }]);
+  assert.throws(() => parseRecords('{"a":1}\nnope', 'x.ndjson'), /line 2/);
+});
+
+test('guessMapping recognises common column names once each', () => {
+  const m = guessMapping(['Full Name', 'Occupation', 'Median Income', 'NTA Code', 'Mood', 'risk', 'score']);
+  assert.deepEqual(m, {
+    name: 'Full Name', job_title: 'Occupation', income_usd: 'Median Income',
+    nta: 'NTA Code', emotional_state: 'Mood', risk_score: 'risk',
+  });
+});
+
+test('applyMapping coerces types and fills an id', () => {
+  const p = applyMapping({ n: 'Ava', inc: '$61,000', tags: 'chess; ai', r: 'x' }, { name: 'n', income_usd: 'inc', interests: 'tags', risk_score: 'r' }, 11);
+  assert.deepEqual(p, { name: 'Ava', income_usd: 61000, interests: ['chess', 'ai'], id: 'file-b' });
+});
+
+test('FileSource serves mapped profiles filtered by borough/NTA', () => {
+  const info = FileSource.load('name,boro,nta_code,age\nA,Queens,QN01,30\nB,Bronx,BX02,40\n', 'p.csv');
+  assert.equal(info.count, 2);
+  assert.equal(FileSource.fetchProfiles({}).length, 2);
+  const [q] = FileSource.fetchProfiles({ borough: 'queens' });
+  assert.deepEqual(q, { name: 'A', borough: 'Queens', nta: 'QN01', age: 30, id: 'file-0' });
+  FileSource.setMapping({ name: 'name' });
+  assert.deepEqual(FileSource.fetchProfiles({ nta: 'QN01' }), []);
+});
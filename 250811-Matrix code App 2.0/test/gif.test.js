@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeGif, createGifEncoder, lzwEncode, buildPalette, indexPixels } from '../core/gif.js';
+
+// Reference GIF LZW decoder, straight from the spec, to round-trip the encoder.
+function lzwDecode(bytes, minCodeSize, pixelCount) {
+  const clearCode = 1 << minCodeSize, eoiCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let dict = [];
+  const reset = () => { dict = []; for (let i = 0; i < clearCode; i++) dict[i] = [i]; dict[clearCode] = []; dict[eoiCode] = []; codeSize = minCodeSize + 1; };
+  reset();
+  const out = [];
+  let bitPos = 0, prev = null;
+  const read = () => {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bitPos++) code |= ((bytes[bitPos >> 3] >> (bitPos & 7)) & 1) << i;
+    return code;
+  };
+  while (out.length < pixelCount) {
+    const code = read();
+    if (code === clearCode) { reset(); prev = null; continue; }
+    if (code === eoiCode) break;
+    let entry;
+    if (code < dict.length) entry = dict[code];
+    else entry = [...dict[prev], dict[prev][0]];
+    out.push(...entry);
+    if (prev !== null && dict.length < 4096) dict.push([...dict[prev], entry[0]]);
+    if (dict.length === (1 << codeSize) && codeSize < 12) codeSize++;
+    prev = code;
+  }
+  return out;
+}
+
+test('lzwEncode round-trips through a reference decoder, including table resets', () => {
+  let seed = 1;
+  const noise = () => (seed = (seed * 16807) % 2147483647) & 0xff;
+  const input = Uint8Array.from({ length: 20000 }, (_, i) => (i % 97 < 40 ? i % 7 : noise()));
+  const decoded = lzwDecode(lzwEncode(input, 8), 8, input.length);
+  assert.deepEqual(decoded, [...input]);
+});
+
+test('buildPalette and indexPixels keep exact colours exact', () => {
+  const rgba = Uint8ClampedArray.from([0, 0, 0, 255, 0, 255, 96, 255, 0, 0, 0, 255]);
+  const pal = buildPalette([rgba], { sampleStep: 1 });
+  assert.equal(pal.length, 256);
+  const idx = indexPixels(rgba, pal);
+  assert.equal(idx[0], idx[2]);
+  assert.notEqual(idx[0], idx[1]);
+});
+
+test('encodeGif writes a looping GIF89a with one image per frame', () => {
+  const w = 4, h = 2;
+  const frame = c => Uint8ClampedArray.from({ length: w * h * 4 }, (_, i) => (i % 4 === 3 ? 255 : c));
+  const gif = encodeGif([frame(0), frame(200)], { width: w, height: h, delayMs: 50 });
+  assert.equal(String.fromCharCode(...gif.slice(0, 6)), 'GIF89a');
+  assert.equal(gif[6] | (gif[7] << 8), w);
+  assert.equal(gif[8] | (gif[9] << 8), h);
+  assert.equal(gif[gif.length - 1], 0x3b);
+  const text = String.fromCharCode(...gif);
+  assert.ok(text.includes('NETSCAPE2.0'));
+  // two graphic control extensions with a 5cs delay
+  assert.equal(text.split('\x21\xf9\x04\x00\x05\x00').length - 1, 2);
+});
+
+test('the incremental encoder writes the same file as encodeGif', () => {
+  const w = 3, h = 3;
+  const frame = c => Uint8ClampedArray.from({ length: w * h * 4 }, (_, i) => (i % 4 === 3 ? 255 : (c * (i >> 2)) & 0xff));
+  const frames = [frame(10), frame(40), frame(90)];
+  const palette = buildPalette([frames[0]]);
+  const gif = createGifEncoder({ width: w, height: h, delayMs: 40 });
+  for (const f of frames) gif.addFrame(f);
+  assert.deepEqual(gif.finish(), encodeGif(frames, { width: w, height: h, delayMs: 40, palette }));
+  assert.equal(createGifEncoder({ width: 1, height: 1 }).finish().at(-1), 0x3b);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hitTestStrips, hitTestColumns, columnBounds, easeSpeedFactor } from '../core/hittest.js';
+
+test('hitTestStrips returns the topmost (last drawn) strip', () => {
+  const a = { x: 0, y: 0, w: 100, h: 50 };
+  const b = { x: 50, y: 20, w: 100, h: 50 };
+  assert.equal(hitTestStrips([a, b], 60, 30), b);
+  assert.equal(hitTestStrips([a, b], 10, 10), a);
+  assert.equal(hitTestStrips([a, b], 10, 60), null);
+  assert.equal(hitTestStrips([a, b], 100, 0), null); // right edge is exclusive
+});
+
+test('columns are hit along their trailing stream', () => {
+  const col = { x: 32, y: 200, streamLength: 5 };
+  assert.deepEqual(columnBounds(col, 16), { x: 32, y: 136, w: 16, h: 80 });
+  assert.equal(hitTestColumns([col], 40, 140, 16), col);
+  assert.equal(hitTestColumns([col], 40, 120, 16), null);
+  assert.equal(hitTestColumns([col], 30, 150, 16), col); // within slop
+  const near = { x: 48, y: 200, streamLength: 5 };
+  assert.equal(hitTestColumns([col, near], 49, 150, 16), near);
+});
+
+test('easeSpeedFactor moves towards frozen / hovered / free targets', () => {
+  assert.equal(easeSpeedFactor(1, { frozen: true }, 1), 0);
+  assert.equal(easeSpeedFactor(1, { hovered: true }, 1), 0.2);
+  const half = easeSpeedFactor(0, {}, 1 / 16);
+  assert.ok(half > 0.4 && half < 0.6);
+  assert.equal(easeSpeedFactor(0.5, {}, 0), 0.5);
+});
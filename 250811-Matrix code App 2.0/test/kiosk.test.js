@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PLAYLIST, validatePlaylist, playlistToJson, parsePlaylistJson, sceneFromConfig, parseKioskParam,
+  createPlaylistPlayer, createRecovery,
+} from '../core/kiosk.js';
+import { CONFIG_DEFAULTS } from '../core/config.js';
+
+test('the default playlist is valid and round-trips through JSON', () => {
+  const { playlist, warnings } = validatePlaylist(DEFAULT_PLAYLIST);
+  assert.deepEqual(warnings, []);
+  assert.equal(playlist.scenes.length, 3);
+  assert.deepEqual(parsePlaylistJson(playlistToJson(playlist)), { playlist, warnings: [] });
+  assert.match(playlistToJson(playlist), /"kind": "playlist"/);
+});
+
+test('playlists are clamped, bad scene settings dropped and empty scenes skipped', () => {
+  const { playlist, warnings } = validatePlaylist({
+    transition: 30, refreshMinutes: 'often', idleSeconds: 1,
+    scenes: [
+      { name: ' lobby ', duration: 1, config: { mode: 'glyph', theme: 'bad theme!', borough: 'Queens' } },
+      { duration: 90, config: { source: 'nope' } },
+      { config: { densityScale: 1.2 } },
+    ],
+  }, { isSource: id => id === 'fake' });
+  assert.deepEqual(playlist, {
+    transition: 10, refreshMinutes: 0, idleSeconds: 5,
+    scenes: [
+      { name: 'lobby', duration: 5, config: { mode: 'glyph', borough: 'Queens' } },
+      { name: 'scene 3', duration: 60, config: { densityScale: 1.2 } },
+    ],
+  });
+  for (const w of ['transition: adjusted', 'refreshMinutes: not a number', 'lobby: theme', 'lobby: duration', 'scene 2: no usable']) {
+    assert.ok(warnings.some(x => x.startsWith(w)), w);
+  }
+  assert.throws(() => parsePlaylistJson('{"scenes":{}}'), /no scenes/);
+  assert.throws(() => parsePlaylistJson('{"version":9,"scenes":[]}'), /newer/);
+});
+
+test('scenes record the current look; ?kiosk names saved presets with optional seconds', () => {
+  const cfg = { ...structuredClone(CONFIG_DEFAULTS), mode: 'glyph', borough: 'Bronx', densityScale: 1.5 };
+  assert.deepEqual(sceneFromConfig(cfg, 'night', 30), {
+    name: 'night', duration: 30,
+    config: { mode: 'glyph', stringStyle: cfg.stringStyle, theme: cfg.theme, borough: 'Bronx', nta: cfg.nta, densityScale: 1.5 },
+  });
+  assert.deepEqual(parseKioskParam('lobby:120, night ,,'), [{ name: 'lobby', duration: 120 }, { name: 'night', duration: undefined }]);
+  assert.deepEqual(parseKioskParam(''), []);
+});
+
+test('the player switches after each duration, crossfades and pauses', () => {
+  const player = createPlaylistPlayer({
+    transition: 2, scenes: [{ name: 'a', duration: 5 }, { name: 'b', duration: 10 }],
+  });
+  assert.equal(player.fade, 0);
+  assert.equal(player.tick(4.9), -1);
+  assert.equal(player.tick(0.1), 1);
+  assert.equal(player.scene.name, 'b');
+  assert.equal(player.fade, 1);
+  player.tick(1);
+  assert.equal(player.fade, 0.5);
+  player.pause();
+  assert.equal(player.tick(20), -1);
+  assert.equal(player.fade, 0, 'fades finish while paused');
+  player.resume();
+  assert.equal(player.tick(9), 0);
+  assert.equal(player.next(), 1);
+  assert.equal(createPlaylistPlayer({ transition: 0, scenes: [{ name: 'only', duration: 5 }] }).tick(60), -1);
+});
+
+test('recovery reloads after repeated errors or a stalled loop, but not in a loop', () => {
+  let t = 1_000_000;
+  const rec = createRecovery({ maxErrors: 3, windowMs: 10000, stallMs: 5000, minReloadMs: 60000, now: () => t });
+  rec.error(); rec.error();
+  assert.equal(rec.reason(), '');
+  rec.error();
+  assert.equal(rec.reason(), '3 errors in 10s');
+  assert.equal(rec.reason(t - 1000), '', 'reloaded a second ago');
+  t += 11000; // errors aged out, but no frame since
+  assert.equal(rec.reason(), 'no frame for 11s');
+  rec.beat();
+  assert.equal(rec.reason(), '');
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { partitionLanes, laneStats, laneFieldFor, laneIndexOf, BOROUGH_ORDER, MAX_LANES } from '../core/lanes.js';
+
+const p = (borough, nta, income_usd, risk_score) => ({ borough, nta, income_usd, risk_score });
+
+test('boroughs become lanes west to east, with an Unknown lane last', () => {
+  const pool = [
+    p('Queens', 'QN01', 50000, 10), p('MANHATTAN', 'MN01', 90000, 30), p('Manhattan', 'MN02', 70000, 50),
+    p('Staten Island', 'SI01', 60000, 20), p('', 'XX', 1, 1), { name: 'no borough' },
+  ];
+  const lanes = partitionLanes(pool, { field: 'borough' });
+  assert.deepEqual(lanes.map(l => l.label), ['Staten Island', 'Manhattan', 'Queens', 'Unknown']);
+  assert.equal(lanes[1].profiles.length, 2);
+  assert.deepEqual(lanes[1].stats, { count: 2, medianIncome: 80000, meanRisk: 40 });
+  assert.equal(lanes[3].stats.count, 2);
+  assert.ok(lanes.every(l => l.cursor === 0));
+  assert.deepEqual(BOROUGH_ORDER.slice().sort(), ['Bronx', 'Brooklyn', 'Manhattan', 'Queens', 'Staten Island']);
+});
+
+test('NTAs keep the most common codes and fold the rest into Other', () => {
+  const pool = [];
+  for (let i = 0; i < 12; i++) for (let k = 0; k <= i; k++) pool.push(p('Brooklyn', `bk${String(i).padStart(2, '0')}`, 1000 * i, i));
+  const lanes = partitionLanes(pool, { field: laneFieldFor({ borough: 'Brooklyn' }) });
+  assert.equal(lanes.length, MAX_LANES);
+  assert.deepEqual(lanes.slice(0, -1).map(l => l.key), ['BK05', 'BK06', 'BK07', 'BK08', 'BK09', 'BK10', 'BK11']);
+  assert.equal(lanes.at(-1).label, 'Other');
+  assert.equal(lanes.reduce((n, l) => n + l.profiles.length, 0), pool.length);
+});
+
+test('laneStats tolerates missing and non-numeric values', () => {
+  assert.deepEqual(laneStats([]), { count: 0, medianIncome: null, meanRisk: null });
+  assert.deepEqual(laneStats([{ income_usd: 'n/a' }, { income_usd: '40000', risk_score: 12 }]),
+    { count: 2, medianIncome: 40000, meanRisk: 12 });
+  assert.equal(laneFieldFor({ borough: '' }), 'borough');
+});
+
+test('laneIndexOf finds the lane of a profile, else Other or Unknown', () => {
+  const boroughs = partitionLanes([p('Queens'), p('bronx'), {}], { field: 'borough' });
+  assert.equal(laneIndexOf(boroughs, 'borough', { borough: 'queens' }), 1);
+  assert.equal(laneIndexOf(boroughs, 'borough', { borough: '' }), 2);
+  assert.equal(laneIndexOf(boroughs, 'borough', { borough: 'Brooklyn' }), -1);
+  const pool = [];
+  for (let i = 0; i < 12; i++) pool.push(p('Brooklyn', `BK${i}`));
+  const ntas = partitionLanes(pool, { field: 'nta', maxLanes: 3 });
+  assert.equal(laneIndexOf(ntas, 'nta', { nta: 'bk99' }), 2);
+});
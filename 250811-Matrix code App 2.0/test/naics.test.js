@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NAICS_SECTORS, naicsSector, industryForNaics } from '../data/naics.js';
+
+test('naicsSector reads the 2-digit prefix of any code', () => {
+  assert.deepEqual(naicsSector('541511'), { code: '54', title: 'Professional, Scientific, and Technical Services', industry: 'Tech' });
+  assert.equal(naicsSector('44-45').industry, 'Retail');
+  assert.equal(naicsSector(33).industry, 'Manufacturing');
+  assert.equal(naicsSector('99'), null);
+  assert.equal(naicsSector('retail'), null);
+});
+
+test('multi-code sectors share one title', () => {
+  for (const group of [['31', '32', '33'], ['44', '45'], ['48', '49']]) {
+    assert.equal(new Set(group.map(c => NAICS_SECTORS[c][0])).size, 1);
+  }
+});
+
+test('industryForNaics falls back to sector-name keywords', () => {
+  assert.equal(industryForNaics('Accommodation and Food Services'), 'Hospitality');
+  assert.equal(industryForNaics('Transportation and Warehousing'), 'Transportation');
+  assert.equal(industryForNaics('Information'), 'Media');
+  assert.equal(industryForNaics('Performing Arts'), 'Media');
+  assert.equal(industryForNaics('Auto Parts Dealers'), null, 'keywords match whole word starts');
+  assert.equal(industryForNaics('unknown'), null);
+  assert.equal(industryForNaics(''), null);
+});
+
+test('every sector title maps to the same industry as its code', () => {
+  for (const [code, [title, industry]] of Object.entries(NAICS_SECTORS)) {
+    assert.equal(industryForNaics(title), industry, `${code} ${title}`);
+    assert.equal(industryForNaics(title.toUpperCase()), industry, `${code} upper-cased`);
+  }
+  // keyword fallback for near-titles
+  assert.equal(industryForNaics('Other Services'), 'Services');
+  assert.equal(industryForNaics('Administrative and Support Services'), 'Services');
+  assert.equal(industryForNaics('Management of Companies'), 'Finance');
+});
+
+test('substring digits no longer misclassify codes', () => {
+  // the old heuristic matched '44' anywhere, so 5244 (insurance carriers) came out as Retail
+  assert.equal(industryForNaics('5244'), 'Finance');
+  assert.equal(industryForNaics('6244'), 'Healthcare');
+});
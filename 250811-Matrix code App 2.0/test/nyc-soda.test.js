@@ -0,0 +1,143 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { configureNYC, resetNYCConfig, fetchProfiles, fetchAllPages, buildDatasetQuery, getDataset, getSynthesisReport, getFetchStatus } from '../data/nyc.js';
+import { SoqlQuery } from '../data/soql.js';
+
+// Local stub SODA server: serves `ROWS` for /resource/<id>.json honouring $limit/$offset.
+const ROWS = Array.from({ length: 2500 }, (_, i) => ({
+  boro_name: i % 2 ? 'Queens' : 'Bronx',
+  nta2020: `QN${String(i).padStart(4, '0')}`,
+  med_hh_inc: String(30000 + i * 10),
+  ageband: '35 to 44 years',
+}));
+// Employment by NTA x NAICS: QN0001 is all healthcare, everything else is finance-heavy.
+const INDUSTRY_ROWS = [
+  { nta_code: 'QN0001', naics: '622110', jobs: '900' },
+  { nta_code: 'QN0003', naics: '52', jobs: '75' },
+  { nta_code: 'QN0003', naics: '44-45', jobs: '25' },
+];
+let server, baseUrl, requests;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://stub');
+    requests.push({ path: url.pathname, params: Object.fromEntries(url.searchParams), token: req.headers['x-app-token'] });
+    if (url.pathname === '/resource/fail-0000.json') { res.writeHead(503); res.end(); return; }
+    if (url.pathname === '/resource/none-0000.json') { res.writeHead(200, { 'content-type': 'application/json' }); res.end('[]'); return; }
+    if (url.pathname === '/resource/ind-0001.json') {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(url.searchParams.get('$offset') === '0' ? INDUSTRY_ROWS : []));
+      return;
+    }
+    const offset = Number(url.searchParams.get('$offset') || 0);
+    const limit = Number(url.searchParams.get('$limit') || 1000);
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(ROWS.slice(offset, offset + limit)));
+  });
+  await new Promise(res => server.listen(0, '127.0.0.1', res));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => { server.close(); resetNYCConfig(); });
+
+beforeEach(() => {
+  requests = [];
+  resetNYCConfig();
+  configureNYC({
+    baseUrl,
+    appToken: 'tok',
+    datasets: {
+      DEMOGRAPHICS_BY_NTA: {
+        id: 'demo-0001',
+        fields: { borough: 'boro_name', nta: 'nta2020', income: 'med_hh_inc', age: 'ageband' },
+        select: ['borough', 'nta', 'income', 'age'],
+      },
+      INDUSTRY_BY_NTA: { id: 'ind-0001' },
+    },
+  });
+});
+
+test('fetchAllPages walks $offset pages until a short page', async () => {
+  const rows = await fetchAllPages('demo-0001', new SoqlQuery().order(':id'), { pageSize: 1000, maxRows: 5000 });
+  assert.equal(rows.length, 2500);
+  assert.deepEqual(requests.map(r => [r.params.$offset, r.params.$limit]), [['0', '1000'], ['1000', '1000'], ['2000', '1000']]);
+  assert.ok(requests.every(r => r.params.$order === ':id ASC' && r.token === 'tok'));
+});
+
+test('fetchAllPages stops at maxRows', async () => {
+  const rows = await fetchAllPages('demo-0001', new SoqlQuery(), { pageSize: 400, maxRows: 1000 });
+  assert.equal(rows.length, 1000);
+  assert.deepEqual(requests.map(r => r.params.$limit), ['400', '400', '200']);
+});
+
+test('dataset field mapping drives $select, filters and synthesis', async () => {
+  const q = buildDatasetQuery(getDataset('DEMOGRAPHICS_BY_NTA'), {
+    borough: 'queens',
+    filters: [{ field: 'income', op: 'between', value: ['40000', 50000] }, { field: 'age', op: 'in', value: ['35 to 44 years'] }],
+  }).toParams();
+  assert.equal(q.$select, 'boro_name, nta2020, med_hh_inc, ageband');
+  assert.equal(q.$where, "(upper(boro_name) = upper('queens')) AND (med_hh_inc between 40000 and 50000) AND (ageband in ('35 to 44 years'))");
+
+  const profiles = await fetchProfiles({ limit: 1500, pageSize: 1000 });
+  assert.equal(profiles.length, 1500);
+  assert.deepEqual(requests.map(r => r.path), ['/resource/demo-0001.json', '/resource/demo-0001.json', '/resource/ind-0001.json']);
+  // no population column: one profile per row, income drawn around the row median
+  assert.deepEqual([profiles[3].borough, profiles[3].nta, profiles[3].age], ['Queens', 'QN0003', 39]);
+  assert.ok(profiles[3].income_usd > 0);
+  assert.ok(getSynthesisReport().income.meanRelError < 1);
+  assert.deepEqual(getFetchStatus(), { state: 'live', ageMs: null, httpStatus: null, detail: '', rows: 1500, profiles: 1500 });
+
+  // the same query again is served from the cache without touching the network
+  await fetchProfiles({ limit: 1500, pageSize: 1000 });
+  assert.equal(requests.length, 3);
+  assert.equal(getFetchStatus().state, 'cached');
+});
+
+test('HTTP errors fall back to the sample profiles', async () => {
+  configureNYC({ datasetIds: { DEMOGRAPHICS_BY_NTA: 'fail-0000' } });
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const profiles = await fetchProfiles({ limit: 10 });
+    assert.deepEqual(profiles.map(p => p.id), ['smpl-1', 'smpl-2']);
+    assert.deepEqual(getFetchStatus(), { state: 'fallback', ageMs: null, httpStatus: 503, detail: 'HTTP 503', rows: 0, profiles: 2 });
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('a query without rows reports the sample fallback and is not cached', async () => {
+  configureNYC({ datasetIds: { DEMOGRAPHICS_BY_NTA: 'none-0000' } });
+  const profiles = await fetchProfiles({ limit: 10 });
+  assert.deepEqual(profiles.map(p => p.id), ['smpl-1', 'smpl-2']);
+  assert.deepEqual(getFetchStatus(), { state: 'fallback', ageMs: null, httpStatus: null, detail: 'no rows', rows: 0, profiles: 2 });
+  const before = requests.filter(r => r.path === '/resource/none-0000.json').length;
+  await fetchProfiles({ limit: 10 });
+  assert.equal(requests.filter(r => r.path === '/resource/none-0000.json').length, before + 1, 'asked again, not served from the cache');
+  assert.equal(getFetchStatus().state, 'fallback');
+});
+
+test('profiles sample industries from their NTA employment mix', async () => {
+  const profiles = await fetchProfiles({ nta: 'QN0001', limit: 40 });
+  const industryReq = requests.find(r => r.path === '/resource/ind-0001.json');
+  assert.match(industryReq.params.$where, /^nta_code in \('QN0000', 'QN0001'/);
+  const byNta = nta => profiles.filter(p => p.nta === nta);
+  assert.ok(byNta('QN0001').every(p => p.industry === 'Healthcare'));
+  assert.ok(byNta('QN0003').every(p => ['Finance', 'Retail'].includes(p.industry)));
+  // NTAs without employment rows use the overall mix, which healthcare dominates here
+  assert.ok(byNta('QN0010').every(p => ['Healthcare', 'Finance', 'Retail'].includes(p.industry)));
+});
+
+test('a failing industry dataset leaves synthesis on the row NAICS column', async () => {
+  configureNYC({ datasetIds: { INDUSTRY_BY_NTA: 'fail-0000' } });
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const profiles = await fetchProfiles({ limit: 5 });
+    assert.equal(profiles.length, 5);
+    assert.ok(profiles.every(p => p.industry === 'Tech'));
+  } finally {
+    console.warn = warn;
+  }
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureNYC, mapAge, mapIndustry, synthesizeProfileFromDemographics, buildIndustryMix } from '../data/nyc.js';
+import { createRng } from '../core/util.js';
+
+test('mapAge maps ACS bands to midpoints', () => {
+  assert.equal(mapAge('Under 5 years'), 3);
+  assert.equal(mapAge('25 to 34 years'), 29);
+  assert.equal(mapAge('85 years and over'), 88);
+  assert.equal(mapAge('25-34'), 30);
+  assert.equal(mapAge('41'), 41);
+});
+
+test('mapAge falls back to a plausible random age', () => {
+  const age = mapAge('unknown');
+  assert.ok(age >= 20 && age < 70);
+});
+
+test('mapIndustry recognises NAICS codes and names', () => {
+  assert.equal(mapIndustry('44-45'), 'Retail');
+  assert.equal(mapIndustry('Finance and Insurance'), 'Finance');
+  assert.equal(mapIndustry('62'), 'Healthcare');
+  assert.equal(mapIndustry('Public Administration'), 'Gov');
+  assert.equal(mapIndustry(''), 'Tech');
+});
+
+test('synthesizeProfileFromDemographics is reproducible with an injected PRNG', () => {
+  const row = { borough: 'Brooklyn', nta_code: 'BK032', median_income: '61000', age_band: '35 to 44 years' };
+  configureNYC({ random: createRng('t'), now: () => 0 });
+  const a = synthesizeProfileFromDemographics(row);
+  configureNYC({ random: createRng('t'), now: () => 0 });
+  const b = synthesizeProfileFromDemographics(row);
+  configureNYC({ random: Math.random, now: Date.now });
+  assert.deepEqual(a, b);
+  assert.equal(a.borough, 'Brooklyn');
+  assert.equal(a.nta, 'BK032');
+  assert.equal(a.income_usd, 61000);
+  assert.equal(a.age, 39);
+});
+
+test('buildIndustryMix aggregates jobs per NTA and overall by sector', () => {
+  const mix = buildIndustryMix([
+    { nta_code: 'bk01', naics: '5221', jobs: '10' },
+    { nta_code: 'BK01', naics: '524', jobs: 5 },
+    { nta_code: 'BK01', naics: '31-33', jobs: '20' },
+    { nta_code: 'BK02', naics: '99', jobs: '100' },
+    { nta_code: 'BK02', naics: '72', jobs: '0' },
+  ]);
+  assert.deepEqual(mix.byNta.get('BK01'), [['Manufacturing', 20], ['Finance', 15]]);
+  assert.equal(mix.byNta.has('BK02'), false);
+  assert.deepEqual(mix.overall, [['Manufacturing', 20], ['Finance', 15]]);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeProfiles, matchesSegment, createStatsWindow } from '../core/poolStats.js';
+
+const pool = [
+  { borough: 'queens', nta: 'qn01', income_usd: 20000, risk_score: 5, emotional_state: 'calm', industry: 'Tech' },
+  { borough: 'Queens', nta: 'QN02', income_usd: 60000, risk_score: 55, emotional_state: 'calm', industry: 'Retail' },
+  { borough: 'Bronx', nta: 'BX01', income_usd: 100000, risk_score: 100, emotional_state: 'burnout', industry: 'Tech' },
+  { name: 'no data' },
+];
+
+test('summary counts places, bins income and risk, ranks moods and industries', () => {
+  const s = summarizeProfiles(pool, { incomeBins: 4 });
+  assert.equal(s.count, 4);
+  assert.deepEqual(s.place, { field: 'borough', items: [{ value: 'Queens', count: 2 }, { value: 'Bronx', count: 1 }] });
+  assert.deepEqual(s.income.bins.map(b => b.count), [1, 0, 1, 1]);
+  assert.deepEqual(s.income.bins.map(b => [b.min, b.max]), [[20000, 40000], [40000, 60000], [60000, 80000], [80000, 100000]]);
+  assert.equal(s.risk.bins.length, 10);
+  assert.deepEqual([s.risk.bins[0].count, s.risk.bins[5].count, s.risk.bins[9].count], [1, 1, 1]);
+  assert.deepEqual(s.moods, [{ value: 'calm', count: 2 }, { value: 'burnout', count: 1 }]);
+  assert.deepEqual(s.industries[0], { value: 'Tech', count: 2 });
+  assert.deepEqual(summarizeProfiles(pool, { placeField: 'nta' }).place.items.map(i => i.value), ['BX01', 'QN01', 'QN02']);
+  const empty = summarizeProfiles([]);
+  assert.deepEqual([empty.income.bins, empty.risk.bins, empty.moods], [[], [], []]);
+});
+
+test('segments match categories (canonical places) and half-open bins', () => {
+  assert.equal(matchesSegment(pool[0], { field: 'borough', value: 'Queens' }), true);
+  assert.equal(matchesSegment(pool[2], { field: 'borough', value: 'Queens' }), false);
+  assert.equal(matchesSegment(pool[2], { field: 'emotional_state', value: 'burnout' }), true);
+  const bin = { field: 'income_usd', min: 20000, max: 60000 };
+  assert.deepEqual(pool.map(p => matchesSegment(p, bin)), [true, false, false, false]);
+  assert.equal(matchesSegment(pool[1], { ...bin, closed: true }), true);
+  assert.equal(matchesSegment(pool[3], null), true);
+});
+
+test('the window keeps the latest profiles and caches its summary', () => {
+  const win = createStatsWindow({ size: 3 });
+  const v0 = win.version;
+  win.add(pool);
+  assert.equal(win.size, 3);
+  assert.equal(win.summary().count, 3);
+  assert.equal(win.summary(), win.summary());
+  assert.equal(win.summary().place.items.length, 2); // first (queens) profile rolled out, one Queens left
+  win.add([]);
+  win.clear();
+  assert.equal(win.summary().count, 0);
+  assert.ok(win.version > v0);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validatePreset, applyPreset, snapshotConfig, encodePresetHash, decodePresetHash, presetToJson, parsePresetJson,
+} from '../core/presets.js';
+import { CONFIG, CONFIG_DEFAULTS } from '../core/config.js';
+
+const fresh = () => structuredClone(CONFIG_DEFAULTS);
+
+test('every CONFIG field survives a JSON round trip', () => {
+  const cfg = fresh();
+  Object.assign(cfg, {
+    densityScale: 1.35, speedScale: 2.5, glowIntensity: 0.2, theme: 'magenta', showFps: true, showPerf: true, showStats: true,
+    targetFps: 30, renderer: 'canvas2d', source: 'nyc', borough: 'Queens', nta: 'QN0101', layout: 'lanes',
+    streamUrl: 'ws://localhost:8787/ws',
+    filters: [{ field: 'income', op: 'between', value: [40000, 90000] }], rowLimit: 500, stringStyle: 'tpl-ticker',
+    maxColumns: 200, mode: 'glyph', speedMin: 50, speedMax: 90, seed: 'demo', fixedStep: 1 / 30,
+  });
+  cfg.textCfg = { maxWidth: 300, fontSize: 16, lineHeight: 20, maxLines: 8 };
+  cfg.encoding = { hue: 'risk_score', speed: 'income_usd', size: '', glitch: 'emotional_state', lane: 'borough' };
+  cfg.redaction = { enabled: true, k: 5, fields: { name: 'mask', age: 'bucket' } };
+  const { name, values, warnings } = parsePresetJson(presetToJson(cfg, 'lobby'));
+  assert.equal(name, 'lobby');
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(applyPreset(fresh(), values), { ...fresh(), ...snapshotConfig(cfg) });
+  assert.deepEqual(snapshotConfig(cfg), snapshotConfig(applyPreset(fresh(), values)));
+  // the live CONFIG has exactly the preset fields
+  assert.deepEqual(Object.keys(snapshotConfig(CONFIG)).sort(), Object.keys(CONFIG).sort());
+});
+
+test('the hash only carries non-default fields and decodes back', () => {
+  const cfg = fresh();
+  assert.equal(encodePresetHash(cfg, CONFIG_DEFAULTS), '');
+  cfg.densityScale = 1.4; cfg.theme = 'cyan'; cfg.textCfg.maxWidth = 360; cfg.showFps = true;
+  cfg.filters = [{ field: 'age', op: 'gte', value: 30 }];
+  const hash = encodePresetHash(cfg, CONFIG_DEFAULTS);
+  assert.match(hash, /^d=1\.4&th=cyan&fps=1&f=/);
+  assert.ok(hash.includes('&w=360'));
+  const { values, warnings } = decodePresetHash(`#${hash}`);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(applyPreset(fresh(), values), cfg);
+});
+
+test('bad values are clamped or dropped with warnings', () => {
+  const { values, warnings } = validatePreset({
+    densityScale: 9, glowIntensity: -1, targetFps: 59.6, theme: 'no such theme!', mode: 'file', showFps: 'yes',
+    textCfg: { maxWidth: 100, fontSize: 'big', maxLines: 400 }, source: 'nope', nta: 'MN 01; drop',
+    filters: [{ field: 'age', op: 'gte', value: 30 }, { field: 'x', op: 'explode' }, null],
+    speedMin: 300, speedMax: 20, encoding: { hue: 'password', lane: 'borough' }, extra: 1,
+  }, { isSource: id => id === 'fake' });
+  assert.deepEqual(values, {
+    densityScale: 2, glowIntensity: 0, targetFps: 60, mode: 'file',
+    textCfg: { maxWidth: 240, maxLines: 40 },
+    filters: [{ field: 'age', op: 'gte', value: 30 }],
+    speedMin: 20, speedMax: 300, encoding: { lane: 'borough' },
+  });
+  for (const path of ['densityScale', 'theme', 'showFps', 'textCfg.fontSize', 'source', 'nta', 'filters', 'encoding.hue']) {
+    assert.ok(warnings.some(w => w.startsWith(path)), path);
+  }
+  assert.deepEqual(validatePreset('x').values, {});
+});
+
+test('URL text is coerced by type', () => {
+  const { values } = decodePresetHash('d=abc&sp=2&fps=0&perf=true&seed=&unknown=1&b=Staten%20Island');
+  assert.deepEqual(values, { speedScale: 2, showFps: false, showPerf: true, seed: null, borough: 'Staten Island' });
+  const policies = decodePresetHash('rd=1&rk=5&rf=name:mask,age:bucket,name2:drop,gender:bucket');
+  assert.deepEqual(policies.values, { redaction: { enabled: true, k: 5, fields: { name: 'mask', age: 'bucket' } } });
+  assert.deepEqual(policies.warnings, ['redaction.fields: adjusted to {"name":"mask","age":"bucket"}']);
+});
+
+test('preset files: bare configs are accepted, newer versions and bad JSON are not', () => {
+  assert.deepEqual(parsePresetJson('{"theme":"cyan"}').values, { theme: 'cyan' });
+  assert.throws(() => parsePresetJson('{"app":"profile-stream","version":99,"config":{}}'), /newer/);
+  assert.throws(() => parsePresetJson('{oops'), SyntaxError);
+});
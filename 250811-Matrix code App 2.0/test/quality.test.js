@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQualityGovernor, QUALITY_TIERS, ema } from '../core/quality.js';
+
+test('governor steps down after consecutive slow samples and back up with headroom', () => {
+  const gov = createQualityGovernor({ targetFps: 60, downAfter: 2, upAfter: 3 });
+  const changes = [];
+  gov.onChange((q, { reason }) => changes.push(`${q.name}:${reason}`));
+  assert.equal(gov.quality, QUALITY_TIERS[0]);
+  assert.equal(gov.sample(40), false); // one slow sample is not enough
+  assert.equal(gov.sample(60), false); // and the streak resets
+  gov.sample(40);
+  assert.equal(gov.sample(40), true);
+  assert.equal(gov.quality.name, 'medium');
+  gov.sample(40); gov.sample(40); gov.sample(40); gov.sample(40); gov.sample(40); gov.sample(40);
+  assert.equal(gov.tier, QUALITY_TIERS.length - 1); // bottoms out
+  gov.sample(40);
+  assert.equal(gov.tier, QUALITY_TIERS.length - 1);
+  gov.sample(59); gov.sample(59);
+  assert.equal(gov.sample(59), true);
+  assert.equal(gov.quality.name, 'low');
+  assert.deepEqual(changes, ['medium:slow', 'low:slow', 'minimal:slow', 'low:headroom']);
+});
+
+test('samples between the thresholds hold the tier', () => {
+  const gov = createQualityGovernor({ targetFps: 60, downAfter: 1, upAfter: 2 });
+  gov.sample(30);
+  for (let i = 0; i < 10; i++) assert.equal(gov.sample(56), false); // 54 <= 56 < 58.2
+  assert.equal(gov.tier, 1);
+});
+
+test('an upgrade that fails right away doubles the wait before the next one', () => {
+  const gov = createQualityGovernor({ targetFps: 60, downAfter: 1, upAfter: 2, maxUpAfter: 8 });
+  gov.sample(30);
+  gov.sample(60); gov.sample(60);
+  assert.equal(gov.tier, 0);
+  gov.sample(30); // the top tier can't hold the target
+  assert.equal(gov.tier, 1);
+  assert.equal(gov.upWait, 4);
+  gov.sample(60); gov.sample(60); gov.sample(60);
+  assert.equal(gov.tier, 1);
+  gov.sample(60);
+  assert.equal(gov.tier, 0);
+  gov.sample(30);
+  assert.equal(gov.upWait, 8);
+  gov.sample(30);
+  assert.equal(gov.upWait, 8); // capped at maxUpAfter
+});
+
+test('a target of 0 turns the governor off and restores full quality', () => {
+  const gov = createQualityGovernor({ targetFps: 60, downAfter: 1 });
+  gov.sample(10); gov.sample(10);
+  assert.equal(gov.tier, 2);
+  gov.setTarget(0);
+  assert.equal(gov.sample(10), true);
+  assert.equal(gov.tier, 0);
+  assert.equal(gov.sample(10), false);
+  gov.setTarget(30);
+  gov.sample(10);
+  assert.equal(gov.tier, 1);
+  gov.reset();
+  assert.equal(gov.tier, 0);
+});
+
+test('ema starts at the first value and moves towards new ones', () => {
+  assert.equal(ema(null, 10), 10);
+  assert.equal(ema(10, 20, 0.5), 15);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  redactProfiles, validatePolicies, saltedHash, maskValue, bucketValue, numericValue, isPublicDisplay, describeRedaction,
+  PUBLIC_DISPLAY, SUPPRESSED,
+} from '../core/redaction.js';
+import { summarizeProfiles, matchesSegment } from '../core/poolStats.js';
+import { partitionLanes } from '../core/lanes.js';
+import { createEncoder } from '../core/encoding.js';
+import { CONFIG } from '../core/config.js';
+import { registerSource } from '../core/sources.js';
+import { DataSource } from '../core/datasource.js';
+
+const ada = { id: 'a1', name: 'Ada Lovelace', age: 36, income_usd: 61000, gender: 'female', nta: 'MN01', job_title: 'Analyst', last_active: '2025-08-11T10:00:00Z' };
+
+test('field policies drop, mask, hash and bucket copies of the profiles', () => {
+  const input = [ada];
+  const { profiles, suppressed } = redactProfiles(input, { enabled: true, fields: { name: 'mask', id: 'hash', gender: 'drop', age: 'bucket', income_usd: 'bucket', last_active: 'bucket' } }, { salt: 's' });
+  assert.equal(suppressed, 0);
+  assert.deepEqual(profiles[0], {
+    id: saltedHash('a1', 's'), name: 'A•• L••••••', age: '30-39', income_usd: '$50k-$75k', nta: 'MN01', job_title: 'Analyst', last_active: '2025-08-11',
+  });
+  assert.equal(input[0].name, 'Ada Lovelace');
+  assert.equal(redactProfiles(input, { enabled: false, fields: { name: 'drop' } }).profiles, input);
+});
+
+test('hashes are stable per salt, masks and buckets handle odd values', () => {
+  assert.equal(saltedHash('x', 'a'), saltedHash('x', 'a'));
+  assert.notEqual(saltedHash('x', 'a'), saltedHash('x', 'b'));
+  assert.match(saltedHash(42), /^h:[0-9a-z]+$/);
+  assert.equal(maskValue(7), '•••');
+  assert.deepEqual(maskValue(['chess', 'go']), ['c••••', 'g•']);
+  assert.equal(bucketValue('risk_score', 100), '100-119');
+  assert.equal(bucketValue('age', 'n/a'), null);
+  assert.equal(bucketValue('name', 'x'), null);
+});
+
+test('rare NTA + age + job combinations are suppressed below k', () => {
+  const crowd = Array.from({ length: 3 }, (_, i) => ({ ...ada, id: `c${i}`, age: 30 + i }));
+  const spec = { enabled: true, k: 3, fields: { age: 'bucket' } };
+  const { profiles, suppressed } = redactProfiles([...crowd, { ...ada, job_title: 'Pilot' }], spec);
+  assert.equal(suppressed, 1);
+  assert.deepEqual(profiles.slice(0, 3).map(p => p.age), ['30-39', '30-39', '30-39']);
+  assert.deepEqual([profiles[3].nta, profiles[3].age, profiles[3].job_title], [SUPPRESSED, SUPPRESSED, SUPPRESSED]);
+  // single arrivals are judged against the current pool
+  assert.equal(redactProfiles([ada], spec, { reference: profiles }).suppressed, 0);
+  assert.equal(redactProfiles([ada], spec).suppressed, 1);
+});
+
+test('bucketed values still feed the stats, lanes and encodings at their midpoints', () => {
+  assert.equal(numericValue('$50k-$75k'), 62500);
+  assert.equal(numericValue('30-39'), 34.5);
+  assert.equal(numericValue(61000), 61000);
+  assert.ok(Number.isNaN(numericValue(SUPPRESSED)));
+  const spec = { enabled: true, k: 2, fields: { age: 'bucket', income_usd: 'bucket' } };
+  const { profiles } = redactProfiles([ada, { ...ada, id: 'a2' }, { ...ada, id: 'a3', nta: 'BK09', income_usd: 120000 }], spec);
+  const { income } = summarizeProfiles(profiles);
+  assert.equal(income.bins.reduce((n, b) => n + b.count, 0), 3);
+  const top = income.bins.at(-1);
+  assert.ok(matchesSegment(profiles[2], { field: 'income_usd', min: top.min, max: top.max, closed: true }));
+  const lanes = partitionLanes(profiles, { field: 'nta' });
+  assert.deepEqual(lanes.map(l => l.label), ['MN01', 'Unknown'], 'suppressed NTAs are not a lane');
+  assert.equal(lanes[0].stats.medianIncome, 62500);
+  const enc = createEncoder({ size: 'income_usd' });
+  enc.observe(profiles);
+  assert.deepEqual(profiles.map(p => enc.encode(p).size), [0, 0, 1]);
+});
+
+test('policies validate and the public display preset is recognised', () => {
+  assert.deepEqual(validatePolicies({ name: 'mask', age: 'keep', gender: 'bucket', secret: 'drop' }), { value: { name: 'mask' }, clamped: true });
+  assert.equal(isPublicDisplay({ ...PUBLIC_DISPLAY, fields: { ...PUBLIC_DISPLAY.fields } }), true);
+  assert.equal(isPublicDisplay({ ...PUBLIC_DISPLAY, k: 2 }), false);
+  assert.equal(describeRedaction(PUBLIC_DISPLAY), 'public display');
+  assert.equal(describeRedaction({ enabled: true, k: 3, fields: { name: 'mask' } }), 'name mask · k=3');
+  assert.equal(describeRedaction({ enabled: false }), 'off');
+});
+
+test('DataSource hands out redacted copies and re-redacts when the spec changes', () => {
+  registerSource({ id: 'test-private', fetchProfiles: () => [ada] });
+  const seen = [];
+  const off = DataSource.onRedaction(r => seen.push(r));
+  CONFIG.source = 'test-private';
+  try {
+    assert.equal(DataSource.getProfiles(1)[0].name, 'Ada Lovelace');
+    CONFIG.redaction = { enabled: true, k: 0, fields: { name: 'mask', gender: 'drop' } };
+    const [p] = DataSource.getProfiles(1);
+    assert.deepEqual([p.name, 'gender' in p], ['A•• L••••••', false]);
+    assert.equal(DataSource.originOf(p).source, 'test-private');
+    assert.equal(DataSource.redact({ id: 'z', name: 'Zed' }).name, 'Z••');
+    assert.deepEqual(seen.at(-1), { enabled: true, suppressed: 0, count: 1 });
+  } finally {
+    off();
+    CONFIG.redaction = { enabled: false, k: 0, fields: {} };
+    CONFIG.source = 'fake';
+  }
+  assert.equal(DataSource.redact(ada), ada);
+});
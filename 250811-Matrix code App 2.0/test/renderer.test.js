@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chooseRenderer, isSoftwareRenderer } from '../core/renderer.js';
+
+test('isSoftwareRenderer spots software GL implementations', () => {
+  assert.equal(isSoftwareRenderer('ANGLE (Google, Vulkan 1.3.0 (SwiftShader Device (Subzero)), SwiftShader driver)'), true);
+  assert.equal(isSoftwareRenderer('llvmpipe (LLVM 15.0.7, 256 bits)'), true);
+  assert.equal(isSoftwareRenderer('ANGLE (Apple, ANGLE Metal Renderer: Apple M2, Unspecified Version)'), false);
+  assert.equal(isSoftwareRenderer(''), false);
+});
+
+test('chooseRenderer honours the preference and falls back to canvas2d', () => {
+  const gpu = () => ({ ok: true, renderer: 'NVIDIA GeForce RTX 3060' });
+  const soft = () => ({ ok: true, renderer: 'llvmpipe (LLVM 15)' });
+  const none = () => ({ ok: false, reason: 'no WebGL2' });
+  assert.equal(chooseRenderer('canvas2d', () => assert.fail('no probe')).kind, 'canvas2d');
+  assert.deepEqual(chooseRenderer('auto', gpu), { kind: 'webgl', reason: 'auto', gpu: 'NVIDIA GeForce RTX 3060' });
+  assert.equal(chooseRenderer('auto', soft).kind, 'canvas2d');
+  assert.match(chooseRenderer('auto', soft).reason, /software rasterizer/);
+  assert.equal(chooseRenderer('webgl', soft).kind, 'webgl');
+  assert.deepEqual(chooseRenderer('webgl', none), { kind: 'canvas2d', reason: 'no WebGL2', gpu: '' });
+  assert.equal(chooseRenderer('auto', () => { throw new Error('boom'); }).reason, 'boom');
+  let allowed;
+  chooseRenderer('webgl', opts => { allowed = opts.allowSoftware; return gpu(); });
+  assert.equal(allowed, true);
+});
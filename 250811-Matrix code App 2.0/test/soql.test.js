@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SoqlQuery, compileFilter, soqlLiteral, soqlIdentifier } from '../data/soql.js';
+
+test('literals are escaped and typed', () => {
+  assert.equal(soqlLiteral("Hell's Kitchen"), "'Hell''s Kitchen'");
+  assert.equal(soqlLiteral(42), '42');
+  assert.equal(soqlLiteral('42', 'number'), '42');
+  assert.equal(soqlLiteral(true), 'true');
+  assert.equal(soqlLiteral(new Date(Date.UTC(2024, 0, 2))), "'2024-01-02T00:00:00.000'");
+  assert.throws(() => soqlLiteral('abc', 'number'), /not a number/);
+});
+
+test('identifiers are validated', () => {
+  assert.equal(soqlIdentifier('nta_code'), 'nta_code');
+  assert.equal(soqlIdentifier(':id'), ':id');
+  assert.equal(soqlIdentifier('x) OR (1=1'), '`x) OR (1=1`');
+});
+
+test('compileFilter covers ranges, membership and case-insensitive equality', () => {
+  assert.equal(compileFilter({ field: 'median_income', op: 'between', value: [40000, 90000], type: 'number' }),
+    'median_income between 40000 and 90000');
+  assert.equal(compileFilter({ field: 'median_income', op: 'between', value: [null, '90000'], type: 'number' }),
+    'median_income <= 90000');
+  assert.equal(compileFilter({ field: 'age_band', op: 'in', value: ['25 to 34 years', '35 to 44 years'] }),
+    "age_band in ('25 to 34 years', '35 to 44 years')");
+  assert.equal(compileFilter({ field: 'borough', value: 'Queens', ci: true }), "upper(borough) = upper('Queens')");
+  assert.equal(compileFilter({ field: 'nta_code', op: 'not_null' }), 'nta_code IS NOT NULL');
+  assert.throws(() => compileFilter({ field: 'a', op: 'in', value: [] }), /at least one/);
+  assert.throws(() => compileFilter({ field: 'a', op: 'nope' }), /unknown filter op/);
+});
+
+test('SoqlQuery builds SODA params and clones independently', () => {
+  const q = new SoqlQuery()
+    .select('borough', 'nta_code')
+    .where({ field: 'borough', value: 'Bronx' })
+    .where({ field: 'median_income', op: 'gte', value: 50000 })
+    .order(':id')
+    .limit(100);
+  const page2 = q.clone().offset(100);
+  assert.deepEqual(q.toParams(), {
+    $select: 'borough, nta_code',
+    $where: "(borough = 'Bronx') AND (median_income >= 50000)",
+    $order: ':id ASC',
+    $limit: '100',
+  });
+  assert.equal(page2.toParams().$offset, '100');
+  assert.equal(q.toParams().$offset, undefined);
+});
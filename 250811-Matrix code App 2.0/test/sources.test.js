@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerSource, getSource, listSources, onSourcesChanged, extendSourceSettings } from '../core/sources.js';
+import { CONFIG } from '../core/config.js';
+import { DataSource } from '../core/datasource.js';
+import { DataStatus } from '../core/status.js';
+
+test('built-in sources are registered in select order', () => {
+  assert.deepEqual(listSources().slice(0, 3).map(s => s.id), ['fake', 'nyc', 'file']);
+});
+
+test('registerSource validates, notifies and replaces in place', () => {
+  assert.throws(() => registerSource({ id: 'x' }), /fetchProfiles/);
+  const seen = [];
+  const off = onSourcesChanged(list => seen.push(list.length));
+  registerSource({ id: 'test-a', fetchProfiles: () => [] });
+  registerSource({ id: 'test-a', label: 'Test A', fetchProfiles: () => [] });
+  off();
+  assert.equal(seen.length, 2);
+  assert.equal(seen[0], seen[1]);
+  assert.equal(getSource('test-a').label, 'Test A');
+});
+
+test('DataSource streams through every record of the active source', async () => {
+  const records = Array.from({ length: 5 }, (_, i) => ({ id: `r${i}` }));
+  registerSource({ id: 'test-seq', fetchProfiles: () => records });
+  CONFIG.source = 'test-seq';
+  const ids = [...DataSource.getProfiles(3), ...DataSource.getProfiles(3)].map(p => p.id);
+  assert.deepEqual(ids, ['r0', 'r1', 'r2', 'r3', 'r4', 'r0']);
+  assert.deepEqual({ ...DataSource.originOf(records[1]), filters: undefined },
+    { source: 'test-seq', state: 'live', ageMs: null, borough: CONFIG.borough, nta: CONFIG.nta, filters: undefined });
+  assert.equal(DataSource.originOf({}), null);
+
+  registerSource({ id: 'test-async', fetchProfiles: async () => [{ id: 'late' }] });
+  CONFIG.source = 'test-async';
+  // previous batch keeps flowing until the async result lands
+  assert.equal(DataSource.getProfiles(1)[0].id.startsWith('r'), true);
+  await new Promise(res => setTimeout(res, 0));
+  assert.equal(DataSource.getProfiles(1)[0].id, 'late');
+  CONFIG.source = 'fake';
+});
+
+test('extendSourceSettings chains renderers in order', () => {
+  registerSource({ id: 'test-ui', fetchProfiles: () => [], settingsUI: c => c.push('a') });
+  extendSourceSettings('test-ui', (c, ctx) => c.push(ctx.tag));
+  const out = [];
+  getSource('test-ui').settingsUI(out, { tag: 'b' });
+  assert.deepEqual(out, ['a', 'b']);
+  assert.throws(() => extendSourceSettings('nope', () => {}), /unknown source/);
+});
+
+test('DataSource does not refetch while a request for the same key is in flight', async () => {
+  let calls = 0;
+  let release;
+  registerSource({ id: 'test-slow', fetchProfiles: () => { calls++; return new Promise(res => { release = res; }); } });
+  CONFIG.source = 'test-slow';
+  DataSource.getProfiles(2);
+  DataSource.getProfiles(2);
+  assert.equal(calls, 1);
+  release([{ id: 'slow' }]);
+  await new Promise(res => setTimeout(res, 0));
+  assert.equal(DataSource.getProfiles(1)[0].id, 'slow');
+  assert.equal(calls, 2);
+  CONFIG.source = 'fake';
+});
+
+test('DataSource reports status and backs off after a failing source', async () => {
+  let calls = 0;
+  registerSource({ id: 'test-fail', fetchProfiles: async () => { calls++; throw Object.assign(new Error('HTTP 500'), { status: 500 }); } });
+  CONFIG.source = 'test-fail';
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(DataSource.getProfiles(4).length, 4); // fake batch keeps the rain going
+    assert.equal(DataStatus.get().state, 'loading');
+    await new Promise(res => setTimeout(res, 0));
+    const s = DataStatus.get();
+    assert.deepEqual([s.source, s.state, s.httpStatus, s.detail, s.attempt], ['test-fail', 'error', 500, 'HTTP 500', 1]);
+    assert.ok(s.retryAt > Date.now());
+    DataSource.getProfiles(4);
+    assert.equal(calls, 1); // waiting for the backoff
+    DataSource.retry();
+    assert.equal(calls, 2);
+    await new Promise(res => setTimeout(res, 0));
+    assert.equal(DataStatus.get().attempt, 1); // manual retry starts the backoff over
+  } finally {
+    console.warn = warn;
+  }
+
+  registerSource({ id: 'test-status', fetchProfiles: () => [{ id: 'x' }], status: () => ({ state: 'cached', ageMs: 5000, rows: 9 }) });
+  CONFIG.source = 'test-status';
+  DataSource.getProfiles(1);
+  const s = DataStatus.get();
+  assert.deepEqual([s.state, s.ageMs, s.rows, s.profiles, s.retryAt], ['cached', 5000, 9, 1, null]);
+  CONFIG.source = 'fake';
+});
+
+test('an empty answer for new filters falls back to fake data; the fake source keeps its batch', async () => {
+  registerSource({ id: 'test-empty', fetchProfiles: () => (CONFIG.borough ? [] : [{ id: 'e1' }]) });
+  CONFIG.source = 'test-empty';
+  assert.equal(DataSource.getProfiles(1)[0].id, 'e1');
+  CONFIG.borough = 'Bronx';
+  const [p] = DataSource.getProfiles(1);
+  assert.notEqual(p.id, 'e1', 'nothing from the unfiltered batch stays up');
+  assert.deepEqual([DataSource.originOf(p).source, DataSource.originOf(p).state, DataSource.originOf(p).borough], ['fake', 'fallback', 'Bronx']);
+  CONFIG.borough = '';
+  CONFIG.source = 'fake';
+  DataSource.retry();
+  const first = DataSource.getProfiles(128);
+  assert.deepEqual(DataSource.getProfiles(128), first);
+});
+
+test('DataSource deactivates the previous source when CONFIG.source changes', () => {
+  let off = 0;
+  registerSource({ id: 'test-live', fetchProfiles: () => [{ id: 'l' }], deactivate: () => { off++; } });
+  CONFIG.source = 'test-live';
+  DataSource.getProfiles(1);
+  CONFIG.borough = 'Queens';
+  DataSource.getProfiles(1);
+  assert.equal(off, 0); // same source, new filters
+  CONFIG.borough = '';
+  CONFIG.source = 'fake';
+  DataSource.getProfiles(1);
+  assert.equal(off, 1);
+});
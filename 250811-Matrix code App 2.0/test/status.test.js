@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DataStatus, backoffDelay, formatStatus } from '../core/status.js';
+
+test('backoffDelay doubles from the base and caps', () => {
+  assert.deepEqual([1, 2, 3, 4].map(n => backoffDelay(n)), [2000, 4000, 8000, 16000]);
+  assert.equal(backoffDelay(20), 120000);
+  assert.equal(backoffDelay(3, { baseMs: 100, maxMs: 300 }), 300);
+});
+
+test('subscribers get the current record and only real changes', () => {
+  DataStatus.reset();
+  DataStatus.setClock(() => 42);
+  const seen = [];
+  const off = DataStatus.subscribe(s => seen.push(s.state));
+  DataStatus.report({ source: 'nyc', state: 'loading' });
+  DataStatus.report({ source: 'nyc', state: 'loading' });
+  DataStatus.report({ state: 'live', rows: 10, profiles: 10 });
+  off();
+  DataStatus.report({ state: 'error' });
+  assert.deepEqual(seen, ['idle', 'loading', 'live']);
+  assert.equal(DataStatus.get().at, 42);
+  DataStatus.setClock(null);
+  DataStatus.reset();
+});
+
+test('formatStatus summarises state, age, error and retry', () => {
+  const base = { source: 'nyc', state: 'live', detail: '', rows: 2000, ageMs: null, retryAt: null };
+  assert.equal(formatStatus(base), 'nyc · live · 2000 rows');
+  assert.equal(formatStatus({ ...base, state: 'cached', ageMs: 12 * 60000 }), 'nyc · cached 12m · 2000 rows');
+  assert.equal(
+    formatStatus({ ...base, state: 'fallback', detail: 'HTTP 503', rows: 0, retryAt: 9000 }, 1000),
+    'nyc · fallback · HTTP 503 · 0 rows · retry in 8s',
+  );
+  assert.equal(formatStatus({ ...base, state: 'loading' }), 'nyc · loading');
+});
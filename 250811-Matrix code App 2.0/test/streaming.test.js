@@ -0,0 +1,194 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import crypto from 'node:crypto';
+import {
+  validateProfile, parseStreamMessage, createBoundedQueue, createSSEParser, createStreamClient,
+} from '../core/streaming.js';
+import { StreamSource } from '../data/streamSource.js';
+import { createStreamServer, readWsFrames } from '../tools/streamServer.js';
+
+const waitFor = async (check, ms = 3000) => {
+  const until = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > until) throw new Error('timed out');
+    await new Promise(r => setTimeout(r, 10));
+  }
+};
+
+test('profiles are validated against the canonical schema', () => {
+  assert.deepEqual(validateProfile({ id: 7, name: 'Ada', age: 36, interests: ['chess'], secret: 'x' }),
+    { profile: { id: '7', name: 'Ada', age: 36, interests: ['chess'] } });
+  assert.match(validateProfile({ id: 'a', age: 'old', interests: 'chess' }).error, /age, interests/);
+  assert.match(validateProfile({ name: 'no id' }).error, /id/);
+  assert.equal(validateProfile([]).error, 'not an object');
+});
+
+test('messages carry a profile, a list, an envelope or a control word', () => {
+  assert.equal(parseStreamMessage('{"id":"a"}').profiles.length, 1);
+  assert.equal(parseStreamMessage('[{"id":"a"},{"id":"b"},{"age":3}]').profiles.length, 2);
+  assert.equal(parseStreamMessage('[{"id":"a"},{"age":3}]').errors.length, 1);
+  assert.deepEqual(parseStreamMessage('{"type":"profile","profile":{"id":"a"}}').profiles, [{ id: 'a' }]);
+  assert.equal(parseStreamMessage('{"type":"profiles","profiles":[{"id":"a"}]}').profiles.length, 1);
+  assert.equal(parseStreamMessage('{"type":"heartbeat"}').control, 'heartbeat');
+  assert.deepEqual(parseStreamMessage('nope').errors, ['not JSON']);
+  assert.match(parseStreamMessage('{"type":"bogus"}').errors[0], /bogus/);
+});
+
+test('the bounded queue drops by policy and counts the loss', () => {
+  const oldest = createBoundedQueue({ capacity: 2 });
+  [1, 2, 3].forEach(n => oldest.push(n));
+  assert.deepEqual([oldest.shift(), oldest.shift(), oldest.shift()], [2, 3, undefined]);
+  assert.equal(oldest.dropped, 1);
+  const newest = createBoundedQueue({ capacity: 2, policy: 'drop-newest' });
+  assert.deepEqual([1, 2, 3].map(n => newest.push(n)), [true, true, false]);
+  assert.deepEqual([newest.size, newest.dropped, newest.shift()], [2, 1, 1]);
+  newest.clear();
+  assert.equal(newest.size, 0);
+});
+
+test('the SSE parser handles split chunks, multi-line data, ids and comments', () => {
+  const events = [], comments = [];
+  const parser = createSSEParser({ onEvent: e => events.push(e), onComment: c => comments.push(c) });
+  parser.feed(': hi\n\nid: 4\nda');
+  parser.feed('ta: {"a":\ndata: 1}\r\n\r\nevent: x\ndata:2\n\n');
+  assert.deepEqual(comments, ['hi']);
+  assert.deepEqual(events, [{ event: 'message', data: '{"a":\n1}', id: '4' }, { event: 'x', data: '2', id: '4' }]);
+  assert.equal(parser.lastEventId, '4');
+});
+
+test('the SSE client receives published profiles from the local server', async () => {
+  const server = createStreamServer({ heartbeatMs: 0 });
+  const port = await server.listen(0);
+  const messages = [], states = [];
+  const client = createStreamClient({
+    url: `http://127.0.0.1:${port}/events`, heartbeatMs: 2000,
+    onMessage: m => messages.push(m), onState: s => states.push(s),
+  });
+  try {
+    assert.equal(client.kind, 'sse');
+    client.start();
+    await waitFor(() => client.state === 'open');
+    await new Promise(r => setTimeout(r, 20));
+    server.publish({ id: 'p1' });
+    await waitFor(() => messages.length === 1);
+    assert.deepEqual(JSON.parse(messages[0]), { id: 'p1' });
+    assert.deepEqual(states.slice(0, 2), ['connecting', 'open']);
+  } finally {
+    client.stop();
+    await server.close();
+  }
+  assert.equal(client.state, 'closed');
+});
+
+test('the WebSocket endpoint answers pings and echoes messages', async () => {
+  const server = createStreamServer({ heartbeatMs: 0 });
+  const port = await server.listen(0);
+  const socket = net.connect(port, '127.0.0.1');
+  try {
+    const key = crypto.randomBytes(16).toString('base64');
+    let buf = Buffer.alloc(0);
+    socket.on('data', chunk => { buf = Buffer.concat([buf, chunk]); });
+    socket.write(`GET /ws HTTP/1.1\r\nHost: x\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Key: ${key}\r\nSec-WebSocket-Version: 13\r\n\r\n`);
+    await waitFor(() => buf.includes('\r\n\r\n'));
+    const head = buf.subarray(0, buf.indexOf('\r\n\r\n') + 4).toString();
+    const accept = crypto.createHash('sha1').update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC11FE5`).digest('base64');
+    assert.match(head, /^HTTP\/1.1 101/);
+    assert.ok(head.includes(`Sec-WebSocket-Accept: ${accept}`));
+    buf = buf.subarray(head.length);
+    const send = text => {
+      const mask = crypto.randomBytes(4);
+      const body = Buffer.from(text).map((b, i) => b ^ mask[i & 3]);
+      socket.write(Buffer.concat([Buffer.from([0x81, 0x80 | body.length]), mask, body]));
+    };
+    send('{"type":"ping"}');
+    send('{"id":"echo"}');
+    await waitFor(() => readWsFrames(buf).frames.length === 2);
+    assert.deepEqual(readWsFrames(buf).frames.map(f => f.payload.toString()), ['{"type":"pong"}', '{"id":"echo"}']);
+  } finally {
+    socket.destroy();
+    await server.close();
+  }
+});
+
+test('the WebSocket client pings, reconnects with backoff and times out silent sockets', () => {
+  const queue = [];
+  const timers = {
+    setTimeout: (fn, ms) => { const t = { fn, ms }; queue.push(t); return t; },
+    clearTimeout: t => { const i = queue.indexOf(t); if (i !== -1) queue.splice(i, 1); },
+    setInterval: (fn, ms) => timers.setTimeout(fn, ms),
+    clearInterval: t => timers.clearTimeout(t),
+  };
+  const fire = ms => { const t = queue.find(q => q.ms === ms); timers.clearTimeout(t); t.fn(); };
+  const sockets = [];
+  class FakeSocket {
+    constructor(url) { this.url = url; this.sent = []; sockets.push(this); }
+    send(text) { this.sent.push(text); }
+    close() { this.closed = true; }
+  }
+  const messages = [], states = [];
+  const client = createStreamClient({
+    url: 'ws://example.test/ws', heartbeatMs: 1000, backoff: { baseMs: 100, maxMs: 400 },
+    WebSocket: FakeSocket, timers, onMessage: m => messages.push(m), onState: (s, d) => states.push([s, d]),
+  });
+  client.start();
+  sockets[0].onopen();
+  assert.equal(client.state, 'open');
+  sockets[0].onmessage({ data: '{"id":"a"}' });
+  assert.deepEqual(messages, ['{"id":"a"}']);
+  fire(500);
+  assert.deepEqual(sockets[0].sent, ['{"type":"ping"}']);
+
+  fire(1000); // heartbeat timeout
+  assert.equal(sockets[0].closed, true);
+  assert.equal(client.state, 'reconnecting');
+  assert.match(states.at(-1)[1], /heartbeat timeout/);
+  assert.equal(queue.length, 1);
+  assert.equal(queue[0].ms, 100);
+  fire(100);
+  assert.equal(sockets.length, 2);
+  sockets[1].onclose({ code: 1006 });
+  assert.deepEqual(queue.map(t => t.ms), [200]);
+  sockets[0].onmessage({ data: 'stale' });
+  assert.equal(messages.length, 1);
+
+  client.stop();
+  assert.equal(client.state, 'closed');
+  assert.equal(queue.length, 0);
+});
+
+test('the stream source queues valid arrivals and serves them as the pool batch', async () => {
+  const server = createStreamServer({ heartbeatMs: 0 });
+  const port = await server.listen(0);
+  const seen = [];
+  const off = StreamSource.onStatus(s => seen.push(s.state));
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args);
+  try {
+    assert.equal(StreamSource.status().detail, 'no stream URL');
+    StreamSource.configure({ url: `http://127.0.0.1:${port}/events`, heartbeatMs: 2000 });
+    assert.deepEqual(StreamSource.fetchProfiles({}), []);
+    await waitFor(() => StreamSource.status().state === 'live');
+    await new Promise(r => setTimeout(r, 20));
+    server.publish([{ id: 'a', borough: 'Queens' }, { id: 'b', borough: 'Bronx' }, { age: 'bad' }]);
+    await waitFor(() => StreamSource.stats().received === 2);
+    assert.equal(StreamSource.stats().invalid, 1);
+    assert.equal(StreamSource.status().detail, '1 rejected');
+    server.publish([{ age: 'bad' }]);
+    server.publish([{ age: 'worse' }]);
+    await waitFor(() => StreamSource.stats().invalid === 3);
+    assert.equal(warnings.length, 1, 'one warning per burst of rejects');
+    assert.equal(StreamSource.status().detail, '3 rejected');
+    assert.deepEqual(StreamSource.fetchProfiles({ borough: 'bronx' }).map(p => p.id), ['b']);
+    assert.deepEqual(StreamSource.fetchProfiles({ limit: 1 }).map(p => p.id), ['b']);
+    assert.deepEqual([StreamSource.take().id, StreamSource.take().id, StreamSource.take()], ['a', 'b', undefined]);
+  } finally {
+    console.warn = warn;
+    StreamSource.deactivate();
+    off();
+    await server.close();
+  }
+  assert.ok(seen.includes('open'));
+  assert.equal(StreamSource.stats().state, 'idle');
+});
@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StringPainter, buildLines, buildDocument, tokenizeJson, registerStringStyle, removeStringStyle, listStringStyles, renderStringStyle, setLogHost } from '../core/strings.js';
+import { setRandomSource, createRng } from '../core/util.js';
+
+const profile = {
+  id: 'abc123-ff09', job_title: 'Analyst', gender: 'female', age: 34,
+  nta: 'MN013', emotional_state: 'focused', income_usd: 95000, risk_score: 29,
+  coords: ['358.46', '155.65', '411.0'],
+};
+
+test('buildString json', () => {
+  const s = new StringPainter(profile, 'json').string;
+  assert.deepEqual(JSON.parse(s), {
+    profile: 'Analyst+F+34', nta: 'MN013', income: 95000, mood: 'focused',
+    coords: ['358.46', '155.65', '411.0'],
+  });
+});
+
+test('buildString kv', () => {
+  const s = new StringPainter(profile, 'kv').string;
+  assert.equal(s, 'profile=Analyst+F+34 | nta=MN013 | mood=focused | income=$95,000 | risk=29');
+});
+
+test('buildString code', () => {
+  const s = new StringPainter(profile, 'code').string;
+  assert.equal(s, 'let p=Agent( id:0xff09, age:34, job:"Analyst", mood:"focused", nta:"MN013", income:95000 );');
+});
+
+test('buildString tolerates missing fields', () => {
+  assert.equal(new StringPainter({}, 'kv').string, 'profile=Agent+U+? | nta= | mood= | income=$0 | risk=');
+  assert.match(new StringPainter({}, 'code').string, /id:0x0000, age:\?, job:"Worker"/);
+  assert.match(new StringPainter({ id: 'zzzz' }, 'code').string, /id:0xA1C3/);
+});
+
+test('key chars are the fields the style marks as keys', () => {
+  const painter = new StringPainter(profile, 'kv');
+  const keyChars = [...painter.keyCharPositions].sort((a, b) => a - b).map(i => painter.string[i]).join('');
+  assert.equal(keyChars, 'AnalystMN013focused$95,00029');
+  // glyph buffers are padded by 40 filler chars on the left
+  assert.equal(painter.isKeyChar(40), false);
+  assert.equal(painter.isKeyChar(40 + 'profile='.length), true);
+  assert.equal(painter.isKeyChar(40 + 'profile=Analyst'.length), false);
+});
+
+test('custom template styles register, render and highlight', () => {
+  registerStringStyle({ id: 'test-tag', label: 'Tag', template: '{{job_title}}@{{*nta}} :: {{income_usd|usd}} risk={{*risk_score|bar:4}}' });
+  assert.ok(listStringStyles().some(s => s.id === 'test-tag'));
+  const painter = new StringPainter(profile, 'test-tag');
+  assert.equal(painter.string, 'Analyst@MN013 :: $95,000 risk=█░░░');
+  const keyChars = [...painter.keyCharPositions].sort((a, b) => a - b).map(i => painter.string[i]).join('');
+  assert.equal(keyChars, 'MN013█░░░');
+  assert.throws(() => registerStringStyle({ id: 'kv', template: 'x' }), /built in/);
+  assert.throws(() => registerStringStyle({ id: 'bad', template: '{{nta|nope}}' }), /unknown filter/);
+  assert.equal(removeStringStyle('test-tag'), true);
+  assert.equal(new StringPainter(profile, 'test-tag').string.startsWith('{"profile"'), true); // unknown -> json
+});
+
+test('buildLines wraps against the injected measurer', () => {
+  const measure = text => text.length * 8;
+  const lines = buildLines(profile, 'kv', 200, measure);
+  assert.ok(lines.length > 1);
+  for (const { text, width } of lines) {
+    assert.equal(width, text.length * 8);
+    assert.ok(width + 16 <= 200 || !text.includes(' '));
+  }
+  assert.equal(lines.map(l => l.text).join(' '), new StringPainter(profile, 'kv').string);
+});
+
+test('yaml, sql, csv, log and proto styles', () => {
+  const p = { ...profile, name: "Ava O'Neil", last_active: '2025-08-11T10:00:00.000Z' };
+  assert.equal(renderStringStyle(p, 'yaml').text.split('\n')[1], '  name: "Ava O\'Neil"');
+  assert.equal(
+    renderStringStyle(p, 'sql').text,
+    "INSERT INTO profiles (id, job_title, age, nta, income_usd, mood, risk) VALUES ('abc123-ff09', 'Analyst', 34, 'MN013', 95000, 'focused', 29);",
+  );
+  assert.equal(renderStringStyle({ ...p, name: 'Kim, Lee' }, 'csv').text, 'abc123-ff09,"Kim, Lee",Analyst,34,MN013,95000,focused,29');
+  setLogHost('nyc');
+  assert.equal(
+    renderStringStyle(p, 'log').text,
+    '<134>1 2025-08-11T10:00:00.000Z profile-stream nyc - - [profile id="abc123-ff09" nta="MN013"] job="Analyst" mood=focused income=95000 risk=29',
+  );
+  setLogHost('file');
+  assert.match(renderStringStyle(p, 'log').text, /^<134>1 \S+ profile-stream file - - /);
+  setLogHost('');
+  assert.match(renderStringStyle(p, 'log').text, /profile-stream - - - /);
+  const proto = renderStringStyle(p, 'proto').text.split('\n');
+  assert.deepEqual([proto[0], proto[2], proto.at(-1)], ['profile {', '  job_title: "Analyst"', '}']);
+});
+
+test('tokens cover the text with key / value / punct kinds', () => {
+  const { text, tokens } = renderStringStyle(profile, 'kv');
+  assert.equal(tokens[0].start, 0);
+  assert.equal(tokens.at(-1).end, text.length);
+  for (let i = 1; i < tokens.length; i++) assert.equal(tokens[i].start, tokens[i - 1].end);
+  const kinds = tokens.slice(0, 3).map(t => [text.slice(t.start, t.end), t.kind]);
+  assert.deepEqual(kinds, [['profile', 'key'], ['=', 'punct'], ['Analyst', 'value']]);
+  const painter = new StringPainter(profile, 'kv');
+  assert.equal(painter.tokenKindAt(40), 'key');
+  assert.equal(painter.tokenKindAt(40 + 7), 'punct');
+});
+
+test('hexdump dumps the JSON bytes and keeps key fields marked', () => {
+  const json = renderStringStyle(profile, 'json').text;
+  const { text, keys } = renderStringStyle(profile, 'hexdump');
+  const rows = text.split('\n');
+  assert.equal(rows.length, Math.ceil(json.length / 16));
+  assert.match(rows[0], /^00000000  7b 22 70 72 6f 66 69 6c  65 22 3a 22 41 6e 61 6c  \|\{"profile":"Anal\|$/);
+  // first marked byte pair is the "A" of Analyst
+  assert.equal(text.slice(keys[0][0], keys[0][1]), '41');
+});
+
+test('mixed picks a concrete style per render', () => {
+  setRandomSource(createRng('mix'));
+  try {
+    const used = new Set(Array.from({ length: 40 }, () => renderStringStyle(profile, 'mixed').style));
+    assert.ok(used.size > 3);
+    assert.ok(!used.has('mixed'));
+    assert.ok(new StringPainter(profile, 'mixed').style !== 'mixed');
+  } finally {
+    setRandomSource(null);
+  }
+});
+
+test('buildLines keeps newlines, indentation and coloured segments', () => {
+  const lines = buildLines(profile, 'yaml', 1000, text => text.length * 8);
+  assert.equal(lines.length, 8);
+  assert.equal(lines[2].text, '  job_title: "Analyst"');
+  assert.deepEqual(lines[2].segments.map(s => [s.text, s.kind, s.key]), [
+    ['  ', 'space', false], ['job_title', 'key', false], [':', 'punct', false], [' ', 'space', false], ['"Analyst"', 'value', true],
+  ]);
+});
+
+test('tokenizeJson separates keys, values and punctuation and marks chosen values', () => {
+  const { text, tokens, keys } = tokenizeJson('{"a": 1, "b": ["x"], "c": "y"}', new Set(['a', 'c']));
+  const kinds = tokens.filter(t => t.kind !== 'space').map(t => `${t.kind}:${text.slice(t.start, t.end)}`);
+  assert.deepEqual(kinds.slice(0, 5), ['punct:{', 'key:"a"', 'punct::', 'value:1', 'punct:,']);
+  assert.deepEqual(keys.map(([a, b]) => text.slice(a, b)), ['1', '"y"']);
+});
+
+test('buildDocument lays out a pretty-printed file with gutter, tab name and truncation', () => {
+  const measure = text => text.length * 8;
+  const doc = buildDocument({ ...profile, interests: ['ai', 'chess'] }, 'json', { maxWidth: 1000, measure, maxLines: 40 });
+  assert.equal(doc.filename, 'abc123-ff09.json');
+  assert.equal(doc.truncated, false);
+  assert.equal(doc.gutter, measure('    ')); // 2 digits + 2 spaces
+  const text = doc.lines.map(l => l.text).join('\n');
+  assert.deepEqual(JSON.parse(text).interests, ['ai', 'chess']);
+  assert.equal(doc.lines.find(l => l.text.includes('"chess"')).text, '    "chess"');
+  assert.deepEqual(doc.lines.map(l => l.number), doc.lines.map((_, i) => i + 1));
+
+  const short = buildDocument(profile, 'json', { maxWidth: 1000, measure, maxLines: 5 });
+  assert.equal(short.lines.length, 5);
+  assert.equal(short.truncated, true);
+  assert.equal(short.lines[4].text.trim(), '…');
+  assert.equal(short.lines[4].number, null);
+});
+
+test('buildDocument wraps long lines with a hanging indent and no line number', () => {
+  const measure = text => text.length * 8;
+  const doc = buildDocument(profile, 'sql', { maxWidth: 400, measure, maxLines: 40 });
+  assert.equal(doc.filename, 'abc123-ff09.sql');
+  assert.equal(doc.lines[0].number, 1);
+  assert.ok(doc.lines.length > 1);
+  for (const line of doc.lines.slice(1)) {
+    assert.equal(line.number, null);
+    assert.ok(line.text.startsWith('  '));
+    assert.ok(doc.gutter + line.width + 16 <= 400 || !line.text.trim().includes(' '));
+  }
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AGE_BANDS, allocateByPopulation, sampleAgeFromBands, sampleIncome, synthesizePopulation,
+  summarizeSynthesis, formatSynthesisReport, ageBandOf,
+} from '../data/synth.js';
+import { createRng } from '../core/util.js';
+
+const DISTRIBUTIONS = {
+  population: ['pop'],
+  ageBands: { '20 to 24 years': ['a20'], '25 to 34 years': ['a25'], '65 to 74 years': ['a65'] },
+  gender: { female: ['f'], male: ['m'] },
+  education: { HS: ['hs'], BSc: ['ba'] },
+  income: { p25: ['q1'], p75: ['q3'] },
+};
+const ROWS = [
+  { nta: 'BK01', pop: '30000', a20: 1000, a25: 2000, a65: 1000, f: 600, m: 400, hs: 3, ba: 1, med: 60000, q1: 35000, q3: 95000 },
+  { nta: 'BK02', pop: '10000', a20: 0, a25: 500, a65: 1500, f: 1, m: 1, hs: 1, ba: 3, med: 120000 },
+  { nta: 'BK03' },
+];
+
+function synth(total, seed = 'synth') {
+  const random = createRng(seed);
+  return synthesizePopulation(ROWS, {
+    total, distributions: DISTRIBUTIONS, incomeCols: ['med'], random,
+    makeProfile: (row, s) => ({ nta: row.nta, age: s.age, income_usd: s.income, gender: s.gender, education: s.education }),
+  });
+}
+
+test('allocateByPopulation is proportional and sums exactly', () => {
+  assert.deepEqual(allocateByPopulation([3, 1], 8), [6, 2]);
+  assert.deepEqual(allocateByPopulation([1, 1, 1], 10), [4, 3, 3]);
+  assert.deepEqual(allocateByPopulation([0, -5, 2], 3), [0, 0, 3]);
+  assert.deepEqual(allocateByPopulation([0, 0], 3), [0, 0]);
+});
+
+test('sampled ages stay inside the chosen band', () => {
+  const random = createRng(1);
+  for (let i = 0; i < 500; i++) {
+    const age = sampleAgeFromBands([['25 to 34 years', 1]], random);
+    assert.ok(age >= 25 && age <= 34, `age ${age}`);
+  }
+  assert.equal(ageBandOf(88), '85 years and over');
+  assert.equal(AGE_BANDS.length, 13);
+});
+
+test('sampleIncome is centred on the median and uses the quartiles', () => {
+  const random = createRng(2);
+  const draws = Array.from({ length: 4000 }, () => sampleIncome({ p25: 35000, p50: 60000, p75: 95000 }, random)).sort((a, b) => a - b);
+  const q = p => draws[Math.floor(p * draws.length)];
+  assert.ok(Math.abs(q(0.5) / 60000 - 1) < 0.05, `median ${q(0.5)}`);
+  assert.ok(Math.abs(q(0.25) / 35000 - 1) < 0.08, `p25 ${q(0.25)}`);
+  assert.ok(Math.abs(q(0.75) / 95000 - 1) < 0.08, `p75 ${q(0.75)}`);
+  assert.equal(sampleIncome({}, random), undefined);
+});
+
+test('rows without population weigh as the mean known population', () => {
+  const profiles = synth(500);
+  const count = nta => profiles.filter(p => p.nta === nta).length;
+  assert.equal(profiles.length, 500);
+  assert.deepEqual([count('BK01'), count('BK02'), count('BK03')], [250, 83, 167]);
+  assert.ok(profiles.filter(p => p.nta === 'BK03').every(p => p.age === undefined && p.gender === undefined));
+});
+
+test('synthesized marginals match the source marginals', () => {
+  const profiles = synth(6000);
+  const report = summarizeSynthesis(ROWS, profiles, { distributions: DISTRIBUTIONS, incomeCols: ['med'], ntaOf: r => r.nta });
+  assert.deepEqual(Object.keys(report.marginals), ['population', 'age', 'gender', 'education']);
+  assert.ok(report.maxTvd < 0.03, `max TVD ${report.maxTvd}`);
+  assert.equal(report.marginals.population.source.BK01, 0.75);
+  assert.equal(report.income.ntas, 2);
+  assert.ok(report.income.meanRelError < 0.05, `income error ${report.income.meanRelError}`);
+  const text = formatSynthesisReport(report);
+  assert.match(text, /^SYNTHESIS {2}6000 profiles from 3 rows/);
+  assert.match(text, /25 to 34 years\s+src\s+43\.8%/);
+});
+
+test('same seed, same population', () => {
+  assert.deepEqual(synth(50, 'x'), synth(50, 'x'));
+});
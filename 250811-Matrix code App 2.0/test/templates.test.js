@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTemplate, renderTemplate, templateFields, FILTERS, TemplateError } from '../core/templates.js';
+
+const render = (src, data) => renderTemplate(parseTemplate(src), data);
+
+test('parseTemplate splits literals, fields, key marks and filters', () => {
+  const parts = parseTemplate('id={{ *id | hex:4 }}!');
+  assert.deepEqual(parts, [
+    { text: 'id=' },
+    { field: 'id', key: true, filters: [{ name: 'hex', args: ['4'] }] },
+    { text: '!' },
+  ]);
+  assert.deepEqual(templateFields(parseTemplate('{{a}}{{*b.c}}')), [{ field: 'a', key: false }, { field: 'b.c', key: true }]);
+});
+
+test('parseTemplate reports malformed templates', () => {
+  assert.throws(() => parseTemplate('a {{b'), TemplateError);
+  assert.throws(() => parseTemplate('{{}}'), /bad field/);
+  assert.throws(() => parseTemplate('{{x|wat}}'), /unknown filter "wat" \(at 0\)/);
+});
+
+test('renderTemplate fills fields, pipes filters and returns key ranges', () => {
+  const { text, keys } = render('{{name}}: {{*coords.1}} / {{*missing}}', { name: 'n', coords: [1, 22] });
+  assert.equal(text, 'n: 22 / ');
+  assert.deepEqual(keys, [[3, 5]]);
+  assert.equal(render('{{a|default:x|upper}}', {}).text, 'X');
+});
+
+test('filters: money, padding, truncation, hex and bars', () => {
+  assert.equal(FILTERS.usd(1234567), '$1,234,567');
+  assert.equal(FILTERS.usd('n/a'), '$0');
+  assert.equal(FILTERS.pad('ab', '4', '.'), 'ab..');
+  assert.equal(FILTERS.pad(7, '-3', '0'), '007');
+  assert.equal(FILTERS.trunc('abcdef', '4'), 'abcd');
+  assert.equal(FILTERS.trunc('abcdef', '4', '~'), 'abc~');
+  assert.equal(FILTERS.hex(255, '4'), '00ff');
+  assert.equal(FILTERS.hex('abc123-ff09', '4'), 'ff09');
+  assert.equal(FILTERS.bar(50), '█████░░░░░');
+  assert.equal(FILTERS.bar(300, '3', '100'), '███');
+  assert.equal(FILTERS.fixed('3.14159', '2'), '3.14');
+  assert.equal(FILTERS.esc('say "hi"'), 'say \\"hi\\"');
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ThemeError, normalizeTheme, registerTheme, removeTheme, getTheme, resolveTheme, listThemes, onThemesChanged,
+  themeKey, themeCssVars, themeToJson, parseThemeJson, mixColor, rgba, parseHex,
+} from '../core/themes.js';
+
+const amber = {
+  id: 'theme-amber', label: 'Amber', background: '#100800', head: '#FFE0A0', trail: '#ffb000', key: '#ffffff', glow: '#ff8800',
+  gradient: [{ at: 1, color: '#ffcc66', alpha: 0.5 }, { at: 0, color: '#ffcc66', alpha: 0 }],
+};
+
+test('normalizeTheme lower-cases colours, sorts stops and fills gaps from the base', () => {
+  const t = normalizeTheme(amber);
+  assert.equal(t.head, '#ffe0a0');
+  assert.deepEqual(t.gradient.map(s => s.at), [0, 1]);
+  const partial = normalizeTheme({ id: 'p', trail: '#123456' });
+  assert.equal(partial.trail, '#123456');
+  assert.equal(partial.background, resolveTheme('green').background);
+  assert.deepEqual(partial.gradient, resolveTheme('green').gradient);
+});
+
+test('normalizeTheme names every bad field', () => {
+  assert.throws(() => normalizeTheme(null), ThemeError);
+  assert.throws(
+    () => normalizeTheme({ id: 'bad id', head: 'red', glow: '#12345', gradient: [{ at: 0, color: '#000000', alpha: 1 }] }),
+    err => err instanceof ThemeError && /id, head, glow, gradient/.test(err.message),
+  );
+  const clamped = normalizeTheme({ id: 'c', gradient: [{ at: -1, color: '#000000', alpha: 2 }, { at: 3, color: '#ffffff', alpha: -1 }] });
+  assert.deepEqual(clamped.gradient, [{ at: 0, color: '#000000', alpha: 1 }, { at: 1, color: '#ffffff', alpha: 0 }]);
+});
+
+test('the registry keeps built-ins and notifies on changes', () => {
+  const seen = [];
+  const off = onThemesChanged(list => seen.push(list.length));
+  const before = listThemes().length;
+  assert.equal(registerTheme(amber).builtin, false);
+  assert.equal(getTheme('theme-amber').trail, '#ffb000');
+  assert.throws(() => registerTheme({ ...amber, id: 'green' }), /built in/);
+  assert.equal(removeTheme('green'), false);
+  assert.equal(removeTheme('theme-amber'), true);
+  assert.equal(removeTheme('theme-amber'), false);
+  off();
+  assert.deepEqual(seen, [before + 1, before]);
+  assert.equal(resolveTheme('theme-amber').id, 'green');
+});
+
+test('theme files round-trip and accept bare theme objects', () => {
+  const t = normalizeTheme(amber);
+  const text = themeToJson({ ...t, builtin: true });
+  assert.equal(JSON.parse(text).theme.builtin, undefined);
+  assert.deepEqual(parseThemeJson(text), t);
+  assert.deepEqual(parseThemeJson(JSON.stringify(amber)), t);
+  assert.throws(() => parseThemeJson('{'), SyntaxError);
+  assert.throws(() => parseThemeJson('{"theme":{"id":"x","key":"white"}}'), ThemeError);
+});
+
+test('themeKey changes with any pixel-affecting colour only', () => {
+  const t = normalizeTheme(amber);
+  assert.equal(themeKey(t), themeKey({ ...t, id: 'other', label: 'Other' }));
+  assert.notEqual(themeKey(t), themeKey({ ...t, key: '#000000' }));
+  assert.notEqual(themeKey(t), themeKey({ ...t, gradient: [t.gradient[0], { ...t.gradient[1], alpha: 0.2 }] }));
+  assert.equal(themeCssVars(t)['--active'], '#ffb000');
+});
+
+test('colour helpers', () => {
+  assert.deepEqual(parseHex('#00ff66'), [0, 255, 102]);
+  assert.equal(parseHex('lime'), null);
+  assert.equal(mixColor('#000000', '#ffffff', 0.5), '#808080');
+  assert.equal(mixColor('red', '#ffffff', 0.5), 'red');
+  assert.equal(rgba('#00ff66', 0.18), 'rgba(0,255,102,0.18)');
+});
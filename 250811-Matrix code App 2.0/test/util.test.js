@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng, setRandomSource, weightedChoice, shuffle, formatMoneyUSD } from '../core/util.js';
+
+test('createRng is deterministic per seed', () => {
+  const a = createRng('lobby'), b = createRng('lobby'), c = createRng('other');
+  const seqA = Array.from({ length: 5 }, a);
+  assert.deepEqual(seqA, Array.from({ length: 5 }, b));
+  assert.notDeepEqual(seqA, Array.from({ length: 5 }, c));
+  for (const v of seqA) assert.ok(v >= 0 && v < 1);
+});
+
+test('weightedChoice follows the weights', () => {
+  setRandomSource(createRng(7));
+  const counts = { a: 0, b: 0, c: 0 };
+  const n = 20000;
+  for (let i = 0; i < n; i++) counts[weightedChoice([['a', 1], ['b', 3], ['c', 0]])]++;
+  setRandomSource(null);
+  assert.equal(counts.c, 0);
+  assert.ok(Math.abs(counts.a / n - 0.25) < 0.02, `a=${counts.a}`);
+  assert.ok(Math.abs(counts.b / n - 0.75) < 0.02, `b=${counts.b}`);
+});
+
+test('shuffle returns a permutation without mutating the input', () => {
+  const input = [1, 2, 3, 4, 5];
+  const out = shuffle(input);
+  assert.deepEqual(input, [1, 2, 3, 4, 5]);
+  assert.deepEqual([...out].sort(), input);
+});
+
+test('formatMoneyUSD groups thousands', () => {
+  assert.equal(formatMoneyUSD(1234567.4), '$1,234,567');
+  assert.equal(formatMoneyUSD(-950), '-$950');
+});
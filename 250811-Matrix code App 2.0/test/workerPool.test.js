@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorkerPool, PoolError } from '../core/workerPool.js';
+import { createStripCache, stripKey } from '../core/stripCache.js';
+
+// Fake worker: answers each message after `delay` ms with `value: n * 2`; n < 0 fails, n === 13 crashes.
+function fakeWorkers({ delay = 1 } = {}) {
+  const created = [];
+  const create = () => {
+    const w = {
+      posted: [], terminated: false, onmessage: null, onerror: null,
+      postMessage(msg) {
+        this.posted.push(msg);
+        setTimeout(() => {
+          if (this.terminated) return;
+          if (msg.n === 13) return this.onerror({ message: 'boom' });
+          this.onmessage({ data: msg.n < 0 ? { id: msg.id, ok: false, error: 'negative' } : { id: msg.id, ok: true, value: msg.n * 2 } });
+        }, delay);
+      },
+      terminate() { this.terminated = true; },
+    };
+    created.push(w);
+    return w;
+  };
+  return { create, created };
+}
+
+test('pool runs jobs on at most `size` workers and returns their values', async () => {
+  const { create, created } = fakeWorkers();
+  const pool = createWorkerPool({ size: 2, create });
+  const out = await Promise.all([1, 2, 3, 4, 5].map(n => pool.run({ n })));
+  assert.deepEqual(out, [2, 4, 6, 8, 10]);
+  assert.equal(created.length, 2);
+  assert.equal(pool.pending, 0);
+  await assert.rejects(pool.run({ n: -1 }), PoolError);
+  pool.terminate();
+  assert.ok(created.every(w => w.terminated));
+  await assert.rejects(pool.run({ n: 1 }), /terminated/);
+});
+
+test('aborting drops queued jobs and discards late results of running ones', async () => {
+  const { create, created } = fakeWorkers({ delay: 5 });
+  const discarded = [];
+  const pool = createWorkerPool({ size: 1, create, discard: v => discarded.push(v) });
+  const ctrl = new AbortController();
+  const running = pool.run({ n: 1 }, { signal: ctrl.signal });
+  const queued = pool.run({ n: 2 }, { signal: ctrl.signal });
+  const other = pool.run({ n: 3 });
+  ctrl.abort();
+  await assert.rejects(running, { name: 'AbortError' });
+  await assert.rejects(queued, { name: 'AbortError' });
+  assert.equal(await other, 6);
+  assert.deepEqual(discarded, [2]);
+  assert.deepEqual(created[0].posted.map(m => m.n), [1, 3]); // job 2 never reached a worker
+  await assert.rejects(pool.run({ n: 4 }, { signal: ctrl.signal }), { name: 'AbortError' });
+  pool.terminate();
+});
+
+test('crashed workers are replaced until the pool gives up', async () => {
+  const { create, created } = fakeWorkers();
+  const pool = createWorkerPool({ size: 1, create, maxRestarts: 2 });
+  await assert.rejects(pool.run({ n: 13 }), /boom/);
+  assert.equal(await pool.run({ n: 1 }), 2); // a fresh worker took over
+  assert.equal(created.length, 2);
+  await assert.rejects(pool.run({ n: 13 }), /boom/);
+  await assert.rejects(pool.run({ n: 13 }), /boom/);
+  assert.equal(pool.broken, true);
+  await assert.rejects(pool.run({ n: 1 }), /broken/);
+  pool.terminate();
+});
+
+test('strip keys change with profile, style, text settings and colour', () => {
+  const p = { id: 'a', age: 30 };
+  const cfg = { maxWidth: 420, fontSize: 14, lineHeight: 18, maxLines: 16 };
+  const base = stripKey(p, 'json', cfg, '#00ff66');
+  assert.equal(stripKey({ id: 'a', age: 30 }, 'json', { ...cfg }, '#00ff66'), base);
+  assert.notEqual(stripKey({ id: 'a', age: 31 }, 'json', cfg, '#00ff66'), base);
+  assert.notEqual(stripKey(p, 'kv', cfg, '#00ff66'), base);
+  assert.notEqual(stripKey(p, 'json', { ...cfg, maxLines: 8 }, '#00ff66'), base);
+  assert.notEqual(stripKey(p, 'json', cfg, '#00e5ff'), base);
+});
+
+test('strip cache shares loads, evicts least recently used and retries aborted loads', async () => {
+  const cache = createStripCache({ maxEntries: 2 });
+  let loads = 0;
+  const loader = v => () => { loads++; return new Promise(res => setTimeout(() => res(v), 1)); };
+  const [a1, a2] = await Promise.all([cache.fetch('a', loader('A')), cache.fetch('a', loader('A2'))]);
+  assert.equal(a1, 'A'); assert.equal(a2, 'A'); assert.equal(loads, 1);
+  await cache.fetch('b', loader('B'));
+  cache.get('a'); // a is now most recent
+  await cache.fetch('c', loader('C'));
+  assert.equal(cache.get('b'), undefined);
+  assert.equal(cache.get('a'), 'A');
+  assert.equal(cache.size, 2);
+
+  const ctrl = new AbortController();
+  const stale = cache.fetch('d', () => new Promise((res, rej) => ctrl.signal.addEventListener('abort', () => rej(new Error('aborted')))), { signal: ctrl.signal });
+  ctrl.abort();
+  assert.equal(await cache.fetch('d', loader('D')), 'D'); // did not join the aborted load
+  await assert.rejects(stale, /aborted/);
+  await assert.rejects(cache.fetch('e', () => { throw new Error('sync'); }), /sync/);
+});
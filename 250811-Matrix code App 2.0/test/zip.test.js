@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, createZip } from '../core/zip.js';
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+});
+
+test('createZip lays out local headers, central directory and end record', () => {
+  const a = new TextEncoder().encode('hello');
+  const b = new Uint8Array([1, 2, 3]);
+  const zip = createZip([{ name: 'a.txt', data: a }, { name: 'frames/b.bin', data: b }]);
+  const view = new DataView(zip.buffer);
+  assert.equal(view.getUint32(0, true), 0x04034b50);
+  assert.equal(view.getUint32(14, true), crc32(a));
+  assert.equal(new TextDecoder().decode(zip.slice(30, 35)), 'a.txt');
+  assert.equal(new TextDecoder().decode(zip.slice(35, 40)), 'hello');
+
+  const endAt = zip.length - 22;
+  assert.equal(view.getUint32(endAt, true), 0x06054b50);
+  assert.equal(view.getUint16(endAt + 10, true), 2);
+  const cdOffset = view.getUint32(endAt + 16, true);
+  assert.equal(view.getUint32(cdOffset, true), 0x02014b50);
+  // second central entry points at the second local header
+  const second = cdOffset + 46 + 'a.txt'.length;
+  assert.equal(view.getUint32(second, true), 0x02014b50);
+  assert.equal(view.getUint32(view.getUint32(second + 42, true), true), 0x04034b50);
+});
@@ -0,0 +1,155 @@
+/**
+ * Stream echo server - tools/streamServer.js
+ *
+ * Tiny local endpoint for the live stream source (data/streamSource.js), no
+ * dependencies:
+ *   GET  /events   Server-Sent Events; `:` comment heartbeats
+ *   GET  /ws       WebSocket; answers `{"type":"ping"}` with a pong and echoes
+ *                  anything else to every client
+ *   POST /publish  JSON body (a profile, an array or a stream message) sent to every client
+ * With `intervalMs` it also emits a fake profile (core/profiles.js, in a random borough) on that cadence.
+ *
+ *   npm run stream-server -- --port 8787 --interval 500
+ *   -> stream URL ws://localhost:8787/ws or http://localhost:8787/events
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { ProfileFactory } from '../core/profiles.js';
+import { BOROUGH_ORDER } from '../core/lanes.js';
+import { choice } from '../core/util.js';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC11FE5';
+const CORS = { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': 'Content-Type, Last-Event-ID' };
+
+// One unmasked server frame; opcode 1 = text, 8 = close, 10 = pong.
+function wsFrame(payload, opcode = 1) {
+  const body = Buffer.from(payload);
+  const len = body.length;
+  const head = len < 126 ? Buffer.from([0x80 | opcode, len])
+    : len < 65536 ? Buffer.from([0x80 | opcode, 126, len >> 8, len & 255])
+      : Buffer.concat([Buffer.from([0x80 | opcode, 127]), (() => { const b = Buffer.alloc(8); b.writeBigUInt64BE(BigInt(len)); return b; })()]);
+  return Buffer.concat([head, body]);
+}
+
+/** Parse complete frames off the front of `buf`: `{ frames: [{ opcode, payload }], rest }`. */
+export function readWsFrames(buf) {
+  const frames = [];
+  let off = 0;
+  while (buf.length - off >= 2) {
+    const opcode = buf[off] & 15;
+    const masked = buf[off + 1] & 128;
+    let len = buf[off + 1] & 127;
+    let p = off + 2;
+    if (len === 126) { if (buf.length < p + 2) break; len = buf.readUInt16BE(p); p += 2; }
+    else if (len === 127) { if (buf.length < p + 8) break; len = Number(buf.readBigUInt64BE(p)); p += 8; }
+    const mask = masked ? buf.subarray(p, p + 4) : null;
+    if (masked) p += 4;
+    if (buf.length < p + len) break;
+    const payload = Buffer.from(buf.subarray(p, p + len));
+    if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+    frames.push({ opcode, payload });
+    off = p + len;
+  }
+  return { frames, rest: buf.subarray(off) };
+}
+
+/**
+ * `{ server, listen(port) -> Promise<port>, publish(message), close() -> Promise }`.
+ * `heartbeatMs` paces SSE comments, `intervalMs` fake profiles (0 = none).
+ */
+export function createStreamServer({ heartbeatMs = 5000, intervalMs = 0 } = {}) {
+  const sse = new Set();
+  const sockets = new Set();
+  let nextId = 1;
+
+  function publish(message) {
+    const text = typeof message === 'string' ? message : JSON.stringify(message);
+    const event = `id: ${nextId++}\n${text.split('\n').map(l => `data: ${l}`).join('\n')}\n\n`;
+    for (const res of sse) res.write(event);
+    for (const socket of sockets) socket.write(wsFrame(text));
+  }
+
+  const server = http.createServer((req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    if (req.method === 'OPTIONS') { res.writeHead(204, CORS); res.end(); return; }
+    if (req.method === 'GET' && path === '/events') {
+      res.writeHead(200, { ...CORS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      res.write(': connected\n\n');
+      sse.add(res);
+      req.on('close', () => sse.delete(res));
+      return;
+    }
+    if (req.method === 'POST' && path === '/publish') {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        try { JSON.parse(body); } catch { res.writeHead(400, CORS); res.end('body must be JSON\n'); return; }
+        publish(body);
+        res.writeHead(202, CORS);
+        res.end();
+      });
+      return;
+    }
+    res.writeHead(404, CORS);
+    res.end('GET /events, GET /ws (WebSocket) or POST /publish\n');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (new URL(req.url, 'http://localhost').pathname !== '/ws' || !key) { socket.destroy(); return; }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    sockets.add(socket);
+    let pending = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      const { frames, rest } = readWsFrames(Buffer.concat([pending, chunk]));
+      pending = rest;
+      for (const { opcode, payload } of frames) {
+        if (opcode === 8) { socket.end(wsFrame('', 8)); return; }
+        if (opcode === 9) { socket.write(wsFrame(payload, 10)); continue; }
+        if (opcode !== 1) continue;
+        const text = payload.toString('utf8');
+        let doc = null;
+        try { doc = JSON.parse(text); } catch {}
+        if (doc && doc.type === 'ping') socket.write(wsFrame('{"type":"pong"}'));
+        else publish(text);
+      }
+    });
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => sockets.delete(socket));
+  });
+
+  const timers = [];
+  if (heartbeatMs > 0) timers.push(setInterval(() => { for (const res of sse) res.write(': heartbeat\n\n'); }, heartbeatMs));
+  if (intervalMs > 0) timers.push(setInterval(() => publish({ ...ProfileFactory.generate(), borough: choice(BOROUGH_ORDER) }), intervalMs));
+
+  function listen(port = 0) {
+    return new Promise(resolve => server.listen(port, () => resolve(server.address().port)));
+  }
+
+  function close() {
+    timers.forEach(clearInterval);
+    for (const res of sse) res.end();
+    for (const socket of sockets) socket.destroy();
+    sse.clear();
+    sockets.clear();
+    const closed = new Promise(resolve => server.close(() => resolve()));
+    server.closeAllConnections();
+    return closed;
+  }
+
+  return { server, listen, publish, close };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const arg = (name, fallback) => {
+    const i = process.argv.indexOf(`--${name}`);
+    return i === -1 ? fallback : Number(process.argv[i + 1]);
+  };
+  const stream = createStreamServer({ intervalMs: arg('interval', 500) });
+  const port = await stream.listen(arg('port', 8787));
+  console.log(`stream server on ws://localhost:${port}/ws and http://localhost:${port}/events`);
+}
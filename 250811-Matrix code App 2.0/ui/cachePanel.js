@@ -0,0 +1,121 @@
+/**
+ * Cache inspector - ui/cachePanel.js
+ *
+ * Adds a "Cache" button to the `nyc` source settings. The dialog lists cached
+ * queries (size, age, stale flag), lets you drop single entries or purge all,
+ * and edits the TTL / entry limit of the NYC cache (data/cache.js).
+ */
+
+import { extendSourceSettings } from '../core/sources.js';
+import { NYCCache } from '../data/nyc.js';
+
+export const CachePanel = (() => {
+  let dialog = null;
+  let ctx = null;
+
+  function bind() {
+    dialog = document.createElement('dialog');
+    dialog.id = 'cacheDialog';
+    dialog.className = 'panel';
+    dialog.innerHTML = `
+      <form method="dialog">
+        <div class="row header"><span>CACHE</span><span class="muted" data-ref="summary"></span><button value="close">Close</button></div>
+        <div class="row">
+          <label>TTL (min) <input type="number" min="1" step="1" data-ref="ttl" /></label>
+          <label>Max entries <input type="number" min="1" step="1" data-ref="max" /></label>
+          <button type="button" data-ref="purge">Purge all</button>
+        </div>
+        <table class="cache-table">
+          <thead><tr><th>key</th><th>size</th><th>age</th><th></th></tr></thead>
+          <tbody data-ref="rows"></tbody>
+        </table>
+      </form>`;
+    document.body.appendChild(dialog);
+    const ref = name => dialog.querySelector(`[data-ref="${name}"]`);
+    ref('purge').addEventListener('click', async () => { await NYCCache.purge(); render(); });
+    ref('ttl').addEventListener('change', e => applyLimits({ ttlMs: Number(e.target.value) * 60000 }));
+    ref('max').addEventListener('change', e => applyLimits({ maxEntries: Math.round(Number(e.target.value)) }));
+    ref('rows').addEventListener('click', async e => {
+      const key = e.target.dataset && e.target.dataset.key;
+      if (!key) return;
+      await NYCCache.remove(key);
+      render();
+    });
+    extendSourceSettings('nyc', settingsUI);
+  }
+
+  function settingsUI(container, context) {
+    ctx = context;
+    const btn = document.createElement('button');
+    btn.textContent = 'Cache';
+    btn.title = 'Inspect and purge cached NYC queries';
+    btn.addEventListener('click', open);
+    container.append(btn);
+  }
+
+  async function applyLimits(limits) {
+    await NYCCache.configure(limits);
+    render();
+  }
+
+  async function render() {
+    const ref = name => dialog.querySelector(`[data-ref="${name}"]`);
+    const cfg = NYCCache.config;
+    ref('ttl').value = Math.round(cfg.ttlMs / 60000);
+    ref('max').value = cfg.maxEntries;
+    let entries = [];
+    try { entries = await NYCCache.list(); } catch (err) {
+      try { console.warn('[CACHE] list failed:', err && err.message); } catch {}
+    }
+    const total = entries.reduce((n, m) => n + (m.size || 0), 0);
+    ref('summary').textContent = `${entries.length} entries · ${formatBytes(total)} · ${NYCCache.backendKind}`;
+    const tbody = ref('rows');
+    tbody.textContent = '';
+    for (const m of entries) {
+      const tr = document.createElement('tr');
+      if (m.stale) tr.className = 'stale';
+      const cells = [m.key.replace(/^nyc_profiles:/, ''), formatBytes(m.size || 0), formatAge(m.age) + (m.stale ? ' (stale)' : '')];
+      for (const text of cells) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        td.title = text;
+        tr.append(td);
+      }
+      const td = document.createElement('td');
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.textContent = '×';
+      del.title = 'Drop this entry';
+      del.dataset.key = m.key;
+      td.append(del);
+      tr.append(td);
+      tbody.append(tr);
+    }
+    if (!entries.length) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = '<td colspan="4" class="muted">empty</td>';
+      tbody.append(tr);
+    }
+  }
+
+  async function open() {
+    await render();
+    dialog.showModal();
+    dialog.addEventListener('close', () => { if (ctx && ctx.refresh) ctx.refresh(); }, { once: true });
+  }
+
+  function formatBytes(n) {
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  function formatAge(ms) {
+    const s = Math.max(0, Math.round(ms / 1000));
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.round(s / 60)}m`;
+    return `${(s / 3600).toFixed(1)}h`;
+  }
+
+  return { bind, open };
+})();
@@ -0,0 +1,268 @@
+/**
+ * Keyboard layer - ui/commandPalette.js
+ *
+ * Single-key shortcuts (the bindings main.js passes in), Ctrl/⌘+K for the
+ * command palette and ? for the help overlay (#keyHelp) listing every binding.
+ * Keys are ignored while typing in a field or while another dialog is open.
+ *
+ * The palette fuzzy-searches (core/commands.js) every shortcut, every option,
+ * checkbox and button in #controls (driven through the control itself, so its
+ * handler and the session save run as if clicked) and every CONFIG field:
+ * "Set densityScale 1.4" parses the value like a share link and applies it.
+ * An NTA code (e.g. MN0101) typed on its own becomes an NTA filter command.
+ */
+
+import { keyName, formatKeys, searchCommands, ntaFromQuery } from '../core/commands.js';
+import { PRESET_FIELDS, decodePresetHash, snapshotConfig } from '../core/presets.js';
+
+const MAC = typeof navigator !== 'undefined' && /Mac|iP(hone|ad)/.test(navigator.platform || '');
+
+/** Set #controls input/select `id` to `value` and fire the event its handler listens for. */
+export function setControl(id, value) {
+  const el = document.getElementById(id);
+  if (el.type === 'checkbox') el.checked = !!value; else el.value = String(value);
+  el.dispatchEvent(new Event(el.type === 'range' ? 'input' : 'change', { bubbles: true }));
+}
+
+/** Select the option `step` away from the current one, wrapping around. */
+export function cycleSelect(id, step = 1) {
+  const sel = document.getElementById(id);
+  const n = sel.options.length;
+  if (n) setControl(id, sel.options[(((sel.selectedIndex + step) % n) + n) % n].value);
+}
+
+export function toggleCheckbox(id) {
+  setControl(id, !document.getElementById(id).checked);
+}
+
+/** Move range input `id` by `steps` of its step, within its bounds. */
+export function stepRange(id, steps) {
+  const el = document.getElementById(id);
+  if (steps > 0) el.stepUp(steps); else el.stepDown(-steps);
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+// Typing into a text field, number or slider keeps its keys.
+function isTyping(target) {
+  if (!(target instanceof HTMLElement)) return false;
+  if (target.closest('textarea, select, [contenteditable="true"]')) return true;
+  return target.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'file'].includes(target.type);
+}
+
+function valueAt(obj, path) {
+  return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+export const CommandPalette = (() => {
+  let ctx = { getConfig: () => ({}), applyValues: () => {}, isSource: undefined };
+  let bindings = [];
+  let dialog = null;
+  let help = null;
+  let results = [];
+  let selected = 0;
+
+  /**
+   * `ctx.bindings` is `[{ keys, label, run }]` with keys as core/commands.js keyName
+   * names; `ctx.getConfig()` the live CONFIG; `ctx.applyValues(values)` applies
+   * validated preset values; `ctx.isSource(id)` rejects unregistered sources.
+   */
+  function bind(next = {}) {
+    ctx = { ...ctx, ...next };
+    bindings = [
+      ...(next.bindings || []),
+      { keys: 'mod+k', label: 'Command palette', run: toggle },
+      { keys: '?', label: 'Keyboard help', run: toggleHelp },
+    ];
+    dialog = buildDialog();
+    document.body.appendChild(dialog);
+    help = document.getElementById('keyHelp');
+    renderHelp();
+    help.addEventListener('click', () => { help.hidden = true; });
+    window.addEventListener('keydown', onKey);
+  }
+
+  function onKey(e) {
+    if (e.defaultPrevented) return;
+    const name = keyName(e);
+    if (!name) return;
+    const other = document.querySelector('dialog[open]:not(#commandPalette)');
+    if (name === 'mod+k' && !other) { e.preventDefault(); toggle(); return; }
+    if (isTyping(e.target) || other || dialog.open) return;
+    if (name === 'escape' && !help.hidden) { help.hidden = true; return; }
+    const binding = bindings.find(b => b.keys === name);
+    if (!binding) return;
+    e.preventDefault();
+    binding.run();
+  }
+
+  function toggle() {
+    if (dialog.open) dialog.close(); else open();
+  }
+
+  /** Open the palette with an empty query. */
+  function open() {
+    help.hidden = true;
+    const input = dialog.querySelector('[data-ref="query"]');
+    input.value = '';
+    dialog.showModal();
+    input.focus();
+    render();
+  }
+
+  function toggleHelp() {
+    help.hidden = !help.hidden;
+  }
+
+  function renderHelp() {
+    const rows = bindings.map(b => `<tr><td><kbd>${formatKeys(b.keys, { mac: MAC })}</kbd></td><td>${b.label}</td></tr>`).join('');
+    help.innerHTML = `
+      <div class="row header"><span>KEYBOARD</span><span class="muted">Esc or click to close</span></div>
+      <table>${rows}</table>`;
+  }
+
+  function buildDialog() {
+    const dlg = document.createElement('dialog');
+    dlg.id = 'commandPalette';
+    dlg.className = 'panel';
+    dlg.innerHTML = `
+      <input data-ref="query" placeholder="Type a command, a setting and value (density 1.4) or an NTA code" autocomplete="off" spellcheck="false" />
+      <ul data-ref="list" role="listbox"></ul>
+      <div class="muted" data-ref="status"></div>`;
+    const input = dlg.querySelector('[data-ref="query"]');
+    input.addEventListener('input', render);
+    input.addEventListener('keydown', e => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (results.length) selected = (selected + (e.key === 'ArrowDown' ? 1 : results.length - 1)) % results.length;
+        renderList();
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        runResult(results[selected]);
+      }
+    });
+    dlg.querySelector('[data-ref="list"]').addEventListener('click', e => {
+      const li = e.target.closest('li[data-index]');
+      if (li) runResult(results[Number(li.dataset.index)]);
+    });
+    return dlg;
+  }
+
+  function render() {
+    const query = dialog.querySelector('[data-ref="query"]').value;
+    const nta = ntaFromQuery(query);
+    const direct = nta ? [{ command: { id: 'nta', label: `NTA: ${nta}`, hint: 'filter to this neighbourhood', run: () => setControl('nta', nta) }, arg: '' }] : [];
+    results = [...direct, ...searchCommands(commands(), query)];
+    selected = 0;
+    dialog.querySelector('[data-ref="status"]').textContent = '';
+    renderList();
+  }
+
+  function renderList() {
+    const list = dialog.querySelector('[data-ref="list"]');
+    list.textContent = '';
+    results.forEach(({ command, arg }, i) => {
+      const li = document.createElement('li');
+      li.dataset.index = String(i);
+      li.setAttribute('role', 'option');
+      li.setAttribute('aria-selected', String(i === selected));
+      const label = document.createElement('span');
+      label.textContent = arg ? `${command.label} → ${arg}` : command.label;
+      li.appendChild(label);
+      if (command.hint) {
+        const hint = document.createElement('span');
+        hint.className = 'muted';
+        hint.textContent = command.hint;
+        li.appendChild(hint);
+      }
+      if (command.keys) {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = formatKeys(command.keys, { mac: MAC });
+        li.appendChild(kbd);
+      }
+      list.appendChild(li);
+    });
+    const current = list.children[selected];
+    if (current) current.scrollIntoView({ block: 'nearest' });
+  }
+
+  // A value-taking command without a value fills in its name to type one after it;
+  // a command returning text (an unusable value) keeps the palette open to show it.
+  function runResult(result) {
+    if (!result) return;
+    const { command, arg } = result;
+    const input = dialog.querySelector('[data-ref="query"]');
+    if (command.arg && !arg) {
+      input.value = `${command.label} `;
+      render();
+      return;
+    }
+    dialog.close();
+    const message = command.run(arg);
+    if (message) {
+      dialog.showModal();
+      input.focus();
+      dialog.querySelector('[data-ref="status"]').textContent = message;
+    }
+  }
+
+  // Everything the palette can do, rebuilt on each keystroke so labels show current values.
+  function commands() {
+    const list = bindings
+      .filter(b => b.keys !== 'mod+k')
+      .map(b => ({ id: `key:${b.keys}`, label: b.label, keys: b.keys, run: b.run }));
+    list.push(...controlCommands());
+    const config = snapshotConfig(ctx.getConfig());
+    for (const [path, field] of Object.entries(PRESET_FIELDS)) {
+      const value = valueAt(config, path);
+      const shown = value === undefined ? '' : typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+      const range = field.min !== undefined ? ` (${field.min}–${field.max})` : field.type === 'enum' ? ` (${field.values.map(v => v || '""').join('|')})` : '';
+      list.push({
+        id: `set:${path}`, label: `Set ${path}`, keywords: field.key, arg: true,
+        hint: `= ${shown.length > 40 ? `${shown.slice(0, 39)}…` : shown}${range}`,
+        run: arg => setField(path, field, arg),
+      });
+    }
+    return list;
+  }
+
+  // Options of every select, every checkbox and button in #controls, named after their labels.
+  function controlCommands() {
+    const out = [];
+    const panel = document.getElementById('controls');
+    for (const sel of panel.querySelectorAll('select')) {
+      const name = controlName(sel);
+      for (const opt of sel.options) {
+        out.push({ id: `${sel.id}=${opt.value}`, label: `${name}: ${opt.text}`, run: () => setControl(sel.id, opt.value) });
+      }
+    }
+    for (const box of panel.querySelectorAll('input[type="checkbox"]')) {
+      out.push({ id: `toggle:${box.id}`, label: `Toggle ${controlName(box)}`, hint: box.checked ? 'on' : 'off', run: () => toggleCheckbox(box.id) });
+    }
+    for (const btn of panel.querySelectorAll('button')) {
+      if (btn.hidden || btn.disabled || !btn.id) continue;
+      const prev = btn.previousElementSibling;
+      const owner = prev && prev.tagName === 'LABEL' && prev.querySelector('select');
+      out.push({ id: `click:${btn.id}`, label: owner ? `${controlName(owner)} ${btn.textContent.trim()}` : btn.textContent.trim(), keywords: btn.title, run: () => btn.click() });
+    }
+    return out;
+  }
+
+  // The text of a control's label ("Rain Mode"), prefixed with its row title ("Encode Hue").
+  function controlName(el) {
+    const label = el.closest('label');
+    const text = label ? [...label.childNodes].filter(n => n.nodeType === 3).map(n => n.textContent).join(' ').trim() : '';
+    const row = el.closest('.row');
+    const lead = row && row.firstElementChild;
+    const prefix = lead && lead.tagName === 'SPAN' && lead !== label ? `${lead.textContent.trim()} ` : '';
+    return `${prefix}${text || el.id}`;
+  }
+
+  function setField(path, field, arg) {
+    const { values, warnings } = decodePresetHash(new URLSearchParams({ [field.key]: arg }).toString(), { isSource: ctx.isSource });
+    if (valueAt(values, path) === undefined) return warnings[0] || `${path}: invalid value`;
+    ctx.applyValues(values);
+    return '';
+  }
+
+  return { bind, open, toggleHelp };
+})();
@@ -0,0 +1,90 @@
+/**
+ * File-strip bitmaps - ui/composeStrip.js
+ *
+ * Renders one profile as a small source file (filename tab, line-number gutter,
+ * syntax-coloured tokens) into an ImageBitmap. Uses only OffscreenCanvas, so
+ * the same code runs in ui/stripWorker.js and, as a fallback, on the main thread.
+ */
+
+import { buildDocument } from '../core/strings.js';
+import { mixColor, rgba, resolveTheme } from '../core/themes.js';
+
+/**
+ * Compose the strip for `profile` in string style `style` (a concrete id, not
+ * `mixed`) with text settings `textCfg`, coloured by `theme` (core/themes.js).
+ */
+export function composeFileBitmap(profile, style, { maxWidth = 420, fontSize = 14, lineHeight = 18, maxLines = 16 } = {}, theme = resolveTheme('green')) {
+  const measure = textMeasurer(fontSize);
+  const doc = buildDocument(profile, style, { maxWidth: maxWidth - 16, measure, maxLines });
+  const tabH = fontSize + 10;
+  const tabW = Math.min(maxWidth - 8, measure(doc.filename) + 20);
+  const bodyW = doc.gutter + Math.max(0, ...doc.lines.map(l => l.width));
+  const w = Math.min(maxWidth, Math.max(240, bodyW + 16, tabW + 8));
+  const h = tabH + 6 + doc.lines.length * lineHeight + 12;
+  const off = new OffscreenCanvas(w, h);
+  const octx = off.getContext('2d');
+  octx.clearRect(0, 0, w, h);
+  octx.font = `${fontSize}px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace`;
+  octx.textBaseline = 'top';
+  const color = theme.trail;
+  const palette = tokenPalette(theme);
+  octx.shadowColor = theme.glow; octx.shadowBlur = 8;
+  // filename tab over a rule, like an editor tab strip
+  octx.strokeStyle = color; octx.fillStyle = color;
+  octx.globalAlpha = 0.18; octx.fillRect(4, 2, tabW, tabH);
+  octx.globalAlpha = 0.6; octx.strokeRect(4.5, 2.5, tabW - 1, tabH - 1);
+  octx.beginPath(); octx.moveTo(4, tabH + 2.5); octx.lineTo(w - 4, tabH + 2.5); octx.stroke();
+  octx.globalAlpha = 0.95; octx.fillText(doc.filename, 14, 2 + (tabH - fontSize) / 2, tabW - 20);
+  let y = tabH + 8;
+  for (const { number, segments } of doc.lines) {
+    if (number !== null) {
+      const label = String(number);
+      octx.fillStyle = palette.gutter.color; octx.globalAlpha = palette.gutter.alpha; octx.shadowBlur = 0;
+      octx.fillText(label, 8 + doc.gutter - measure(label + '  '), y);
+    }
+    let x = 8 + doc.gutter;
+    for (const seg of segments) {
+      if (seg.kind !== 'space') {
+        const p = palette[seg.kind] || palette.value;
+        octx.fillStyle = seg.key ? palette.mark : p.color;
+        octx.globalAlpha = seg.key ? 1 : p.alpha;
+        octx.shadowBlur = seg.key ? 14 : 8;
+        octx.fillText(seg.text, x, y);
+      }
+      x += measure(seg.text);
+    }
+    y += lineHeight;
+  }
+  octx.globalAlpha = 1; octx.shadowBlur = 8;
+  const grad = octx.createLinearGradient(0, h - 24, 0, h);
+  for (const stop of theme.gradient) grad.addColorStop(stop.at, rgba(stop.color, stop.alpha));
+  octx.fillStyle = grad; octx.fillRect(0, h - 24, w, 24);
+  return off.transferToImageBitmap();
+}
+
+// Width measurer for core/strings.js `buildLines`/`buildDocument`, one scratch
+// OffscreenCanvas context per font size (no DOM, so it also works in a worker).
+const measurers = new Map();
+function textMeasurer(fontSize) {
+  let measure = measurers.get(fontSize);
+  if (!measure) {
+    const c = new OffscreenCanvas(1, 1).getContext('2d');
+    c.font = `${fontSize}px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace`;
+    measure = text => c.measureText(text).width;
+    measurers.set(fontSize, measure);
+  }
+  return measure;
+}
+
+// Syntax colours derived from the theme: keys in the trail colour, values
+// towards the head colour, punctuation dimmed; `mark` is for key-marked fields.
+function tokenPalette(theme) {
+  const color = theme.trail;
+  return {
+    key: { color, alpha: 1 },
+    value: { color: mixColor(color, theme.head, 0.6), alpha: 0.95 },
+    punct: { color, alpha: 0.5 },
+    gutter: { color, alpha: 0.35 },
+    mark: theme.key,
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Data status indicator - ui/dataStatus.js
+ *
+ * Renders `DataStatus` (core/status.js) in the #controls header: a coloured dot
+ * per state, a one-line summary with row count and error text, and a Retry
+ * button while the source is failing. The retry countdown ticks once a second.
+ */
+
+import { DataStatus, formatStatus } from '../core/status.js';
+
+export const DataStatusUI = (() => {
+  let el = null;
+  let text = null;
+  let btn = null;
+  let tick = null;
+  let last = DataStatus.get();
+
+  function bind({ onRetry } = {}) {
+    el = document.getElementById('dataStatus');
+    if (!el) return;
+    text = el.querySelector('.text');
+    btn = document.getElementById('btnRetry');
+    btn.addEventListener('click', () => { if (onRetry) onRetry(); });
+    DataStatus.subscribe(s => { last = s; render(); });
+  }
+
+  function render() {
+    const s = last;
+    el.dataset.state = s.state;
+    text.textContent = formatStatus(s);
+    const tip = [`source: ${s.source || '-'}`, `state: ${s.state}`];
+    if (s.httpStatus) tip.push(`HTTP status: ${s.httpStatus}`);
+    if (s.detail) tip.push(`detail: ${s.detail}`);
+    tip.push(`rows: ${s.rows}`, `profiles: ${s.profiles}`);
+    if (s.attempt) tip.push(`failed attempts: ${s.attempt}`);
+    el.title = tip.join('\n');
+    btn.hidden = !(s.state === 'fallback' || s.state === 'error');
+    // keep the "retry in Ns" countdown moving between reports
+    if (s.retryAt && !tick) tick = setInterval(render, 1000);
+    if (!s.retryAt && tick) { clearInterval(tick); tick = null; }
+  }
+
+  return { bind };
+})();
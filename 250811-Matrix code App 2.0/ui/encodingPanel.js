@@ -0,0 +1,99 @@
+/**
+ * Encoding panel - ui/encodingPanel.js
+ *
+ * The Encode row in #controls (one field select per channel: hue, speed, size,
+ * glitch, lane) and the #legend overlay bottom-left that explains the current
+ * mapping: a colour ramp or swatches for hue, the value range for speed, size
+ * and glitch, and the lanes left to right. The mapping itself is core/encoding.js.
+ */
+
+import { ENCODING_CHANNELS, ENCODABLE_FIELDS } from '../core/encoding.js';
+
+const CHANNEL_LABELS = { hue: 'Hue', speed: 'Speed', size: 'Size', glitch: 'Glitch', lane: 'Lane' };
+// what low and high values look like on each channel
+const ENDS = { speed: ['slow', 'fast'], size: ['small', 'large'], glitch: ['steady', 'glitchy'], lane: ['left', 'right'] };
+
+export const EncodingPanel = (() => {
+  let encoder = null;
+  let legendEl = null;
+  let shown = -1; // encoder version on screen
+  const select = channel => document.getElementById(`enc${channel[0].toUpperCase()}${channel.slice(1)}`);
+
+  /** `ctx.encoder` is the core/encoding.js encoder; `ctx.onChange(channel, field)` on every pick. */
+  function bind({ encoder: enc, onChange = () => {} } = {}) {
+    encoder = enc;
+    legendEl = document.getElementById('legend');
+    for (const channel of ENCODING_CHANNELS) {
+      const sel = select(channel);
+      sel.add(new Option('—', ''));
+      for (const field of ENCODABLE_FIELDS) sel.add(new Option(field, field));
+      sel.addEventListener('change', e => onChange(channel, e.target.value));
+    }
+  }
+
+  /** Show `spec` (CONFIG.encoding) in the selects. */
+  function sync(spec) {
+    for (const channel of ENCODING_CHANNELS) select(channel).value = spec[channel] || '';
+    renderLegend();
+  }
+
+  // Compact numbers for the legend: 184000 -> 184k.
+  function formatValue(v) {
+    if (v === null || v === undefined) return '?';
+    const a = Math.abs(v);
+    if (a >= 1e6) return `${+(v / 1e6).toFixed(1)}M`;
+    if (a >= 1e4) return `${Math.round(v / 1e3)}k`;
+    return String(Math.round(v * 10) / 10);
+  }
+
+  /** Redraw #legend if the mapping or a domain changed since the last call; cheap otherwise. */
+  function renderLegend() {
+    if (!encoder || !legendEl || encoder.version === shown) return;
+    shown = encoder.version;
+    const rows = encoder.legend();
+    legendEl.hidden = rows.length === 0;
+    legendEl.textContent = '';
+    for (const row of rows) legendEl.appendChild(renderRow(row));
+  }
+
+  function renderRow(row) {
+    const el = document.createElement('div');
+    el.className = 'legend-row';
+    const head = document.createElement('span');
+    head.className = 'legend-channel';
+    head.textContent = `${CHANNEL_LABELS[row.channel]} · ${row.field}`;
+    el.appendChild(head);
+    if (row.kind === 'numeric') {
+      const range = `${formatValue(row.min)} → ${formatValue(row.max)}`;
+      if (row.colors) {
+        const ramp = document.createElement('span');
+        ramp.className = 'legend-ramp';
+        ramp.style.background = `linear-gradient(to right, ${row.colors.join(', ')})`;
+        el.append(ramp, range);
+      } else {
+        const [lo, hi] = ENDS[row.channel];
+        el.append(`${lo} ${range} ${hi}${row.bins ? ` (${row.bins} lanes)` : ''}`);
+      }
+      return el;
+    }
+    const list = document.createElement('span');
+    list.className = 'legend-items';
+    if (row.items.length === 0) list.textContent = 'waiting for data…';
+    row.items.forEach((item, i) => {
+      const span = document.createElement('span');
+      if (item.color) {
+        const dot = document.createElement('i');
+        dot.className = 'legend-swatch';
+        dot.style.background = item.color;
+        span.appendChild(dot);
+      }
+      span.append(item.label);
+      list.appendChild(span);
+      if (row.channel !== 'hue' && i < row.items.length - 1) list.append(row.channel === 'lane' ? ' | ' : ' → ');
+    });
+    el.appendChild(list);
+    return el;
+  }
+
+  return { bind, sync, renderLegend };
+})();
@@ -0,0 +1,138 @@
+/**
+ * File import UI - ui/fileImport.js
+ *
+ * Drag-and-drop anywhere on the page or pick a file, then map its columns onto
+ * the canonical profile schema in a small dialog. Loading a file switches the
+ * app to the `file` source (data/fileSource.js).
+ */
+
+import { registerSource, getSource } from '../core/sources.js';
+import { PROFILE_FIELDS, applyMapping } from '../core/fileimport.js';
+import { FileSource } from '../data/fileSource.js';
+
+const ACCEPT = '.csv,.tsv,.json,.ndjson,.jsonl,text/csv,application/json';
+
+export const FileImport = (() => {
+  let onLoaded = () => {};
+  let dialog = null;
+
+  /** `ctx.onLoaded()` is called after a file is parsed or its mapping changes. */
+  function bind(ctx = {}) {
+    onLoaded = ctx.onLoaded || onLoaded;
+    dialog = buildDialog();
+    document.body.appendChild(dialog);
+    bindDropZone();
+    registerSource({ ...getSource('file'), settingsUI });
+  }
+
+  function settingsUI(container) {
+    const meta = FileSource.info();
+    const pick = document.createElement('button');
+    pick.textContent = 'Load file…';
+    pick.title = 'CSV, JSON or NDJSON; you can also drop a file on the page';
+    pick.addEventListener('click', pickFile);
+    const map = document.createElement('button');
+    map.textContent = 'Map columns';
+    map.disabled = !meta.count;
+    map.addEventListener('click', openMapping);
+    const label = document.createElement('span');
+    label.className = 'muted';
+    label.textContent = meta.count ? `${meta.name} · ${meta.count} rows` : 'no file loaded';
+    container.append(pick, map, label);
+  }
+
+  function pickFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = ACCEPT;
+    input.addEventListener('change', () => { if (input.files[0]) loadFile(input.files[0]); });
+    input.click();
+  }
+
+  async function loadFile(file) {
+    try {
+      FileSource.load(await file.text(), file.name);
+      onLoaded();
+      openMapping();
+    } catch (err) {
+      try { console.warn('[FILE] import failed:', err && err.message); } catch {}
+      alert(`Could not import ${file.name}: ${err && err.message}`);
+    }
+  }
+
+  function bindDropZone() {
+    let depth = 0;
+    const show = on => document.body.classList.toggle('dropping', on);
+    window.addEventListener('dragenter', e => {
+      if (!e.dataTransfer || ![...e.dataTransfer.types].includes('Files')) return;
+      depth++; show(true);
+    });
+    window.addEventListener('dragleave', () => { depth = Math.max(0, depth - 1); if (!depth) show(false); });
+    window.addEventListener('dragover', e => e.preventDefault());
+    window.addEventListener('drop', e => {
+      e.preventDefault();
+      depth = 0; show(false);
+      const file = e.dataTransfer && e.dataTransfer.files[0];
+      if (file) loadFile(file);
+    });
+  }
+
+  function buildDialog() {
+    const el = document.createElement('dialog');
+    el.id = 'mapDialog';
+    el.className = 'panel';
+    el.innerHTML = `
+      <form method="dialog">
+        <div class="row header"><span>MAP_COLUMNS</span><span class="muted" data-ref="meta"></span></div>
+        <div class="map-grid" data-ref="grid"></div>
+        <pre class="map-preview" data-ref="preview"></pre>
+        <div class="row">
+          <button value="cancel">Cancel</button>
+          <button value="apply" data-ref="apply">Apply</button>
+        </div>
+      </form>`;
+    el.addEventListener('close', () => {
+      if (el.returnValue !== 'apply') return;
+      FileSource.setMapping(readMapping());
+      onLoaded();
+    });
+    return el;
+  }
+
+  function ref(name) { return dialog.querySelector(`[data-ref="${name}"]`); }
+
+  function readMapping() {
+    const mapping = {};
+    for (const sel of ref('grid').querySelectorAll('select')) if (sel.value) mapping[sel.name] = sel.value;
+    return mapping;
+  }
+
+  function renderPreview() {
+    const { sample } = FileSource.info();
+    const mapping = readMapping();
+    ref('preview').textContent = sample.map((r, i) => JSON.stringify(applyMapping(r, mapping, i))).join('\n');
+  }
+
+  function openMapping() {
+    const { name, format, columns, count, mapping } = FileSource.info();
+    if (!count) return;
+    ref('meta').textContent = `${name} · ${format} · ${count} rows`;
+    const grid = ref('grid');
+    grid.textContent = '';
+    for (const { key } of PROFILE_FIELDS) {
+      const label = document.createElement('label');
+      label.textContent = key;
+      const sel = document.createElement('select');
+      sel.name = key;
+      sel.add(new Option('—', ''));
+      for (const c of columns) sel.add(new Option(c, c, false, mapping[key] === c));
+      sel.addEventListener('change', renderPreview);
+      label.appendChild(sel);
+      grid.appendChild(label);
+    }
+    renderPreview();
+    dialog.showModal();
+  }
+
+  return { bind, loadFile, openMapping };
+})();
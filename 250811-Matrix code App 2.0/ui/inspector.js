@@ -0,0 +1,142 @@
+/**
+ * Profile inspector - ui/inspector.js
+ *
+ * Makes the #rain canvas interactive: hovering a file strip or glyph column
+ * slows it down, clicking freezes it and opens a card with the complete
+ * profile, where it came from (source, borough/NTA, cache age), copy-as-JSON
+ * and a "Follow" toggle that keeps the strip or column on screen.
+ *
+ * Targets are the strip/column objects themselves; this module only flips
+ * their `hovered` / `frozen` / `followed` flags and the renderer reacts.
+ */
+
+export const Inspector = (() => {
+  let canvas = null;
+  let hitTest = () => null;
+  let originOf = () => null;
+  let card = null;
+  let hovered = null;
+  let selected = null;
+
+  /**
+   * `hitTest(x, y)` returns the strip/column under a canvas point (CSS px);
+   * `originOf(profile)` describes its source (core/datasource.js).
+   */
+  function bind(ctx) {
+    canvas = ctx.canvas;
+    hitTest = ctx.hitTest;
+    originOf = ctx.originOf || originOf;
+    card = buildCard();
+    document.body.appendChild(card);
+    canvas.addEventListener('pointermove', onMove);
+    canvas.addEventListener('pointerleave', () => setHovered(null));
+    canvas.addEventListener('click', onClick);
+    window.addEventListener('keydown', e => { if (e.key === 'Escape' && selected) close(); });
+  }
+
+  function point(e) {
+    const r = canvas.getBoundingClientRect();
+    return [e.clientX - r.left, e.clientY - r.top];
+  }
+
+  function onMove(e) {
+    const target = hitTest(...point(e));
+    setHovered(target);
+    canvas.style.cursor = target ? 'pointer' : '';
+  }
+
+  function setHovered(target) {
+    if (hovered === target) return;
+    if (hovered) hovered.hovered = false;
+    hovered = target;
+    if (hovered) hovered.hovered = true;
+  }
+
+  function onClick(e) {
+    const target = hitTest(...point(e));
+    if (!target) { if (selected) close(); return; }
+    open(target, e.clientX, e.clientY);
+  }
+
+  const profileOf = target => target.profile || (target.painter && target.painter.profile) || {};
+
+  function open(target, clientX, clientY) {
+    if (selected && selected !== target) selected.frozen = false;
+    selected = target;
+    target.frozen = true;
+    const profile = profileOf(target);
+    const ref = name => card.querySelector(`[data-ref="${name}"]`);
+    ref('title').textContent = profile.id ? `profile ${profile.id}` : 'profile';
+    ref('origin').textContent = describeOrigin(originOf(profile));
+    ref('json').textContent = JSON.stringify(profile, null, 2);
+    ref('follow').checked = !!target.followed;
+    ref('copy').textContent = 'Copy JSON';
+    card.hidden = false;
+    // keep the card inside the viewport, to the side of the click
+    const { innerWidth: vw, innerHeight: vh } = window;
+    const w = card.offsetWidth, h = card.offsetHeight;
+    card.style.left = `${Math.max(8, clientX + 16 + w > vw ? clientX - 16 - w : clientX + 16)}px`;
+    card.style.top = `${Math.max(8, Math.min(clientY - 20, vh - h - 8))}px`;
+  }
+
+  function close() {
+    if (selected) selected.frozen = false;
+    selected = null;
+    card.hidden = true;
+  }
+
+  function describeOrigin(o) {
+    if (!o) return 'source: unknown';
+    const parts = [`source: ${o.source}`];
+    if (o.state === 'cached' && o.ageMs !== null) parts.push(`cached ${formatAge(o.ageMs)} ago`);
+    else if (o.state && o.state !== 'live') parts.push(o.state);
+    if (o.borough) parts.push(`borough: ${o.borough}`);
+    if (o.nta) parts.push(`NTA filter: ${o.nta}`);
+    if (o.filters && o.filters.length) parts.push(`${o.filters.length} filter${o.filters.length > 1 ? 's' : ''}`);
+    return parts.join(' · ');
+  }
+
+  function formatAge(ms) {
+    const s = Math.max(0, Math.round(ms / 1000));
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.round(s / 60)}m`;
+    return `${(s / 3600).toFixed(1)}h`;
+  }
+
+  async function copyJson() {
+    const btn = card.querySelector('[data-ref="copy"]');
+    const text = card.querySelector('[data-ref="json"]').textContent;
+    try {
+      await navigator.clipboard.writeText(text);
+      btn.textContent = 'Copied';
+    } catch {
+      // clipboard blocked (http, permissions): select the text for a manual copy
+      const range = document.createRange();
+      range.selectNodeContents(card.querySelector('[data-ref="json"]'));
+      const sel = window.getSelection();
+      sel.removeAllRanges(); sel.addRange(range);
+      btn.textContent = 'Press Ctrl+C';
+    }
+  }
+
+  function buildCard() {
+    const el = document.createElement('div');
+    el.id = 'inspector';
+    el.className = 'panel';
+    el.hidden = true;
+    el.innerHTML = `
+      <div class="row header"><span data-ref="title"></span><button data-ref="close" title="Close (Esc)">×</button></div>
+      <div class="muted" data-ref="origin"></div>
+      <pre data-ref="json"></pre>
+      <div class="row">
+        <label title="Keep this strip/column on screen"><input type="checkbox" data-ref="follow" /> Follow</label>
+        <button data-ref="copy">Copy JSON</button>
+      </div>`;
+    el.querySelector('[data-ref="close"]').addEventListener('click', close);
+    el.querySelector('[data-ref="copy"]').addEventListener('click', copyJson);
+    el.querySelector('[data-ref="follow"]').addEventListener('change', e => { if (selected) selected.followed = e.target.checked; });
+    return el;
+  }
+
+  return { bind, close };
+})();
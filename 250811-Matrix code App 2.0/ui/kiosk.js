@@ -0,0 +1,301 @@
+/**
+ * Kiosk mode - ui/kiosk.js
+ *
+ * For unattended displays: `?kiosk` (or the Kiosk button) hides #controls and
+ * the cursor, asks for fullscreen and plays the scene playlist (core/kiosk.js),
+ * crossfading from a snapshot of the last frame on every switch. `?kiosk=lobby:120,night`
+ * plays saved presets instead (seconds optional); `?refresh=<minutes>` overrides
+ * the playlist's NYC refresh interval.
+ *
+ * K reveals the panel and pauses the playlist; it hides again (and the playlist
+ * resumes) after the playlist's idle timeout without input, or on K. Scene
+ * changes are not persisted; stopping restores the settings the kiosk started
+ * with. Uncaught errors or a stalled render loop reload the page (at most every
+ * five minutes). The playlist editor keeps the playlist in localStorage.
+ */
+
+import {
+  DEFAULT_PLAYLIST, validatePlaylist, playlistToJson, parsePlaylistJson, sceneFromConfig, parseKioskParam,
+  createPlaylistPlayer, createRecovery,
+} from '../core/kiosk.js';
+import { applyPreset, snapshotConfig } from '../core/presets.js';
+import { configureNYC, NYCCache } from '../data/nyc.js';
+import { Presets } from './presets.js';
+import { downloadBlob } from './recorder.js';
+
+const STORAGE_KEY = 'profile_stream_playlist';
+const RELOAD_KEY = 'profile_stream_kiosk_reload';
+const WATCHDOG_MS = 5000;
+
+export const Kiosk = (() => {
+  let ctx = { canvas: null, getConfig: () => ({}), applyScene: () => {}, onRefresh: () => {}, isRunning: () => true, isSource: undefined };
+  let fade = null;
+  let dialog = null;
+  let active = false;
+  let revealed = false;
+  let player = null;
+  let playlist = null;
+  let base = null; // settings when the kiosk started; scenes apply on top of them
+  let idleTimer = 0;
+  let refreshTimer = 0;
+  let watchdogTimer = 0;
+  let recovery = null;
+  let savedTtlMs = 0; // NYC cache TTL before the kiosk's refresh schedule replaced it
+  const qs = id => document.getElementById(id);
+
+  /**
+   * `ctx.canvas` is the rain canvas; `ctx.getConfig()` the live CONFIG; `ctx.applyScene(values)`
+   * applies validated values without persisting them; `ctx.onRefresh()` re-fetches data;
+   * `ctx.isRunning()` is false while the ticker is stopped on purpose (paused, offline recording);
+   * `ctx.isSource(id)` rejects unregistered sources in scenes.
+   */
+  function bind(next = {}) {
+    ctx = { ...ctx, ...next };
+    fade = qs('kioskFade');
+    dialog = buildDialog();
+    document.body.appendChild(dialog);
+    qs('btnKiosk').addEventListener('click', () => (active ? stop() : start(loadPlaylist())));
+    qs('btnPlaylist').addEventListener('click', openEditor);
+    for (const type of ['pointermove', 'pointerdown', 'keydown', 'input']) {
+      window.addEventListener(type, () => { if (active && revealed) armIdle(); }, { passive: true });
+    }
+    window.addEventListener('error', () => { if (recovery) recovery.error(); });
+    window.addEventListener('unhandledrejection', () => { if (recovery) recovery.error(); });
+  }
+
+  function loadPlaylist() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (raw) return validatePlaylist(JSON.parse(raw), { isSource: ctx.isSource }).playlist;
+    } catch {}
+    return validatePlaylist(DEFAULT_PLAYLIST, { isSource: ctx.isSource }).playlist;
+  }
+
+  /**
+   * Start kiosk mode if the page was opened with `?kiosk`. Problems with the playlist
+   * (unknown presets, a failure starting) show in #kioskStatus, which stays on screen
+   * when the kiosk doesn't start.
+   */
+  function fromQuery(params) {
+    if (!params.has('kiosk')) return;
+    try {
+      let next = loadPlaylist();
+      const names = parseKioskParam(params.get('kiosk'));
+      if (names.length) {
+        const scenes = names.map(({ name, duration }) => ({ name, duration, config: Presets.named(name, { isSource: ctx.isSource }) }));
+        const res = validatePlaylist({ ...next, scenes }, { isSource: ctx.isSource });
+        if (res.warnings.length) { try { console.warn('[KIOSK] playlist from presets:', res.warnings); } catch {} }
+        next = res.playlist;
+      }
+      if (params.has('refresh')) next = validatePlaylist({ ...next, refreshMinutes: params.get('refresh') }, { isSource: ctx.isSource }).playlist;
+      start(next);
+    } catch (err) {
+      try { console.warn('[KIOSK] could not start from the URL:', err && err.message); } catch {}
+      status(`kiosk failed: ${(err && err.message) || err}`);
+    }
+  }
+
+  function start(next) {
+    if (!next.scenes.length) {
+      try { console.warn('[KIOSK] playlist has no scenes'); } catch {}
+      status('playlist has no scenes');
+      return;
+    }
+    if (active) stop();
+    active = true;
+    playlist = next;
+    base = snapshotConfig(ctx.getConfig());
+    player = createPlaylistPlayer(playlist);
+    recovery = createRecovery();
+    document.body.classList.add('kiosk');
+    qs('btnKiosk').textContent = 'Stop kiosk';
+    enterFullscreen();
+    show(0, false);
+    if (playlist.refreshMinutes > 0) {
+      const ms = playlist.refreshMinutes * 60000;
+      // cached NYC queries go stale on the same schedule, so each refresh really re-fetches;
+      // stop() puts the previous TTL back
+      savedTtlMs = NYCCache.config.ttlMs;
+      configureNYC({ cache: { ttlMs: ms } });
+      refreshTimer = setInterval(() => ctx.onRefresh(), ms);
+    }
+    watchdogTimer = setInterval(watchdog, WATCHDOG_MS);
+  }
+
+  /** Leave kiosk mode and restore the settings it started with. */
+  function stop() {
+    if (!active) return;
+    active = false;
+    conceal();
+    clearInterval(refreshTimer);
+    clearInterval(watchdogTimer);
+    if (savedTtlMs) { configureNYC({ cache: { ttlMs: savedTtlMs } }); savedTtlMs = 0; }
+    recovery = null;
+    document.body.classList.remove('kiosk');
+    qs('btnKiosk').textContent = 'Kiosk';
+    fade.hidden = true;
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    ctx.applyScene(base);
+    status('');
+  }
+
+  // Without a user gesture (page load) the request is refused; retry on the first input.
+  function enterFullscreen() {
+    const el = document.documentElement;
+    if (document.fullscreenElement || !el.requestFullscreen) return;
+    el.requestFullscreen().catch(() => {
+      const retry = () => { if (active && !document.fullscreenElement) el.requestFullscreen().catch(() => {}); };
+      window.addEventListener('pointerdown', retry, { once: true });
+      window.addEventListener('keydown', retry, { once: true });
+    });
+  }
+
+  function show(index, crossfade) {
+    const scene = playlist.scenes[index];
+    if (crossfade && playlist.transition > 0) snapshot();
+    ctx.applyScene(applyPreset(structuredClone(base), scene.config));
+    status(`${scene.name} (${index + 1}/${playlist.scenes.length})`);
+  }
+
+  // Copy the current frame onto the overlay; tick() fades it out over the new scene.
+  function snapshot() {
+    const { canvas } = ctx;
+    fade.width = canvas.width;
+    fade.height = canvas.height;
+    fade.getContext('2d').drawImage(canvas, 0, 0);
+    fade.style.opacity = '1';
+    fade.hidden = false;
+  }
+
+  /** Advance the playlist by `dt` seconds; called once per frame by the ticker. */
+  function tick(dt) {
+    if (!active) return;
+    recovery.beat();
+    const next = player.tick(dt);
+    if (next !== -1) show(next, true);
+    if (!fade.hidden) {
+      fade.style.opacity = String(player.fade);
+      if (player.fade <= 0) fade.hidden = true;
+    }
+  }
+
+  /** Show or hide the panel while the kiosk runs (the K shortcut); does nothing otherwise. */
+  function toggleReveal() {
+    if (!active) return;
+    if (revealed) conceal(); else reveal();
+  }
+
+  function reveal() {
+    revealed = true;
+    document.body.classList.add('kiosk-revealed');
+    player.pause();
+    armIdle();
+  }
+
+  function conceal() {
+    clearTimeout(idleTimer);
+    if (!revealed) return;
+    revealed = false;
+    document.body.classList.remove('kiosk-revealed');
+    if (dialog.open) dialog.close();
+    player.resume();
+  }
+
+  function armIdle() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(conceal, playlist.idleSeconds * 1000);
+  }
+
+  // Reload after repeated errors or a stalled loop; a hidden tab or a stopped ticker doesn't count.
+  function watchdog() {
+    if (document.hidden || !ctx.isRunning()) { recovery.beat(); return; }
+    let last = 0;
+    try { last = Number(sessionStorage.getItem(RELOAD_KEY)) || 0; } catch {}
+    const reason = recovery.reason(last);
+    if (!reason) return;
+    try { console.warn('[KIOSK] reloading:', reason); } catch {}
+    try { sessionStorage.setItem(RELOAD_KEY, String(Date.now())); } catch {}
+    location.reload();
+  }
+
+  function status(text) {
+    qs('kioskStatus').textContent = text;
+  }
+
+  // ---- playlist editor ----
+  function buildDialog() {
+    const dlg = document.createElement('dialog');
+    dlg.id = 'playlistDialog';
+    dlg.className = 'panel';
+    dlg.innerHTML = `
+      <form method="dialog">
+        <div class="row header"><span>KIOSK PLAYLIST</span><button value="close">Close</button></div>
+        <div class="muted">Scenes play in order for <code>duration</code> seconds each; <code>config</code> takes preset fields
+          (mode, stringStyle, theme, borough, densityScale, …). <code>transition</code> is the crossfade in seconds,
+          <code>refreshMinutes</code> re-fetches NYC data (0 = never), <code>idleSeconds</code> hides a revealed panel.</div>
+        <textarea data-ref="text" rows="18" spellcheck="false"></textarea>
+        <div class="muted" data-ref="error"></div>
+        <div class="row">
+          <button type="button" data-ref="add" title="Append the current mode, style, theme, borough, NTA and density">Add current scene</button>
+          <button type="button" data-ref="default">Default</button>
+          <button type="button" data-ref="import">Import…</button>
+          <button type="button" data-ref="export">Export</button>
+          <button type="button" data-ref="save">Save</button>
+          <input type="file" data-ref="file" accept=".json,application/json" hidden />
+        </div>
+      </form>`;
+    const ref = name => dlg.querySelector(`[data-ref="${name}"]`);
+    ref('add').addEventListener('click', () => {
+      const doc = read();
+      if (!doc) return;
+      doc.playlist.scenes.push(sceneFromConfig(ctx.getConfig(), `scene ${doc.playlist.scenes.length + 1}`));
+      write(doc.playlist);
+    });
+    ref('default').addEventListener('click', () => write(validatePlaylist(DEFAULT_PLAYLIST).playlist));
+    ref('import').addEventListener('click', () => ref('file').click());
+    ref('file').addEventListener('change', async e => {
+      const file = e.target.files && e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      ref('text').value = await file.text();
+      read();
+    });
+    ref('export').addEventListener('click', () => {
+      const doc = read();
+      if (doc) downloadBlob(new Blob([playlistToJson(doc.playlist)], { type: 'application/json' }), 'profile_stream_playlist.json');
+    });
+    ref('save').addEventListener('click', () => {
+      const doc = read();
+      if (!doc || !doc.playlist.scenes.length) { if (doc) ref('error').textContent = 'playlist has no scenes'; return; }
+      try { localStorage.setItem(STORAGE_KEY, JSON.stringify(doc.playlist)); } catch {}
+      write(doc.playlist);
+      ref('error').textContent = doc.warnings.length ? `saved; adjusted: ${doc.warnings.join('; ')}` : 'saved';
+    });
+    return dlg;
+  }
+
+  // Validated textarea contents, or null with the parse error shown.
+  function read() {
+    const error = dialog.querySelector('[data-ref="error"]');
+    try {
+      const doc = parsePlaylistJson(dialog.querySelector('[data-ref="text"]').value, { isSource: ctx.isSource });
+      error.textContent = doc.warnings.join('; ');
+      return doc;
+    } catch (err) {
+      error.textContent = `invalid playlist: ${err.message}`;
+      return null;
+    }
+  }
+
+  function write(next) {
+    dialog.querySelector('[data-ref="text"]').value = playlistToJson(next);
+  }
+
+  function openEditor() {
+    write(loadPlaylist());
+    dialog.querySelector('[data-ref="error"]').textContent = '';
+    dialog.showModal();
+  }
+
+  return { bind, fromQuery, start, stop, tick, toggleReveal, get active() { return active; } };
+})();
@@ -0,0 +1,171 @@
+/**
+ * Scene presets - ui/presets.js
+ *
+ * The Preset row in #controls: pick a named preset, save the current scene
+ * under a name, delete, export/import a JSON preset file and copy a share link
+ * (URL hash). Named presets and the last session live in localStorage;
+ * serialisation and validation are in core/presets.js, so whatever comes in
+ * (storage, file, link) is clamped before it reaches CONFIG.
+ */
+
+import {
+  snapshotConfig, validatePreset, encodePresetHash, decodePresetHash, presetToJson, parsePresetJson,
+} from '../core/presets.js';
+import { CONFIG_DEFAULTS } from '../core/config.js';
+import { downloadBlob } from './recorder.js';
+
+const STORAGE_KEY = 'profile_stream_presets';
+const LAST_KEY = 'profile_stream_last';
+
+export const Presets = (() => {
+  let getConfig = () => ({});
+  let onApply = () => {};
+  let isSource;
+  const qs = id => document.getElementById(id);
+
+  /**
+   * `ctx.getConfig()` returns the live CONFIG; `ctx.onApply(values)` applies
+   * validated values; `ctx.isSource(id)` rejects unregistered sources.
+   */
+  function bind(ctx = {}) {
+    getConfig = ctx.getConfig || getConfig;
+    onApply = ctx.onApply || onApply;
+    isSource = ctx.isSource;
+    renderOptions();
+    qs('preset').addEventListener('change', e => {
+      const name = e.target.value;
+      const saved = loadSaved()[name];
+      if (!saved) return;
+      qs('presetName').value = name;
+      apply(validatePreset(saved, { isSource }), `"${name}"`);
+    });
+    qs('presetName').addEventListener('input', syncButtons);
+    qs('btnPresetSave').addEventListener('click', save);
+    qs('btnPresetDelete').addEventListener('click', remove);
+    qs('btnPresetExport').addEventListener('click', exportJson);
+    qs('btnPresetImport').addEventListener('click', () => qs('presetFile').click());
+    qs('presetFile').addEventListener('change', importJson);
+    qs('btnPresetLink').addEventListener('click', copyLink);
+    syncButtons();
+  }
+
+  function loadSaved() {
+    try {
+      const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      return all && typeof all === 'object' && !Array.isArray(all) ? all : {};
+    } catch { return {}; }
+  }
+
+  function storeSaved(all) {
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(all)); } catch {}
+  }
+
+  function renderOptions(selected = qs('preset').value) {
+    const sel = qs('preset');
+    sel.textContent = '';
+    sel.add(new Option('—', ''));
+    for (const name of Object.keys(loadSaved()).sort()) sel.add(new Option(name, name, false, name === selected));
+  }
+
+  function syncButtons() {
+    const name = qs('presetName').value.trim();
+    qs('btnPresetSave').disabled = !name;
+    qs('btnPresetDelete').disabled = !(name && loadSaved()[name]);
+  }
+
+  function apply({ values, warnings }, label) {
+    onApply(values);
+    report(warnings.length ? `${label}: ${warnings.length} value(s) adjusted` : `${label} applied`, warnings);
+  }
+
+  function report(text, warnings = []) {
+    const el = qs('presetStatus');
+    el.textContent = text;
+    el.title = warnings.join('\n');
+    if (warnings.length) { try { console.warn('[PRESET]', text, warnings); } catch {} }
+  }
+
+  function save() {
+    const name = qs('presetName').value.trim();
+    if (!name) return;
+    const all = loadSaved();
+    all[name] = snapshotConfig(getConfig());
+    storeSaved(all);
+    renderOptions(name);
+    syncButtons();
+    report(`saved "${name}"`);
+  }
+
+  function remove() {
+    const name = qs('presetName').value.trim();
+    const all = loadSaved();
+    if (!all[name]) return;
+    delete all[name];
+    storeSaved(all);
+    renderOptions('');
+    syncButtons();
+    report(`deleted "${name}"`);
+  }
+
+  function exportJson() {
+    const name = qs('presetName').value.trim();
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'scene';
+    downloadBlob(new Blob([presetToJson(getConfig(), name)], { type: 'application/json' }), `profile_stream_${slug}.json`);
+  }
+
+  async function importJson(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { name, values, warnings } = parsePresetJson(await file.text(), { isSource });
+      if (name) { qs('presetName').value = name; syncButtons(); }
+      apply({ values, warnings }, `"${name || file.name}"`);
+    } catch (err) {
+      report(`import failed: ${err.message}`);
+    }
+  }
+
+  async function copyLink() {
+    const url = `${location.href.split('#')[0]}#${hashFor(getConfig())}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      report('link copied');
+    } catch {
+      // clipboard blocked (http, permissions): the address bar has the same link
+      history.replaceState(null, '', url);
+      report('link is in the address bar');
+    }
+  }
+
+  /** Share-link hash (without '#') for `config`. */
+  function hashFor(config) {
+    return encodePresetHash(config, CONFIG_DEFAULTS);
+  }
+
+  /** Validated `{ values, warnings }` from a location hash. */
+  function fromHash(hash, opts = {}) {
+    return decodePresetHash(hash, opts);
+  }
+
+  /** Validated values of the named preset, or null if there is none (kiosk playlists). */
+  function named(name, opts = {}) {
+    const saved = loadSaved()[name];
+    return saved ? validatePreset(saved, opts).values : null;
+  }
+
+  /** Settings saved by `saveLast`, validated; empty when there are none. */
+  function loadLast(opts = {}) {
+    try {
+      const raw = localStorage.getItem(LAST_KEY);
+      return raw ? validatePreset(JSON.parse(raw), opts) : { values: {}, warnings: [] };
+    } catch { return { values: {}, warnings: [] }; }
+  }
+
+  // The seed is left out: a seeded run should only come back through a link or file.
+  function saveLast(config) {
+    try { localStorage.setItem(LAST_KEY, JSON.stringify(snapshotConfig(config, { omit: ['seed'] }))); } catch {}
+  }
+
+  return { bind, hashFor, fromHash, loadLast, saveLast, named };
+})();
@@ -0,0 +1,176 @@
+/**
+ * Recorder - ui/recorder.js
+ *
+ * Captures the #rain canvas for a chosen duration/fps:
+ * - WebM via `canvas.captureStream` + MediaRecorder.
+ * - Animated GIF via core/gif.js (each frame grabbed with getImageData and compressed
+ *   as it is captured; the palette comes from the first frame).
+ * - PNG sequence zipped via core/zip.js.
+ *
+ * Fixed-step mode stops the RAF ticker and advances the simulation by exactly
+ * 1/fps per captured frame, so a lagging tab yields a smooth clip. WebM is still
+ * paced in wall-clock time because MediaRecorder timestamps frames as they arrive.
+ */
+
+import { clamp } from '../core/util.js';
+import { createGifEncoder } from '../core/gif.js';
+import { createZip } from '../core/zip.js';
+
+const GIF_MAX_WIDTH = 640;
+
+const sleep = ms => new Promise(res => setTimeout(res, Math.max(0, ms)));
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function pickWebmType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+  return types.find(t => MediaRecorder.isTypeSupported(t)) || '';
+}
+
+export const Recorder = (() => {
+  let canvas = null;
+  let ticker = null;
+  let busy = false;
+  let cancelRequested = false;
+  let btn = null;
+  let indicator = null;
+
+  function bind(deps) {
+    ({ canvas, ticker } = deps);
+    const qs = id => document.getElementById(id);
+    btn = qs('btnRecord');
+    indicator = qs('recIndicator');
+    if (pickWebmType() === null) {
+      const webm = qs('recFormat').querySelector('option[value="webm"]');
+      webm.disabled = true;
+      qs('recFormat').value = 'gif';
+    }
+    btn.addEventListener('click', () => {
+      if (busy) { cancelRequested = true; return; }
+      record({
+        format: qs('recFormat').value,
+        seconds: parseFloat(qs('recDuration').value),
+        fps: parseInt(qs('recFps').value, 10),
+        offline: qs('recOffline').checked,
+      }).catch(err => {
+        try { console.warn('[REC] recording failed:', err && err.message); } catch {}
+        setIndicator(`REC FAILED: ${err && err.message}`);
+        setTimeout(() => setIndicator(null), 3000);
+      });
+    });
+  }
+
+  function setIndicator(text) {
+    if (!indicator) return;
+    indicator.hidden = text === null;
+    if (text !== null) indicator.textContent = text;
+  }
+
+  /**
+   * Run the frame loop. `onFrame(i)` is awaited after each frame is on screen.
+   * `paced` keeps frames on a wall-clock schedule even in fixed-step mode.
+   */
+  async function captureFrames({ seconds, fps, offline, paced }, onFrame) {
+    const total = Math.round(seconds * fps);
+    const dt = 1 / fps;
+    const t0 = performance.now();
+    if (offline) ticker.stop();
+    try {
+      for (let i = 0; i < total && !cancelRequested; i++) {
+        if (offline) ticker.step(dt);
+        if (paced || !offline) await sleep(t0 + i * 1000 * dt - performance.now());
+        await onFrame(i);
+        // yield so pending strip bitmaps land and the indicator repaints
+        if (offline && !paced) await sleep(0);
+        setIndicator(`● REC ${((i + 1) * dt).toFixed(1)}s / ${seconds}s`);
+      }
+    } finally {
+      if (offline) ticker.start();
+    }
+  }
+
+  async function recordWebM(opts) {
+    const mimeType = pickWebmType();
+    const stream = canvas.captureStream(opts.offline ? 0 : opts.fps);
+    const [track] = stream.getVideoTracks();
+    const rec = new MediaRecorder(stream, mimeType ? { mimeType, videoBitsPerSecond: 8e6 } : undefined);
+    const chunks = [];
+    rec.ondataavailable = e => { if (e.data && e.data.size) chunks.push(e.data); };
+    const stopped = new Promise(res => { rec.onstop = res; });
+    rec.start(1000);
+    await captureFrames({ ...opts, paced: true }, () => {
+      if (opts.offline && track.requestFrame) track.requestFrame();
+    });
+    rec.stop();
+    await stopped;
+    track.stop();
+    return new Blob(chunks, { type: rec.mimeType || 'video/webm' });
+  }
+
+  async function recordGif(opts) {
+    const scale = Math.min(1, GIF_MAX_WIDTH / canvas.clientWidth);
+    const w = Math.round(canvas.clientWidth * scale), h = Math.round(canvas.clientHeight * scale);
+    const scratch = document.createElement('canvas');
+    scratch.width = w; scratch.height = h;
+    const c = scratch.getContext('2d', { willReadFrequently: true });
+    // compress each frame right away: 30s at 50fps of raw RGBA would not fit in memory
+    const gif = createGifEncoder({ width: w, height: h, delayMs: 1000 / opts.fps });
+    await captureFrames(opts, () => {
+      c.drawImage(canvas, 0, 0, w, h);
+      gif.addFrame(c.getImageData(0, 0, w, h).data);
+    });
+    return new Blob([gif.finish()], { type: 'image/gif' });
+  }
+
+  async function recordPngZip(opts) {
+    const w = canvas.clientWidth, h = canvas.clientHeight;
+    const scratch = document.createElement('canvas');
+    scratch.width = w; scratch.height = h;
+    const c = scratch.getContext('2d');
+    const files = [];
+    await captureFrames(opts, async i => {
+      c.drawImage(canvas, 0, 0, w, h);
+      const blob = await new Promise(res => scratch.toBlob(res, 'image/png'));
+      files.push({ name: `frame_${String(i).padStart(5, '0')}.png`, data: new Uint8Array(await blob.arrayBuffer()) });
+    });
+    setIndicator('ZIPPING…');
+    await sleep(30);
+    return new Blob([createZip(files)], { type: 'application/zip' });
+  }
+
+  /**
+   * Record and download a clip.
+   * @param {{ format: 'webm'|'gif'|'png-zip', seconds: number, fps: number, offline: boolean }} opts
+   */
+  async function record(opts) {
+    if (busy) return;
+    const format = opts.format || 'webm';
+    const seconds = clamp(Number(opts.seconds) || 5, 1, 30);
+    // GIF delays are in centiseconds, so anything above 50fps just gets dropped
+    const fps = clamp(Number(opts.fps) || 30, 5, format === 'gif' ? 50 : 60);
+    const cfg = { seconds, fps, offline: !!opts.offline };
+    busy = true; cancelRequested = false;
+    btn.textContent = 'Stop';
+    btn.classList.add('recording');
+    setIndicator('● REC');
+    try {
+      const stamp = Date.now();
+      if (format === 'gif') downloadBlob(await recordGif(cfg), `profile_stream_${stamp}.gif`);
+      else if (format === 'png-zip') downloadBlob(await recordPngZip(cfg), `profile_stream_${stamp}_png.zip`);
+      else downloadBlob(await recordWebM(cfg), `profile_stream_${stamp}.webm`);
+      setIndicator(null);
+    } finally {
+      busy = false;
+      btn.textContent = 'Record';
+      btn.classList.remove('recording');
+    }
+  }
+
+  return { bind, record, get recording() { return busy; } };
+})();
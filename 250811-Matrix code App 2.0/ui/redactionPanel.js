@@ -0,0 +1,124 @@
+/**
+ * Redaction controls - ui/redactionPanel.js
+ *
+ * The Redact select (Off / Public display / Custom), an "Edit…" dialog with a
+ * policy per profile field plus the k-anonymity threshold, and the #redactBadge
+ * shown while redaction is on (core/redaction.js). The hash salt is generated
+ * once per browser and kept in localStorage.
+ */
+
+import {
+  REDACTABLE_FIELDS, REDACTION_POLICIES, BUCKETED_FIELDS, PUBLIC_DISPLAY, MAX_K, QUASI_IDENTIFIERS,
+  isPublicDisplay, describeRedaction, validatePolicies,
+} from '../core/redaction.js';
+
+const SALT_KEY = 'profile_stream_redaction_salt';
+
+const publicDisplay = () => ({ enabled: true, k: PUBLIC_DISPLAY.k, fields: { ...PUBLIC_DISPLAY.fields } });
+
+export const RedactionPanel = (() => {
+  let select = null;
+  let badge = null;
+  let dialog = null;
+  let spec = { enabled: false, k: 0, fields: {} };
+  let onChange = () => {};
+
+  /** `ctx.onChange(spec)` applies a new redaction spec. */
+  function bind(ctx = {}) {
+    onChange = ctx.onChange || onChange;
+    select = document.getElementById('redaction');
+    badge = document.getElementById('redactBadge');
+    dialog = buildDialog();
+    document.body.appendChild(dialog);
+    select.addEventListener('change', () => {
+      if (select.value === 'off') onChange({ ...spec, enabled: false });
+      else if (select.value === 'public') onChange(publicDisplay());
+      else open();
+    });
+    document.getElementById('btnRedactEdit').addEventListener('click', open);
+  }
+
+  /** Per-browser salt for hashed fields, created on first use. */
+  function salt() {
+    try {
+      let value = localStorage.getItem(SALT_KEY);
+      if (!value) {
+        value = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem(SALT_KEY, value);
+      }
+      return value;
+    } catch {
+      return String(Math.random()).slice(2);
+    }
+  }
+
+  /** Reflect `next` (CONFIG.redaction) in the select and badge. */
+  function sync(next) {
+    spec = next;
+    select.value = !spec.enabled ? 'off' : isPublicDisplay(spec) ? 'public' : 'custom';
+  }
+
+  /** `summary` is DataSource.redaction(): `{ enabled, suppressed, count }`. */
+  function renderBadge(summary) {
+    badge.hidden = !summary.enabled;
+    if (badge.hidden) return;
+    badge.textContent = `REDACTED · ${describeRedaction(spec)}`;
+    const fields = Object.entries(validatePolicies(spec.fields).value).map(([f, p]) => `${f}: ${p}`);
+    badge.title = [
+      ...fields,
+      spec.k > 1 ? `k=${spec.k}: ${summary.suppressed} of ${summary.count} rows had ${QUASI_IDENTIFIERS.join(' + ')} suppressed` : 'no k-anonymity',
+    ].join('\n');
+  }
+
+  function buildDialog() {
+    const dlg = document.createElement('dialog');
+    dlg.id = 'redactDialog';
+    dlg.className = 'panel';
+    const rows = REDACTABLE_FIELDS.map(field => {
+      const options = REDACTION_POLICIES
+        .filter(p => p !== 'bucket' || BUCKETED_FIELDS.includes(field))
+        .map(p => `<option value="${p}">${p}</option>`).join('');
+      return `<label>${field} <select data-field="${field}">${options}</select></label>`;
+    }).join('');
+    dlg.innerHTML = `
+      <form method="dialog">
+        <div class="row header"><span>REDACTION</span><button value="close">Close</button></div>
+        <div class="redact-grid">${rows}</div>
+        <div class="row">
+          <label title="Suppress ${QUASI_IDENTIFIERS.join(' + ')} on rows whose combination occurs fewer than k times (0 = off)">
+            k-anonymity <input type="number" data-ref="k" min="0" max="${MAX_K}" step="1" />
+          </label>
+          <span class="muted">drop · mask (first letters) · hash (salted) · bucket (ranges)</span>
+        </div>
+        <div class="row">
+          <button type="button" data-ref="public">Public display</button>
+          <button type="button" data-ref="apply">Apply</button>
+        </div>
+      </form>`;
+    const ref = name => dlg.querySelector(`[data-ref="${name}"]`);
+    ref('public').addEventListener('click', () => fill(publicDisplay()));
+    ref('apply').addEventListener('click', () => {
+      const fields = {};
+      for (const sel of dlg.querySelectorAll('select[data-field]')) fields[sel.dataset.field] = sel.value;
+      const k = Math.min(MAX_K, Math.max(0, Math.round(Number(ref('k').value) || 0)));
+      onChange({ enabled: true, k, fields: validatePolicies(fields).value });
+      dlg.close();
+    });
+    // closing without applying puts the select back
+    dlg.addEventListener('close', () => sync(spec));
+    return dlg;
+  }
+
+  function fill(next) {
+    for (const sel of dialog.querySelectorAll('select[data-field]')) sel.value = next.fields[sel.dataset.field] || 'keep';
+    dialog.querySelector('[data-ref="k"]').value = String(next.k || 0);
+  }
+
+  /** Open the editor on the current policies (public display if none are set yet). */
+  function open() {
+    fill(Object.keys(spec.fields || {}).length ? spec : publicDisplay());
+    dialog.showModal();
+  }
+
+  return { bind, sync, renderBadge, salt, open };
+})();
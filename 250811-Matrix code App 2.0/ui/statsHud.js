@@ -0,0 +1,188 @@
+/**
+ * Stats HUD - ui/statsHud.js
+ *
+ * Toggleable #stats overlay (the "Stats" checkbox) summarising what is streaming
+ * (core/poolStats.js): counts per borough/NTA, an income histogram, a risk
+ * sparkline, mood breakdown and top industries. Clicking a bar or a sparkline
+ * bin filters the stream to that segment; the chip at the top (or clicking the
+ * same bar again) clears it.
+ */
+
+import { formatMoneyUSD } from '../core/util.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const money = v => formatMoneyUSD(v).replace(/,\d{3}$/, 'k');
+
+export const StatsHud = (() => {
+  let el = null;
+  let stats = null;
+  let placeField = () => 'borough';
+  let onSegment = () => {};
+  let segment = null;
+  let note = '';
+  let shown = '';
+
+  /**
+   * `ctx.stats` is a core/poolStats.js window, `ctx.placeField()` the current place field,
+   * `ctx.onSegment(segment | null)` applies the stream filter.
+   */
+  function bind(ctx = {}) {
+    el = document.getElementById('stats');
+    stats = ctx.stats;
+    placeField = ctx.placeField || placeField;
+    onSegment = ctx.onSegment || onSegment;
+    el.addEventListener('click', e => {
+      const target = e.target.closest('[data-segment]');
+      if (!target) return;
+      const next = JSON.parse(target.dataset.segment);
+      pick(next && segment && JSON.stringify(next) === JSON.stringify(segment) ? null : next);
+    });
+  }
+
+  function pick(next) {
+    setSegment(next);
+    onSegment(next);
+  }
+
+  /** Highlight `next` as the active filter (null clears it); `why` is shown until the next change. */
+  function setSegment(next, why = '') {
+    segment = next;
+    note = why;
+    shown = '';
+    render();
+  }
+
+  function setVisible(on) {
+    el.hidden = !on;
+    shown = '';
+    if (on) render();
+  }
+
+  /** Redraw if visible and the window or filter changed; cheap otherwise. */
+  function render() {
+    if (!el || el.hidden || !stats) return;
+    const key = `${stats.version}|${placeField()}|${JSON.stringify(segment)}`;
+    if (key === shown) return;
+    shown = key;
+    const s = stats.summary({ placeField: placeField() });
+    el.textContent = '';
+    const head = document.createElement('div');
+    head.className = 'stats-head';
+    head.textContent = `${s.count} profiles`;
+    if (segment) {
+      const chip = document.createElement('button');
+      chip.className = 'stats-chip';
+      chip.title = 'Clear the stream filter';
+      chip.dataset.segment = 'null';
+      chip.textContent = `${describeSegment(segment)} ×`;
+      head.appendChild(chip);
+    }
+    el.appendChild(head);
+    if (note) {
+      const line = document.createElement('div');
+      line.className = 'stats-note';
+      line.textContent = note;
+      el.appendChild(line);
+    }
+    el.appendChild(barList(s.place.field, s.place.field, s.place.items));
+    el.appendChild(columns('income', s.income.bins.map(b => ({
+      count: b.count, label: `${money(b.min)}–${money(b.max)}`, segment: { field: s.income.field, min: b.min, max: b.max, closed: b === s.income.bins.at(-1) },
+    }))));
+    el.appendChild(sparkline('risk', s.risk.bins.map(b => ({
+      count: b.count, label: `${b.min}–${b.max}`, segment: { field: s.risk.field, min: b.min, max: b.max, closed: b === s.risk.bins.at(-1) },
+    }))));
+    el.appendChild(barList('mood', 'emotional_state', s.moods));
+    el.appendChild(barList('industry', 'industry', s.industries));
+  }
+
+  function describeSegment(seg) {
+    if ('value' in seg) return `${seg.field} = ${seg.value}`;
+    const fmt = seg.field === 'income_usd' ? money : v => String(Math.round(v));
+    return `${seg.field} ${fmt(seg.min)}–${fmt(seg.max)}`;
+  }
+
+  function section(title) {
+    const box = document.createElement('div');
+    box.className = 'stats-section';
+    const h = document.createElement('div');
+    h.className = 'stats-title';
+    h.textContent = title;
+    box.appendChild(h);
+    return box;
+  }
+
+  function isActive(seg) {
+    return !!segment && JSON.stringify(seg) === JSON.stringify(segment);
+  }
+
+  // Horizontal bars, one per category.
+  function barList(title, field, items) {
+    const box = section(title);
+    if (!items.length) { box.append('—'); return box; }
+    const max = Math.max(...items.map(i => i.count));
+    for (const { value, count } of items) {
+      const seg = { field, value };
+      const row = document.createElement('div');
+      row.className = 'stats-bar';
+      row.classList.toggle('active', isActive(seg));
+      row.dataset.segment = JSON.stringify(seg);
+      row.title = `${field} = ${value}: ${count} (click to filter)`;
+      const fill = document.createElement('i');
+      fill.style.width = `${(100 * count) / max}%`;
+      const label = document.createElement('span');
+      label.textContent = `${value} ${count}`;
+      row.append(fill, label);
+      box.appendChild(row);
+    }
+    return box;
+  }
+
+  // Vertical histogram bars.
+  function columns(title, bins) {
+    const box = section(title);
+    if (!bins.length) { box.append('—'); return box; }
+    const max = Math.max(1, ...bins.map(b => b.count));
+    const row = document.createElement('div');
+    row.className = 'stats-hist';
+    for (const b of bins) {
+      const bar = document.createElement('i');
+      bar.style.height = `${Math.max(2, (100 * b.count) / max)}%`;
+      bar.classList.toggle('active', isActive(b.segment));
+      bar.dataset.segment = JSON.stringify(b.segment);
+      bar.title = `${b.label}: ${b.count} (click to filter)`;
+      row.appendChild(bar);
+    }
+    box.appendChild(row);
+    return box;
+  }
+
+  // Polyline over the bins; each bin has an invisible hit rect for clicks.
+  function sparkline(title, bins) {
+    const box = section(title);
+    if (!bins.length) { box.append('—'); return box; }
+    const w = 200, h = 28, step = w / bins.length;
+    const max = Math.max(1, ...bins.map(b => b.count));
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${w} ${h}`);
+    svg.setAttribute('class', 'stats-spark');
+    const line = document.createElementNS(SVG_NS, 'polyline');
+    line.setAttribute('points', bins.map((b, i) => `${(i + 0.5) * step},${h - 2 - ((h - 4) * b.count) / max}`).join(' '));
+    svg.appendChild(line);
+    bins.forEach((b, i) => {
+      const hit = document.createElementNS(SVG_NS, 'rect');
+      hit.setAttribute('x', String(i * step));
+      hit.setAttribute('width', String(step));
+      hit.setAttribute('height', String(h));
+      hit.setAttribute('class', isActive(b.segment) ? 'active' : '');
+      hit.dataset.segment = JSON.stringify(b.segment);
+      const tip = document.createElementNS(SVG_NS, 'title');
+      tip.textContent = `risk ${b.label}: ${b.count} (click to filter)`;
+      hit.appendChild(tip);
+      svg.appendChild(hit);
+    });
+    box.appendChild(svg);
+    return box;
+  }
+
+  return { bind, render, setSegment, setVisible, describeSegment };
+})();
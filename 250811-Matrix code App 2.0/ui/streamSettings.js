@@ -0,0 +1,54 @@
+/**
+ * Stream settings - ui/streamSettings.js
+ *
+ * Endpoint field and live counters for the `stream` source (data/streamSource.js),
+ * shown in the source settings row while it is selected.
+ */
+
+import { registerSource, getSource } from '../core/sources.js';
+import { StreamSource } from '../data/streamSource.js';
+
+export const StreamSettings = (() => {
+  let getUrl = () => '';
+  let onUrl = () => {};
+  let label = null;
+
+  /** `ctx.getUrl()` reads the configured endpoint, `ctx.onUrl(url)` applies a new one. */
+  function bind(ctx = {}) {
+    getUrl = ctx.getUrl || getUrl;
+    onUrl = ctx.onUrl || onUrl;
+    registerSource({ ...getSource('stream'), settingsUI });
+    StreamSource.onStatus(render);
+  }
+
+  function settingsUI(container, { refresh } = {}) {
+    const input = document.createElement('input');
+    input.type = 'url';
+    input.size = 28;
+    input.placeholder = 'ws://localhost:8787/ws';
+    input.title = 'WebSocket (ws://, wss://) or Server-Sent Events (http://, https://) endpoint';
+    input.value = getUrl();
+    const connect = document.createElement('button');
+    connect.textContent = 'Connect';
+    const apply = () => {
+      onUrl(input.value.trim());
+      if (refresh) refresh();
+    };
+    connect.addEventListener('click', apply);
+    input.addEventListener('keydown', e => { if (e.key === 'Enter') apply(); });
+    label = document.createElement('span');
+    label.className = 'muted';
+    container.append(input, connect, label);
+    render(StreamSource.stats());
+  }
+
+  function render(s) {
+    if (!label || !label.isConnected) return;
+    const parts = [s.url ? s.state : 'no URL', `${s.received} received`, `${s.queued} queued`, `${s.dropped} dropped`];
+    if (s.invalid) parts.push(`${s.invalid} invalid`);
+    label.textContent = parts.join(' · ');
+    label.title = [s.detail, s.lastError && `last rejected: ${s.lastError}`].filter(Boolean).join('\n');
+  }
+
+  return { bind };
+})();
@@ -0,0 +1,80 @@
+/**
+ * File-strip composer - ui/stripComposer.js
+ *
+ * Main-thread front for file-strip bitmaps:
+ * - a pool of module workers (core/workerPool.js + ui/stripWorker.js) composes
+ *   bitmaps off the main thread with OffscreenCanvas;
+ * - a bitmap cache (core/stripCache.js) keyed by profile + style + text settings
+ *   + theme palette lets identical strips reuse a bitmap instead of recomposing;
+ * - `compose(..., { signal })` is cancellable, so a new `resetColumns`
+ *   generation can drop everything the previous one still had queued.
+ *
+ * `mixed` is resolved here, before any await, so seeded runs draw the same
+ * random numbers as before. Without Worker/OffscreenCanvas support, or when
+ * `inline` is set (seeded runs: some styles draw random fields while
+ * rendering), bitmaps are composed synchronously on the main thread.
+ */
+
+import { resolveStringStyle, getLogHost } from '../core/strings.js';
+import { createWorkerPool } from '../core/workerPool.js';
+import { createStripCache, stripKey } from '../core/stripCache.js';
+import { themeKey } from '../core/themes.js';
+import { composeFileBitmap } from './composeStrip.js';
+
+export const StripComposer = (() => {
+  const cache = createStripCache({ maxEntries: 160 });
+  let pool = null;
+  let inline = false;
+
+  function supported() {
+    return typeof Worker === 'function' && typeof OffscreenCanvas === 'function'
+      && typeof OffscreenCanvas.prototype.transferToImageBitmap === 'function';
+  }
+
+  function getPool() {
+    if (pool && pool.broken) {
+      try { console.warn('[STRIPS] worker pool failed; composing on the main thread'); } catch {}
+      pool.terminate();
+      inline = true;
+      pool = null;
+    }
+    if (!pool && !inline && supported()) {
+      const size = Math.max(1, Math.min(4, ((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2) - 1));
+      pool = createWorkerPool({
+        size,
+        create: () => new Worker(new URL('./stripWorker.js', import.meta.url), { type: 'module' }),
+        discard: bitmap => { try { bitmap.close(); } catch {} },
+      });
+    }
+    return pool;
+  }
+
+  /** Bitmap for `profile` in style `styleId` (may be `mixed`) and `theme`; resolves to an ImageBitmap. */
+  function compose(profile, styleId, textCfg, theme, { signal } = {}) {
+    const def = resolveStringStyle(styleId);
+    const cfg = { ...textCfg };
+    const { builtin, ...palette } = theme;
+    const key = stripKey(profile, def.id, cfg, themeKey(palette));
+    return cache.fetch(key, sig => {
+      const workers = getPool();
+      if (!workers) return composeFileBitmap(profile, def.id, cfg, palette);
+      const styleDef = def.builtin ? null : { id: def.id, label: def.label, template: def.template, ext: def.ext };
+      return workers.run({ profile, style: def.id, styleDef, textCfg: cfg, theme: palette, host: getLogHost() }, { signal: sig });
+    }, { signal });
+  }
+
+  /** Compose on the main thread from now on (true) or use workers again (false). */
+  function configure({ inline: on } = {}) {
+    if (on === undefined) return;
+    inline = !!on;
+    if (inline && pool) { pool.terminate(); pool = null; }
+  }
+
+  // Drop cached bitmaps (e.g. after a theme change, when none of them can be reused).
+  function clear() { cache.clear(); }
+
+  return {
+    compose, configure, clear,
+    get stats() { return { ...cache.stats, workers: pool ? pool.size : 0, pending: pool ? pool.pending : 0, inline }; },
+  };
+})();
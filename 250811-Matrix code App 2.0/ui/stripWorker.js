@@ -0,0 +1,27 @@
+/**
+ * File-strip worker - ui/stripWorker.js
+ *
+ * Module worker behind ui/stripComposer.js. Each message is one strip:
+ * `{ id, profile, style, styleDef?, textCfg, theme, host }` -> `{ id, ok, value: ImageBitmap }`
+ * (the bitmap is transferred). `styleDef` carries a saved template style, since
+ * the worker's style registry only knows the built-ins; `host` is the log style's
+ * host (core/strings.js setLogHost).
+ */
+
+import { composeFileBitmap } from './composeStrip.js';
+import { getStringStyle, registerStringStyle, setLogHost } from '../core/strings.js';
+
+self.onmessage = e => {
+  const { id, profile, style, styleDef, textCfg, theme, host } = e.data || {};
+  try {
+    setLogHost(host);
+    if (styleDef) {
+      const known = getStringStyle(styleDef.id);
+      if (!known || known.template !== styleDef.template) registerStringStyle(styleDef);
+    }
+    const bitmap = composeFileBitmap(profile, style, textCfg, theme);
+    self.postMessage({ id, ok: true, value: bitmap }, [bitmap]);
+  } catch (err) {
+    self.postMessage({ id, ok: false, error: String((err && err.message) || err) });
+  }
+};
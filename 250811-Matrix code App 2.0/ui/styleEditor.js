@@ -0,0 +1,144 @@
+/**
+ * String style editor - ui/styleEditor.js
+ *
+ * "Edit…" next to #stringStyle opens a dialog to write a template
+ * (core/templates.js), preview it against a generated profile with key fields
+ * highlighted, and save it as a named style. Saved styles live in localStorage
+ * and are registered with core/strings.js on load, so they show up in the select.
+ */
+
+import { FILTERS, parseTemplate, renderTemplate } from '../core/templates.js';
+import { registerStringStyle, removeStringStyle, getStringStyle, listStringStyles } from '../core/strings.js';
+import { ProfileFactory } from '../core/profiles.js';
+
+const STORAGE_KEY = 'profile_stream_styles';
+
+export const StyleEditor = (() => {
+  let dialog = null;
+  let sample = null;
+  let onSaved = () => {};
+
+  /** `ctx.onSaved(id)` runs after a style is saved (or with null after a delete). */
+  function bind(ctx = {}) {
+    onSaved = ctx.onSaved || onSaved;
+    for (const def of loadSaved()) {
+      try { registerStringStyle(def); } catch (err) {
+        try { console.warn('[STYLE] skipped saved style:', def && def.id, err && err.message); } catch {}
+      }
+    }
+    dialog = buildDialog();
+    document.body.appendChild(dialog);
+  }
+
+  function loadSaved() {
+    try {
+      const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(list) ? list.filter(d => d && d.id && typeof d.template === 'string') : [];
+    } catch { return []; }
+  }
+
+  function persist() {
+    const custom = listStringStyles().filter(s => !s.builtin).map(({ id, label, template }) => ({ id, label, template }));
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(custom)); } catch {}
+  }
+
+  function buildDialog() {
+    const dlg = document.createElement('dialog');
+    dlg.id = 'styleDialog';
+    dlg.className = 'panel';
+    dlg.innerHTML = `
+      <form method="dialog">
+        <div class="row header"><span>STRING_STYLE</span><button value="close">Close</button></div>
+        <div class="row"><label>Name <input data-ref="name" placeholder="e.g. ticker" /></label></div>
+        <textarea data-ref="template" rows="4" spellcheck="false"></textarea>
+        <div class="muted" data-ref="error"></div>
+        <pre class="style-preview" data-ref="preview"></pre>
+        <div class="muted">fields: <span data-ref="fields"></span></div>
+        <div class="muted">filters: <span data-ref="filters"></span> · mark keys with <code>{{*field}}</code></div>
+        <div class="row">
+          <button type="button" data-ref="resample">New sample</button>
+          <button type="button" data-ref="delete">Delete</button>
+          <button type="button" data-ref="save">Save</button>
+        </div>
+      </form>`;
+    const find = name => dlg.querySelector(`[data-ref="${name}"]`);
+    find('filters').textContent = Object.keys(FILTERS).join(', ');
+    find('template').addEventListener('input', preview);
+    find('name').addEventListener('input', syncButtons);
+    find('resample').addEventListener('click', () => { sample = ProfileFactory.generate(); preview(); });
+    find('save').addEventListener('click', save);
+    find('delete').addEventListener('click', () => {
+      const id = styleId(find('name').value);
+      if (removeStringStyle(id)) { persist(); onSaved(null); dlg.close(); }
+    });
+    return dlg;
+  }
+
+  const ref = name => dialog.querySelector(`[data-ref="${name}"]`);
+
+  function styleId(name) {
+    const slug = String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return slug ? `tpl-${slug}` : '';
+  }
+
+  /** Open the editor seeded with style `id` (built-ins open as a copy). */
+  function open(id) {
+    const found = getStringStyle(id);
+    const def = found && found.template ? found : getStringStyle('kv'); // hexdump/mixed have no template
+    sample = ProfileFactory.generate();
+    ref('name').value = def.builtin ? '' : def.label;
+    ref('template').value = def.template;
+    ref('fields').textContent = Object.keys(sample).join(', ');
+    preview();
+    dialog.showModal();
+  }
+
+  function preview() {
+    const src = ref('template').value;
+    const out = ref('preview');
+    out.textContent = '';
+    let parts;
+    try {
+      parts = parseTemplate(src);
+      ref('error').textContent = '';
+    } catch (err) {
+      ref('error').textContent = err.message;
+      syncButtons();
+      return;
+    }
+    const { text, keys } = renderTemplate(parts, sample);
+    let at = 0;
+    for (const [a, b] of keys) {
+      out.append(text.slice(at, a));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(a, b);
+      out.append(mark);
+      at = b;
+    }
+    out.append(text.slice(at));
+    syncButtons();
+  }
+
+  function syncButtons() {
+    const id = styleId(ref('name').value);
+    ref('save').disabled = !id || !!ref('error').textContent;
+    ref('delete').disabled = !(id && getStringStyle(id));
+  }
+
+  function save() {
+    const label = ref('name').value.trim();
+    const id = styleId(label);
+    if (!id) return;
+    try {
+      registerStringStyle({ id, label, template: ref('template').value });
+    } catch (err) {
+      ref('error').textContent = err.message;
+      return;
+    }
+    persist();
+    onSaved(id);
+    dialog.close();
+  }
+
+  return { bind, open };
+})();
@@ -0,0 +1,41 @@
+/**
+ * Synthesis report UI - ui/synthReport.js
+ *
+ * Adds a "Synthesis report" button to the `nyc` source settings that shows how
+ * closely the synthesized population matches the source marginals (data/synth.js).
+ */
+
+import { extendSourceSettings } from '../core/sources.js';
+import { getSynthesisReport, formatSynthesisReport } from '../data/nyc.js';
+
+export const SynthReport = (() => {
+  let dialog = null;
+
+  function bind() {
+    dialog = document.createElement('dialog');
+    dialog.id = 'synthDialog';
+    dialog.className = 'panel';
+    dialog.innerHTML = `
+      <form method="dialog">
+        <div class="row header"><span>SYNTHESIS_REPORT</span><button value="close">Close</button></div>
+        <pre class="report" data-ref="body"></pre>
+      </form>`;
+    document.body.appendChild(dialog);
+    extendSourceSettings('nyc', settingsUI);
+  }
+
+  function settingsUI(container) {
+    const btn = document.createElement('button');
+    btn.textContent = 'Synthesis report';
+    btn.title = 'Compare synthesized profiles with the source NTA marginals';
+    btn.addEventListener('click', open);
+    container.append(btn);
+  }
+
+  function open() {
+    dialog.querySelector('[data-ref="body"]').textContent = formatSynthesisReport(getSynthesisReport());
+    dialog.showModal();
+  }
+
+  return { bind, open };
+})();
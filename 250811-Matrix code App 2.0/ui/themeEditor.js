@@ -0,0 +1,205 @@
+/**
+ * Theme editor - ui/themeEditor.js
+ *
+ * "Edit…" next to #theme opens a dialog with colour pickers for the palette
+ * (background, head, trail, key highlight, glow) and the two strip-gradient
+ * stops. Every edit is previewed live on the rain through `onPreview(theme)`;
+ * closing without saving calls `onPreview(null)` to restore the selected theme.
+ * Saved themes live in localStorage and register with core/themes.js on load;
+ * themes import/export as JSON files.
+ */
+
+import {
+  registerTheme, removeTheme, getTheme, listThemes, resolveTheme, normalizeTheme, themeToJson, parseThemeJson,
+  THEME_COLORS,
+} from '../core/themes.js';
+import { downloadBlob } from './recorder.js';
+
+const STORAGE_KEY = 'profile_stream_themes';
+const LABELS = { background: 'Background', head: 'Head', trail: 'Trail', key: 'Key highlight', glow: 'Glow' };
+
+export const ThemeEditor = (() => {
+  let dialog = null;
+  let onPreview = () => {};
+  let onSaved = () => {};
+  let saved = false;
+  let previewTimer = 0;
+
+  /** `ctx.onPreview(theme | null)` shows an unsaved palette; `ctx.onSaved(id | null)` after save/delete. */
+  function bind(ctx = {}) {
+    onPreview = ctx.onPreview || onPreview;
+    onSaved = ctx.onSaved || onSaved;
+    for (const def of loadSaved()) {
+      try { registerTheme(def); } catch (err) {
+        try { console.warn('[THEME] skipped saved theme:', def && def.id, err && err.message); } catch {}
+      }
+    }
+    dialog = buildDialog();
+    document.body.appendChild(dialog);
+  }
+
+  function loadSaved() {
+    try {
+      const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(list) ? list : [];
+    } catch { return []; }
+  }
+
+  function persist() {
+    const custom = listThemes().filter(t => !t.builtin).map(({ builtin, ...t }) => t);
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(custom)); } catch {}
+  }
+
+  function buildDialog() {
+    const dlg = document.createElement('dialog');
+    dlg.id = 'themeDialog';
+    dlg.className = 'panel';
+    const colorRows = THEME_COLORS
+      .map(name => `<label>${LABELS[name]} <input type="color" data-ref="${name}" /></label>`).join('');
+    dlg.innerHTML = `
+      <form method="dialog">
+        <div class="row header"><span>THEME</span><button value="close">Close</button></div>
+        <div class="row"><label>Name <input data-ref="name" placeholder="e.g. amber" /></label></div>
+        <div class="theme-grid">${colorRows}</div>
+        <div class="row">
+          <span>Strip gradient</span>
+          <input type="color" data-ref="g0color" title="Top stop colour" />
+          <input type="range" data-ref="g0alpha" min="0" max="1" step="0.05" title="Top stop opacity" />
+          <input type="color" data-ref="g1color" title="Bottom stop colour" />
+          <input type="range" data-ref="g1alpha" min="0" max="1" step="0.05" title="Bottom stop opacity" />
+        </div>
+        <div class="theme-swatch" data-ref="swatch"></div>
+        <div class="muted" data-ref="error"></div>
+        <div class="row">
+          <button type="button" data-ref="import">Import…</button>
+          <button type="button" data-ref="export">Export</button>
+          <button type="button" data-ref="delete">Delete</button>
+          <button type="button" data-ref="save">Save</button>
+          <input type="file" data-ref="file" accept=".json,application/json" hidden />
+        </div>
+      </form>`;
+    const find = name => dlg.querySelector(`[data-ref="${name}"]`);
+    dlg.addEventListener('input', e => {
+      if (e.target === find('name')) syncButtons(); else schedulePreview();
+    });
+    find('save').addEventListener('click', save);
+    find('delete').addEventListener('click', () => {
+      const id = themeId(find('name').value);
+      if (removeTheme(id)) { persist(); saved = true; onSaved(null); dlg.close(); }
+    });
+    find('export').addEventListener('click', () => {
+      const theme = current();
+      if (theme) downloadBlob(new Blob([themeToJson(theme)], { type: 'application/json' }), `theme_${theme.id}.json`);
+    });
+    find('import').addEventListener('click', () => find('file').click());
+    find('file').addEventListener('change', importFile);
+    dlg.addEventListener('close', () => {
+      clearTimeout(previewTimer);
+      if (!saved) onPreview(null);
+    });
+    return dlg;
+  }
+
+  const ref = name => dialog.querySelector(`[data-ref="${name}"]`);
+
+  function themeId(name) {
+    const slug = String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return slug ? `theme-${slug}` : '';
+  }
+
+  /** Open the editor seeded with theme `id` (built-ins open as a copy). */
+  function open(id) {
+    fill(resolveTheme(id));
+    saved = false;
+    dialog.showModal();
+  }
+
+  function fill(theme) {
+    ref('name').value = theme.builtin ? '' : theme.label;
+    for (const name of THEME_COLORS) ref(name).value = theme[name];
+    const [g0, g1] = [theme.gradient[0], theme.gradient[theme.gradient.length - 1]];
+    ref('g0color').value = g0.color; ref('g0alpha').value = String(g0.alpha);
+    ref('g1color').value = g1.color; ref('g1alpha').value = String(g1.alpha);
+    renderSwatch(theme);
+    syncButtons();
+  }
+
+  // Palette from the form, or null (with the error shown) if it doesn't validate.
+  function current() {
+    const label = ref('name').value.trim();
+    const input = { id: themeId(label) || 'preview', label: label || 'Preview' };
+    for (const name of THEME_COLORS) input[name] = ref(name).value;
+    input.gradient = [
+      { at: 0, color: ref('g0color').value, alpha: parseFloat(ref('g0alpha').value) },
+      { at: 1, color: ref('g1color').value, alpha: parseFloat(ref('g1alpha').value) },
+    ];
+    try {
+      const theme = normalizeTheme(input);
+      ref('error').textContent = '';
+      return theme;
+    } catch (err) {
+      ref('error').textContent = err.message;
+      return null;
+    }
+  }
+
+  // Colour pickers fire continuously; rebuilding the atlas and strips is not free.
+  function schedulePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(() => {
+      const theme = current();
+      if (!theme) return;
+      renderSwatch(theme);
+      onPreview(theme);
+    }, 120);
+  }
+
+  function renderSwatch(theme) {
+    const el = ref('swatch');
+    el.style.background = theme.background;
+    el.innerHTML = '';
+    for (const [name, text] of [['head', 'HEAD'], ['trail', 'trail_text'], ['key', '*key*']]) {
+      const span = document.createElement('span');
+      span.textContent = text;
+      span.style.color = theme[name];
+      span.style.textShadow = `0 0 6px ${theme.glow}`;
+      el.append(span, ' ');
+    }
+  }
+
+  function syncButtons() {
+    const id = themeId(ref('name').value);
+    ref('save').disabled = !id;
+    ref('delete').disabled = !(id && getTheme(id) && !getTheme(id).builtin);
+  }
+
+  async function importFile(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const theme = parseThemeJson(await file.text());
+      fill({ ...theme, builtin: false });
+      onPreview(theme);
+    } catch (err) {
+      ref('error').textContent = `import failed: ${err.message}`;
+    }
+  }
+
+  function save() {
+    const theme = current();
+    if (!theme || !themeId(ref('name').value)) return;
+    try {
+      registerTheme(theme);
+    } catch (err) {
+      ref('error').textContent = err.message;
+      return;
+    }
+    persist();
+    saved = true;
+    onSaved(theme.id);
+    dialog.close();
+  }
+
+  return { bind, open };
+})();
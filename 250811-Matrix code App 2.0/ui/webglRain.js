@@ -0,0 +1,410 @@
+/**
+ * WebGL2 rain backend - ui/webglRain.js
+ *
+ * Draws MatrixRain frames on the GPU:
+ * - glyphs are instanced quads sampling the glyph sheet from `buildGlyphSheet` as an atlas
+ *   (one draw call for every column and glyph; colours come from the themed atlas);
+ * - file strips are textured quads, one texture per strip bitmap;
+ * - trail fade ping-pongs between two accumulation targets;
+ * - glow is a bloom pass (bright-pass at half resolution + separable Gaussian blur);
+ * - scanlines are applied in the final composite.
+ *
+ * The backend renders into its own canvas; main.js copies that onto #rain each
+ * frame so screenshots, recording and hit-testing keep working unchanged.
+ * Selection and software-rasterizer policy live in core/renderer.js.
+ */
+
+const VS_FULLSCREEN = `#version 300 es
+out vec2 vUv;
+void main() {
+  vec2 p = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+  vUv = p;
+  gl_Position = vec4(p * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+const FS_FADE = `#version 300 es
+precision mediump float;
+in vec2 vUv;
+uniform sampler2D uSrc;
+uniform float uKeep;
+out vec4 o;
+void main() {
+  // the small bias stops 8-bit trails from sticking at 1/255
+  o = max(texture(uSrc, vUv) * uKeep - 0.5 / 255.0, 0.0);
+}`;
+
+const VS_GLYPH = `#version 300 es
+layout(location = 0) in vec2 aCorner;
+layout(location = 1) in vec4 iGlyph; // x, y (css px, top-left), atlas index, alpha
+layout(location = 2) in float iHot;  // 1 for key glyphs
+uniform vec2 uView;
+uniform float uSize;
+uniform vec2 uGrid;
+out vec2 vUv;
+out float vAlpha;
+out float vHot;
+void main() {
+  vec2 px = iGlyph.xy + aCorner * uSize;
+  gl_Position = vec4(px.x / uView.x * 2.0 - 1.0, 1.0 - px.y / uView.y * 2.0, 0.0, 1.0);
+  vec2 cell = vec2(mod(iGlyph.z, uGrid.x), floor(iGlyph.z / uGrid.x));
+  vUv = (cell + aCorner) / uGrid;
+  vAlpha = iGlyph.w;
+  vHot = iHot;
+}`;
+
+const FS_GLYPH = `#version 300 es
+precision mediump float;
+in vec2 vUv;
+in float vAlpha;
+in float vHot;
+uniform sampler2D uSheet;
+out vec4 o;
+void main() {
+  // the atlas is already in theme colours (premultiplied); key glyphs run
+  // hotter so the bloom pass picks them up
+  vec4 t = texture(uSheet, vUv);
+  o = vec4(min(t.rgb * (1.0 + vHot * 0.35), vec3(t.a)), t.a) * vAlpha;
+}`;
+
+const VS_STRIP = `#version 300 es
+layout(location = 0) in vec2 aCorner;
+uniform vec2 uView;
+uniform vec4 uRect; // x, y, w, h in css px
+out vec2 vUv;
+void main() {
+  vec2 px = uRect.xy + aCorner * uRect.zw;
+  gl_Position = vec4(px.x / uView.x * 2.0 - 1.0, 1.0 - px.y / uView.y * 2.0, 0.0, 1.0);
+  vUv = aCorner;
+}`;
+
+const FS_STRIP = `#version 300 es
+precision mediump float;
+in vec2 vUv;
+uniform sampler2D uTex;
+uniform float uAlpha;
+out vec4 o;
+void main() { o = texture(uTex, vUv) * uAlpha; }`;
+
+const FS_BRIGHT = `#version 300 es
+precision mediump float;
+in vec2 vUv;
+uniform sampler2D uSrc;
+uniform float uThreshold;
+out vec4 o;
+void main() {
+  vec4 c = texture(uSrc, vUv);
+  float l = max(c.r, max(c.g, c.b));
+  o = c * smoothstep(uThreshold, 1.0, l);
+}`;
+
+const FS_BLUR = `#version 300 es
+precision mediump float;
+in vec2 vUv;
+uniform sampler2D uSrc;
+uniform vec2 uDir; // one texel along the blur axis
+out vec4 o;
+const float W[5] = float[](0.227027, 0.1945946, 0.1216216, 0.054054, 0.016216);
+void main() {
+  vec4 c = texture(uSrc, vUv) * W[0];
+  for (int i = 1; i < 5; i++) {
+    c += texture(uSrc, vUv + uDir * float(i)) * W[i];
+    c += texture(uSrc, vUv - uDir * float(i)) * W[i];
+  }
+  o = c;
+}`;
+
+const FS_COMPOSITE = `#version 300 es
+precision mediump float;
+in vec2 vUv;
+uniform sampler2D uScene;
+uniform sampler2D uBloom;
+uniform vec3 uBackground;
+uniform float uBloomStrength;
+uniform float uScanline;
+uniform float uDpr;
+out vec4 o;
+void main() {
+  vec3 c = uBackground + texture(uScene, vUv).rgb + texture(uBloom, vUv).rgb * uBloomStrength;
+  float row = mod(floor(gl_FragCoord.y / uDpr), 2.0);
+  c = mix(c, vec3(1.0), uScanline * (1.0 - row));
+  o = vec4(min(c, 1.0), 1.0);
+}`;
+
+const INSTANCE_FLOATS = 5;
+
+function compile(gl, vsSrc, fsSrc) {
+  const shader = (type, src) => {
+    const sh = gl.createShader(type);
+    gl.shaderSource(sh, src);
+    gl.compileShader(sh);
+    if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) throw new Error(`shader: ${gl.getShaderInfoLog(sh)}`);
+    return sh;
+  };
+  const prog = gl.createProgram();
+  gl.attachShader(prog, shader(gl.VERTEX_SHADER, vsSrc));
+  gl.attachShader(prog, shader(gl.FRAGMENT_SHADER, fsSrc));
+  gl.linkProgram(prog);
+  if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) throw new Error(`program: ${gl.getProgramInfoLog(prog)}`);
+  const uniforms = {};
+  const n = gl.getProgramParameter(prog, gl.ACTIVE_UNIFORMS);
+  for (let i = 0; i < n; i++) {
+    const { name } = gl.getActiveUniform(prog, i);
+    uniforms[name.replace(/\[0\]$/, '')] = gl.getUniformLocation(prog, name);
+  }
+  return { prog, u: uniforms };
+}
+
+function gpuName(gl) {
+  const ext = gl.getExtension('WEBGL_debug_renderer_info');
+  return String((ext && gl.getParameter(ext.UNMASKED_RENDERER_WEBGL)) || gl.getParameter(gl.RENDERER) || '');
+}
+
+/**
+ * Create the backend for a glyph sheet `{ canvas, cols, size }`.
+ * Returns `{ ok: true, renderer, backend }` or `{ ok: false, reason, renderer? }`.
+ * With `allowSoftware` false the context is requested with
+ * `failIfMajorPerformanceCaveat`, which most browsers refuse on software GL.
+ */
+export function createWebGLRain(sheet, { allowSoftware = false, onLost } = {}) {
+  const canvas = document.createElement('canvas');
+  const gl = canvas.getContext('webgl2', {
+    alpha: false, antialias: false, depth: false, stencil: false,
+    premultipliedAlpha: true, preserveDrawingBuffer: false,
+    failIfMajorPerformanceCaveat: !allowSoftware,
+  });
+  if (!gl) return { ok: false, reason: allowSoftware ? 'WebGL2 unavailable' : 'WebGL2 unavailable or software only' };
+  const renderer = gpuName(gl);
+
+  let programs;
+  try {
+    programs = {
+      fade: compile(gl, VS_FULLSCREEN, FS_FADE),
+      glyph: compile(gl, VS_GLYPH, FS_GLYPH),
+      strip: compile(gl, VS_STRIP, FS_STRIP),
+      bright: compile(gl, VS_FULLSCREEN, FS_BRIGHT),
+      blur: compile(gl, VS_FULLSCREEN, FS_BLUR),
+      composite: compile(gl, VS_FULLSCREEN, FS_COMPOSITE),
+    };
+  } catch (err) {
+    return { ok: false, reason: err.message, renderer };
+  }
+
+  let lost = false;
+  canvas.addEventListener('webglcontextlost', e => {
+    e.preventDefault();
+    lost = true;
+    if (onLost) onLost();
+  });
+
+  // quad corners shared by glyph and strip draws (TRIANGLE_STRIP)
+  const quad = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+
+  let instanceData = new Float32Array(INSTANCE_FLOATS * 2048);
+  const instances = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, instances);
+  gl.bufferData(gl.ARRAY_BUFFER, instanceData.byteLength, gl.DYNAMIC_DRAW);
+
+  const glyphVao = gl.createVertexArray();
+  gl.bindVertexArray(glyphVao);
+  gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+  gl.enableVertexAttribArray(0);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+  gl.bindBuffer(gl.ARRAY_BUFFER, instances);
+  gl.enableVertexAttribArray(1);
+  gl.vertexAttribPointer(1, 4, gl.FLOAT, false, INSTANCE_FLOATS * 4, 0);
+  gl.vertexAttribDivisor(1, 1);
+  gl.enableVertexAttribArray(2);
+  gl.vertexAttribPointer(2, 1, gl.FLOAT, false, INSTANCE_FLOATS * 4, 16);
+  gl.vertexAttribDivisor(2, 1);
+
+  const stripVao = gl.createVertexArray();
+  gl.bindVertexArray(stripVao);
+  gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+  gl.enableVertexAttribArray(0);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+  const emptyVao = gl.createVertexArray();
+  gl.bindVertexArray(null);
+
+  function texture(w, h, source) {
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    if (source) gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    else gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return tex;
+  }
+
+  function target(w, h) {
+    const tex = texture(w, h);
+    const fbo = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+    gl.clearColor(0, 0, 0, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    return { tex, fbo, w, h };
+  }
+
+  function freeTarget(t) { if (t) { gl.deleteTexture(t.tex); gl.deleteFramebuffer(t.fbo); } }
+
+  let sheetTex = null, grid = [1, 1], cell = sheet.size;
+  function setSheet({ canvas: img, cols, size }) {
+    cell = size;
+    if (sheetTex) gl.deleteTexture(sheetTex);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+    sheetTex = texture(0, 0, img);
+    grid = [cols, Math.round(img.height / size)];
+  }
+  setSheet(sheet);
+
+  let accum = [null, null], bloom = [null, null], cur = 0;
+  let view = [1, 1], dpr = 1;
+  function resize(cssW, cssH, pixelRatio) {
+    dpr = pixelRatio;
+    const w = Math.max(1, Math.floor(cssW * dpr)), h = Math.max(1, Math.floor(cssH * dpr));
+    view = [cssW, cssH];
+    if (canvas.width === w && canvas.height === h && accum[0]) return;
+    canvas.width = w; canvas.height = h;
+    for (const t of [...accum, ...bloom]) freeTarget(t);
+    accum = [target(w, h), target(w, h)];
+    const bw = Math.max(1, w >> 1), bh = Math.max(1, h >> 1);
+    bloom = [target(bw, bh), target(bw, bh)];
+  }
+
+  // bitmap -> { tex, frame }; textures unused for a while are released
+  const stripTextures = new Map();
+  let frame = 0;
+  function stripTexture(bitmap) {
+    let entry = stripTextures.get(bitmap);
+    if (!entry) {
+      // strip bitmaps are straight alpha; the blend expects premultiplied
+      gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+      entry = { tex: texture(0, 0, bitmap), frame };
+      stripTextures.set(bitmap, entry);
+    }
+    entry.frame = frame;
+    return entry.tex;
+  }
+
+  function useTarget(t) {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, t ? t.fbo : null);
+    gl.viewport(0, 0, t ? t.w : canvas.width, t ? t.h : canvas.height);
+  }
+
+  function fullscreen(p, src, uniforms = {}) {
+    gl.useProgram(p.prog);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, src);
+    if (p.u.uSrc) gl.uniform1i(p.u.uSrc, 0);
+    for (const [k, v] of Object.entries(uniforms)) {
+      if (!p.u[k]) continue;
+      if (Array.isArray(v)) gl.uniform2f(p.u[k], v[0], v[1]); else gl.uniform1f(p.u[k], v);
+    }
+    gl.bindVertexArray(emptyVao);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  }
+
+  /**
+   * Draw one frame. `glyphs` holds `count` instances of [x, y, atlasIndex, alpha, hot];
+   * `strips` are `{ bitmap, x, y, w, h, alpha }`; `background` is the theme background
+   * as [r, g, b] in 0..1; `glow` is 0..1; `fade` the fraction of the previous frame removed;
+   * `bloom` scales the bloom pass (0 skips it, for the adaptive quality governor).
+   */
+  function render({ glyphs, count = 0, strips = [], background = [0, 0, 0], glow = 0.6, bloom: bloomScale = 1, fade = 0.18, scanline = 0.06 }) {
+    if (lost) return false;
+    frame++;
+    const prev = accum[cur], next = accum[1 - cur];
+
+    useTarget(next);
+    gl.disable(gl.BLEND);
+    fullscreen(programs.fade, prev.tex, { uKeep: 1 - fade });
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    if (count > 0) {
+      const p = programs.glyph;
+      gl.useProgram(p.prog);
+      gl.uniform2f(p.u.uView, view[0], view[1]);
+      gl.uniform1f(p.u.uSize, cell);
+      gl.uniform2f(p.u.uGrid, grid[0], grid[1]);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, sheetTex);
+      gl.uniform1i(p.u.uSheet, 0);
+      gl.bindBuffer(gl.ARRAY_BUFFER, instances);
+      if (glyphs.byteLength > instanceData.byteLength) {
+        instanceData = new Float32Array(glyphs.length);
+        gl.bufferData(gl.ARRAY_BUFFER, instanceData.byteLength, gl.DYNAMIC_DRAW);
+      }
+      gl.bufferSubData(gl.ARRAY_BUFFER, 0, glyphs, 0, count * INSTANCE_FLOATS);
+      gl.bindVertexArray(glyphVao);
+      gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+    }
+    if (strips.length) {
+      const p = programs.strip;
+      gl.useProgram(p.prog);
+      gl.uniform2f(p.u.uView, view[0], view[1]);
+      gl.uniform1i(p.u.uTex, 0);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindVertexArray(stripVao);
+      for (const s of strips) {
+        gl.bindTexture(gl.TEXTURE_2D, stripTexture(s.bitmap));
+        gl.uniform4f(p.u.uRect, s.x, s.y, s.w, s.h);
+        gl.uniform1f(p.u.uAlpha, s.alpha ?? 1);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      }
+    }
+    gl.disable(gl.BLEND);
+
+    // bloom: bright-pass at half resolution, then blur H and V
+    const [ba, bb] = bloom;
+    const bloomStrength = (0.4 + glow * 1.2) * bloomScale;
+    if (bloomStrength > 0) {
+      useTarget(ba);
+      fullscreen(programs.bright, next.tex, { uThreshold: 0.35 });
+      useTarget(bb);
+      fullscreen(programs.blur, ba.tex, { uDir: [1 / ba.w, 0] });
+      useTarget(ba);
+      fullscreen(programs.blur, bb.tex, { uDir: [0, 1 / bb.h] });
+    }
+
+    useTarget(null);
+    const c = programs.composite;
+    gl.useProgram(c.prog);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, ba.tex);
+    gl.uniform1i(c.u.uBloom, 1);
+    gl.uniform1i(c.u.uScene, 0);
+    gl.uniform3f(c.u.uBackground, background[0], background[1], background[2]);
+    fullscreen(c, next.tex, { uBloomStrength: bloomStrength, uScanline: scanline, uDpr: dpr });
+
+    cur = 1 - cur;
+    if (frame % 120 === 0) {
+      for (const [bitmap, entry] of stripTextures) {
+        if (frame - entry.frame > 120) { gl.deleteTexture(entry.tex); stripTextures.delete(bitmap); }
+      }
+    }
+    return true;
+  }
+
+  function dispose() {
+    for (const t of [...accum, ...bloom]) freeTarget(t);
+    for (const { tex } of stripTextures.values()) gl.deleteTexture(tex);
+    stripTextures.clear();
+    const ext = gl.getExtension('WEBGL_lose_context');
+    if (ext) ext.loseContext();
+  }
+
+  return {
+    ok: true,
+    renderer,
+    backend: {
+      kind: 'webgl', canvas, renderer, resize, render, setSheet, dispose,
+      get lost() { return lost; },
+    },
+  };
+}